@@ -0,0 +1,188 @@
+// Administration (admin role): users and roles, API keys (issue / revoke) and usage per key and day.
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+let defaults = {};
+let roles = [];
+
+const limitText = (value, fallback) => (value == null ? `default (${fallback == null ? 'unlimited' : fallback})` : value);
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '—');
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function showError(el, err, colspan) {
+  el.innerHTML = `<tr><td colspan="${colspan}" class="admin-error">${escapeHtml(err.message)}</td></tr>`;
+}
+
+async function loadKeys() {
+  const tbody = document.getElementById('keysTable');
+  try {
+    const data = await fetchJson('/api/admin/api-keys');
+    defaults = data.defaults;
+    document.getElementById('adminDefaults').textContent =
+      `Anonymous: ${defaults.anonymousRead ? 'read access to /api/v1' : 'no /api/v1 access'}, ` +
+      `${defaults.anonRateLimit} requests/min per IP, AI chat ${defaults.anonChatTokenBudget == null ? 'unlimited' : `${defaults.anonChatTokenBudget} tokens/month`}. ` +
+      `Signed-in users: ${defaults.userRateLimit} requests/min each. ` +
+      `Keys: ${defaults.keyRateLimit} requests/min and ${defaults.keyTokenBudget} AI tokens/month unless set per key.`;
+    if (!data.keys.length) {
+      tbody.innerHTML = '<tr><td colspan="8">No API keys yet.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.keys.map(k => `
+      <tr class="${k.revokedAt ? 'admin-revoked' : ''}">
+        <td>${k.id}</td>
+        <td>${escapeHtml(k.name)}</td>
+        <td><code>${escapeHtml(k.prefix)}…</code></td>
+        <td>${escapeHtml(limitText(k.rateLimit, defaults.keyRateLimit))}</td>
+        <td>${k.monthTokens} / ${escapeHtml(limitText(k.tokenBudget, defaults.keyTokenBudget))}</td>
+        <td>${k.monthRequests}</td>
+        <td>${formatTime(k.lastUsedAt)}</td>
+        <td>${k.revokedAt ? `revoked ${formatTime(k.revokedAt)}` : `<button data-revoke="${k.id}">Revoke</button>`}</td>
+      </tr>`).join('');
+  } catch (err) {
+    showError(tbody, err, 8);
+  }
+}
+
+async function loadUsage() {
+  const tbody = document.getElementById('usageTable');
+  try {
+    const days = document.getElementById('usageDays').value;
+    const data = await fetchJson(`/api/admin/usage?days=${days}`);
+    if (!data.usage.length) {
+      tbody.innerHTML = '<tr><td colspan="7">No requests recorded in this period.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.usage.map(u => `
+      <tr>
+        <td>${u.day}</td>
+        <td>${u.keyId === 0 ? '<em>anonymous</em>' : `#${u.keyId} ${escapeHtml(u.name)}`}</td>
+        <td>${u.requests}</td>
+        <td>${u.rateLimited}</td>
+        <td>${u.chatRequests}</td>
+        <td>${u.promptTokens}</td>
+        <td>${u.completionTokens}</td>
+      </tr>`).join('');
+  } catch (err) {
+    showError(tbody, err, 7);
+  }
+}
+
+async function loadUsers() {
+  const tbody = document.getElementById('usersTable');
+  try {
+    const data = await fetchJson('/api/admin/users');
+    roles = data.roles;
+    const roleSelect = document.getElementById('userRole');
+    if (!roleSelect.options.length) roleSelect.innerHTML = roles.map(r => `<option value="${r}">${r}</option>`).join('');
+    if (!data.users.length) {
+      tbody.innerHTML = '<tr><td colspan="4">No users yet.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = data.users.map(u => `
+      <tr class="${u.disabledAt ? 'admin-revoked' : ''}">
+        <td>${escapeHtml(u.username)}</td>
+        <td><select data-user-role="${u.id}">${roles.map(r => `<option value="${r}"${r === u.role ? ' selected' : ''}>${r}</option>`).join('')}</select></td>
+        <td>${formatTime(u.lastLoginAt)}</td>
+        <td><button data-user-disable="${u.id}" data-disabled="${u.disabledAt ? 1 : 0}">${u.disabledAt ? 'Enable' : 'Disable'}</button></td>
+      </tr>`).join('');
+  } catch (err) {
+    showError(tbody, err, 4);
+  }
+}
+
+async function updateUser(id, changes) {
+  const status = document.getElementById('userStatus');
+  status.textContent = '';
+  try {
+    await fetchJson(`/api/admin/users/${id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+  } catch (err) {
+    status.textContent = err.message;
+  }
+  loadUsers();
+}
+
+document.getElementById('createUserForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const status = document.getElementById('userStatus');
+  status.textContent = '';
+  try {
+    await fetchJson('/api/admin/users', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('userName').value,
+        password: document.getElementById('userPassword').value,
+        role: document.getElementById('userRole').value
+      })
+    });
+    e.target.reset();
+    loadUsers();
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
+
+document.getElementById('usersTable').addEventListener('change', (e) => {
+  if (e.target.dataset.userRole) updateUser(e.target.dataset.userRole, { role: e.target.value });
+});
+
+document.getElementById('usersTable').addEventListener('click', (e) => {
+  const id = e.target.dataset.userDisable;
+  if (id) updateUser(id, { disabled: e.target.dataset.disabled !== '1' });
+});
+
+document.getElementById('createKeyForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const box = document.getElementById('newKey');
+  try {
+    const key = await fetchJson('/api/admin/api-keys', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('keyName').value,
+        rateLimit: document.getElementById('keyRateLimit').value,
+        tokenBudget: document.getElementById('keyTokenBudget').value
+      })
+    });
+    box.innerHTML = `Key for <strong>${escapeHtml(key.name)}</strong> — copy it now, it is not shown again:<br><code>${escapeHtml(key.key)}</code>`;
+    box.style.display = 'block';
+    e.target.reset();
+    loadKeys();
+  } catch (err) {
+    box.textContent = err.message;
+    box.style.display = 'block';
+  }
+});
+
+document.getElementById('keysTable').addEventListener('click', async (e) => {
+  const id = e.target.dataset.revoke;
+  if (!id || !confirm(`Revoke API key #${id}? Clients using it get 401 from now on.`)) return;
+  try {
+    await fetchJson(`/api/admin/api-keys/${id}/revoke`, { method: 'POST' });
+  } catch (err) {
+    alert(err.message);
+  }
+  loadKeys();
+});
+
+document.getElementById('usageDays').addEventListener('change', loadUsage);
+
+loadUsers();
+loadKeys();
+loadUsage();
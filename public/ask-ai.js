@@ -12,6 +12,25 @@
     chatHeight: '600px'
   };
 
+  // API key for /api/ai/chat on public deployments (kept in this browser only)
+  const API_KEY_STORAGE = 'eurowatch.apiKey';
+
+  /** POST /api/ai/chat; asks once for an API key when the server requires one (or rejects the stored one). */
+  async function postChat(body) {
+    const send = () => {
+      const headers = { 'Content-Type': 'application/json' };
+      const apiKey = localStorage.getItem(API_KEY_STORAGE);
+      if (apiKey) headers['X-API-Key'] = apiKey;
+      return fetch('/api/ai/chat', { method: 'POST', headers, body: JSON.stringify(body) });
+    };
+    const response = await send();
+    if (response.status !== 401) return response;
+    const apiKey = window.prompt('AI chat needs an API key on this server. Enter your key:');
+    if (!apiKey || !apiKey.trim()) return response;
+    localStorage.setItem(API_KEY_STORAGE, apiKey.trim());
+    return send();
+  }
+
   // State
   let chatHistory = [];
   let speechContent = '';
@@ -254,16 +273,10 @@
     contextMessages.push({ role: 'user', content: question });
 
     try {
-      const response = await fetch('/api/ai/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          messages: contextMessages,
-          model: 'gpt-4o-mini',
-          temperature: 0.2
-        })
+      const response = await postChat({
+        messages: contextMessages,
+        model: 'gpt-4o-mini',
+        temperature: 0.2
       });
 
       if (!response.ok) {
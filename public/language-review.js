@@ -0,0 +1,122 @@
+// Language review queue (curator role): confirm or correct uncertain language detections.
+const REVIEW_PAGE_SIZE = 25;
+const EU_LANGUAGES = [
+  'BG', 'CS', 'DA', 'DE', 'EL', 'EN', 'ES', 'ET', 'FI', 'FR', 'GA', 'HR', 'HU',
+  'IT', 'LT', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SL', 'SV'
+];
+
+let reviewOffset = 0;
+let reviewTotal = 0;
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function speechLink(item) {
+  return `speech.html?id=${encodeURIComponent(item.sitting_id)}&speech=${encodeURIComponent(item.speech_order)}`;
+}
+
+function languageSelect(item) {
+  const options = EU_LANGUAGES.map(code => `<option value="${code}"${code === item.language ? ' selected' : ''}>${code}</option>`);
+  if (!item.language) options.unshift('<option value="" selected>—</option>');
+  return `<select data-review-select="${item.id}">${options.join('')}</select>
+    <button data-review="${item.id}">${item.language ? 'Confirm' : 'Save'}</button>`;
+}
+
+function renderRow(item) {
+  const detected = escapeHtml(item.language || '—') +
+    (item.alternatives.length ? `<br><span class="admin-note">also: ${escapeHtml(item.alternatives.join(', '))}</span>` : '');
+  return `
+    <tr data-row="${item.id}">
+      <td><a href="${speechLink(item)}">${escapeHtml(item.speaker_name || 'Unknown')}</a><br>
+        <span class="admin-note">${escapeHtml(item.date || '')} · #${item.id}</span></td>
+      <td class="review-excerpt">${escapeHtml(item.excerpt)}</td>
+      <td>${detected}</td>
+      <td>${item.confidence == null ? '—' : item.confidence.toFixed(2)}</td>
+      <td>${escapeHtml(item.method || '—')}</td>
+      <td>${languageSelect(item)}</td>
+    </tr>`;
+}
+
+async function loadQueue() {
+  const tbody = document.getElementById('reviewTable');
+  const params = new URLSearchParams({
+    reason: document.getElementById('reviewReason').value,
+    min_confidence: document.getElementById('reviewMinConfidence').value || '0.8',
+    limit: REVIEW_PAGE_SIZE,
+    offset: reviewOffset
+  });
+  const language = document.getElementById('reviewLanguage').value.trim();
+  if (language) params.set('language', language);
+  try {
+    const data = await fetchJson(`/api/language-review?${params}`);
+    reviewTotal = data.total;
+    const s = data.stats;
+    document.getElementById('reviewStats').textContent =
+      `Open: ${s.low_confidence} low confidence, ${s.disagreement} with disagreeing detectors, ` +
+      `${s.undetected} undetected. Reviewed so far: ${s.reviewed}.`;
+    tbody.innerHTML = data.items.length
+      ? data.items.map(renderRow).join('')
+      : '<tr><td colspan="6">Nothing to review.</td></tr>';
+  } catch (err) {
+    reviewTotal = 0;
+    tbody.innerHTML = `<tr><td colspan="6" class="admin-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+  const page = Math.floor(reviewOffset / REVIEW_PAGE_SIZE) + 1;
+  document.getElementById('reviewPage').textContent =
+    `Page ${page} of ${Math.max(1, Math.ceil(reviewTotal / REVIEW_PAGE_SIZE))} (${reviewTotal} speeches)`;
+  document.getElementById('reviewPrev').disabled = reviewOffset === 0;
+  document.getElementById('reviewNext').disabled = reviewOffset + REVIEW_PAGE_SIZE >= reviewTotal;
+}
+
+document.getElementById('reviewTable').addEventListener('click', async (e) => {
+  const id = e.target.dataset.review;
+  if (!id) return;
+  const status = document.getElementById('reviewStatus');
+  const language = document.querySelector(`[data-review-select="${id}"]`).value;
+  status.textContent = '';
+  if (!language) {
+    status.textContent = 'Pick a language first.';
+    return;
+  }
+  try {
+    await fetchJson(`/api/language-review/${id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ language })
+    });
+    document.querySelector(`[data-row="${id}"]`).remove();
+    if (!document.querySelector('#reviewTable tr')) loadQueue();
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
+
+document.getElementById('reviewFilters').addEventListener('submit', (e) => {
+  e.preventDefault();
+  reviewOffset = 0;
+  loadQueue();
+});
+
+document.getElementById('reviewPrev').addEventListener('click', () => {
+  reviewOffset = Math.max(0, reviewOffset - REVIEW_PAGE_SIZE);
+  loadQueue();
+});
+
+document.getElementById('reviewNext').addEventListener('click', () => {
+  reviewOffset += REVIEW_PAGE_SIZE;
+  loadQueue();
+});
+
+loadQueue();
@@ -0,0 +1,22 @@
+// Maintainer sign-in: POST /api/auth/login sets the session cookie, then back to the dashboard (Data menu)
+
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const status = document.getElementById('loginStatus');
+  status.textContent = '';
+  try {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('loginUsername').value,
+        password: document.getElementById('loginPassword').value
+      })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Sign-in failed (${res.status})`);
+    window.location.href = 'index.html';
+  } catch (err) {
+    status.textContent = err.message;
+  }
+});
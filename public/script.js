@@ -1,19 +1,3 @@
-// EP term number for Europarl URLs (matches parliament-fetch.js)
-function getSessionNumber(date) {
-  if (!date) return 10;
-  if (date >= '2024-07-16') return 10;
-  if (date >= '2019-07-02') return 9;
-  if (date >= '2014-07-01') return 8;
-  if (date >= '2009-07-14') return 7;
-  if (date >= '2004-07-20') return 6;
-  if (date >= '1999-07-20') return 5;
-  if (date >= '1994-07-19') return 4;
-  if (date >= '1989-07-25') return 3;
-  if (date >= '1984-07-24') return 2;
-  if (date >= '1979-07-17') return 1;
-  return 1;
-}
-
 // Fetches a preview of a speech for a given date from the server
 async function fetchPreview(date) {
   try {
@@ -310,10 +294,8 @@ async function fetchPreview(date) {
   
     tbody.innerHTML = displayData.map(s => {
       const date = s.date || s.activity_date || '';
-      const session = date ? getSessionNumber(date) : 10;
-      const htmlUrl = date
-        ? `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${date}_EN.html`
-        : '#';
+      // Term-aware report URL from the server (core/cre-urls)
+      const htmlUrl = s.html_url || '#';
   
       return `
         <tr data-date="${date}" data-id="${s.id}">
@@ -338,24 +320,12 @@ async function fetchPreview(date) {
           // Try the main preview API first
           let previewText = await fetchPreview(date);
           if (previewText === '—') {
-            const session = getSessionNumber(date);
-            const fallbackUrl = `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${date}_EN.html`;
             try {
-              const resp = await fetch(fallbackUrl);
+              // Fallback: first agenda item from the sitting's table of contents (fetched by the server)
+              const resp = await fetch(`/api/speech-toc?date=${encodeURIComponent(date)}`);
               if (resp.ok) {
-                const html = await resp.text();
-                // Try to extract the first item or a summary from the TOC HTML
-                // This is a simple fallback: extract the first <a> in the main content
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                // Try to find the first item in the TOC
-                let firstItem = doc.querySelector('a[href*="ITM-"]');
-                if (firstItem) {
-                  previewText = `TOC: ${firstItem.textContent.trim()}`;
-                } else {
-                  // Fallback: just show a message
-                  previewText = 'No preview available (TOC loaded)';
-                }
+                const { toc } = await resp.json();
+                previewText = toc && toc.length ? `TOC: ${toc[0].title}` : 'No preview available (TOC loaded)';
               } else {
                 previewText = 'Fehler beim Laden der TOC-Seite';
               }
@@ -463,7 +433,10 @@ async function fetchPreview(date) {
     try {
       const warmRes = await fetch('/api/analytics/warm', { method: 'POST' });
       const warmData = await warmRes.json();
-      if (warmData.ready) {
+      if (warmRes.status === 401 || warmRes.status === 403) {
+        // Only curators load the cache; other users get the same charts from live (slower) queries
+        runAnalyticsLoad();
+      } else if (warmData.ready) {
         runAnalyticsLoad();
       } else if (warmData.started || warmData.warming) {
         await checkCacheStatus();
@@ -967,6 +940,8 @@ async function loadGroupHeat(selectedTopics = null) {
   if (selectedTopics && selectedTopics.length > 0) {
     params.set('topics', JSON.stringify(selectedTopics));
   }
+  const groupBasis = document.getElementById('groupBasis')?.value;
+  if (groupBasis && groupBasis !== 'canonical') params.set('group_basis', groupBasis);
   console.time('[GROUPS] Fetch by-group API');
   const res = await fetch('/api/analytics/by-group?' + params.toString());
   const json = await res.json();
@@ -1017,6 +992,8 @@ async function loadLanguageHeat(selectedTopics = null) {
   if (selectedTopics && selectedTopics.length > 0) {
     params.set('topics', JSON.stringify(selectedTopics));
   }
+  const basis = document.getElementById('languageBasis')?.value;
+  if (basis && basis !== 'text') params.set('language_basis', basis);
   const res = await fetch('/api/analytics/by-language?' + params.toString());
   const json = await res.json();
   const topics = json.topics || [];
@@ -1166,6 +1143,12 @@ document.addEventListener('click', (e) => {
 
 // Wire analytics controls for granularity radios and time filter
 document.addEventListener('change', (e) => {
+  if (e.target && e.target.id === 'languageBasis') {
+    loadLanguageHeat(window.selectedTopics);
+  }
+  if (e.target && e.target.id === 'groupBasis') {
+    loadGroupHeat(window.selectedTopics);
+  }
   if (e.target && (e.target.id === 'granMonth' || e.target.id === 'granQuarter' || e.target.id === 'granYear')) {
     loadTimeSeries().then(() => {
       loadGroupHeat(window.selectedTopics);
@@ -1465,7 +1448,7 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 
-// Data Actions Dropdown (Refresh / Rebuild) — only shown when LOCALRUN env is set
+// Data Actions Dropdown (Refresh / Rebuild) — shown to signed-in users; items need the role in data-role
 (async function() {
   const container = document.getElementById('dataActionsContainer');
   const toggleBtn = document.getElementById('dataActionsToggle');
@@ -1477,6 +1460,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const refreshLanguagesBtn = document.getElementById('dataActionRefreshLanguages');
   const normalizeTopicsBtn = document.getElementById('dataActionNormalizeTopics');
   const normalizePartiesBtn = document.getElementById('dataActionNormalizeParties');
+  const mepMembershipsBtn = document.getElementById('dataActionMepMemberships');
   const iconEl = document.getElementById('dataActionsIcon');
   const textEl = document.getElementById('dataActionsText');
   const cacheStatus = document.getElementById('cacheStatus');
@@ -1486,55 +1470,191 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (!toggleBtn || !dropdown) return;
 
+  // Role of the signed-in user (LOCALRUN: local admin); menu items above it are removed
+  let currentUser = null;
+  let roles = [];
   try {
-    const res = await fetch('/api/localrun');
-    const data = await res.json();
-    if (!data.localrun) {
-      if (container) container.style.display = 'none';
-      return;
-    }
+    const res = await fetch('/api/auth/me');
+    ({ user: currentUser, roles } = await res.json());
   } catch (_) {
+    currentUser = null;
+  }
+  if (!currentUser) {
     if (container) container.style.display = 'none';
     return;
   }
+  const signInLink = document.getElementById('signInLink');
+  if (signInLink) signInLink.style.display = 'none';
+  const hasRole = (role) => roles.indexOf(currentUser.role) >= roles.indexOf(role);
+  dropdown.querySelectorAll('[data-role]').forEach(el => {
+    if (!hasRole(el.dataset.role)) el.remove();
+  });
+  const signOutBtn = document.getElementById('dataActionSignOut');
+  if (signOutBtn && !currentUser.local) {
+    signOutBtn.textContent = `Signed in as ${currentUser.username} (${currentUser.role}) · Sign out`;
+    signOutBtn.style.display = 'block';
+    signOutBtn.addEventListener('click', async () => {
+      await fetch('/api/auth/logout', { method: 'POST' });
+      window.location.reload();
+    });
+  }
 
   let isWorking = false;
-  let jobConsolePollTimer = null;
+
+  const JOB_CONSOLE_MAX_LINES = 500;
+  let jobConsoleStatusEl = null;
+  let jobConsoleLogEl = null;
+  let jobCancelBtn = null;
+  let followedJobId = null;
+  if (jobConsoleEl) {
+    const header = document.createElement('div');
+    header.className = 'job-console-header';
+    jobConsoleStatusEl = document.createElement('div');
+    jobConsoleStatusEl.className = 'job-console-status';
+    jobCancelBtn = document.createElement('button');
+    jobCancelBtn.type = 'button';
+    jobCancelBtn.className = 'job-console-cancel';
+    jobCancelBtn.textContent = 'Cancel';
+    jobCancelBtn.hidden = true;
+    jobCancelBtn.addEventListener('click', cancelFollowedJob);
+    header.append(jobConsoleStatusEl, jobCancelBtn);
+    jobConsoleLogEl = document.createElement('div');
+    jobConsoleLogEl.className = 'job-console-log';
+    jobConsoleEl.append(header, jobConsoleLogEl);
+  }
+
+  // POST /api/jobs/:id/cancel; the job stops at its next checkpoint and its stream ends with `done`
+  async function cancelFollowedJob() {
+    if (followedJobId == null) return;
+    jobCancelBtn.disabled = true;
+    jobCancelBtn.textContent = 'Cancelling...';
+    try {
+      const res = await fetch(`/api/jobs/${followedJobId}/cancel`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+    } catch (err) {
+      showNotification(`Could not cancel job: ${err.message}`, 'error');
+      jobCancelBtn.disabled = false;
+      jobCancelBtn.textContent = 'Cancel';
+    }
+  }
+
+  function setFollowedJob(jobId) {
+    followedJobId = jobId;
+    if (!jobCancelBtn) return;
+    jobCancelBtn.hidden = jobId == null;
+    jobCancelBtn.disabled = false;
+    jobCancelBtn.textContent = 'Cancel';
+  }
 
   function showJobConsole(line) {
     if (!jobConsoleEl) return;
-    jobConsoleEl.textContent = line || '';
+    jobConsoleStatusEl.textContent = line || '';
     jobConsoleEl.style.opacity = '1';
-    jobConsoleEl.style.maxHeight = '48px';
+    jobConsoleEl.style.maxHeight = '280px';
+    jobConsoleEl.style.pointerEvents = 'auto';
   }
 
   function hideJobConsole() {
     if (!jobConsoleEl) return;
     jobConsoleEl.style.opacity = '0';
     jobConsoleEl.style.maxHeight = '0';
-    setTimeout(() => { jobConsoleEl.textContent = ''; }, 300);
+    jobConsoleEl.style.pointerEvents = 'none';
+    setTimeout(() => {
+      jobConsoleStatusEl.textContent = '';
+      jobConsoleLogEl.textContent = '';
+    }, 300);
+  }
+
+  // Append log lines; keep following the end unless the user scrolled up to read
+  function appendJobLog(lines) {
+    if (!jobConsoleLogEl || lines.length === 0) return;
+    const atBottom = jobConsoleLogEl.scrollTop + jobConsoleLogEl.clientHeight >= jobConsoleLogEl.scrollHeight - 4;
+    for (const line of lines) {
+      const row = document.createElement('div');
+      row.textContent = line;
+      jobConsoleLogEl.appendChild(row);
+    }
+    while (jobConsoleLogEl.childElementCount > JOB_CONSOLE_MAX_LINES) jobConsoleLogEl.firstChild.remove();
+    if (atBottom) jobConsoleLogEl.scrollTop = jobConsoleLogEl.scrollHeight;
   }
 
-  function startJobConsolePolling() {
-    if (!jobConsoleEl) return;
-    function poll() {
-      if (!jobConsolePollTimer) return;
-      fetch('/api/job-last-log')
-        .then(r => r.json())
-        .then(data => {
-          if (data.line && jobConsoleEl) jobConsoleEl.textContent = data.line;
-        })
-        .catch(() => {});
+  function describeJobStatus(progress, stats) {
+    const parts = [];
+    if (progress && progress.total) parts.push(`${progress.message || 'Progress'}: ${progress.current || 0}/${progress.total}`);
+    if (stats) {
+      parts.push(`${stats.processed} stored`);
+      const failures = stats.failed + stats.aiFailed + stats.fetchSkipped;
+      if (failures > 0) parts.push(`${failures} failed`);
     }
-    poll();
-    jobConsolePollTimer = setInterval(poll, 1500);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Follow a job over its SSE stream (/api/jobs/:id/events): live log lines, progress and pipeline counts.
+   * Shows a Cancel button for the job while it runs.
+   * Resolves with the job result; throws when the job fails or is cancelled.
+   */
+  function followJob(jobId) {
+    setFollowedJob(jobId);
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/jobs/${jobId}/events`);
+      let progress = null;
+      let stats = null;
+      const renderStatus = () => {
+        const text = describeJobStatus(progress, stats);
+        if (text) showJobConsole(text);
+      };
+
+      source.addEventListener('snapshot', (e) => {
+        const job = JSON.parse(e.data);
+        // Sent on every (re)connect: replace what we have with the server's log tail
+        if (jobConsoleLogEl) jobConsoleLogEl.textContent = '';
+        appendJobLog(job.logTail || []);
+        progress = job.progress;
+        renderStatus();
+      });
+      source.addEventListener('log', (e) => appendJobLog([JSON.parse(e.data).line]));
+      source.addEventListener('progress', (e) => {
+        progress = JSON.parse(e.data);
+        renderStatus();
+      });
+      source.addEventListener('event', (e) => {
+        const { data } = JSON.parse(e.data);
+        if (data && data.stats) {
+          stats = data.stats;
+          renderStatus();
+        }
+      });
+      source.addEventListener('done', (e) => {
+        source.close();
+        setFollowedJob(null);
+        const job = JSON.parse(e.data);
+        if (job.status === 'succeeded') resolve({ success: true, ...(job.result || {}) });
+        else if (job.status === 'cancelled') reject(new Error('Job cancelled'));
+        else reject(new Error(job.error || 'Job failed'));
+      });
+      // EventSource reconnects on its own; give up only when the browser closed the stream for good
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        setFollowedJob(null);
+        reject(new Error('Lost connection to job log stream'));
+      };
+    });
   }
 
-  function stopJobConsolePolling() {
-    if (jobConsolePollTimer) {
-      clearInterval(jobConsolePollTimer);
-      jobConsolePollTimer = null;
+  /**
+   * Start a Data job (POST → 202 { jobId }) and follow it until it finishes.
+   * Resolves with the job result; throws when the job fails, is cancelled, or another job is running.
+   */
+  async function runJob(url) {
+    const res = await fetch(url, { method: 'POST' });
+    const data = await res.json();
+    if (res.status === 409 && data.runningJob) {
+      throw new Error(`Another job is already running: ${data.runningJob.type} (#${data.runningJob.id})`);
     }
+    if (!res.ok || !data.jobId) throw new Error(data.error || `Request failed (${res.status})`);
+    return followJob(data.jobId);
   }
 
   function showNotification(message, type = 'info') {
@@ -1594,12 +1714,9 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Checking...';
       toggleBtn.disabled = true;
       showJobConsole('Checking new sittings...');
-      startJobConsolePolling();
 
       try {
-        const res = await fetch('/api/test-pipeline', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/test-pipeline');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1614,7 +1731,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.message || data.error || 'Refresh failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1650,13 +1766,10 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Building...';
       toggleBtn.disabled = true;
       showJobConsole('Building MEP dataset...');
-      startJobConsolePolling();
       showNotification('Building MEP dataset (API + historic + group normalization)...', 'info');
 
       try {
-        const res = await fetch('/api/refresh-mep-dataset', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/refresh-mep-dataset');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1669,7 +1782,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Build MEP dataset failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1706,13 +1818,10 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Analyzing...';
       toggleBtn.disabled = true;
       showJobConsole('Generating analytics database...');
-      startJobConsolePolling();
       showNotification('Generating analytics database... This may take a few minutes.', 'info');
 
       try {
-        const res = await fetch('/api/generate-analytics', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/generate-analytics');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1725,7 +1834,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Analytics generation failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1762,13 +1870,10 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Detecting...';
       toggleBtn.disabled = true;
       showJobConsole('Refreshing languages for all speeches...');
-      startJobConsolePolling();
       showNotification('Refreshing languages for all speeches...', 'info');
 
       try {
-        const res = await fetch('/api/refresh-languages', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/refresh-languages');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1783,7 +1888,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Refresh languages failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1820,13 +1924,10 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Normalizing...';
       toggleBtn.disabled = true;
       showJobConsole('Normalizing macro topics...');
-      startJobConsolePolling();
       showNotification('Normalizing macro topics (AI + applying rules)...', 'info');
 
       try {
-        const res = await fetch('/api/normalize-macro-topics', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/normalize-macro-topics');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1844,7 +1945,54 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Normalize macro topics failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
+        showJobConsole('Error: ' + err.message);
+        iconEl.textContent = '!';
+        textEl.textContent = 'Failed';
+        showNotification(err.message, 'error');
+      } finally {
+        setTimeout(() => {
+          isWorking = false;
+          iconEl.textContent = '';
+          textEl.textContent = 'Data';
+          toggleBtn.disabled = false;
+          hideJobConsole();
+        }, 3000);
+      }
+    });
+  }
+
+  // Fetch parties & committees — national party, committee and delegation memberships of API MEPs
+  if (mepMembershipsBtn) {
+    mepMembershipsBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      dropdown.style.display = 'none';
+
+      const ok = confirm(
+        'Fetch parties & committees?\n\n' +
+        'This will fetch the national party, committee and delegation memberships of every MEP since 1999 (terms 5–10) from the European Parliament API, one request per MEP, so it can take a while. ' +
+        'They are shown on MEP pages and used by the national party and committee filters; historic MEPs created from speaker names have none.\n\nContinue?'
+      );
+      if (!ok) return;
+
+      if (isWorking) return;
+      isWorking = true;
+      iconEl.textContent = '...';
+      textEl.textContent = 'Fetching...';
+      toggleBtn.disabled = true;
+      showJobConsole('Fetching MEP memberships...');
+      showNotification('Fetching national party and committee memberships...', 'info');
+
+      try {
+        const data = await runJob('/api/mep-memberships');
+        if (data.success) {
+          iconEl.textContent = '';
+          textEl.textContent = 'Done';
+          showJobConsole(data.message || 'Memberships stored.');
+          showNotification('MEP memberships stored.', 'success');
+        } else {
+          throw new Error(data.error || 'Fetching memberships failed');
+        }
+      } catch (err) {
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1880,13 +2028,10 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Normalizing...';
       toggleBtn.disabled = true;
       showJobConsole('Normalizing parties (political groups)...');
-      startJobConsolePolling();
       showNotification('Normalizing political groups...', 'info');
 
       try {
-        const res = await fetch('/api/normalize-parties', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/normalize-parties');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1898,7 +2043,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Normalize parties failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -1915,6 +2059,65 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Auto-refresh toggle — scheduled refresh on REFRESH_SCHEDULE (server-side cron)
+  const scheduleBtn = document.getElementById('dataActionSchedule');
+  const scheduleLabel = document.getElementById('dataScheduleLabel');
+  const scheduleDetail = document.getElementById('dataScheduleDetail');
+  let schedulerStatus = null;
+
+  function renderSchedulerStatus() {
+    if (!scheduleBtn || !schedulerStatus) return;
+    const s = schedulerStatus;
+    if (!s.configured) {
+      scheduleLabel.textContent = 'Auto-refresh: not configured';
+      scheduleDetail.textContent = s.error || 'Set REFRESH_SCHEDULE (cron) to enable';
+      scheduleBtn.disabled = true;
+      scheduleBtn.style.cursor = 'default';
+      return;
+    }
+    scheduleBtn.disabled = false;
+    scheduleBtn.style.cursor = 'pointer';
+    scheduleLabel.textContent = `Auto-refresh: ${s.enabled ? 'ON' : 'OFF'} (${s.schedule})`;
+    const details = [];
+    if (s.enabled && s.nextRun) details.push(`next ${new Date(s.nextRun).toLocaleString()}`);
+    if (s.lastRun) details.push(`last ${new Date(s.lastRun.startedAt).toLocaleString()} — ${s.lastRun.status}`);
+    scheduleDetail.textContent = details.join(' · ') || 'No scheduled run yet';
+  }
+
+  async function loadSchedulerStatus() {
+    if (!scheduleBtn) return;
+    try {
+      const res = await fetch('/api/scheduler');
+      schedulerStatus = await res.json();
+      renderSchedulerStatus();
+    } catch (e) {
+      console.error('Error loading scheduler status:', e);
+    }
+  }
+
+  if (scheduleBtn) {
+    loadSchedulerStatus();
+    toggleBtn.addEventListener('click', loadSchedulerStatus);
+    scheduleBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!schedulerStatus || !schedulerStatus.configured) return;
+      try {
+        const res = await fetch('/api/scheduler', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: !schedulerStatus.enabled })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Could not update auto-refresh');
+        schedulerStatus = data;
+        renderSchedulerStatus();
+        showNotification(`Auto-refresh ${data.enabled ? 'enabled' : 'disabled'}`, 'success');
+      } catch (err) {
+        showNotification(err.message, 'error');
+      }
+    });
+  }
+
   // Rebuild Database (with confirmation)
   if (rebuildBtn) {
     rebuildBtn.addEventListener('click', async (e) => {
@@ -1933,12 +2136,9 @@ document.addEventListener('DOMContentLoaded', () => {
       textEl.textContent = 'Rebuilding...';
       toggleBtn.disabled = true;
       showJobConsole('Rebuilding database (sittings + speeches from 1999)...');
-      startJobConsolePolling();
 
       try {
-        const res = await fetch('/api/rebuild-database', { method: 'POST' });
-        const data = await res.json();
-        stopJobConsolePolling();
+        const data = await runJob('/api/rebuild-database');
         if (data.success) {
           iconEl.textContent = '';
           textEl.textContent = 'Done';
@@ -1950,7 +2150,6 @@ document.addEventListener('DOMContentLoaded', () => {
           throw new Error(data.error || 'Rebuild failed');
         }
       } catch (err) {
-        stopJobConsolePolling();
         showJobConsole('Error: ' + err.message);
         iconEl.textContent = '!';
         textEl.textContent = 'Failed';
@@ -2059,6 +2258,38 @@ document.addEventListener('DOMContentLoaded', () => {
     return params;
   }
 
+  // Get filter parameters (same names as the API; empty inputs are left out)
+  function getFilterParams() {
+    const params = {};
+    const inputs = {
+      q: 'exportFilterQuery',
+      mep_id: 'exportFilterMepIds',
+      political_group_std: 'exportFilterGroup',
+      country: 'exportFilterCountry',
+      national_party: 'exportFilterNationalParty',
+      committee: 'exportFilterCommittee',
+      language: 'exportFilterLanguage',
+      macro_topic: 'exportFilterMacroTopic',
+      specific_focus: 'exportFilterFocus',
+      min_length: 'exportFilterMinLength',
+      max_length: 'exportFilterMaxLength'
+    };
+    for (const [param, id] of Object.entries(inputs)) {
+      const value = document.getElementById(id)?.value.trim();
+      if (value) params[param] = value;
+    }
+    if (params.q && document.getElementById('exportFilterPhrase')?.checked) params.mode = 'phrase';
+    if (params.language && document.getElementById('exportFilterOriginalLanguage')?.checked) params.language_basis = 'original';
+    return params;
+  }
+
+  // Get file format parameters
+  function getFormatParams() {
+    const params = { format: document.getElementById('exportFormat')?.value || 'csv' };
+    if (document.getElementById('exportGzip')?.checked) params.gzip = '1';
+    return params;
+  }
+
   // Debug log area
   const debugLog = document.createElement('div');
   debugLog.id = 'exportDebugLog';
@@ -2105,9 +2336,12 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const timeParams = getTimeFrameParams();
         addDebugLog(`Time frame: ${JSON.stringify(timeParams)}`, 'info');
+        const filterParams = getFilterParams();
+        addDebugLog(`Filters: ${JSON.stringify(filterParams)}`, 'info');
         
         const queryParams = new URLSearchParams({
           ...timeParams,
+          ...filterParams,
           countOnly: 'true'
         });
         
@@ -2120,6 +2354,7 @@ document.addEventListener('DOMContentLoaded', () => {
         addDebugLog(`Response received in ${fetchTime}ms`, 'success');
         
         const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
         
         if (data.count !== undefined) {
           const totalTime = Date.now() - startTime;
@@ -2136,13 +2371,13 @@ document.addEventListener('DOMContentLoaded', () => {
       } catch (error) {
         console.error('Error previewing export:', error);
         addDebugLog(`Error: ${error.message}`, 'error');
-        exportStatus.textContent = '❌ Error loading preview';
+        exportStatus.textContent = '❌ Error loading preview: ' + error.message;
         exportStatus.style.color = '#ef4444';
       }
     });
   }
 
-  // Export to CSV
+  // Export (CSV, JSON Lines, Parquet or XLSX)
   if (exportCSVBtn) {
     exportCSVBtn.addEventListener('click', async () => {
       try {
@@ -2169,9 +2404,15 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const timeParams = getTimeFrameParams();
         addDebugLog(`Time frame params: ${JSON.stringify(timeParams)}`, 'info');
+        const filterParams = getFilterParams();
+        addDebugLog(`Filters: ${JSON.stringify(filterParams)}`, 'info');
+        const formatParams = getFormatParams();
+        addDebugLog(`Format params: ${JSON.stringify(formatParams)}`, 'info');
         
         const queryParams = new URLSearchParams({
           ...timeParams,
+          ...filterParams,
+          ...formatParams,
           fields: selectedFields.join(',')
         });
         
@@ -2193,7 +2434,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         if (!response.ok) {
           addDebugLog(`Server returned error: ${response.status} ${response.statusText}`, 'error');
-          throw new Error('Export failed: ' + response.statusText);
+          const body = await response.json().catch(() => ({}));
+          throw new Error('Export failed: ' + (body.error || response.statusText));
         }
         
         const contentLength = response.headers.get('content-length');
@@ -2204,7 +2446,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         exportProgressBar.style.width = '60%';
         exportProgressPercent.textContent = '60%';
-        exportProgressMessage.textContent = 'Processing CSV...';
+        exportProgressMessage.textContent = `Processing ${formatParams.format.toUpperCase()}...`;
         
         addDebugLog('Converting response to blob...', 'info');
         const blobStart = Date.now();
@@ -2228,7 +2470,10 @@ document.addEventListener('DOMContentLoaded', () => {
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().split('T')[0];
         const timeFrame = document.querySelector('input[name="timeFrame"]:checked').value;
-        const filename = `eu_speeches_${timeFrame}_${timestamp}.csv`;
+        // Extension as chosen by the server (e.g. csv.gz, parquet)
+        const disposition = response.headers.get('content-disposition') || '';
+        const extension = (disposition.match(/filename="[^".]+\.([^"]+)"/) || [])[1] || formatParams.format;
+        const filename = `eu_speeches_${timeFrame}_${timestamp}.${extension}`;
         a.download = filename;
         
         addDebugLog(`Filename: ${filename}`, 'info');
@@ -2256,7 +2501,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 3000);
         
       } catch (error) {
-        console.error('Error exporting to CSV:', error);
+        console.error('Error exporting speeches:', error);
         addDebugLog(`Export failed: ${error.message}`, 'error');
         addDebugLog(`Stack trace: ${error.stack}`, 'error');
         exportStatus.textContent = '❌ Export failed: ' + error.message;
@@ -2265,5 +2510,101 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
   }
+
+  // Dataset snapshots
+  const createSnapshotBtn = document.getElementById('createSnapshot');
+  const snapshotStatus = document.getElementById('snapshotStatus');
+  const snapshotList = document.getElementById('snapshotList');
+
+  async function loadSnapshots() {
+    if (!snapshotList) return;
+    try {
+      const response = await fetch('/api/snapshots');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || response.statusText);
+      if (data.snapshots.length === 0) {
+        snapshotList.textContent = 'No snapshots yet.';
+        return;
+      }
+      snapshotList.innerHTML = `
+        <table style="width:100%; border-collapse:collapse;">
+          <thead><tr style="text-align:left; color:#64748b;">
+            <th style="padding:4px 8px;">Version</th><th style="padding:4px 8px;">Id</th><th style="padding:4px 8px;">Label</th>
+            <th style="padding:4px 8px;">Created</th><th style="padding:4px 8px;">Speeches</th><th style="padding:4px 8px;">Dates</th><th></th>
+          </tr></thead>
+          <tbody>${data.snapshots.map(s => `
+            <tr style="border-top:1px solid #e2e8f0;">
+              <td style="padding:4px 8px;">v${s.version}</td>
+              <td style="padding:4px 8px; font-family:monospace;">${escapeHtml(s.id)}</td>
+              <td style="padding:4px 8px;">${escapeHtml(s.label || '')}</td>
+              <td style="padding:4px 8px;">${new Date(s.createdAt).toLocaleString()}</td>
+              <td style="padding:4px 8px;">${s.counts.speeches.toLocaleString()}</td>
+              <td style="padding:4px 8px;">${escapeHtml(s.dateRange.first || '–')} → ${escapeHtml(s.dateRange.last || '–')}</td>
+              <td style="padding:4px 8px; white-space:nowrap;">
+                <a href="/api/snapshots/${encodeURIComponent(s.id)}/download">⬇️ zip</a> ·
+                <a href="/api/snapshots/${encodeURIComponent(s.id)}/files/manifest.json" target="_blank">manifest</a>
+              </td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+    } catch (error) {
+      console.error('Error loading snapshots:', error);
+      snapshotList.textContent = 'Could not load snapshots: ' + error.message;
+    }
+  }
+
+  if (createSnapshotBtn) {
+    createSnapshotBtn.addEventListener('click', async () => {
+      const filters = { ...getTimeFrameParams(), ...getFilterParams() };
+      try {
+        createSnapshotBtn.disabled = true;
+        snapshotStatus.textContent = 'Starting snapshot...';
+        snapshotStatus.style.color = '#3b82f6';
+        const response = await fetch('/api/snapshots', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            label: document.getElementById('snapshotLabel').value.trim() || undefined,
+            format: document.getElementById('snapshotFormat').value,
+            filters
+          })
+        });
+        const data = await response.json();
+        if (response.status === 409 && data.runningJob) {
+          throw new Error(`Another job is already running: ${data.runningJob.type} (#${data.runningJob.id})`);
+        }
+        if (!response.ok || !data.jobId) throw new Error(data.error || response.statusText);
+
+        // Follow the snapshot job until it is done
+        const result = await new Promise((resolve, reject) => {
+          const source = new EventSource(`/api/jobs/${data.jobId}/events`);
+          source.addEventListener('progress', (e) => {
+            const progress = JSON.parse(e.data);
+            if (progress.message) snapshotStatus.textContent = `${progress.message}...`;
+          });
+          source.addEventListener('done', (e) => {
+            source.close();
+            const job = JSON.parse(e.data);
+            if (job.status === 'succeeded') resolve(job.result);
+            else reject(new Error(job.error || `Snapshot ${job.status}`));
+          });
+          source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) reject(new Error('Lost connection to job log stream'));
+          };
+        });
+        snapshotStatus.textContent = `✅ Snapshot v${result.version} (${result.id}): ${result.counts.speeches.toLocaleString()} speeches`;
+        snapshotStatus.style.color = '#10b981';
+        loadSnapshots();
+      } catch (error) {
+        console.error('Error creating snapshot:', error);
+        snapshotStatus.textContent = '❌ ' + error.message;
+        snapshotStatus.style.color = '#ef4444';
+      } finally {
+        createSnapshotBtn.disabled = false;
+      }
+    });
+  }
+
+  loadSnapshots();
 })();
 
@@ -0,0 +1,212 @@
+// Full-text speech search: hits with snippets, server-side facet counts, deep links into speech.html
+const SEARCH_PAGE_SIZE = 25;
+
+const FACET_FILTERS = { group: 'group', language: 'language', macro_topic: 'macro_topic' };
+
+let searchState = {
+  q: '',
+  mode: 'boolean',
+  sort: 'rank',
+  startDate: '',
+  endDate: '',
+  group: '',
+  language: '',
+  macro_topic: ''
+};
+let searchResults = [];
+let searchTotal = 0;
+let isSearching = false;
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildSearchParams(offset, withFacets) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(searchState)) {
+    if (value) params.set(key, value);
+  }
+  params.set('limit', String(SEARCH_PAGE_SIZE));
+  params.set('offset', String(offset));
+  if (withFacets) params.set('facets', '1');
+  return params;
+}
+
+// Keep the URL shareable: every search state is reflected in the query string
+function syncUrl() {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(searchState)) {
+    if (value) params.set(key, value);
+  }
+  history.replaceState(null, '', `search.html?${params.toString()}`);
+}
+
+function readStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  for (const key of Object.keys(searchState)) {
+    if (params.get(key)) searchState[key] = params.get(key);
+  }
+  document.getElementById('searchQuery').value = searchState.q;
+  document.getElementById('searchMode').value = searchState.mode;
+  document.getElementById('searchSort').value = searchState.sort;
+  document.getElementById('searchStartDate').value = searchState.startDate;
+  document.getElementById('searchEndDate').value = searchState.endDate;
+}
+
+async function runSearch(reset = true) {
+  if (!searchState.q || isSearching) return;
+  isSearching = true;
+  const statusEl = document.getElementById('searchStatus');
+  const loadMoreBtn = document.getElementById('loadMoreResultsBtn');
+  if (reset) {
+    searchResults = [];
+    statusEl.textContent = 'Searching…';
+    syncUrl();
+  }
+
+  try {
+    const res = await fetch(`/api/search?${buildSearchParams(searchResults.length, reset).toString()}`);
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Search failed (${res.status})`);
+
+    searchResults = searchResults.concat(json.results || []);
+    searchTotal = json.pagination ? json.pagination.total : searchResults.length;
+    if (json.facets) renderFacets(json.facets);
+    renderResults();
+    statusEl.textContent = `${searchTotal.toLocaleString()} speeches match`;
+    loadMoreBtn.style.display = json.pagination && json.pagination.hasMore ? '' : 'none';
+  } catch (err) {
+    console.error('❌ [SEARCH] Error:', err);
+    statusEl.textContent = err.message;
+    loadMoreBtn.style.display = 'none';
+    if (reset) {
+      renderResults();
+      renderFacets({});
+    }
+  } finally {
+    isSearching = false;
+    renderActiveFilters();
+  }
+}
+
+function speechLink(hit) {
+  return `speech.html?id=${encodeURIComponent(hit.sitting_id)}&speech=${encodeURIComponent(hit.speech_order)}`;
+}
+
+function renderResults() {
+  const list = document.getElementById('searchResults');
+  list.innerHTML = searchResults.map(hit => {
+    const group = hit.political_group_std || hit.political_group || '';
+    const speaker = hit.mep_id
+      ? `<a href="mep-details.html?id=${hit.mep_id}">${escapeHtml(hit.speaker_name || 'Unknown speaker')}</a>`
+      : escapeHtml(hit.speaker_name || hit.title || 'Unknown speaker');
+    return `
+      <li class="search-hit">
+        <div class="search-hit-meta">
+          <a href="${speechLink(hit)}" class="search-hit-date">${escapeHtml(hit.date || '')}</a>
+          <span class="search-hit-speaker">${speaker}</span>
+          ${group ? `<span class="search-hit-badge">${escapeHtml(group)}</span>` : ''}
+          ${hit.language ? `<span class="search-hit-badge search-hit-lang">${escapeHtml(hit.language)}</span>` : ''}
+          ${hit.macro_topic ? `<span class="search-hit-topic">${escapeHtml(hit.macro_topic)}</span>` : ''}
+        </div>
+        <p class="search-hit-snippet">${hit.snippet || ''}</p>
+        <a href="${speechLink(hit)}" class="search-hit-open">Open speech #${escapeHtml(hit.speech_order)} →</a>
+      </li>`;
+  }).join('');
+}
+
+function renderFacets(facets) {
+  document.querySelectorAll('.search-facet').forEach(el => {
+    const name = el.dataset.facet;
+    const items = facets[name] || [];
+    const ul = el.querySelector('ul');
+    if (items.length === 0) {
+      ul.innerHTML = '<li class="search-facet-empty">—</li>';
+      return;
+    }
+    ul.innerHTML = items.map(item => {
+      const active = name === 'year'
+        ? searchState.startDate === `${item.value}-01-01` && searchState.endDate === `${item.value}-12-31`
+        : searchState[FACET_FILTERS[name]] === item.value;
+      return `<li><button type="button" class="search-facet-item${active ? ' active' : ''}" data-facet="${name}" data-value="${escapeHtml(item.value)}">
+        <span>${escapeHtml(item.value)}</span><span class="search-facet-count">${item.count.toLocaleString()}</span>
+      </button></li>`;
+    }).join('');
+  });
+}
+
+function renderActiveFilters() {
+  const el = document.getElementById('activeFilters');
+  const chips = [];
+  for (const key of Object.values(FACET_FILTERS)) {
+    if (searchState[key]) chips.push({ key, label: `${key.replace('_', ' ')}: ${searchState[key]}` });
+  }
+  if (searchState.startDate || searchState.endDate) {
+    chips.push({ key: 'dates', label: `${searchState.startDate || '…'} – ${searchState.endDate || '…'}` });
+  }
+  el.innerHTML = chips.map(c =>
+    `<button type="button" class="search-filter-chip" data-key="${c.key}" title="Remove filter">${escapeHtml(c.label)} ✕</button>`
+  ).join('');
+}
+
+function applyFacet(name, value) {
+  if (name === 'year') {
+    const start = `${value}-01-01`;
+    const end = `${value}-12-31`;
+    const active = searchState.startDate === start && searchState.endDate === end;
+    searchState.startDate = active ? '' : start;
+    searchState.endDate = active ? '' : end;
+    document.getElementById('searchStartDate').value = searchState.startDate;
+    document.getElementById('searchEndDate').value = searchState.endDate;
+  } else {
+    const key = FACET_FILTERS[name];
+    searchState[key] = searchState[key] === value ? '' : value;
+  }
+  runSearch(true);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  readStateFromUrl();
+
+  document.getElementById('searchForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchState.q = document.getElementById('searchQuery').value.trim();
+    searchState.mode = document.getElementById('searchMode').value;
+    searchState.sort = document.getElementById('searchSort').value;
+    searchState.startDate = document.getElementById('searchStartDate').value;
+    searchState.endDate = document.getElementById('searchEndDate').value;
+    runSearch(true);
+  });
+
+  document.getElementById('searchSort').addEventListener('change', (e) => {
+    searchState.sort = e.target.value;
+    runSearch(true);
+  });
+
+  document.getElementById('searchFacets').addEventListener('click', (e) => {
+    const btn = e.target.closest('.search-facet-item');
+    if (btn) applyFacet(btn.dataset.facet, btn.dataset.value);
+  });
+
+  document.getElementById('activeFilters').addEventListener('click', (e) => {
+    const chip = e.target.closest('.search-filter-chip');
+    if (!chip) return;
+    if (chip.dataset.key === 'dates') {
+      searchState.startDate = '';
+      searchState.endDate = '';
+      document.getElementById('searchStartDate').value = '';
+      document.getElementById('searchEndDate').value = '';
+    } else {
+      searchState[chip.dataset.key] = '';
+    }
+    runSearch(true);
+  });
+
+  document.getElementById('loadMoreResultsBtn').addEventListener('click', () => runSearch(false));
+
+  if (searchState.q) runSearch(true);
+});
@@ -0,0 +1,188 @@
+// Speaker links (curator role): link speaker names to MEPs by hand, keep them unlinked or reset to automatic.
+const LINK_PAGE_SIZE = 25;
+
+let linkOffset = 0;
+let linkTotal = 0;
+let linkItems = [];
+let currentSpeaker = null;
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+function postJson(url, body) {
+  return fetchJson(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function mepLink(mep) {
+  if (!mep.label) return `#${mep.id}`;
+  const historic = mep.source === 'historic' ? ' <span class="admin-note">(historic)</span>' : '';
+  return `<a href="mep-details.html?id=${encodeURIComponent(mep.id)}">${escapeHtml(mep.label)}</a>${historic}`;
+}
+
+function overrideText(o) {
+  const target = o.mep_id == null ? 'kept unlinked' : escapeHtml(o.mep_label || `#${o.mep_id}`);
+  const term = o.term ? `term ${o.term}` : 'all terms';
+  return `${target} <span class="admin-note">(${term}${o.created_by ? `, ${escapeHtml(o.created_by)}` : ''})</span>
+    <button data-reset="${o.term}">Reset</button>`;
+}
+
+function renderRow(item, index) {
+  const linked = item.meps.length ? item.meps.map(mepLink).join('<br>') : '—';
+  const unlinked = item.unlinked ? `<br><span class="admin-note">${item.unlinked} unlinked</span>` : '';
+  const score = item.min_score == null ? '—' : item.min_score.toFixed(2) + (item.ambiguous ? ' <span class="admin-note">ambiguous</span>' : '');
+  return `
+    <tr data-index="${index}">
+      <td>${escapeHtml(item.speaker_name)}<br><span class="admin-note">${escapeHtml(item.first_date || '')} – ${escapeHtml(item.last_date || '')}</span></td>
+      <td>${item.speeches}${unlinked}</td>
+      <td>${linked}</td>
+      <td>${score}</td>
+      <td>${item.overrides.map(overrideText).join('<br>') || '—'}</td>
+      <td><button data-link="${index}">Link…</button></td>
+    </tr>`;
+}
+
+async function loadSpeakers() {
+  const tbody = document.getElementById('linkTable');
+  const params = new URLSearchParams({
+    status: document.getElementById('linkStatus').value,
+    max_score: document.getElementById('linkMaxScore').value || '0.85',
+    limit: LINK_PAGE_SIZE,
+    offset: linkOffset
+  });
+  const q = document.getElementById('linkQuery').value.trim();
+  if (q) params.set('q', q);
+  try {
+    const data = await fetchJson(`/api/speaker-links?${params}`);
+    linkTotal = data.total;
+    linkItems = data.items;
+    tbody.innerHTML = linkItems.length
+      ? linkItems.map(renderRow).join('')
+      : '<tr><td colspan="6">Nothing to link.</td></tr>';
+  } catch (err) {
+    linkTotal = 0;
+    linkItems = [];
+    tbody.innerHTML = `<tr><td colspan="6" class="admin-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+  const page = Math.floor(linkOffset / LINK_PAGE_SIZE) + 1;
+  document.getElementById('linkPage').textContent =
+    `Page ${page} of ${Math.max(1, Math.ceil(linkTotal / LINK_PAGE_SIZE))} (${linkTotal} speakers)`;
+  document.getElementById('linkPrev').disabled = linkOffset === 0;
+  document.getElementById('linkNext').disabled = linkOffset + LINK_PAGE_SIZE >= linkTotal;
+}
+
+function openPanel(item) {
+  currentSpeaker = item.speaker_name;
+  document.getElementById('linkSpeaker').textContent = `“${item.speaker_name}”`;
+  document.getElementById('mepQuery').value = item.speaker_name;
+  document.getElementById('mepResults').innerHTML = '';
+  document.getElementById('linkPanel').hidden = false;
+  searchMeps();
+}
+
+async function searchMeps() {
+  const tbody = document.getElementById('mepResults');
+  const q = document.getElementById('mepQuery').value.trim();
+  if (!q) return;
+  try {
+    const data = await fetchJson(`/api/speaker-links/meps?${new URLSearchParams({ q })}`);
+    tbody.innerHTML = data.meps.length
+      ? data.meps.map(m => `
+        <tr>
+          <td>${mepLink(m)}</td>
+          <td>${escapeHtml(m.country || '—')}</td>
+          <td>${escapeHtml(m.political_group || '—')}</td>
+          <td>${escapeHtml(m.terms.join(', ') || '—')}</td>
+          <td><button data-mep="${m.id}">Link</button></td>
+        </tr>`).join('')
+      : '<tr><td colspan="5">No MEP found.</td></tr>';
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="5" class="admin-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+async function saveOverride(mepId) {
+  const status = document.getElementById('linkStatusText');
+  status.textContent = '';
+  try {
+    await postJson('/api/speaker-links', {
+      speaker_name: currentSpeaker,
+      mep_id: mepId,
+      term: parseInt(document.getElementById('linkTerm').value, 10),
+      note: document.getElementById('linkNote').value.trim() || undefined
+    });
+    document.getElementById('linkPanel').hidden = true;
+    loadSpeakers();
+  } catch (err) {
+    status.textContent = err.message;
+  }
+}
+
+document.getElementById('linkTable').addEventListener('click', async (e) => {
+  const row = e.target.closest('tr[data-index]');
+  if (!row) return;
+  const item = linkItems[parseInt(row.dataset.index, 10)];
+  if (e.target.dataset.link !== undefined) {
+    openPanel(item);
+    return;
+  }
+  if (e.target.dataset.reset !== undefined) {
+    const status = document.getElementById('linkStatusText');
+    status.textContent = '';
+    try {
+      await postJson('/api/speaker-links/reset', { speaker_name: item.speaker_name, term: parseInt(e.target.dataset.reset, 10) });
+      loadSpeakers();
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  }
+});
+
+document.getElementById('mepResults').addEventListener('click', (e) => {
+  const id = e.target.dataset.mep;
+  if (id) saveOverride(parseInt(id, 10));
+});
+
+document.getElementById('mepSearch').addEventListener('submit', (e) => {
+  e.preventDefault();
+  searchMeps();
+});
+
+document.getElementById('linkNone').addEventListener('click', () => saveOverride(null));
+
+document.getElementById('linkCancel').addEventListener('click', () => {
+  document.getElementById('linkPanel').hidden = true;
+});
+
+document.getElementById('linkFilters').addEventListener('submit', (e) => {
+  e.preventDefault();
+  linkOffset = 0;
+  loadSpeakers();
+});
+
+document.getElementById('linkPrev').addEventListener('click', () => {
+  linkOffset = Math.max(0, linkOffset - LINK_PAGE_SIZE);
+  loadSpeakers();
+});
+
+document.getElementById('linkNext').addEventListener('click', () => {
+  linkOffset += LINK_PAGE_SIZE;
+  loadSpeakers();
+});
+
+loadSpeakers();
@@ -1,19 +1,3 @@
-// EP term number for Europarl URLs (matches parliament-fetch.js)
-function getSessionNumber(date) {
-  if (!date) return 10;
-  if (date >= '2024-07-16') return 10;
-  if (date >= '2019-07-02') return 9;
-  if (date >= '2014-07-01') return 8;
-  if (date >= '2009-07-14') return 7;
-  if (date >= '2004-07-20') return 6;
-  if (date >= '1999-07-20') return 5;
-  if (date >= '1994-07-19') return 4;
-  if (date >= '1989-07-25') return 3;
-  if (date >= '1984-07-24') return 2;
-  if (date >= '1979-07-17') return 1;
-  return 1;
-}
-
 // Utility: shorten ID and prettify types
 function shortId(id) {
   // Extracts the last part of an ID string, typically after the last '/'
@@ -104,23 +88,14 @@ function renderMarkdown(md) {
         let content = data.content || '—';
         // Fallback: If no content, try to fetch the TOC page and extract something
         if (content === '—' || !content.trim()) {
-          const session = getSessionNumber(sittingDate);
-          const fallbackUrl = `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${sittingDate}_EN.html`;
           try {
-            const resp = await fetch(fallbackUrl);
+            // Agenda items from the sitting's table of contents (fetched server-side for the right term)
+            const resp = await fetch(`/api/speech-toc?date=${encodeURIComponent(sittingDate)}`);
             if (resp.ok) {
-              const html = await resp.text();
-              // Extract all agenda items from the TOC HTML
-              const parser = new DOMParser();
-              const doc = parser.parseFromString(html, 'text/html');
-              const items = Array.from(doc.querySelectorAll('a[href*="ITM-"]'));
-              if (items.length > 0) {
+              const { toc } = await resp.json();
+              if (toc && toc.length > 0) {
                 content = `<strong>TOC Agenda Items:</strong><ul>` +
-                  items.map(a => {
-                    const href = a.getAttribute('href');
-                    const absHref = href.startsWith('http') ? href : `https://www.europarl.europa.eu${href}`;
-                    return `<li><a href="${absHref}" target="_blank">${a.textContent.trim()}</a></li>`;
-                  }).join('') + '</ul>';
+                  toc.map(item => `<li>${escapeHtml(item.title)}</li>`).join('') + '</ul>';
               } else {
                 content = 'No agenda items found in TOC.';
               }
@@ -146,11 +121,16 @@ function renderMarkdown(md) {
           window.setAIChatContent(content, speech.id);
         }
 
-        const session = getSessionNumber(sittingDate);
-        const htmlUrl = `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${sittingDate}_EN.html`;
-        htmlLinkEl.href = htmlUrl;
-        htmlLinkEl.textContent = 'Open HTML';
-        htmlLinkEl.style.display = '';
+        // Canonical report URL for the sitting's term (GET /api/source-links)
+        fetch(`/api/source-links?date=${encodeURIComponent(sittingDate)}`)
+          .then(res => (res.ok ? res.json() : null))
+          .then(sources => {
+            if (!sources) return;
+            htmlLinkEl.href = sources.links.html;
+            htmlLinkEl.textContent = 'Open HTML';
+            htmlLinkEl.style.display = '';
+          })
+          .catch(() => {});
       });
   } else {
     contentMainEl.textContent = '—';
@@ -400,6 +380,7 @@ async function loadIndividualSpeeches(sittingId) {
     if (data.individual_speeches && data.individual_speeches.length > 0) {
       console.log(`✅ Found ${data.individual_speeches.length} individual speeches`);
       displayIndividualSpeeches(data.individual_speeches);
+      setupTranslations(sittingId, data.individual_speeches);
     } else {
       console.log('ℹ️ No individual speeches found, showing raw content');
     }
@@ -415,6 +396,7 @@ function displayIndividualSpeeches(speeches) {
   
   let html = '<h2>Individual Speeches</h2>';
   html += `<div style="margin-bottom: 1rem; color: #666;">Found ${speeches.length} individual speeches in this sitting</div>`;
+  html += '<div id="translationBar" class="translation-bar" style="display:none;"></div>';
   
   let currentTopic = null;
   
@@ -457,7 +439,7 @@ function displayIndividualSpeeches(speeches) {
     }
     
     html += `
-      <div style="border: 1px solid #ddd; border-radius: 8px; margin-bottom: 0.5rem; background: #fff; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+      <div id="${speechId}" style="border: 1px solid #ddd; border-radius: 8px; margin-bottom: 0.5rem; background: #fff; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
         ${macroTopic ? `
           <div style="background: #e8f5e8; color: #2d5a2d; padding: 0.2rem 0.5rem; border-radius: 8px 8px 0 0; font-size: 0.65em; font-weight: 500; text-align: center; border-bottom: 1px solid #d4edda;">
             AI: ${macroFocus ? `${macroTopic} — ${macroFocus}` : macroTopic}
@@ -475,7 +457,7 @@ function displayIndividualSpeeches(speeches) {
               <div style="color: #666; font-size: 1.2em;">▼</div>
             </div>
           </summary>
-          <div style="padding: 1rem; line-height: 1.6; color: #333; border-top: 1px solid #eee;">
+          <div class="speech-body" data-speech-id="${speech.id}" style="padding: 1rem; line-height: 1.6; color: #333; border-top: 1px solid #eee;">
             ${content.replace(/\n/g, '<br>')}
           </div>
         </details>
@@ -510,4 +492,87 @@ function displayIndividualSpeeches(speeches) {
       arrow.className = 'dropdown-arrow';
     });
   }, 100);
+
+  // Deep link from search (speech.html?id=...&speech=N): open and scroll to that speech
+  const targetOrder = new URLSearchParams(window.location.search).get('speech');
+  if (targetOrder) {
+    const target = document.getElementById(`speech-${targetOrder}`);
+    if (target) {
+      const details = target.querySelector('details');
+      if (details) details.open = true;
+      target.classList.add('speech-deep-linked');
+      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+}
+
+// --- Side-by-side reading: other CRE language versions stored for this sitting ---
+const translationCache = new Map();
+
+function escapeHtml(s) {
+  return String(s == null ? '' : s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One language version of the sitting, as a Map speech id → translation (fetched once per language)
+function loadTranslation(sittingId, lang) {
+  if (!translationCache.has(lang)) {
+    translationCache.set(lang, fetch(`/api/speeches/${encodeURIComponent(sittingId)}/translations/${lang}`)
+      .then(res => (res.ok ? res.json() : { translations: [] }))
+      .then(data => new Map(data.translations.map(t => [t.speech_id, t]))));
+  }
+  return translationCache.get(lang);
+}
+
+// Language picker above the speeches; defaults to the language each speech was given in, where stored
+async function setupTranslations(sittingId, speeches) {
+  const bar = document.getElementById('translationBar');
+  if (!bar) return;
+  let languages = [];
+  try {
+    const res = await fetch(`/api/speeches/${encodeURIComponent(sittingId)}/translations`);
+    if (res.ok) languages = (await res.json()).languages || [];
+  } catch (error) {
+    console.error('❌ Error loading language versions:', error);
+  }
+  if (!languages.length) return;
+
+  const stored = new Set(languages.map(l => l.language));
+  const hasOriginal = speeches.some(s => s.original_language && stored.has(s.original_language));
+  bar.innerHTML = `<label>Read alongside the English text:
+    <select id="translationLang">
+      <option value="">— none —</option>
+      ${hasOriginal ? '<option value="original">Language spoken (where interpreted)</option>' : ''}
+      ${languages.map(l => `<option value="${l.language}">${l.language} (${l.speeches} speeches)</option>`).join('')}
+    </select></label>`;
+  bar.style.display = '';
+  const select = document.getElementById('translationLang');
+  select.addEventListener('change', () => showTranslations(sittingId, speeches, select.value, stored));
+  if (hasOriginal) {
+    select.value = 'original';
+    showTranslations(sittingId, speeches, 'original', stored);
+  }
+}
+
+// choice: '' (English only), 'original' (each speech's original_language) or a language code
+async function showTranslations(sittingId, speeches, choice, stored) {
+  for (const speech of speeches) {
+    const body = document.querySelector(`.speech-body[data-speech-id="${speech.id}"]`);
+    if (!body) continue;
+    const content = speech.speech_content || 'No content available';
+    const lang = choice === 'original' ? speech.original_language : choice;
+    const translation = lang && lang !== 'EN' && stored.has(lang) ? (await loadTranslation(sittingId, lang)).get(speech.id) : null;
+    if (!translation) {
+      body.innerHTML = escapeHtml(content).replace(/\n/g, '<br>');
+      continue;
+    }
+    body.innerHTML = `
+      <div class="speech-parallel">
+        <div><div class="speech-parallel-lang">${escapeHtml(speech.language || 'EN')}</div>${escapeHtml(content).replace(/\n/g, '<br>')}</div>
+        <div lang="${lang.toLowerCase()}"><div class="speech-parallel-lang">${lang}${translation.alignment_score <= 0.5 ? ' <span title="Matched by position, not by speaker name">(approximate match)</span>' : ''}</div>${escapeHtml(translation.speech_content).replace(/\n/g, '<br>')}</div>
+      </div>`;
+  }
 }
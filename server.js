@@ -1,18 +1,16 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
+const { http } = require('./src/core/http-client');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
 
 const app = express();
-const { PORT, API_BASE, LOCALRUN } = require('./src/server/config');
-
-/** Middleware: reject data actions when LOCALRUN env is not set (production) */
-const requireLocalRun = (req, res, next) => {
-  if (!LOCALRUN) return res.status(403).json({ error: 'Data actions require LOCALRUN env (local run only)' });
-  next();
-};
+const {
+  PORT, API_BASE, LOCALRUN, REFRESH_SCHEDULE, ANONYMOUS_READ, ANON_RATE_LIMIT, API_KEY_RATE_LIMIT, USER_RATE_LIMIT,
+  API_KEY_TOKEN_BUDGET, ANON_CHAT_TOKEN_BUDGET, TRUST_PROXY, ADMIN_USERNAME, ADMIN_PASSWORD
+} = require('./src/server/config');
 
 /** In-memory cache for heavy API responses (reduces DB load, ~3 min TTL) */
 const apiCache = new Map();
@@ -31,9 +29,24 @@ const { DB_PATH } = require('./src/core/db');
 const db = new sqlite3.Database(DB_PATH);
 const { optimizeDatabase } = require('./src/core/db-optimize');
 const { loadAnalyticsFromDatabase, generateAnalyticsDatabase } = require('./src/core/analytics-db');
-const { runDetectionOnDb, ensureLanguageColumn } = require('./src/core/detect-language');
+const { runDetectionOnDb, ensureLanguageColumn, backfillLanguageMarkers, EU_ISO2 } = require('./src/core/detect-language');
 const { getDistinctTopics, suggestRules } = require('./src/core/normalize-topics-agent');
 const { saveRules, applyRules } = require('./src/core/normalize-topics-apply');
+const { searchSpeeches, isQuerySyntaxError } = require('./src/core/speech-search');
+const { parseSpeechFilters, buildSpeechFilter, languageExpression } = require('./src/core/speech-filters');
+const { fetchCreHtml } = require('./src/core/parliament-fetch');
+const { creUrl } = require('./src/core/cre-urls');
+const { createExportWriter } = require('./src/core/export-formats');
+const snapshots = require('./src/core/snapshots');
+const apiKeys = require('./src/core/api-keys');
+const users = require('./src/core/users');
+const languageReview = require('./src/core/language-review');
+const speakerResolver = require('./src/core/speaker-resolver');
+const speakerOverrides = require('./src/core/speaker-overrides');
+const mepAffiliations = require('./src/core/mep-affiliations');
+const groupLineage = require('./src/core/group-lineage');
+const mepMemberships = require('./src/core/mep-memberships');
+const translations = require('./src/core/translations');
 
 // Server glue: config, progress, fetch, meps, parse, speeches-fetch, analytics-cache, historic-meps, init-db, CLI
 const { analyticsCache, warmAnalyticsCache, normalizeTopic } = require('./src/server/analytics-cache');
@@ -45,15 +58,42 @@ const speechesFetch = require('./src/server/speeches-fetch');
 const historicMeps = require('./src/server/historic-meps');
 const { runRefreshMepDataset, runGroupNormalizer } = require('./src/server/refresh-mep-dataset');
 const { syncMepAffiliationsFromSpeeches } = require('./src/server/sync-mep-affiliations');
+const { refreshMepMemberships } = require('./src/server/refresh-mep-memberships');
 const { initDatabase } = require('./src/server/init-db');
 const { handleCli } = require('./src/server/cli');
+const { createJobManager } = require('./src/server/jobs');
+const { startJob: startJobResponse, createJobRoutes } = require('./src/server/job-routes');
+const { createRefreshScheduler } = require('./src/server/scheduler');
 const { chatCompletion } = require('./src/server/openai-chat');
-
-/** Last log line from running Data jobs (polled by frontend console panel) */
-let lastJobLogLine = '';
+const { createApiV1 } = require('./src/server/api-v1');
+const { createAccessControl } = require('./src/server/access-control');
+const { createAuth } = require('./src/server/auth');
+const { getSourceLinks } = require('./src/server/source-links');
 
 if (handleCli(db)) return;
 
+/** Background jobs for Data menu actions (one at a time; history in the jobs table) */
+const jobs = createJobManager(db);
+/** Automatic refresh on REFRESH_SCHEDULE (runs as a job, so it never overlaps a manual one) */
+const scheduler = createRefreshScheduler(db, jobs, { schedule: REFRESH_SCHEDULE });
+
+/** Login sessions and roles (viewer < curator < admin); every mutating route is guarded by requireRole */
+const auth = createAuth(db, { localrun: LOCALRUN });
+const { requireRole } = auth;
+app.use('/api', auth.attachUser);
+
+/** API keys, per-key/user/IP rate limits and usage accounting for every /api route (after attachUser, before the routes) */
+if (TRUST_PROXY != null) app.set('trust proxy', TRUST_PROXY);
+const accessControl = createAccessControl(db, {
+  anonymousRead: ANONYMOUS_READ,
+  anonRateLimit: ANON_RATE_LIMIT,
+  keyRateLimit: API_KEY_RATE_LIMIT,
+  userRateLimit: USER_RATE_LIMIT,
+  keyTokenBudget: API_KEY_TOKEN_BUDGET,
+  anonChatTokenBudget: ANON_CHAT_TOKEN_BUDGET
+});
+app.use('/api', accessControl.middleware);
+
 // Start server immediately; run init in background so Render sees an open port quickly
 (async () => {
   try {
@@ -64,10 +104,16 @@ if (handleCli(db)) return;
     initDatabase(db)
       .then(() => console.log('[INIT] Database init complete'))
       .catch((err) => console.error('[INIT] Init failed:', err));
+    // Independent of init (which may fetch from the EP API), so the first admin can always sign in
+    users.ensureBootstrapAdmin(db, { username: ADMIN_USERNAME, password: ADMIN_PASSWORD })
+      .catch((err) => console.error('[AUTH] Could not create the admin user:', err.message));
 
     // Serve static assets (static site files located in public directory)
     app.use(express.static(path.join(__dirname, 'public')));
 
+    // Public read-only API (cursor pagination, uniform errors, OpenAPI at /api/v1/openapi.json)
+    app.use('/api/v1', createApiV1(db));
+
     // GET /api/meps: return all MEPs from DB with speech counts
     app.get('/api/meps', (req, res) => {
       const cached = getApiCache('meps');
@@ -181,7 +227,8 @@ if (handleCli(db)) return;
       });
     });
 
-    // GET /api/meps/:id: return single MEP by ID
+    // GET /api/meps/:id: return single MEP by ID, with its dated group history (affiliations) and national party,
+    // committee and delegation memberships
     app.get('/api/meps/:id', (req, res) => {
       const id = parseInt(req.params.id, 10);
       db.get('SELECT * FROM meps WHERE id = ?', [id], (err, row) => {
@@ -242,11 +289,30 @@ if (handleCli(db)) return;
             'api:country-of-representation': row.country,
             'api:political-group': displayValue
           };
-          res.json({ data: mep });
+          Promise.all([mepAffiliations.getMepAffiliations(db, id), mepMemberships.getMepMemberships(db, id)])
+            .then(([affiliations, memberships]) => res.json({ data: { ...mep, affiliations, memberships } }))
+            .catch((err3) => res.status(500).json({ error: err3.message }));
         });
       });
     });
 
+    // GET /api/memberships/organizations?kind=national_party|committee|delegation&q=&limit=: organisations with
+    // member counts (values for the national_party and committee speech filters)
+    app.get('/api/memberships/organizations', async (req, res) => {
+      try {
+        const organizations = await mepMemberships.listOrganizations(db, {
+          kind: req.query.kind,
+          q: req.query.q,
+          limit: req.query.limit
+        });
+        res.json({ organizations });
+      } catch (err) {
+        if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+        console.error('[MEMBERSHIPS] Error listing organizations:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
     // GET /api/meps/:id/speeches: get all speeches by a specific MEP (optional: ?macro_topic=... to filter by macro topic)
     app.get('/api/meps/:id/speeches', (req, res) => {
       const mepId = parseInt(req.params.id, 10);
@@ -410,7 +476,8 @@ if (handleCli(db)) return;
             activity_date: row.activity_date,
             individual_speech_count: row.individual_speech_count,
             docIdentifier: row.docIdentifier,
-            notationId: row.notationId
+            notationId: row.notationId,
+            html_url: /^\d{4}-\d{2}-\d{2}$/.test(row.activity_date || '') ? creUrl(row.activity_date) : null
           }));
 
           const payload = { data, meta: { total } };
@@ -442,7 +509,8 @@ if (handleCli(db)) return;
 
     // POST /api/ai/chat: OpenAI chat completion endpoint
     // Increase body size limit to handle large speech content (50MB limit)
-    app.post('/api/ai/chat', express.json({ limit: '50mb' }), async (req, res) => {
+    // Token budget per API key (anonymous: ANON_CHAT_TOKEN_BUDGET); usage is booked after each answer
+    app.post('/api/ai/chat', express.json({ limit: '50mb' }), accessControl.chatBudget, async (req, res) => {
       try {
         const { messages, model, temperature } = req.body;
         
@@ -452,6 +520,7 @@ if (handleCli(db)) return;
         }
         
         const result = await chatCompletion(messages, { model, temperature });
+        await accessControl.recordChatUsage(req, result.usage);
         res.json(result);
       } catch (error) {
         console.error('[AI/CHAT] Error:', error.message);
@@ -512,7 +581,7 @@ if (handleCli(db)) return;
         if (req.query.text) params.text = req.query.text;
         if (req.query['include-output']) params['include-output'] = req.query['include-output'];
           
-          axios.get(`${API_BASE}/speeches/${speechId}`, {
+          http.get(`${API_BASE}/speeches/${speechId}`, {
           params,
           headers: { Accept: 'application/ld+json' }
           }).then(response => {
@@ -528,6 +597,52 @@ if (handleCli(db)) return;
       }
     });
 
+    // GET /api/search: full-text search over individual speeches (FTS5)
+    // ?q=...&mode=boolean|phrase&group=&language=&macro_topic=&startDate=&endDate=&sort=rank|date&limit=&offset=
+    // &facets=1 adds counts by political_group_std, language, macro_topic and year over all hits
+    app.get('/api/search', async (req, res) => {
+      const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+      const q = str(req.query.q);
+      if (!q) return res.status(400).json({ error: 'Query parameter q is required' });
+      const mode = req.query.mode === 'phrase' ? 'phrase' : 'boolean';
+
+      try {
+        const wantFacets = req.query.facets === '1' || req.query.facets === 'true';
+        const { results, total, match, limit, offset, facets } = await searchSpeeches(db, {
+          q,
+          mode,
+          group: str(req.query.group),
+          language: str(req.query.language),
+          macroTopic: str(req.query.macro_topic),
+          startDate: str(req.query.startDate),
+          endDate: str(req.query.endDate),
+          sort: req.query.sort === 'date' ? 'date' : 'rank',
+          limit: req.query.limit,
+          offset: req.query.offset,
+          facets: wantFacets
+        });
+        console.log(`[SEARCH] ${match} → ${total} hits (limit: ${limit}, offset: ${offset})`);
+        res.json({
+          query: q,
+          mode,
+          results,
+          ...(facets ? { facets } : {}),
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: (offset + results.length) < total
+          }
+        });
+      } catch (err) {
+        if (isQuerySyntaxError(err)) {
+          return res.status(400).json({ error: `Invalid search query: ${err.message}` });
+        }
+        console.error('[SEARCH] Error:', err.message);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
     // =============================================
     // Analytics Endpoints
     // =============================================
@@ -619,9 +734,9 @@ if (handleCli(db)) return;
       });
     });
 
-    // Trigger cache warm on demand (e.g. when user opens Descriptive Analytics tab).
+    // Trigger cache warm on demand (e.g. when a curator opens the Descriptive Analytics tab).
     // Loads from existing analytics DB if present; does NOT regenerate (use Data → Analyze for that).
-    app.post('/api/analytics/warm', async (req, res) => {
+    app.post('/api/analytics/warm', requireRole('curator'), async (req, res) => {
       if (analyticsCache.data) {
         return res.json({ started: false, ready: true, message: 'Cache already ready' });
       }
@@ -820,8 +935,16 @@ if (handleCli(db)) return;
       });
     });
 
-    // GET /api/analytics/by-group?topTopics=10&topGroups=10&topics=...
+    // GET /api/analytics/by-group?topTopics=10&topGroups=10&topics=...&group_basis=canonical|historical|family
+    // Each speech counts for the group its MEP belonged to on the sitting date (mep_affiliations); group_basis
+    // names it by today's code, by the group of its term (PPE-DE, ELDR, UEN, …) or by lineage family
     app.get('/api/analytics/by-group', (req, res) => {
+      let groupBasis;
+      try {
+        groupBasis = groupLineage.checkGroupBasis(req.query.group_basis || 'canonical');
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
       // Check if specific topics are requested
       let topicsFilter = null;
       if (req.query.topics) {
@@ -835,9 +958,10 @@ if (handleCli(db)) return;
       }
       
       // Serve from cache (with optional filtering)
-      if (analyticsCache.data) {
-        const cached = analyticsCache.data.byGroup;
-        
+      const cached = analyticsCache.data && (groupBasis === 'canonical'
+        ? analyticsCache.data.byGroup
+        : analyticsCache.data.byGroupBases && analyticsCache.data.byGroupBases[groupBasis]);
+      if (cached) {
         if (!topicsFilter || topicsFilter.length === 0) {
           // No filter - return full cache
           console.log('⚡ [CACHE] Served by-group from cache (all topics)');
@@ -866,11 +990,21 @@ if (handleCli(db)) return;
       const topGroups = Math.max(1, parseInt(req.query.topGroups, 10) || 10);
       
       const processWithTopics = (topics) => {
+        if (groupBasis !== 'canonical') {
+          groupLineage.aggregateByGroup(db, { basis: groupBasis, topics, topGroups })
+            .then(({ groups, rows }) => res.json({ topics, groups, rows }))
+            .catch((err) => res.status(500).json({ error: err.message }));
+          return;
+        }
         // top groups
         db.all(`
-          SELECT COALESCE(political_group_std, political_group) AS grp, COUNT(*) AS cnt
-          FROM individual_speeches
-          WHERE COALESCE(political_group_std, political_group) IS NOT NULL AND TRIM(COALESCE(political_group_std, political_group))<>''
+          SELECT grp, COUNT(*) AS cnt
+          FROM (
+            SELECT ${GROUP_AT_DATE_SQL} AS grp
+            FROM individual_speeches i
+            LEFT JOIN sittings s ON s.id = i.sitting_id
+          )
+          WHERE grp IS NOT NULL AND TRIM(grp)<>''
           GROUP BY grp
           ORDER BY cnt DESC
           LIMIT ?
@@ -881,11 +1015,15 @@ if (handleCli(db)) return;
           const placeholdersG = groups.map(()=>'?').join(',');
           const params = [...topics, ...groups];
           db.all(`
-            SELECT i.macro_topic AS topic, COALESCE(i.political_group_std, i.political_group) AS grp, COUNT(*) AS cnt
-            FROM individual_speeches i
-            WHERE i.macro_topic IN (${placeholdersT})
-              AND COALESCE(i.political_group_std, i.political_group) IN (${placeholdersG})
-            GROUP BY i.macro_topic, COALESCE(i.political_group_std, i.political_group)
+            SELECT topic, grp, COUNT(*) AS cnt
+            FROM (
+              SELECT i.macro_topic AS topic, ${GROUP_AT_DATE_SQL} AS grp
+              FROM individual_speeches i
+              LEFT JOIN sittings s ON s.id = i.sitting_id
+              WHERE i.macro_topic IN (${placeholdersT})
+            )
+            WHERE grp IN (${placeholdersG})
+            GROUP BY topic, grp
           `, params, (e3, rows) => {
             if (e3) return res.status(500).json({ error: e3.message });
             res.json({ topics, groups, rows });
@@ -914,8 +1052,16 @@ if (handleCli(db)) return;
       });
     });
 
-    // GET /api/analytics/by-language?topTopics=10&topLanguages=24&topics=...
+    // GET /api/analytics/by-language?topTopics=10&topLanguages=24&topics=...&language_basis=text|original
+    // language_basis=original counts interpreted speeches under the language spoken (not cached)
     app.get('/api/analytics/by-language', (req, res) => {
+      let langExpr;
+      try {
+        langExpr = languageExpression(req.query.language_basis || 'text');
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      const useCache = req.query.language_basis !== 'original';
       let topicsFilter = null;
       if (req.query.topics) {
         try {
@@ -927,7 +1073,7 @@ if (handleCli(db)) return;
         } catch (_) { topicsFilter = null; }
       }
       
-      if (analyticsCache.data) {
+      if (useCache && analyticsCache.data) {
         const cached = analyticsCache.data.byLanguage;
         if (!cached) return res.status(500).json({ error: 'Analytics cache missing byLanguage' });
         
@@ -951,9 +1097,9 @@ if (handleCli(db)) return;
       
       const processWithTopics = (topics) => {
         db.all(`
-          SELECT UPPER(COALESCE(language,'UNK')) AS language, COUNT(*) AS cnt
-          FROM individual_speeches
-          GROUP BY UPPER(COALESCE(language,'UNK'))
+          SELECT UPPER(COALESCE(${langExpr},'UNK')) AS language, COUNT(*) AS cnt
+          FROM individual_speeches i
+          GROUP BY UPPER(COALESCE(${langExpr},'UNK'))
           ORDER BY cnt DESC LIMIT ?
         `, [topLanguages], (e2, lrows) => {
           if (e2) return res.status(500).json({ error: e2.message });
@@ -961,11 +1107,11 @@ if (handleCli(db)) return;
           const placeholdersT = topics.map(() => '?').join(',');
           const placeholdersL = languages.map(() => '?').join(',');
           db.all(`
-            SELECT i.macro_topic AS topic, UPPER(COALESCE(i.language,'UNK')) AS language, COUNT(*) AS cnt
+            SELECT i.macro_topic AS topic, UPPER(COALESCE(${langExpr},'UNK')) AS language, COUNT(*) AS cnt
             FROM individual_speeches i
             WHERE i.macro_topic IN (${placeholdersT})
-              AND UPPER(COALESCE(i.language,'UNK')) IN (${placeholdersL})
-            GROUP BY i.macro_topic, UPPER(COALESCE(i.language,'UNK'))
+              AND UPPER(COALESCE(${langExpr},'UNK')) IN (${placeholdersL})
+            GROUP BY i.macro_topic, UPPER(COALESCE(${langExpr},'UNK'))
           `, [...topics, ...languages], (e3, rows) => {
             if (e3) return res.status(500).json({ error: e3.message });
             res.json({ topics, languages, rows });
@@ -991,8 +1137,15 @@ if (handleCli(db)) return;
       });
     });
 
-    // GET /api/analytics/languages?topics=...
+    // GET /api/analytics/languages?topics=...&language_basis=text|original
     app.get('/api/analytics/languages', (req, res) => {
+      let langExpr;
+      try {
+        langExpr = languageExpression(req.query.language_basis || 'text');
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      const useCache = req.query.language_basis !== 'original';
       // Check if specific topics are requested
       let topicsFilter = null;
       if (req.query.topics) {
@@ -1006,7 +1159,7 @@ if (handleCli(db)) return;
       }
       
       // Serve from cache (with optional filtering)
-      if (analyticsCache.data) {
+      if (useCache && analyticsCache.data) {
         if (!topicsFilter || topicsFilter.length === 0) {
           // No filter - return full cache
           console.log('⚡ [CACHE] Served languages from cache (all topics)');
@@ -1020,8 +1173,8 @@ if (handleCli(db)) return;
       
       // Query database for filtered topics or if cache not ready
       let sql = `
-        SELECT UPPER(COALESCE(language,'UNK')) AS language, COUNT(*) AS cnt
-        FROM individual_speeches
+        SELECT UPPER(COALESCE(${langExpr},'UNK')) AS language, COUNT(*) AS cnt
+        FROM individual_speeches i
       `;
       let params = [];
       
@@ -1031,16 +1184,16 @@ if (handleCli(db)) return;
           const topicVariants = analyticsCache.data.topicVariants;
           const allVariants = topicsFilter.flatMap(t => topicVariants.get(t) || [t]);
           const placeholders = allVariants.map(()=>'?').join(',');
-          sql += ` WHERE macro_topic IN (${placeholders})`;
+          sql += ` WHERE i.macro_topic IN (${placeholders})`;
           params = allVariants;
         } else {
           const placeholders = topicsFilter.map(()=>'?').join(',');
-          sql += ` WHERE macro_topic IN (${placeholders})`;
+          sql += ` WHERE i.macro_topic IN (${placeholders})`;
           params = topicsFilter;
         }
       }
       
-      sql += ` GROUP BY UPPER(COALESCE(language,'UNK')) ORDER BY cnt DESC`;
+      sql += ` GROUP BY UPPER(COALESCE(${langExpr},'UNK')) ORDER BY cnt DESC`;
       
       db.all(sql, params, (err, rows) => {
         if (err) return res.status(500).json({ error: err.message });
@@ -1075,32 +1228,30 @@ if (handleCli(db)) return;
       });
     });
 
-    // Endpoint: Export speeches to CSV
+    // Endpoint: Export speeches as CSV, JSON Lines, Parquet or XLSX (format=csv|jsonl|parquet|xlsx, gzip=1)
+    // Filters: startDate, endDate, mep_id (list), political_group_std, country, language, macro_topic,
+    // national_party, committee (lists), specific_focus (substring), min_length, max_length (characters),
+    // q + mode=boolean|phrase (full-text)
     app.get('/api/export/speeches', (req, res) => {
       const requestStartTime = Date.now();
       console.log('[EXPORT] ========================================');
       console.log('[EXPORT] Export request received');
       
-      const { startDate, endDate, fields, countOnly } = req.query;
-      console.log(`[EXPORT] Query params - startDate: ${startDate}, endDate: ${endDate}, fields: ${fields ? fields.substring(0, 50) + '...' : 'default'}, countOnly: ${countOnly}`);
-      
-      // Build WHERE clause for date filtering
-      const params = [];
-      let whereClauses = [];
-      
-      if (startDate) {
-        whereClauses.push('s.activity_date >= ?');
-        params.push(startDate);
-        console.log(`[EXPORT] Adding start date filter: ${startDate}`);
-      }
+      const { fields, countOnly } = req.query;
+      const format = (req.query.format || 'csv').toLowerCase();
+      const gzip = /^(1|true|yes)$/i.test(String(req.query.gzip || ''));
+      console.log(`[EXPORT] Query params - startDate: ${req.query.startDate}, endDate: ${req.query.endDate}, fields: ${fields ? fields.substring(0, 50) + '...' : 'default'}, countOnly: ${countOnly}, format: ${format}, gzip: ${gzip}`);
       
-      if (endDate) {
-        whereClauses.push('s.activity_date <= ?');
-        params.push(endDate);
-        console.log(`[EXPORT] Adding end date filter: ${endDate}`);
+      // Build WHERE clause from the filters (dates, MEPs, group, country, language, topic, length, text query)
+      let filters;
+      try {
+        filters = parseSpeechFilters(req.query);
+      } catch (err) {
+        if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+        throw err;
       }
+      const { whereClause, params } = buildSpeechFilter(filters);
       
-      const whereClause = whereClauses.length > 0 ? 'WHERE ' + whereClauses.join(' AND ') : '';
       console.log(`[EXPORT] WHERE clause: ${whereClause || '(none - all data)'}`);
       
       // If only count is requested
@@ -1110,6 +1261,7 @@ if (handleCli(db)) return;
           SELECT COUNT(*) as count
           FROM individual_speeches i
           LEFT JOIN sittings s ON i.sitting_id = s.id
+          LEFT JOIN meps m ON i.mep_id = m.id
           ${whereClause}
         `;
         
@@ -1121,6 +1273,7 @@ if (handleCli(db)) return;
           const totalTime = Date.now() - requestStartTime;
           
           if (err) {
+            if (isQuerySyntaxError(err)) return res.status(400).json({ error: `Invalid search query: ${err.message}` });
             console.error('[EXPORT] Error counting speeches:', err);
             console.log(`[EXPORT] Failed after ${totalTime}ms`);
             return res.status(500).json({ error: err.message });
@@ -1134,7 +1287,7 @@ if (handleCli(db)) return;
       }
       
       // Parse requested fields
-      console.log('[EXPORT] Full CSV export request');
+      console.log(`[EXPORT] Full ${format.toUpperCase()} export request`);
       const requestedFields = fields ? fields.split(',') : [
         // Default fields if none specified
         'id', 'sitting_id', 'date', 'speaker_name', 'political_group', 
@@ -1169,6 +1322,8 @@ if (handleCli(db)) return;
         'title': 'i.title',
         'speech_content': 'i.speech_content',
         'language': 'i.language',
+        'original_language': 'COALESCE(i.original_language, i.language)',
+        'language_marker': 'i.language_marker',
         'sitting_content': 's.content',
         'sitting_label': 's.label',
         'sitting_type': 's.type',
@@ -1184,6 +1339,16 @@ if (handleCli(db)) return;
         'macro_classified_at': 'i.macro_classified_at',
         'macro_classification_cost': 'i.macro_classification_cost'
       };
+
+      // Typed columns for Parquet/XLSX; everything else is exported as text
+      const fieldTypes = {
+        'id': 'int',
+        'speech_order': 'int',
+        'created_at': 'int',
+        'mep_id': 'int',
+        'macro_confidence': 'double',
+        'macro_classification_cost': 'double'
+      };
       
       // Build SELECT clause
       const selectFields = requestedFields
@@ -1197,6 +1362,17 @@ if (handleCli(db)) return;
         return res.status(400).json({ error: 'No valid fields selected' });
       }
       
+      let writer;
+      try {
+        const columns = requestedFields
+          .filter(f => fieldMapping[f])
+          .map(f => ({ name: f, type: fieldTypes[f] || 'string' }));
+        writer = createExportWriter(format, columns, { gzip });
+      } catch (err) {
+        if (err.code === 'INVALID_FORMAT') return res.status(400).json({ error: err.message });
+        throw err;
+      }
+
       const baseSql = `
         SELECT ${selectFields.join(', ')}
         FROM individual_speeches i
@@ -1209,24 +1385,18 @@ if (handleCli(db)) return;
       console.log(`[EXPORT] Executing batch streaming export...`);
       console.log(`[EXPORT] SQL query length: ${baseSql.length} chars`);
       
-      // Helper function to escape CSV values
-      const escapeCSV = (value) => {
-        if (value === null || value === undefined) return '';
-        const str = String(value);
-        // If contains comma, quote, or newline, wrap in quotes and escape quotes
-        if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-          return '"' + str.replace(/"/g, '""') + '"';
-        }
-        return str;
-      };
-      
-      // Set response headers for streaming CSV
-      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', 'attachment; filename="eu_speeches_export.csv"');
+      // CSV and JSON Lines are gzipped as a stream; Parquet/XLSX compress internally
+      const out = writer.compressOutput ? zlib.createGzip() : res;
+      let started = false;
       
-      // Write CSV header with BOM for Excel compatibility
-      const headers = requestedFields.join(',');
-      res.write('\ufeff' + headers + '\n');
+      // Headers go out with the first batch, so a bad text query can still be answered with a 400
+      function startResponse() {
+        res.setHeader('Content-Type', writer.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="eu_speeches_export.${writer.extension}"`);
+        if (out !== res) out.pipe(res);
+        out.write(writer.start());
+        started = true;
+      }
       
       console.log('[EXPORT] Starting batch streaming export...');
       const queryStartTime = Date.now();
@@ -1248,12 +1418,15 @@ if (handleCli(db)) return;
           if (err) {
             console.error('[EXPORT] Error fetching batch:', err);
             hasError = true;
-            if (!res.headersSent) {
+            if (!started) {
+              if (isQuerySyntaxError(err)) return res.status(400).json({ error: `Invalid search query: ${err.message}` });
               return res.status(500).json({ error: err.message });
             }
-            return res.end();
+            return out.end();
           }
           
+          if (!started) startResponse();
+          
           // If no rows, we're done
           if (rows.length === 0) {
             const queryTime = Date.now() - queryStartTime;
@@ -1261,8 +1434,15 @@ if (handleCli(db)) return;
             const sizeMB = (totalBytesWritten / 1024 / 1024).toFixed(2);
             const avgRate = totalRowCount / (queryTime / 1000);
             
-            // Finalize the response
-            res.end();
+            // Finalize the response (Parquet footer / XLSX central directory)
+            const tail = writer.finish();
+            totalBytesWritten += tail.length;
+            out.end(tail);
+            
+            const { truncatedCells, droppedRows } = writer.stats();
+            if (truncatedCells || droppedRows) {
+              console.warn(`[EXPORT] XLSX limits: ${truncatedCells} cells truncated to 32767 chars, ${droppedRows} rows dropped beyond 1048576`);
+            }
             
             console.log(`[EXPORT] Stream completed successfully`);
             console.log(`[EXPORT] Total rows exported: ${totalRowCount}`);
@@ -1273,20 +1453,11 @@ if (handleCli(db)) return;
             return;
           }
           
-          // Convert batch to CSV - optimized for speed
-          let batchCSV = '';
-          for (let i = 0; i < rows.length; i++) {
-            const row = rows[i];
-            for (let j = 0; j < requestedFields.length; j++) {
-              if (j > 0) batchCSV += ',';
-              batchCSV += escapeCSV(row[requestedFields[j]]);
-            }
-            batchCSV += '\n';
-          }
+          const chunk = writer.write(rows);
           
           // Update counters
           totalRowCount += rows.length;
-          totalBytesWritten += batchCSV.length;
+          totalBytesWritten += chunk.length;
           offset += rows.length;
           
           // Log progress every 5000 rows
@@ -1300,11 +1471,11 @@ if (handleCli(db)) return;
           }
           
           // Write batch with backpressure handling
-          const canContinue = res.write(batchCSV);
+          const canContinue = out.write(chunk);
           
           if (!canContinue) {
             // Buffer is full, wait for drain event
-            res.once('drain', () => {
+            out.once('drain', () => {
               // Continue processing after drain
               setImmediate(processBatch);
             });
@@ -1319,18 +1490,22 @@ if (handleCli(db)) return;
       processBatch();
     });
 
-    // Endpoint: fetch and parse table of contents for a given date
+    /** CRE language version from ?lang= (default EN); sends 400 and returns null when unknown. */
+    function creLanguage(req, res) {
+      const lang = String(req.query.lang || 'EN').toUpperCase();
+      if (EU_ISO2.includes(lang)) return lang;
+      res.status(400).json({ error: `lang must be one of ${EU_ISO2.join(', ')}` });
+      return null;
+    }
+
+    // Endpoint: fetch and parse table of contents for a given date (?lang= CRE language version, default EN)
     app.get('/api/speech-toc', async (req, res) => {
       const { date } = req.query;
       if (!date) return res.status(400).json({ error: 'Missing date' });
+      const lang = creLanguage(req, res);
+      if (!lang) return;
       try {
-        const url = `https://www.europarl.europa.eu/doceo/document/CRE-10-${date}_EN.html`;
-        const response = await axios.get(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)'
-          }
-        });
-        const html = response.data;
+        const html = await fetchCreHtml(date, { maxRetries: 1, lang });
         const $ = require('cheerio').load(html);
         // Find the table of contents (usually a <ul> or <ol> with links to #creitemX)
         let toc = [];
@@ -1349,23 +1524,20 @@ if (handleCli(db)) return;
         }
         res.json({ toc });
       } catch (err) {
+        if (err.code === 'INVALID_DATE') return res.status(400).json({ error: err.message });
         console.error('TOC fetch failed:', err.toString());
         res.status(500).json({ error: 'Failed to fetch or parse TOC', details: err.toString() });
       }
     });
 
-    // Endpoint: fetch and extract content for a specific anchor (speech) on a given date
+    // Endpoint: fetch and extract content for a specific anchor (speech) on a given date (?lang= as above)
     app.get('/api/speech-content-by-anchor', async (req, res) => {
       const { date, anchor } = req.query;
       if (!date || !anchor) return res.status(400).json({ error: 'Missing date or anchor' });
+      const lang = creLanguage(req, res);
+      if (!lang) return;
       try {
-        const url = `https://www.europarl.europa.eu/doceo/document/CRE-10-${date}_EN.html`;
-        const response = await axios.get(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)'
-          }
-        });
-        const html = response.data;
+        const html = await fetchCreHtml(date, { maxRetries: 1, lang });
         const $ = require('cheerio').load(html);
         // Find the anchor element
         const anchorElem = $(anchor);
@@ -1407,6 +1579,7 @@ if (handleCli(db)) return;
         }
         res.json({ html: contentHtml, text: contentText });
       } catch (err) {
+        if (err.code === 'INVALID_DATE') return res.status(400).json({ error: err.message });
         console.error('Speech content by anchor fetch failed:', err.toString());
         res.status(500).json({ error: 'Failed to fetch or parse speech content by anchor', details: err.toString() });
       }
@@ -1423,14 +1596,29 @@ if (handleCli(db)) return;
 
 const cheerio = require('cheerio');
 
+// GET /api/source-links: canonical europarl links (HTML, TOC, PDF, XML report; agenda item for a speech) for
+// ?speech_id=, ?sitting_id= or ?date= (YYYY-MM-DD), any term; lang (default EN)
+app.get('/api/source-links', async (req, res) => {
+  try {
+    res.json(await getSourceLinks(db, {
+      date: req.query.date,
+      sittingId: req.query.sitting_id,
+      speechId: req.query.speech_id,
+      lang: req.query.lang
+    }));
+  } catch (err) {
+    if (err.code === 'INVALID_DATE' || err.code === 'INVALID_LANGUAGE') return res.status(400).json({ error: err.message });
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/speech-preview', async (req, res) => {
   const { date } = req.query;
   if (!date) return res.status(400).json({ error: 'Missing date' });
 
   try {
-    const url = `https://www.europarl.europa.eu/doceo/document/CRE-10-${date}_EN.html`;
-    const response = await axios.get(url);
-    const html = response.data;
+    const html = await fetchCreHtml(date, { maxRetries: 1 });
     const $ = cheerio.load(html);
 
     const paragraphs = $('p').toArray().map(p => $(p).text().trim());
@@ -1438,6 +1626,7 @@ app.get('/api/speech-preview', async (req, res) => {
 
     res.json({ preview });
   } catch (err) {
+    if (err.code === 'INVALID_DATE') return res.status(400).json({ error: err.message });
     console.error('Preview fetch failed:', err.toString());
     res.status(500).json({ error: 'Could not fetch preview' });
   }
@@ -1504,16 +1693,18 @@ app.get('/api/sittings', (req, res) => {
 });
 
 
-// GET /api/cache-status: get current cache status
-app.get('/api/job-last-log', (req, res) => {
-  res.json({ line: lastJobLogLine || '' });
+// GET /api/job-last-log: last log line of the running job (legacy; prefer /api/jobs/:id)
+app.get('/api/job-last-log', requireRole('viewer'), (req, res) => {
+  const job = jobs.current();
+  res.json({ line: job && job.logTail.length ? job.logTail[job.logTail.length - 1] : '' });
 });
 
-// GET /api/localrun: whether data menu/floater is allowed (LOCALRUN env set)
-app.get('/api/localrun', (req, res) => {
-  res.json({ localrun: LOCALRUN });
-});
+// POST /api/auth/login: { username, password } → session cookie; GET /api/auth/me: current user and role
+app.post('/api/auth/login', express.json(), auth.login);
+app.post('/api/auth/logout', auth.logout);
+app.get('/api/auth/me', auth.me);
 
+// GET /api/cache-status: get current cache status
 app.get('/api/cache-status', (req, res) => {
   console.log('[CACHE] Fetching cache status...');
   db.get('SELECT * FROM cache_status WHERE id = 1', (err, row) => {
@@ -1541,670 +1732,971 @@ app.get('/api/cache-status', (req, res) => {
   });
 });
 
-// POST /api/refresh-all: refresh all cached data (incremental for speeches)
-app.post('/api/refresh-all', async (req, res) => {
+/** Run a maintenance action as a background job (see src/server/job-routes.js); 409 while another runs. */
+function startJob(res, type, params, fn) {
+  return startJobResponse(jobs, res, type, params, fn);
+}
+
+app.use('/api', createJobRoutes(jobs, { requireRole }));
+
+// GET /api/scheduler: automatic refresh status (schedule, enabled, next run, last scheduled job)
+app.get('/api/scheduler', requireRole('viewer'), async (req, res) => {
   try {
-    console.log('[REFRESH] Starting data refresh...');
-    
-    // Refresh MEPs (full refresh)
-    console.log('[REFRESH] Refreshing MEPs...');
-    const meps = await fetchAllMeps();
-    console.log(`[REFRESH] Fetched ${meps.length} MEPs from API`);
-    
-    db.run('DELETE FROM meps');
-    console.log('[REFRESH] Cleared existing MEPs from database');
-    
-    const mepStmt = db.prepare(`INSERT OR REPLACE INTO meps 
-      (id, label, givenName, familyName, sortLabel, country, politicalGroup, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
-    for (const m of meps) {
-      const pid = parseInt(m.identifier, 10);
-      mepStmt.run(pid, m.label, m.givenName, m.familyName, m.sortLabel,
-        m['api:country-of-representation'], m['api:political-group'], Date.now());
+    res.json(await scheduler.status());
+  } catch (err) {
+    console.error('[SCHEDULER] Error getting status:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/scheduler: turn automatic refresh on/off. Body: { "enabled": true|false }
+app.post('/api/scheduler', requireRole('admin'), express.json(), async (req, res) => {
+  const enabled = req.body && req.body.enabled;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Body must be { "enabled": true|false }' });
+  }
+  try {
+    res.json(await scheduler.setEnabled(enabled));
+  } catch (err) {
+    console.error('[SCHEDULER] Error updating scheduler:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/snapshots: dataset snapshots (manifests), newest version first
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    res.json({ snapshots: await snapshots.listSnapshots() });
+  } catch (err) {
+    console.error('[SNAPSHOT] Error listing snapshots:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/snapshots: write a new snapshot as a job.
+// Body: { label?, format?: parquet|csv|jsonl, gzip?, filters?: { startDate, language, ... as in /api/export/speeches } }
+app.post('/api/snapshots', requireRole('curator'), express.json(), (req, res) => {
+  const { label, format = 'parquet', gzip = false, filters = {} } = req.body || {};
+  if (!snapshots.SNAPSHOT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${snapshots.SNAPSHOT_FORMATS.join(', ')}` });
+  }
+  try {
+    parseSpeechFilters(filters);
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+    throw err;
+  }
+  startJob(res, 'snapshot', { label, format, gzip, filters }, async ({ log, progress, throwIfCancelled }) => {
+    const manifest = await snapshots.createSnapshot(db, { label, format, gzip: !!gzip, filters, log, progress, throwIfCancelled });
+    return { id: manifest.id, version: manifest.version, counts: manifest.counts };
+  });
+});
+
+// GET /api/snapshots/:id: manifest; ?verify=1 adds a fresh checksum check
+app.get('/api/snapshots/:id', async (req, res) => {
+  try {
+    const manifest = await snapshots.getSnapshot(req.params.id);
+    if (req.query.verify === '1' || req.query.verify === 'true') {
+      manifest.verification = await snapshots.verifySnapshot(req.params.id);
     }
-    mepStmt.finalize();
-    console.log(`[REFRESH] Cached ${meps.length} MEPs to database`);
-    
-    // Refresh speeches (incremental - only new ones)
-    console.log('[REFRESH] Checking for new speeches...');
-    const newSpeechCount = await speechesFetch.fetchNewSpeechesIncremental(db);
-    
-    // Fetch content for any new speeches that don't have content yet
-    console.log('[REFRESH] Fetching content for new speeches...');
-    const contentCount = await speechesFetch.addContentToExistingSpeeches(db);
-    
-    // Detect language for any speeches that don't have it set yet
-    console.log('[REFRESH] Detecting language for speeches without language set...');
-    const langResult = await runDetectionOnDb(db, { onlyNull: true, log: console.log });
-    
-    // Update cache status
-    const now = Date.now();
-    db.get('SELECT total_speeches FROM cache_status WHERE id = 1', (err, row) => {
-      const totalSpeeches = row ? row.total_speeches : 0;
-      
-      db.run(`INSERT OR REPLACE INTO cache_status 
-        (id, meps_last_updated, speeches_last_updated, total_speeches) 
-        VALUES (1, ?, ?, ?)`, [now, now, totalSpeeches]);
-      
-      console.log(`[REFRESH] Updated cache status - MEPs: ${new Date(now).toLocaleString()}, Speeches: ${totalSpeeches} (${newSpeechCount} new, ${contentCount} content fetched, ${langResult.updated} languages detected)`);
-      
-      console.log('[REFRESH] Data refresh completed successfully');
-      res.json({ 
-        success: true, 
-        meps_count: meps.length,
-        speeches_count: totalSpeeches,
-        new_speeches_count: newSpeechCount,
-        content_fetched_count: contentCount,
-        language_detection_updated: langResult.updated,
-        message: `Data refreshed successfully. Added ${newSpeechCount} new speeches, fetched content for ${contentCount} speeches, detected language for ${langResult.updated} speeches.`
-      });
+    res.json(manifest);
+  } catch (err) {
+    if (err.code === 'SNAPSHOT_NOT_FOUND') return res.status(404).json({ error: err.message });
+    console.error('[SNAPSHOT] Error reading snapshot:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/snapshots/:id/download: whole snapshot as <id>.zip
+app.get('/api/snapshots/:id/download', async (req, res) => {
+  try {
+    await snapshots.getSnapshot(req.params.id);
+  } catch (err) {
+    if (err.code === 'SNAPSHOT_NOT_FOUND') return res.status(404).json({ error: err.message });
+    return res.status(500).json({ error: err.message });
+  }
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="eurowatch-snapshot-${req.params.id}.zip"`);
+  try {
+    await snapshots.writeSnapshotZip(req.params.id, res);
+    res.end();
+  } catch (err) {
+    console.error('[SNAPSHOT] Error streaming snapshot:', err);
+    res.destroy(err);
+  }
+});
+
+// GET /api/snapshots/:id/files/:name: one file of a snapshot (data file, manifest.json or SHA256SUMS)
+app.get('/api/snapshots/:id/files/:name', async (req, res) => {
+  try {
+    res.download(await snapshots.getSnapshotFile(req.params.id, req.params.name));
+  } catch (err) {
+    if (err.code === 'SNAPSHOT_NOT_FOUND') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/api-keys: keys with this month's requests and tokens, plus the server defaults
+app.get('/api/admin/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    await accessControl.flush();
+    res.json({
+      keys: await apiKeys.listApiKeys(db),
+      defaults: {
+        anonymousRead: ANONYMOUS_READ,
+        anonRateLimit: ANON_RATE_LIMIT,
+        keyRateLimit: API_KEY_RATE_LIMIT,
+        userRateLimit: USER_RATE_LIMIT,
+        keyTokenBudget: API_KEY_TOKEN_BUDGET,
+        anonChatTokenBudget: ANON_CHAT_TOKEN_BUDGET
+      }
     });
   } catch (err) {
-    console.error('[REFRESH] Error refreshing data:', err);
-    res.status(500).json({ error: err.toString() });
+    console.error('[API KEYS] Error listing keys:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/refresh-speeches: refresh only speeches (incremental)
-app.post('/api/refresh-speeches', async (req, res) => {
+// POST /api/admin/api-keys: issue a key. Body: { name, rateLimit?, tokenBudget? } (empty = server default).
+// The secret is only in this response.
+app.post('/api/admin/api-keys', requireRole('admin'), express.json(), async (req, res) => {
   try {
-    console.log('[REFRESH] Starting perfect incremental refresh...');
-    
-    // Step 1: Check current database state
-    const currentStats = await new Promise((resolve) => {
-      db.get(`
-        SELECT 
-          COUNT(*) as total_sittings,
-          COUNT(CASE WHEN LENGTH(content) > 100 THEN 1 END) as sittings_with_content,
-          MAX(activity_date) as latest_date
-        FROM sittings
-      `, (err, row) => {
-        resolve(row || { total_sittings: 0, sittings_with_content: 0, latest_date: null });
-      });
+    const { name, rateLimit, tokenBudget } = req.body || {};
+    res.status(201).json(await apiKeys.createApiKey(db, { name, rateLimit, tokenBudget }));
+  } catch (err) {
+    if (err.code === 'INVALID_API_KEY_OPTION') return res.status(400).json({ error: err.message });
+    console.error('[API KEYS] Error creating key:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/admin/api-keys/:id/revoke: revoke a key (takes effect immediately)
+app.post('/api/admin/api-keys/:id/revoke', requireRole('admin'), async (req, res) => {
+  try {
+    const key = await apiKeys.revokeApiKey(db, parseInt(req.params.id, 10));
+    accessControl.forget();
+    res.json(key);
+  } catch (err) {
+    if (err.code === 'API_KEY_NOT_FOUND') return res.status(404).json({ error: err.message });
+    console.error('[API KEYS] Error revoking key:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/usage: requests, rate-limited requests and AI tokens per key and day (?days=30)
+app.get('/api/admin/usage', requireRole('admin'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    await accessControl.flush();
+    res.json({ days, usage: await apiKeys.getUsage(db, { days }) });
+  } catch (err) {
+    console.error('[API KEYS] Error reading usage:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** INVALID_USER / USER_EXISTS / LAST_ADMIN → 400, USER_NOT_FOUND → 404 */
+function sendUserError(res, err) {
+  if (['INVALID_USER', 'USER_EXISTS', 'LAST_ADMIN'].includes(err.code)) return res.status(400).json({ error: err.message });
+  if (err.code === 'USER_NOT_FOUND') return res.status(404).json({ error: err.message });
+  console.error('[AUTH] User admin error:', err);
+  res.status(500).json({ error: err.message });
+}
+
+// GET /api/admin/users: dashboard users and their roles
+app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await users.listUsers(db), roles: users.ROLES });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// POST /api/admin/users: create a user. Body: { username, password, role }
+app.post('/api/admin/users', requireRole('admin'), express.json(), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = await users.createUser(db, { username, password, role });
+    console.log(`[AUTH] ${req.user.username} created user ${user.username} (${user.role})`);
+    res.status(201).json(user);
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// POST /api/admin/users/:id: change a user. Body: { role?, password?, disabled? }
+app.post('/api/admin/users/:id', requireRole('admin'), express.json(), async (req, res) => {
+  try {
+    const { role, password, disabled } = req.body || {};
+    const user = await users.updateUser(db, parseInt(req.params.id, 10), { role, password, disabled });
+    console.log(`[AUTH] ${req.user.username} updated user ${user.username} (${user.role}${user.disabledAt ? ', disabled' : ''})`);
+    res.json(user);
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// POST /api/refresh-all: refresh all cached data (incremental for speeches)
+app.post('/api/refresh-all', requireRole('admin'), (req, res) => startJob(res, 'refresh-all', {}, async ({ log, signal, throwIfCancelled }) => {
+  log('[REFRESH] Starting data refresh...');
+
+  // Refresh MEPs (full refresh)
+  log('[REFRESH] Refreshing MEPs...');
+  const meps = await fetchAllMeps();
+  log(`[REFRESH] Fetched ${meps.length} MEPs from API`);
+  throwIfCancelled();
+
+  db.run('DELETE FROM meps');
+  log('[REFRESH] Cleared existing MEPs from database');
+
+  const mepStmt = db.prepare(`INSERT OR REPLACE INTO meps 
+    (id, label, givenName, familyName, sortLabel, country, politicalGroup, last_updated)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+  for (const m of meps) {
+    const pid = parseInt(m.identifier, 10);
+    mepStmt.run(pid, m.label, m.givenName, m.familyName, m.sortLabel,
+      m['api:country-of-representation'], m['api:political-group'], Date.now());
+  }
+  mepStmt.finalize();
+  log(`[REFRESH] Cached ${meps.length} MEPs to database`);
+
+  // Refresh speeches (incremental - only new ones)
+  log('[REFRESH] Checking for new speeches...');
+  const newSpeechCount = await speechesFetch.fetchNewSpeechesIncremental(db);
+  throwIfCancelled();
+
+  // Fetch content for any new speeches that don't have content yet
+  log('[REFRESH] Fetching content for new speeches...');
+  const contentCount = await speechesFetch.addContentToExistingSpeeches(db);
+  throwIfCancelled();
+
+  // Detect language for any speeches that don't have it set yet
+  log('[REFRESH] Detecting language for speeches without language set...');
+  const langResult = await runDetectionOnDb(db, { onlyNull: true, log, signal });
+
+  // Update cache status
+  const now = Date.now();
+  const totalSpeeches = await new Promise((resolve) => {
+    db.get('SELECT total_speeches FROM cache_status WHERE id = 1', (err, row) => resolve(row ? row.total_speeches : 0));
+  });
+  db.run(`INSERT OR REPLACE INTO cache_status 
+    (id, meps_last_updated, speeches_last_updated, total_speeches) 
+    VALUES (1, ?, ?, ?)`, [now, now, totalSpeeches]);
+
+  log(`[REFRESH] Updated cache status - MEPs: ${new Date(now).toLocaleString()}, Speeches: ${totalSpeeches} (${newSpeechCount} new, ${contentCount} content fetched, ${langResult.updated} languages detected)`);
+  log('[REFRESH] Data refresh completed successfully');
+  return {
+    meps_count: meps.length,
+    speeches_count: totalSpeeches,
+    new_speeches_count: newSpeechCount,
+    content_fetched_count: contentCount,
+    language_detection_updated: langResult.updated,
+    message: `Data refreshed successfully. Added ${newSpeechCount} new speeches, fetched content for ${contentCount} speeches, detected language for ${langResult.updated} speeches.`
+  };
+}));
+
+// POST /api/refresh-speeches: refresh only speeches (incremental)
+app.post('/api/refresh-speeches', requireRole('curator'), (req, res) => startJob(res, 'refresh-speeches', {}, async ({ log, progress, signal, throwIfCancelled }) => {
+  log('[REFRESH] Starting perfect incremental refresh...');
+  
+  // Step 1: Check current database state
+  const currentStats = await new Promise((resolve) => {
+    db.get(`
+      SELECT 
+        COUNT(*) as total_sittings,
+        COUNT(CASE WHEN LENGTH(content) > 100 THEN 1 END) as sittings_with_content,
+        MAX(activity_date) as latest_date
+      FROM sittings
+    `, (err, row) => {
+      resolve(row || { total_sittings: 0, sittings_with_content: 0, latest_date: null });
+    });
+  });
+  
+  log(`[REFRESH] Current state: ${currentStats.sittings_with_content} sittings with content, latest: ${currentStats.latest_date}`);
+  
+  // Get all existing sitting IDs to avoid duplicates
+  const existingIds = await new Promise((resolve) => {
+    db.all('SELECT id FROM sittings', (err, rows) => {
+      resolve(rows ? rows.map(r => r.id) : []);
     });
+  });
+  log(`[REFRESH] Existing sitting IDs: ${existingIds.length}`);
+
+  // Step 2: Fetch ALL speeches from API with pagination
+  let allSpeeches = [];
+  let offset = 0;
+  const limit = 1000;
+  let hasMore = true;
+  let batchCount = 0;
+  
+  log('📡 [REFRESH] Starting API fetch with pagination...');
+  
+  while (hasMore) {
+    throwIfCancelled();
+    batchCount++;
+    log(`📡 [REFRESH] Fetching batch ${batchCount}: offset=${offset}, limit=${limit}`);
     
-    console.log(`[REFRESH] Current state: ${currentStats.sittings_with_content} sittings with content, latest: ${currentStats.latest_date}`);
+    try {
+      const response = await http.get('https://data.europarl.europa.eu/api/v2/speeches', {
+        params: {
+          format: 'application/ld+json',
+          limit: limit,
+          offset: offset,
+          'search-language': 'EN'
+        },
+        headers: { 
+          Accept: 'application/ld+json',
+          'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)' 
+        },
+        timeout: 60000
+      });
+      
+      const batchSpeeches = response.data.data || [];
+      allSpeeches = allSpeeches.concat(batchSpeeches);
+      
+      log(`   [REFRESH] Batch ${batchCount}: ${batchSpeeches.length} speeches (total: ${allSpeeches.length})`);
+      
+      // Check if we got fewer speeches than requested (end of data)
+      if (batchSpeeches.length < limit) {
+        hasMore = false;
+        log('   [REFRESH] Reached end of API data');
+      } else {
+        offset += limit;
+        // Small delay to be respectful to the API
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    } catch (error) {
+      log(`   [REFRESH] Error in batch ${batchCount}: ${error.message}`);
+      hasMore = false;
+    }
+  }
+  
+  log(`[REFRESH] API fetch completed: ${allSpeeches.length} total speeches`);
+
+  // Step 3: Group speeches by date and filter for new ones
+  const dateMap = new Map();
+  allSpeeches.forEach(speech => {
+    const date = speech.activity_date || speech.activity_start_date;
+    if (!date) return;
     
-    // Get all existing sitting IDs to avoid duplicates
-    const existingIds = await new Promise((resolve) => {
-      db.all('SELECT id FROM sittings', (err, rows) => {
-        resolve(rows ? rows.map(r => r.id) : []);
+    if (!dateMap.has(date)) {
+      dateMap.set(date, []);
+    }
+    dateMap.get(date).push(speech);
+  });
+  
+  log(`📅 [REFRESH] Found ${dateMap.size} unique dates in API data`);
+  
+  // Filter for dates we don't have yet
+  const newDates = [];
+  for (const [date, speeches] of dateMap) {
+    // Check if we have any sitting for this date with content
+    const hasContent = await new Promise((resolve) => {
+      db.get(`
+        SELECT COUNT(*) as count 
+        FROM sittings 
+        WHERE activity_date = ? AND LENGTH(content) > 100
+      `, [date], (err, row) => {
+        resolve(row ? row.count > 0 : false);
       });
     });
-    console.log(`[REFRESH] Existing sitting IDs: ${existingIds.length}`);
-
-    // Step 2: Fetch ALL speeches from API with pagination
-    let allSpeeches = [];
-    let offset = 0;
-    const limit = 1000;
-    let hasMore = true;
-    let batchCount = 0;
     
-    console.log('📡 [REFRESH] Starting API fetch with pagination...');
+    if (!hasContent) {
+      newDates.push({ date, speeches });
+    }
+  }
+  
+  log(`🆕 [REFRESH] Found ${newDates.length} dates with new content to fetch`);
+  
+  let fetchedCount = 0;
+  let failedCount = 0;
+  let parsedCount = 0;
+  let totalSpeeches = 0;
+
+  if (newDates.length > 0) {
+    // Step 4: Fetch content for new dates
+    log('📥 [REFRESH] Fetching content for new sittings...');
     
-    while (hasMore) {
-      batchCount++;
-      console.log(`📡 [REFRESH] Fetching batch ${batchCount}: offset=${offset}, limit=${limit}`);
+    for (const { date, speeches } of newDates) {
+      throwIfCancelled();
+      progress(fetchedCount + failedCount, newDates.length, `Fetching ${date}`);
+      log(`[REFRESH] Fetching content for ${date}...`);
       
       try {
-        const response = await axios.get('https://data.europarl.europa.eu/api/v2/speeches', {
-          params: {
-            format: 'application/ld+json',
-            limit: limit,
-            offset: offset,
-            'search-language': 'EN'
-          },
-          headers: { 
-            Accept: 'application/ld+json',
-            'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)' 
-          },
-          timeout: 60000
-        });
-        
-        const batchSpeeches = response.data.data || [];
-        allSpeeches = allSpeeches.concat(batchSpeeches);
+        // Use the first speech ID as the sitting ID
+        const sittingId = speeches[0].id;
         
-        console.log(`   [REFRESH] Batch ${batchCount}: ${batchSpeeches.length} speeches (total: ${allSpeeches.length})`);
+        // Fetch content using the existing function
+        const content = await fetchSpeechContentFromHTML(date, sittingId);
         
-        // Check if we got fewer speeches than requested (end of data)
-        if (batchSpeeches.length < limit) {
-          hasMore = false;
-          console.log('   [REFRESH] Reached end of API data');
+        if (content && content.length > 100) {
+          // Store the sitting with proper API data structure
+          await new Promise((resolve, reject) => {
+            const stmt = db.prepare(`
+              INSERT OR IGNORE INTO sittings
+              (id, type, label, personId, activity_date, content, docIdentifier, notationId, last_updated)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            stmt.run(
+              sittingId,
+              speeches[0].type || 'def/ep-activities/PLENARY_DEBATE_SPEECH', // Use real API type
+              speeches[0].label || `Parliamentary Sitting - ${date}`, // Use real API label
+              speeches[0].personId || null,
+              date,
+              content,
+              speeches[0].docIdentifier || '',
+              speeches[0].notationId || '',
+              Date.now()
+            );
+            stmt.finalize((err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+          
+          fetchedCount++;
+          log(`   [REFRESH] ${date}: ${content.length} chars stored`);
         } else {
-          offset += limit;
-          // Small delay to be respectful to the API
-          await new Promise(resolve => setTimeout(resolve, 200));
+          failedCount++;
+          log(`   [REFRESH] ${date}: No content or too short`);
         }
       } catch (error) {
-        console.error(`   [REFRESH] Error in batch ${batchCount}:`, error.message);
-        hasMore = false;
+        failedCount++;
+        log(`   [REFRESH] ${date}: ${error.message}`);
       }
+      
+      // Small delay between requests
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
-    
-    console.log(`[REFRESH] API fetch completed: ${allSpeeches.length} total speeches`);
 
-    // Step 3: Group speeches by date and filter for new ones
-    const dateMap = new Map();
-    allSpeeches.forEach(speech => {
-      const date = speech.activity_date || speech.activity_start_date;
-      if (!date) return;
-      
-      if (!dateMap.has(date)) {
-        dateMap.set(date, []);
-      }
-      dateMap.get(date).push(speech);
-    });
-    
-    console.log(`📅 [REFRESH] Found ${dateMap.size} unique dates in API data`);
+    // Step 5: Parse new sittings into individual speeches
+    log('[REFRESH] Parsing new sittings into individual speeches...');
     
-    // Filter for dates we don't have yet
-    const newDates = [];
-    for (const [date, speeches] of dateMap) {
-      // Check if we have any sitting for this date with content
-      const hasContent = await new Promise((resolve) => {
-        db.get(`
-          SELECT COUNT(*) as count 
-          FROM sittings 
-          WHERE activity_date = ? AND LENGTH(content) > 100
-        `, [date], (err, row) => {
-          resolve(row ? row.count > 0 : false);
-        });
+    // Get all sittings that need parsing (have content but no individual speeches)
+    const sittingsToParse = await new Promise((resolve) => {
+      db.all(`
+        SELECT s.id, s.content, s.activity_date
+        FROM sittings s
+        LEFT JOIN individual_speeches i ON s.id = i.sitting_id
+        WHERE LENGTH(s.content) > 100
+        AND i.sitting_id IS NULL
+        GROUP BY s.id
+      `, (err, rows) => {
+        resolve(rows || []);
       });
-      
-      if (!hasContent) {
-        newDates.push({ date, speeches });
-      }
-    }
+    });
     
-    console.log(`🆕 [REFRESH] Found ${newDates.length} dates with new content to fetch`);
+    log(`[REFRESH] Found ${sittingsToParse.length} sittings to parse`);
     
-    let fetchedCount = 0;
-    let failedCount = 0;
-    let parsedCount = 0;
-    let totalSpeeches = 0;
-
-    if (newDates.length > 0) {
-      // Step 4: Fetch content for new dates
-      console.log('📥 [REFRESH] Fetching content for new sittings...');
-      
-      for (const { date, speeches } of newDates) {
-        console.log(`[REFRESH] Fetching content for ${date}...`);
-        
-        try {
-          // Use the first speech ID as the sitting ID
-          const sittingId = speeches[0].id;
-          
-          // Fetch content using the existing function
-          const content = await fetchSpeechContentFromHTML(date, sittingId);
-          
-          if (content && content.length > 100) {
-            // Store the sitting with proper API data structure
-            await new Promise((resolve, reject) => {
-              const stmt = db.prepare(`
-                INSERT OR IGNORE INTO sittings
-                (id, type, label, personId, activity_date, content, docIdentifier, notationId, last_updated)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-              `);
-              stmt.run(
-                sittingId,
-                speeches[0].type || 'def/ep-activities/PLENARY_DEBATE_SPEECH', // Use real API type
-                speeches[0].label || `Parliamentary Sitting - ${date}`, // Use real API label
-                speeches[0].personId || null,
-                date,
-                content,
-                speeches[0].docIdentifier || '',
-                speeches[0].notationId || '',
-                Date.now()
-              );
-              stmt.finalize((err) => {
-                if (err) reject(err);
-                else resolve();
-              });
-            });
-            
-            fetchedCount++;
-            console.log(`   [REFRESH] ${date}: ${content.length} chars stored`);
-          } else {
-            failedCount++;
-            console.log(`   [REFRESH] ${date}: No content or too short`);
-          }
-        } catch (error) {
-          failedCount++;
-          console.log(`   [REFRESH] ${date}: ${error.message}`);
-        }
-        
-        // Small delay between requests
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      // Step 5: Parse new sittings into individual speeches
-      console.log('[REFRESH] Parsing new sittings into individual speeches...');
-      
-      // Get all sittings that need parsing (have content but no individual speeches)
-      const sittingsToParse = await new Promise((resolve) => {
-        db.all(`
-          SELECT s.id, s.content, s.activity_date
-          FROM sittings s
-          LEFT JOIN individual_speeches i ON s.id = i.sitting_id
-          WHERE LENGTH(s.content) > 100
-          AND i.sitting_id IS NULL
-          GROUP BY s.id
-        `, (err, rows) => {
-          resolve(rows || []);
-        });
-      });
+    for (const sitting of sittingsToParse) {
+      throwIfCancelled();
+      log(`[REFRESH] Parsing sitting ${sitting.id} (${sitting.activity_date})...`);
       
-      console.log(`[REFRESH] Found ${sittingsToParse.length} sittings to parse`);
-      
-      for (const sitting of sittingsToParse) {
-        console.log(`[REFRESH] Parsing sitting ${sitting.id} (${sitting.activity_date})...`);
+      try {
+        const individualSpeeches = parseIndividualSpeeches(sitting.content, sitting.id);
         
-        try {
-          const individualSpeeches = parseIndividualSpeeches(sitting.content, sitting.id);
-          
-          if (individualSpeeches.length > 0) {
-            await storeIndividualSpeeches(db, individualSpeeches);
-            parsedCount++;
-            totalSpeeches += individualSpeeches.length;
-            console.log(`   [REFRESH] Parsed ${individualSpeeches.length} individual speeches`);
-          } else {
-            console.log(`   [REFRESH] No individual speeches found`);
-          }
-        } catch (error) {
-          console.log(`   [REFRESH] Error parsing: ${error.message}`);
+        if (individualSpeeches.length > 0) {
+          await storeIndividualSpeeches(db, individualSpeeches);
+          parsedCount++;
+          totalSpeeches += individualSpeeches.length;
+          log(`   [REFRESH] Parsed ${individualSpeeches.length} individual speeches`);
+        } else {
+          log(`   [REFRESH] No individual speeches found`);
         }
+      } catch (error) {
+        log(`   [REFRESH] Error parsing: ${error.message}`);
       }
-
-      // Step 6: Link speeches to MEPs
-      console.log('🔗 [REFRESH] Linking speeches to MEPs...');
-      const linkedCount = await historicMeps.linkSpeechesToMeps(db);
-      console.log(`[REFRESH] Linked ${linkedCount} speeches to MEPs`);
     }
 
-    // Step 7: Check for and remove duplicates (FINAL STEP)
-    console.log('[REFRESH] Final step: Checking for and removing duplicates...');
-    const duplicateResult = await historicMeps.checkAndRemoveDuplicates(db);
-    console.log(`[REFRESH] Duplicate cleanup completed - Removed ${duplicateResult.totalRemoved} duplicates`);
+    // Step 6: Link speeches to MEPs
+    log('🔗 [REFRESH] Linking speeches to MEPs...');
+    const linkedCount = await historicMeps.linkSpeechesToMeps(db);
+    log(`[REFRESH] Linked ${linkedCount} speeches to MEPs`);
+  }
 
-    // Step 8: Detect language for speeches that don't have it yet
-    console.log('[REFRESH] Detecting language for speeches without language set...');
-    const langResult = await runDetectionOnDb(db, { onlyNull: true, log: console.log });
+  // Step 7: Check for and remove duplicates (FINAL STEP)
+  log('[REFRESH] Final step: Checking for and removing duplicates...');
+  const duplicateResult = await historicMeps.checkAndRemoveDuplicates(db);
+  log(`[REFRESH] Duplicate cleanup completed - Removed ${duplicateResult.totalRemoved} duplicates`);
 
-    // Get final count after cleanup
-    const finalCount = await new Promise((resolve) => {
-      db.get('SELECT COUNT(*) as count FROM sittings WHERE LENGTH(content) > 100', (err, row) => {
-        resolve(row ? row.count : 0);
-      });
-    });
+  // Step 8: Detect language for speeches that don't have it yet
+  log('[REFRESH] Detecting language for speeches without language set...');
+  const langResult = await runDetectionOnDb(db, { onlyNull: true, log, signal });
 
-    console.log(`[REFRESH] Perfect refresh completed - New dates: ${newDates.length}, Fetched: ${fetchedCount}, Parsed: ${parsedCount}, Total speeches: ${totalSpeeches}, Duplicates removed: ${duplicateResult.totalRemoved}, Languages updated: ${langResult.updated}, Final total: ${finalCount}`);
-    res.json({
-      success: true,
-      sittings_count: finalCount,
-      new_dates_count: newDates.length,
-      content_fetched_count: fetchedCount,
-      content_failed_count: failedCount,
-      sittings_parsed_count: parsedCount,
-      individual_speeches_count: totalSpeeches,
-      duplicates_removed: duplicateResult.totalRemoved,
-      language_detection_updated: langResult.updated,
-      message: `Perfect refresh completed successfully. Added ${newDates.length} new dates, fetched content for ${fetchedCount} sittings, parsed ${parsedCount} sittings into ${totalSpeeches} individual speeches, removed ${duplicateResult.totalRemoved} duplicates, detected language for ${langResult.updated} speeches.`
+  // Get final count after cleanup
+  const finalCount = await new Promise((resolve) => {
+    db.get('SELECT COUNT(*) as count FROM sittings WHERE LENGTH(content) > 100', (err, row) => {
+      resolve(row ? row.count : 0);
     });
-  } catch (err) {
-    console.error('[REFRESH] Error in perfect refresh:', err);
-    res.status(500).json({ error: err.toString() });
-  }
-});
+  });
+
+  log(`[REFRESH] Perfect refresh completed - New dates: ${newDates.length}, Fetched: ${fetchedCount}, Parsed: ${parsedCount}, Total speeches: ${totalSpeeches}, Duplicates removed: ${duplicateResult.totalRemoved}, Languages updated: ${langResult.updated}, Final total: ${finalCount}`);
+  return {
+    sittings_count: finalCount,
+    new_dates_count: newDates.length,
+    content_fetched_count: fetchedCount,
+    content_failed_count: failedCount,
+    sittings_parsed_count: parsedCount,
+    individual_speeches_count: totalSpeeches,
+    duplicates_removed: duplicateResult.totalRemoved,
+    language_detection_updated: langResult.updated,
+    message: `Perfect refresh completed successfully. Added ${newDates.length} new dates, fetched content for ${fetchedCount} sittings, parsed ${parsedCount} sittings into ${totalSpeeches} individual speeches, removed ${duplicateResult.totalRemoved} duplicates, detected language for ${langResult.updated} speeches.`
+  };
+}));
 
 // POST /api/refresh-meps: refresh only MEPs
-app.post('/api/refresh-meps', async (req, res) => {
-  try {
-    console.log('Starting MEP refresh...');
-    const meps = await fetchAllMeps();
-    
-    db.run('DELETE FROM meps');
-    const stmt = db.prepare(`INSERT OR REPLACE INTO meps 
-      (id, label, givenName, familyName, sortLabel, country, politicalGroup, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
-    for (const m of meps) {
-      const pid = parseInt(m.identifier, 10);
-      stmt.run(pid, m.label, m.givenName, m.familyName, m.sortLabel,
-        m['api:country-of-representation'], m['api:political-group'], Date.now());
-    }
-    stmt.finalize();
-    
-    // Update cache status
-    db.run(`INSERT OR REPLACE INTO cache_status 
-      (id, meps_last_updated) 
-      VALUES (1, ?)`, [Date.now()]);
-    
-    console.log('MEP refresh completed');
-    res.json({ 
-      success: true, 
-      meps_count: meps.length,
-      message: 'MEPs refreshed successfully'
-    });
-  } catch (err) {
-    console.error('Error refreshing MEPs:', err);
-    res.status(500).json({ error: err.toString() });
+app.post('/api/refresh-meps', requireRole('admin'), (req, res) => startJob(res, 'refresh-meps', {}, async ({ log }) => {
+  log('Starting MEP refresh...');
+  const meps = await fetchAllMeps();
+
+  db.run('DELETE FROM meps');
+  const stmt = db.prepare(`INSERT OR REPLACE INTO meps 
+    (id, label, givenName, familyName, sortLabel, country, politicalGroup, last_updated)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+  for (const m of meps) {
+    const pid = parseInt(m.identifier, 10);
+    stmt.run(pid, m.label, m.givenName, m.familyName, m.sortLabel,
+      m['api:country-of-representation'], m['api:political-group'], Date.now());
   }
-});
+  stmt.finalize();
+
+  // Update cache status
+  db.run(`INSERT OR REPLACE INTO cache_status 
+    (id, meps_last_updated) 
+    VALUES (1, ?)`, [Date.now()]);
+
+  log('MEP refresh completed');
+  return {
+    meps_count: meps.length,
+    message: 'MEPs refreshed successfully'
+  };
+}));
 
 // POST /api/refresh-perfect: run the perfect fetch & parse script end-to-end
-app.post('/api/refresh-perfect', async (req, res) => {
-  try {
-    const { execFile } = require('child_process');
-    const path = require('path');
+app.post('/api/refresh-perfect', requireRole('admin'), (req, res) => {
+  const { execFile } = require('child_process');
+  const scriptPath = path.resolve(__dirname, 'perfect-fetch-parse.js');
+  const startDate = (req.body && req.body.startDate) || '2023-01-01';
 
-    const scriptPath = path.resolve(__dirname, 'perfect-fetch-parse.js');    const startDate = req.body.startDate || '2023-01-01';
-    
-    console.log(`[REFRESH PERFECT] Executing ${scriptPath} with start date: ${startDate}...`);
+  startJob(res, 'refresh-perfect', { startDate }, ({ log, signal }) => new Promise((resolve, reject) => {
+    log(`[REFRESH PERFECT] Executing ${scriptPath} with start date: ${startDate}...`);
+
+    const child = execFile('node', [scriptPath, startDate], { cwd: __dirname, timeout: 0, signal });
+
+    // Stream stdout/stderr into the job log in real-time
+    child.stdout.on('data', (data) => log(data.toString()));
+    child.stderr.on('data', (data) => log(data.toString()));
 
-    const child = execFile('node', [scriptPath, startDate], { cwd: __dirname, timeout: 0 });
-    
-    // Stream stdout in real-time
-    child.stdout.on('data', (data) => {
-      console.log(data.toString());
-    });
-    
-    // Stream stderr in real-time
-    child.stderr.on('data', (data) => {
-      console.error(data.toString());
-    });
-    
     child.on('close', (code) => {
       if (code === 0) {
-        console.log('[REFRESH PERFECT] Completed successfully');
-        res.json({ success: true, message: 'Perfect fetch & parse completed' });
+        log('[REFRESH PERFECT] Completed successfully');
+        resolve({ message: 'Perfect fetch & parse completed' });
       } else {
-        console.error(`[REFRESH PERFECT] Script exited with code ${code}`);
-        res.status(500).json({ success: false, error: `Script exited with code ${code}` });
+        reject(new Error(`Script exited with code ${code}`));
       }
     });
-    
-    child.on('error', (error) => {
-      console.error('[REFRESH PERFECT] Error:', error);
-      res.status(500).json({ success: false, error: error.toString() });
+
+    child.on('error', reject);
+  }));
+});
+
+// POST /api/refresh-speeches-full: force full refresh of speeches (clears and rebuilds)
+app.post('/api/refresh-speeches-full', requireRole('admin'), (req, res) => startJob(res, 'refresh-speeches-full', {}, async ({ log }) => {
+  log('[REFRESH] Starting full speech refresh (clearing existing data)...');
+  const speechCount = await speechesFetch.cacheAllSpeeches(db);
+
+  log(`[REFRESH] Full speech refresh completed - Total: ${speechCount}`);
+  return {
+    speeches_count: speechCount,
+    message: `Full speech refresh completed. Total speeches: ${speechCount}`
+  };
+}));
+
+// Legacy endpoint for backward compatibility
+app.post('/api/refresh-sittings', requireRole('curator'), (req, res) => startJob(res, 'refresh-sittings', {}, async () => {
+  const all = await speechesFetch.fetchAllSittingsFromRemote();
+  db.run('INSERT INTO sittings_cache (data, last_updated) VALUES (?, ?)', JSON.stringify(all), Date.now());
+  return { count: all.length };
+}));
+
+// POST /api/refresh-mep-dataset: Full MEP dataset build (API upsert + link + historic one-per-person + group normalizer)
+app.post('/api/refresh-mep-dataset', requireRole('admin'), (req, res) => startJob(res, 'refresh-mep-dataset', {}, async ({ log, progress, signal }) => {
+  log('[API] Starting full MEP dataset refresh...');
+  const projectRoot = path.join(__dirname);
+  const results = await runRefreshMepDataset(db, { log, projectRoot, signal, onProgress: progress });
+  db.run(`INSERT OR REPLACE INTO cache_status (id, meps_last_updated) VALUES (1, ?)`, [Date.now()], (err) => {
+    if (err) console.error('[API] Error updating cache_status:', err);
+  });
+  log(`[API] MEP dataset refresh completed: ${JSON.stringify(results)}`);
+  return {
+    ...results,
+    message: `MEP dataset built: ${results.apiMeps} API MEPs, ${results.createdHistoric} historic created, ${results.linkedSpeeches} speeches linked. Group normalizer applied.`
+  };
+}));
+
+// POST /api/link-historic-meps: Legacy — create historic MEPs and link (use refresh-mep-dataset for full build)
+app.post('/api/link-historic-meps', requireRole('curator'), (req, res) => startJob(res, 'link-historic-meps', {}, async ({ log }) => {
+  log('🔗 [API] Starting historic MEP creation and speech linking...');
+  const results = await historicMeps.createHistoricMepsAndLinkSpeeches(db);
+  return {
+    ...results,
+    message: `Created ${results.createdHistoricMeps} historic MEPs and linked ${results.linkedSpeeches} speeches`
+  };
+}));
+
+// POST /api/rebuild-database: Clear sittings/speeches and run full bulk pipeline (1999-07-20 → today)
+app.post('/api/rebuild-database', requireRole('admin'), (req, res) => {
+  const start = '1999-07-20';
+  const end = new Date().toISOString().slice(0, 10);
+  startJob(res, 'rebuild-database', { startDate: start, endDate: end }, async ({ log, progress, event, signal, throwIfCancelled }) => {
+    log('Rebuilding database (sittings + speeches from 1999)...');
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM individual_speeches', (err) => (err ? reject(err) : resolve()));
+    });
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM sittings', (err) => (err ? reject(err) : resolve()));
+    });
+    const { runBulk } = require('./src/pipeline');
+    log('[REBUILD] Running bulk pipeline (single DB connection to avoid locks)...');
+    const result = await runBulk({
+      startDate: start,
+      endDate: end,
+      skipExisting: false,
+      log,
+      db,
+      signal,
+      onProgress: (done, total) => progress(done, total, 'Sitting dates fetched'),
+      onEvent: event
+    });
+    throwIfCancelled();
+    log('[REBUILD] Running language detection on all speeches...');
+    const langResult = await runDetectionOnDb(db, {
+      onlyNull: false,
+      log,
+      signal,
+      onProgress: (done, total) => progress(done, total, 'Speeches language-checked')
     });
+    return {
+      processed: result.processed,
+      failed: result.failed,
+      language_detection: { updated: langResult.updated, total: langResult.total },
+      message: `Rebuilt database: ${result.processed} sittings stored, ${result.failed} failed. Language detection: ${langResult.updated} speeches updated.`
+    };
+  });
+});
+
+// POST /api/refresh-languages: Re-run language detection on all speeches (overwrite existing, except reviewed ones)
+app.post('/api/refresh-languages', requireRole('curator'), (req, res) => startJob(res, 'refresh-languages', {}, async ({ log, progress, signal }) => {
+  log('[REFRESH-LANGUAGES] Rebuilding language detection for all speeches...');
+  const markers = await backfillLanguageMarkers(db, { log });
+  const langResult = await runDetectionOnDb(db, {
+    onlyNull: false,
+    log,
+    signal,
+    onProgress: (done, total) => progress(done, total, 'Speeches language-checked')
+  });
+  log(`[REFRESH-LANGUAGES] Done — updated ${langResult.updated} of ${langResult.total} speeches.`);
+  return {
+    updated: langResult.updated,
+    total: langResult.total,
+    byLang: langResult.byLang || {},
+    interpretation_markers: markers.marked,
+    message: `Language detection complete: ${langResult.updated} speeches updated (${langResult.total} total), ${markers.marked} with an original-language marker.`
+  };
+}));
+
+// GET /api/language-review: speeches whose detected language needs review (low confidence, detector
+// disagreement, undetected). Query: reason=all|low-confidence|disagreement|undetected, min_confidence (0–1,
+// default 0.8), language, limit (max 200), offset
+app.get('/api/language-review', requireRole('curator'), async (req, res) => {
+  try {
+    const minConfidence = req.query.min_confidence !== undefined
+      ? parseFloat(req.query.min_confidence) : languageReview.DEFAULT_MIN_CONFIDENCE;
+    const options = {
+      reason: req.query.reason || 'all',
+      minConfidence,
+      language: req.query.language || undefined,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    };
+    const queue = await languageReview.listReviewQueue(db, options);
+    const stats = await languageReview.getReviewStats(db, { minConfidence });
+    res.json({ ...queue, stats, limit: options.limit, offset: options.offset, min_confidence: minConfidence });
   } catch (err) {
-    console.error('[REFRESH PERFECT] Unexpected error:', err);
-    res.status(500).json({ success: false, error: err.toString() });
+    if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/refresh-speeches-full: force full refresh of speeches (clears and rebuilds)
-app.post('/api/refresh-speeches-full', async (req, res) => {
+// POST /api/language-review/:id: confirm or correct a speech's language. Body: { language }
+app.post('/api/language-review/:id', requireRole('curator'), express.json(), async (req, res) => {
   try {
-    console.log('[REFRESH] Starting full speech refresh (clearing existing data)...');
-    const speechCount = await speechesFetch.cacheAllSpeeches(db);
-    
-    console.log(`[REFRESH] Full speech refresh completed - Total: ${speechCount}`);
-    res.json({ 
-      success: true, 
-      speeches_count: speechCount,
-      message: `Full speech refresh completed. Total speeches: ${speechCount}`
-    });
+    const result = await languageReview.reviewLanguage(db, parseInt(req.params.id, 10), (req.body || {}).language, req.user.username);
+    console.log(`[LANG] ${req.user.username} ${result.corrected ? `corrected speech ${result.id}: ${result.previous || '—'} → ${result.language}` : `confirmed speech ${result.id} as ${result.language}`}`);
+    res.json(result);
   } catch (err) {
-    console.error('[REFRESH] Error in full speech refresh:', err);
-    res.status(500).json({ error: err.toString() });
+    if (err.code === 'INVALID_LANGUAGE') return res.status(400).json({ error: err.message });
+    if (err.code === 'SPEECH_NOT_FOUND') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Legacy endpoint for backward compatibility
-app.post('/api/refresh-sittings', async (req, res) => {
+// GET /api/speaker-matches: speaker names linked to MEPs by the resolver, per name and MEP with method, lowest
+// score and speech count. Query: status=ambiguous (default; runner-up candidates within the margin)|all,
+// method (exact|reordered|particles|partial|fuzzy|historic|override), limit (max 200), offset
+app.get('/api/speaker-matches', requireRole('curator'), async (req, res) => {
   try {
-    const all = await fetchAllSittingsFromRemote();
-    db.run('INSERT INTO sittings_cache (data, last_updated) VALUES (?, ?)', JSON.stringify(all), Date.now());
-    res.json({ success: true, count: all.length });
+    const options = {
+      status: req.query.status || 'ambiguous',
+      method: req.query.method || undefined,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    };
+    const result = await speakerResolver.listMatches(db, options);
+    res.json({ ...result, limit: options.limit, offset: options.offset });
   } catch (err) {
-    res.status(500).json({ error: err.toString() });
+    if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/refresh-mep-dataset: Full MEP dataset build (API upsert + link + historic one-per-person + group normalizer)
-app.post('/api/refresh-mep-dataset', requireLocalRun, async (req, res) => {
-  res.setTimeout(0);
-  lastJobLogLine = 'Starting MEP dataset refresh...';
+// GET /api/speaker-links: speaker names to link by hand, with speech counts, current MEPs and overrides.
+// Query: status=unlinked (default; includes historic placeholders)|low-confidence|ambiguous|overridden|all,
+// q (name contains), max_score (low-confidence threshold, default 0.85), limit (max 200), offset
+app.get('/api/speaker-links', requireRole('curator'), async (req, res) => {
   try {
-    console.log('[API] Starting full MEP dataset refresh...');
-    const projectRoot = path.join(__dirname);
-    const jobLog = (msg) => {
-      lastJobLogLine = msg.replace(/\s+/g, ' ').trim();
-      console.log(msg);
+    const options = {
+      status: req.query.status || 'unlinked',
+      q: req.query.q || undefined,
+      maxScore: req.query.max_score !== undefined ? parseFloat(req.query.max_score) : speakerOverrides.DEFAULT_MAX_SCORE,
+      limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
     };
-    const results = await runRefreshMepDataset(db, { log: jobLog, projectRoot });
-    db.run(`INSERT OR REPLACE INTO cache_status (id, meps_last_updated) VALUES (1, ?)`, [Date.now()], (err) => {
-      if (err) console.error('[API] Error updating cache_status:', err);
-    });
-    console.log('[API] MEP dataset refresh completed:', results);
-    res.json({
-      success: true,
-      ...results,
-      message: `MEP dataset built: ${results.apiMeps} API MEPs, ${results.createdHistoric} historic created, ${results.linkedSpeeches} speeches linked. Group normalizer applied.`
-    });
+    const result = await speakerOverrides.listSpeakers(db, options);
+    res.json({ ...result, limit: options.limit, offset: options.offset });
   } catch (err) {
-    console.error('[API] Error in refresh-mep-dataset:', err);
-    res.status(500).json({ success: false, error: err.message || err.toString() });
+    if (err.code === 'INVALID_FILTER') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/link-historic-meps: Legacy — create historic MEPs and link (use refresh-mep-dataset for full build)
-app.post('/api/link-historic-meps', async (req, res) => {
+// GET /api/speaker-links/meps: MEP search for linking (q: name words, diacritics ignored; limit max 50)
+app.get('/api/speaker-links/meps', requireRole('curator'), async (req, res) => {
   try {
-    console.log('🔗 [API] Starting historic MEP creation and speech linking...');
-    const results = await historicMeps.createHistoricMepsAndLinkSpeeches(db);
-    res.json({ 
-      success: true, 
-      ...results,
-      message: `Created ${results.createdHistoricMeps} historic MEPs and linked ${results.linkedSpeeches} speeches`
-    });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    res.json({ meps: await speakerOverrides.searchMeps(db, req.query.q || '', { limit }) });
   } catch (err) {
-    console.error('[API] Error in historic MEP linking:', err);
-    res.status(500).json({ error: err.toString() });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/rebuild-database: Clear sittings/speeches and run full bulk pipeline (1999-07-20 → today)
-app.post('/api/rebuild-database', requireLocalRun, async (req, res) => {
-  res.setTimeout(0); // no timeout — rebuild can take hours
-  lastJobLogLine = 'Rebuilding database (sittings + speeches from 1999)...';
+// POST /api/speaker-links: link a speaker name to an MEP or keep it unlinked (override).
+// Body: { speaker_name, mep_id (null = never link), term? (0 or omitted = all terms), note? }
+app.post('/api/speaker-links', requireRole('curator'), express.json(), async (req, res) => {
+  const body = req.body || {};
   try {
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM individual_speeches', (err) => (err ? reject(err) : resolve()));
-    });
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM sittings', (err) => (err ? reject(err) : resolve()));
-    });
-    const { runBulk } = require('./src/pipeline');
-    const start = '1999-07-20';
-    const end = new Date().toISOString().slice(0, 10);
-    console.log('[REBUILD] Running bulk pipeline (single DB connection to avoid locks)...');
-    const result = await runBulk({ startDate: start, endDate: end, skipExisting: false, log: console.log, db });
-    console.log('[REBUILD] Running language detection on all speeches...');
-    const langResult = await runDetectionOnDb(db, { onlyNull: false, log: console.log });
-    res.json({
-      success: true,
-      processed: result.processed,
-      failed: result.failed,
-      language_detection: { updated: langResult.updated, total: langResult.total }
+    const result = await speakerOverrides.setOverride(db, {
+      speakerName: body.speaker_name,
+      mepId: body.mep_id,
+      term: body.term,
+      note: body.note,
+      user: req.user.username
     });
+    console.log(`[MEP-LINK] ${req.user.username} ${result.mep_id == null ? 'unlinked' : `linked to MEP ${result.mep_id}`} "${result.speaker_name}" (term ${result.term || 'all'}, ${result.speeches} speeches)`);
+    res.json(result);
   } catch (err) {
-    console.error('[API] Rebuild database error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (err.code === 'INVALID_OVERRIDE') return res.status(400).json({ error: err.message });
+    if (err.code === 'MEP_NOT_FOUND' || err.code === 'SPEAKER_NOT_FOUND') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/refresh-languages: Re-run language detection on all speeches (overwrite existing)
-app.post('/api/refresh-languages', requireLocalRun, async (req, res) => {
-  res.setTimeout(0); // can take a while on large DBs
-  lastJobLogLine = 'Refreshing languages for all speeches...';
+// POST /api/speaker-links/reset: drop an override and re-resolve the name automatically. Body: { speaker_name, term? }
+app.post('/api/speaker-links/reset', requireRole('curator'), express.json(), async (req, res) => {
+  const body = req.body || {};
   try {
-    console.log('[REFRESH-LANGUAGES] Rebuilding language detection for all speeches...');
-    const jobLog = (msg) => {
-      lastJobLogLine = String(msg).replace(/\s+/g, ' ').trim();
-      console.log(msg);
-    };
-    const langResult = await runDetectionOnDb(db, { onlyNull: false, log: jobLog });
-    console.log(`[REFRESH-LANGUAGES] Done — updated ${langResult.updated} of ${langResult.total} speeches.`);
-    res.json({
-      success: true,
-      updated: langResult.updated,
-      total: langResult.total,
-      byLang: langResult.byLang || {},
-      message: `Language detection complete: ${langResult.updated} speeches updated (${langResult.total} total).`
-    });
+    const result = await speakerOverrides.removeOverride(db, { speakerName: body.speaker_name, term: body.term });
+    console.log(`[MEP-LINK] ${req.user.username} removed the override for "${result.speaker_name}" (term ${result.term || 'all'})`);
+    res.json(result);
   } catch (err) {
-    console.error('[API] Refresh languages error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (err.code === 'INVALID_OVERRIDE') return res.status(400).json({ error: err.message });
+    if (err.code === 'NOT_FOUND') return res.status(404).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/normalize-parties: Run political group normalizer on individual_speeches (fill political_group_std)
-app.post('/api/normalize-parties', requireLocalRun, async (req, res) => {
-  res.setTimeout(0);
-  lastJobLogLine = 'Normalizing parties (political groups)...';
-  const log = (msg) => {
-    lastJobLogLine = String(msg).replace(/\s+/g, ' ').trim();
-    console.log(msg);
-  };
+// GET /api/speeches/:id/translations: CRE language versions stored for a sitting ({ language, speeches, fetched_at })
+app.get('/api/speeches/:id/translations', async (req, res) => {
   try {
-    const projectRoot = path.join(__dirname);
-    await runGroupNormalizer(projectRoot, log);
-    log('[NORMALIZE-PARTIES] Syncing MEP table from speeches...');
-    const syncResult = await syncMepAffiliationsFromSpeeches(db, { log });
-    log(`[NORMALIZE-PARTIES] Updated meps.politicalGroup for ${syncResult.updated} MEPs.`);
-    log('[NORMALIZE-PARTIES] Done.');
-    res.json({
-      success: true,
-      message: 'Political groups normalized and MEP table synced. Speeches and meps.politicalGroup now reflect the same organisations.',
-      syncedMeps: syncResult.updated
-    });
+    res.json({ sitting_id: req.params.id, languages: await translations.listSittingLanguages(db, req.params.id) });
   } catch (err) {
-    console.error('[API] Normalize parties error:', err);
-    res.status(500).json({ success: false, error: err.message || err.toString() });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/normalize-macro-topics: AI suggests unification rules, then apply them to the DB
-app.post('/api/normalize-macro-topics', requireLocalRun, async (req, res) => {
-  res.setTimeout(0);
-  lastJobLogLine = 'Normalizing macro topics...';
-  const log = (msg) => {
-    lastJobLogLine = String(msg).replace(/\s+/g, ' ').trim();
-    console.log(msg);
-  };
+// GET /api/speeches/:id/translations/:lang: one language version of the sitting's speeches, aligned to the
+// stored (EN) speeches by speech_id / speech_order
+app.get('/api/speeches/:id/translations/:lang', async (req, res) => {
   try {
-    log('[NORMALIZE] Fetching distinct macro topics...');
-    const topicsWithCounts = await getDistinctTopics(db);
-    if (topicsWithCounts.length === 0) {
-      return res.json({ success: true, rules: 0, updated: 0, message: 'No macro topics in database.' });
-    }
-    const rules = await suggestRules(topicsWithCounts, log);
-    if (rules.length === 0) {
-      return res.json({ success: true, rules: 0, updated: 0, message: 'No normalization rules produced.' });
-    }
-    saveRules(rules);
-    log('[NORMALIZE] Rules saved; applying to database...');
-    const { updated, byRule } = await applyRules(db, rules, log);
-    analyticsCache.data = null;
-    analyticsCache.lastUpdated = null;
-    log(`[NORMALIZE] Done — ${updated} speeches updated.`);
-    res.json({
-      success: true,
-      rules: rules.length,
-      updated,
-      byRule,
-      message: `Normalized macro topics: ${rules.length} rule(s) applied, ${updated} speeches updated.`
-    });
+    const rows = await translations.getSittingTranslations(db, req.params.id, req.params.lang);
+    res.json({ sitting_id: req.params.id, language: req.params.lang.toUpperCase(), translations: rows });
   } catch (err) {
-    console.error('[API] Normalize macro topics error:', err);
-    res.status(500).json({ success: false, error: err.message });
+    if (err.code === 'INVALID_LANGUAGE') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /api/test-pipeline: Refresh — run bulk from last fully processed sitting onward
-// POST /api/generate-analytics: Generate pre-computed analytics database
-app.post('/api/generate-analytics', requireLocalRun, async (req, res) => {
-  res.setTimeout(0); // no timeout — generation can take 1-5 minutes
-  lastJobLogLine = 'Generating analytics database...';
+// POST /api/speeches/:id/translations: fetch CRE language versions of a stored sitting and align them.
+// Body: { languages: ["FR", "DE"] | "all", refresh?: true (re-fetch languages already stored) }
+app.post('/api/speeches/:id/translations', requireRole('curator'), express.json(), async (req, res) => {
+  const sittingId = req.params.id;
+  const { languages, refresh = false } = req.body || {};
+  let list;
   try {
-    console.log('[ANALYTICS] Starting analytics database generation...');
-    const startTime = Date.now();
-    
-    // Generate analytics database
-    await generateAnalyticsDatabase(db, console.log);
-    
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`[ANALYTICS] Analytics database generated successfully in ${duration} seconds`);
-    
-    // Clear the in-memory cache so it reloads from the new database
-    analyticsCache.data = null;
-    analyticsCache.lastUpdated = null;
-    
-    res.json({
-      success: true,
-      duration: `${duration}s`,
-      message: 'Analytics database generated successfully'
-    });
+    list = translations.parseLanguageList(languages);
   } catch (err) {
-    console.error('[ANALYTICS] Error generating analytics database:', err);
-    res.status(500).json({
-      success: false,
-      error: err.message || 'Failed to generate analytics database'
-    });
+    return res.status(400).json({ error: err.message });
   }
+  if (!list.length) return res.status(400).json({ error: 'languages is required (e.g. ["FR", "DE"] or "all")' });
+  const sitting = await new Promise((resolve) => db.get('SELECT id FROM sittings WHERE id = ?', [sittingId], (err, row) => resolve(err ? null : row)));
+  if (!sitting) return res.status(404).json({ error: `Sitting ${sittingId} not found` });
+  startJob(res, 'fetch-translations', { sittingId, languages: list, refresh: !!refresh }, async ({ log, progress, signal }) => {
+    log(`[TRANSLATIONS] Fetching ${list.length} language version(s) of ${sittingId}...`);
+    const result = await translations.fetchSittingTranslations(db, sittingId, list, {
+      log,
+      signal,
+      skipExisting: !refresh,
+      revalidate: !!refresh,
+      onProgress: (done, total) => progress(done, total, 'Language versions')
+    });
+    const aligned = result.languages.filter(l => l.status === 'aligned');
+    return {
+      ...result,
+      message: `Aligned ${aligned.length} of ${list.length} language version(s) for ${result.date}.`
+    };
+  });
+});
+
+// POST /api/mep-memberships: fetch national party, committee and delegation memberships from the Europarl API
+// ({ mep_ids?: number[], current_only?: boolean }; default: every API MEP of terms 5–10)
+app.post('/api/mep-memberships', requireRole('curator'), express.json(), (req, res) => {
+  const body = req.body || {};
+  const mepIds = Array.isArray(body.mep_ids) ? body.mep_ids.map(Number).filter(Number.isInteger) : [];
+  const currentOnly = body.current_only === true;
+  startJob(res, 'mep-memberships', { mep_ids: mepIds, current_only: currentOnly }, async ({ log, progress, signal }) => {
+    const result = await refreshMepMemberships(db, { mepIds, currentOnly, log, signal, onProgress: progress });
+    return {
+      ...result,
+      message: `Memberships stored for ${result.meps} MEPs: ${result.memberships} national party, committee and delegation memberships${result.failed ? ` (${result.failed} MEPs failed)` : ''}.`
+    };
+  });
 });
 
-app.post('/api/test-pipeline', requireLocalRun, async (req, res) => {
-  res.setTimeout(0); // no timeout — refresh can run for a while
-  lastJobLogLine = 'Checking new sittings...';
-  const logs = [];
-  const log = (msg) => {
-    logs.push(msg);
-    lastJobLogLine = String(msg).replace(/\s+/g, ' ').trim();
-    console.log(msg);
+// POST /api/normalize-parties: Run political group normalizer on individual_speeches (fill political_group_std)
+app.post('/api/normalize-parties', requireRole('curator'), (req, res) => startJob(res, 'normalize-parties', {}, async ({ log, signal, throwIfCancelled }) => {
+  log('Normalizing parties (political groups)...');
+  const projectRoot = path.join(__dirname);
+  await runGroupNormalizer(projectRoot, log, { signal });
+  throwIfCancelled();
+  log('[NORMALIZE-PARTIES] Syncing MEP table from speeches...');
+  const historyResult = await mepAffiliations.rebuildSpeechAffiliations(db, { log });
+  const syncResult = await syncMepAffiliationsFromSpeeches(db, { log });
+  log(`[NORMALIZE-PARTIES] Updated meps.politicalGroup for ${syncResult.updated} MEPs.`);
+  log('[NORMALIZE-PARTIES] Done.');
+  return {
+    message: 'Political groups normalized and MEP table synced. Speeches and meps.politicalGroup now reflect the same organisations.',
+    syncedMeps: syncResult.updated,
+    affiliationIntervals: historyResult.intervals
+  };
+}));
+
+// POST /api/normalize-macro-topics: AI suggests unification rules, then apply them to the DB
+app.post('/api/normalize-macro-topics', requireRole('curator'), (req, res) => startJob(res, 'normalize-macro-topics', {}, async ({ log, throwIfCancelled }) => {
+  log('[NORMALIZE] Fetching distinct macro topics...');
+  const topicsWithCounts = await getDistinctTopics(db);
+  if (topicsWithCounts.length === 0) {
+    return { rules: 0, updated: 0, message: 'No macro topics in database.' };
+  }
+  const rules = await suggestRules(topicsWithCounts, log);
+  if (rules.length === 0) {
+    return { rules: 0, updated: 0, message: 'No normalization rules produced.' };
+  }
+  throwIfCancelled();
+  saveRules(rules);
+  log('[NORMALIZE] Rules saved; applying to database...');
+  const { updated, byRule } = await applyRules(db, rules, log);
+  analyticsCache.data = null;
+  analyticsCache.lastUpdated = null;
+  log(`[NORMALIZE] Done — ${updated} speeches updated.`);
+  return {
+    rules: rules.length,
+    updated,
+    byRule,
+    message: `Normalized macro topics: ${rules.length} rule(s) applied, ${updated} speeches updated.`
   };
-  try {
-    log('[REFRESH] Refresh data: fetch new sittings, store them, then detect language for any speech missing it. A speech is complete when it has content + detected language (not default English).');
-    const { runRefresh } = require('./src/pipeline');
-    const result = await runRefresh({ log, db });
-    log(`[REFRESH] Pipeline finished — sittings stored: ${result.processed}, failed: ${result.failed}, fetch skipped: ${result.fetchSkipped}, AI failed: ${result.aiFailed}.`);
-    if (result.processed > 0 || result.failed > 0) {
-      log('[REFRESH] Running language detection on speeches without language set...');
-      const langResult = await runDetectionOnDb(db, { onlyNull: true, log });
-      log(`[REFRESH] Language detection done — updated ${langResult.updated} speeches.`);
-      res.json({
-        success: result.processed >= 0,
-        processed: result.processed,
-        failed: result.failed,
-        fetchSkipped: result.fetchSkipped,
-        aiFailed: result.aiFailed,
-        language_detection_updated: langResult.updated,
-        logs,
-        message: result.failed > 0
-          ? `Stored ${result.processed} sittings; ${result.failed} store(s) failed (check logs). Language detection: ${langResult.updated} speeches updated.`
-          : `Stored ${result.processed} new sittings. Language detection: ${langResult.updated} speeches updated.`
-      });
-    } else {
-      log('[REFRESH] No new sittings to store. Running language detection on any speeches without language set...');
-      const langResult = await runDetectionOnDb(db, { onlyNull: true, log });
-      log(`[REFRESH] Language detection done — updated ${langResult.updated} speeches.`);
-      res.json({
-        success: true,
-        processed: 0,
-        failed: 0,
-        fetchSkipped: result.fetchSkipped,
-        aiFailed: result.aiFailed,
-        language_detection_updated: langResult.updated,
-        logs,
-        message: result.fetchSkipped > 0
-          ? `No new sittings stored (${result.fetchSkipped} dates skipped or already done). Language detection: ${langResult.updated} speeches updated.`
-          : `No new sittings to process. Language detection: ${langResult.updated} speeches updated.`
-      });
-    }
-  } catch (err) {
-    log(`[REFRESH] Error: ${err.message}`);
-    console.error('[API] Test pipeline error:', err);
-    res.status(500).json({ success: false, error: err.message, logs });
+}));
+
+// POST /api/generate-analytics: Generate pre-computed analytics database
+app.post('/api/generate-analytics', requireRole('curator'), (req, res) => startJob(res, 'generate-analytics', {}, async ({ log }) => {
+  log('[ANALYTICS] Starting analytics database generation...');
+  const startTime = Date.now();
+
+  // Generate analytics database
+  await generateAnalyticsDatabase(db, log);
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`[ANALYTICS] Analytics database generated successfully in ${duration} seconds`);
+
+  // Clear the in-memory cache so it reloads from the new database
+  analyticsCache.data = null;
+  analyticsCache.lastUpdated = null;
+
+  return {
+    duration: `${duration}s`,
+    message: 'Analytics database generated successfully'
+  };
+}));
+
+// POST /api/test-pipeline: Refresh — run bulk from last fully processed sitting onward
+app.post('/api/test-pipeline', requireRole('curator'), (req, res) => startJob(res, 'test-pipeline', {}, async ({ log, progress, event, signal, throwIfCancelled }) => {
+  log('[REFRESH] Refresh data: fetch new sittings, store them, then detect language for any speech missing it. A speech is complete when it has content + detected language (not default English).');
+  const { runRefresh } = require('./src/pipeline');
+  const result = await runRefresh({
+    log,
+    db,
+    signal,
+    onProgress: (done, total) => progress(done, total, 'Sitting dates fetched'),
+    onEvent: event
+  });
+  log(`[REFRESH] Pipeline finished — sittings stored: ${result.processed}, failed: ${result.failed}, fetch skipped: ${result.fetchSkipped}, AI failed: ${result.aiFailed}.`);
+  throwIfCancelled();
+  log(result.processed > 0 || result.failed > 0
+    ? '[REFRESH] Running language detection on speeches without language set...'
+    : '[REFRESH] No new sittings to store. Running language detection on any speeches without language set...');
+  const langResult = await runDetectionOnDb(db, {
+    onlyNull: true,
+    log,
+    signal,
+    onProgress: (done, total) => progress(done, total, 'Speeches language-checked')
+  });
+  log(`[REFRESH] Language detection done — updated ${langResult.updated} speeches.`);
+
+  let message;
+  if (result.processed > 0 || result.failed > 0) {
+    message = result.failed > 0
+      ? `Stored ${result.processed} sittings; ${result.failed} store(s) failed (check logs). Language detection: ${langResult.updated} speeches updated.`
+      : `Stored ${result.processed} new sittings. Language detection: ${langResult.updated} speeches updated.`;
+  } else {
+    message = result.fetchSkipped > 0
+      ? `No new sittings stored (${result.fetchSkipped} dates skipped or already done). Language detection: ${langResult.updated} speeches updated.`
+      : `No new sittings to process. Language detection: ${langResult.updated} speeches updated.`;
   }
-});
\ No newline at end of file
+  return {
+    processed: result.processed,
+    failed: result.failed,
+    fetchSkipped: result.fetchSkipped,
+    aiFailed: result.aiFailed,
+    language_detection_updated: langResult.updated,
+    message
+  };
+}));
\ No newline at end of file
@@ -8,6 +8,8 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const { DB_PATH } = require('./db');
+const { GROUP_AT_DATE_SQL } = require('./mep-affiliations');
+const { GROUP_BASES, aggregateByGroup, reloadLineage } = require('./group-lineage');
 
 const ANALYTICS_DB_PATH = process.env.ANALYTICS_DB_PATH || path.join(__dirname, '..', '..', 'data', 'analytics.db');
 
@@ -85,13 +87,15 @@ function initAnalyticsDatabase(db) {
       db.run('CREATE INDEX IF NOT EXISTS idx_ts_year_period ON analytics_timeseries_year(period)');
       db.run('CREATE INDEX IF NOT EXISTS idx_ts_year_topic ON analytics_timeseries_year(topic)');
       
-      // Pre-computed by-group data
+      // Pre-computed by-group data, one set per group basis (recreated: files from before group bases lack the column)
+      db.run('DROP TABLE IF EXISTS analytics_by_group');
       db.run(`
         CREATE TABLE IF NOT EXISTS analytics_by_group (
+          basis TEXT NOT NULL DEFAULT 'canonical',
           topic TEXT,
           group_name TEXT,
           count INTEGER,
-          PRIMARY KEY (topic, group_name)
+          PRIMARY KEY (basis, topic, group_name)
         )
       `);
       db.run('CREATE INDEX IF NOT EXISTS idx_by_group_topic ON analytics_by_group(topic)');
@@ -162,6 +166,8 @@ function initAnalyticsDatabase(db) {
  * Generate analytics database from main database
  */
 async function generateAnalyticsDatabase(sourceDb, log = console.log) {
+  // Regeneration is the explicit point where edits to group-lineage.json take effect
+  reloadLineage();
   return new Promise((resolve, reject) => {
     const analyticsDb = new sqlite3.Database(ANALYTICS_DB_PATH, (err) => {
       if (err) {
@@ -280,7 +286,10 @@ function computeAllAnalytics(sourceDb, analyticsDb, log) {
           .then(() => {
             // Step 3: Compute by-group
             log('[ANALYTICS-DB] Step 3/6: Computing by-group data...');
-            return computeByGroup(sourceDb, analyticsDb, normalizedMap, log);
+            return GROUP_BASES.reduce(
+              (chain, basis) => chain.then(() => computeByGroup(sourceDb, analyticsDb, normalizedMap, log, basis)),
+              Promise.resolve()
+            );
           })
           .then(() => {
             // Step 4: Compute by-language (macro topic × language)
@@ -410,14 +419,17 @@ function computeTimeSeries(sourceDb, analyticsDb, normalizedMap, log) {
   });
 }
 
-function computeByGroup(sourceDb, analyticsDb, normalizedMap, log) {
+/** Top 10 canonical groups (at each speech's date) and their counts per raw macro topic */
+function canonicalGroupCounts(sourceDb, topics) {
   return new Promise((resolve, reject) => {
-    // Get top groups
     sourceDb.all(`
-      SELECT COALESCE(political_group_std, political_group) AS grp, COUNT(*) AS cnt
-      FROM individual_speeches
-      WHERE COALESCE(political_group_std, political_group) IS NOT NULL 
-        AND TRIM(COALESCE(political_group_std, political_group))<>''
+      SELECT grp, COUNT(*) AS cnt
+      FROM (
+        SELECT ${GROUP_AT_DATE_SQL} AS grp
+        FROM individual_speeches i
+        LEFT JOIN sittings s ON s.id = i.sitting_id
+      )
+      WHERE grp IS NOT NULL AND TRIM(grp)<>''
       GROUP BY grp
       ORDER BY cnt DESC LIMIT 10
     `, [], (err, groups) => {
@@ -427,52 +439,66 @@ function computeByGroup(sourceDb, analyticsDb, normalizedMap, log) {
       }
       
       const groupsList = groups.map(r => r.grp);
-      const allVariants = Array.from(normalizedMap.values()).flat();
-      const pT = allVariants.map(() => '?').join(',');
+      const pT = topics.map(() => '?').join(',');
       const pG = groupsList.map(() => '?').join(',');
       
       sourceDb.all(`
-        SELECT i.macro_topic AS topic, COALESCE(i.political_group_std, i.political_group) AS grp, COUNT(*) AS cnt
-        FROM individual_speeches i
-        WHERE i.macro_topic IN (${pT})
-          AND COALESCE(i.political_group_std, i.political_group) IN (${pG})
-        GROUP BY i.macro_topic, COALESCE(i.political_group_std, i.political_group)
-      `, [...allVariants, ...groupsList], (err, rows) => {
+        SELECT topic, grp, COUNT(*) AS cnt
+        FROM (
+          SELECT i.macro_topic AS topic, ${GROUP_AT_DATE_SQL} AS grp
+          FROM individual_speeches i
+          LEFT JOIN sittings s ON s.id = i.sitting_id
+          WHERE i.macro_topic IN (${pT})
+        )
+        WHERE grp IN (${pG})
+        GROUP BY topic, grp
+      `, [...topics, ...groupsList], (err, rows) => {
         if (err) {
           reject(err);
           return;
         }
-        
-        const normalizeTopic = (topic) => {
-          if (!topic) return topic;
-          return topic
-            .replace(/&amp;/g, '&')
-            .replace(/[\u2010\u2011\u2012\u2013\u2014\u2015\u2212\uFE58\uFE63\uFF0D]/g, '-')
-            .trim();
-        };
-        
-        // Aggregate by (normalized topic, group) to avoid UNIQUE constraint — multiple raw topics can normalize to the same value
-        const aggregated = new Map();
-        rows.forEach(row => {
-          const normalized = normalizeTopic(row.topic);
-          const key = `${normalized}\t${row.grp}`;
-          aggregated.set(key, (aggregated.get(key) || 0) + row.cnt);
-        });
-        
-        const stmt = analyticsDb.prepare('INSERT INTO analytics_by_group (topic, group_name, count) VALUES (?, ?, ?)');
-        aggregated.forEach((cnt, key) => {
-          const [topic, group_name] = key.split('\t');
-          stmt.run(topic, group_name, cnt);
-        });
-        stmt.finalize();
-        
-        log(`[ANALYTICS-DB] By-group: ${groupsList.length} groups, ${aggregated.size} combinations`);
-        resolve();
+        resolve({ groups: groupsList, rows });
       });
     });
   });
 }
 
+/**
+ * Macro topic × group counts under a group basis (canonical, historical or family; see core/group-lineage.js).
+ */
+function computeByGroup(sourceDb, analyticsDb, normalizedMap, log, basis = 'canonical') {
+  const allVariants = Array.from(normalizedMap.values()).flat();
+  const counts = basis === 'canonical'
+    ? canonicalGroupCounts(sourceDb, allVariants)
+    : aggregateByGroup(sourceDb, { basis, topics: allVariants });
+  return counts.then(({ groups, rows }) => {
+    const normalizeTopic = (topic) => {
+      if (!topic) return topic;
+      return topic
+        .replace(/&amp;/g, '&')
+        .replace(/[\u2010\u2011\u2012\u2013\u2014\u2015\u2212\uFE58\uFE63\uFF0D]/g, '-')
+        .trim();
+    };
+    
+    // Aggregate by (normalized topic, group) to avoid UNIQUE constraint — multiple raw topics can normalize to the same value
+    const aggregated = new Map();
+    rows.forEach(row => {
+      const normalized = normalizeTopic(row.topic);
+      const key = `${normalized}\t${row.grp}`;
+      aggregated.set(key, (aggregated.get(key) || 0) + row.cnt);
+    });
+    
+    const stmt = analyticsDb.prepare('INSERT INTO analytics_by_group (basis, topic, group_name, count) VALUES (?, ?, ?, ?)');
+    aggregated.forEach((cnt, key) => {
+      const [topic, group_name] = key.split('\t');
+      stmt.run(basis, topic, group_name, cnt);
+    });
+    stmt.finalize();
+    
+    log(`[ANALYTICS-DB] By-group (${basis}): ${groups.length} groups, ${aggregated.size} combinations`);
+  });
+}
+
 function computeByLanguage(sourceDb, analyticsDb, normalizedMap, log) {
   return new Promise((resolve, reject) => {
     // Get top languages (same normalisation as elsewhere)
@@ -651,15 +677,23 @@ function loadAnalyticsFromDatabase(log = console.log) {
           loadTimeSeries(analyticsDb, 'month', normalizedMap),
           loadTimeSeries(analyticsDb, 'quarter', normalizedMap),
           loadTimeSeries(analyticsDb, 'year', normalizedMap),
-          loadByGroup(analyticsDb, normalizedMap),
+          byGroupHasBasis(analyticsDb).then((hasBasis) => {
+            if (!hasBasis) {
+              log('[ANALYTICS-DB] analytics_by_group has no basis column (generated by an older version): loading it as canonical groups; regenerate analytics (Data → Analyze) for the historical and family bases.');
+            }
+            return Promise.all(GROUP_BASES.map(basis => loadByGroup(analyticsDb, normalizedMap, basis, hasBasis)));
+          }),
           loadByLanguage(analyticsDb, normalizedMap),
           loadLanguages(analyticsDb),
           loadOverview(analyticsDb)
-        ]).then(([monthTS, quarterTS, yearTS, byGroup, byLanguage, languages, overview]) => {
+        ]).then(([monthTS, quarterTS, yearTS, byGroupBases, byLanguage, languages, overview]) => {
           cacheData.timeseries_month = monthTS;
           cacheData.timeseries_quarter = quarterTS;
           cacheData.timeseries_year = yearTS;
-          cacheData.byGroup = byGroup;
+          // byGroup: canonical groups; byGroupBases: every group basis (core/group-lineage.js)
+          cacheData.byGroupBases = {};
+          GROUP_BASES.forEach((basis, i) => { cacheData.byGroupBases[basis] = byGroupBases[i]; });
+          cacheData.byGroup = cacheData.byGroupBases.canonical;
           cacheData.byLanguage = byLanguage;
           cacheData.languages = languages;
           cacheData.overview = overview;
@@ -723,18 +757,34 @@ function loadTimeSeries(analyticsDb, interval, normalizedMap) {
   });
 }
 
-function loadByGroup(analyticsDb, normalizedMap) {
+/** False for analytics databases generated before group bases (analytics_by_group without a basis column). */
+function byGroupHasBasis(analyticsDb) {
+  return new Promise((resolve, reject) => {
+    analyticsDb.all('PRAGMA table_info(analytics_by_group)', [], (err, columns) => {
+      err ? reject(err) : resolve(columns.some(c => c.name === 'basis'));
+    });
+  });
+}
+
+/**
+ * By-group data of one basis. Without a basis column (older analytics.db) the rows are canonical groups and the
+ * other bases resolve to null, so they are computed on request.
+ */
+function loadByGroup(analyticsDb, normalizedMap, basis = 'canonical', hasBasis = true) {
+  if (!hasBasis && basis !== 'canonical') return Promise.resolve(null);
+  const where = hasBasis ? 'WHERE basis = ?' : '';
+  const params = hasBasis ? [basis] : [];
   return new Promise((resolve, reject) => {
     analyticsDb.all(`
-      SELECT DISTINCT group_name FROM analytics_by_group ORDER BY group_name
-    `, [], (err, groups) => {
+      SELECT DISTINCT group_name FROM analytics_by_group ${where} ORDER BY group_name
+    `, params, (err, groups) => {
       if (err) {
         reject(err);
         return;
       }
       
       const groupsList = groups.map(r => r.group_name);
-      analyticsDb.all('SELECT topic, group_name AS grp, count AS cnt FROM analytics_by_group', [], (err, rows) => {
+      analyticsDb.all(`SELECT topic, group_name AS grp, count AS cnt FROM analytics_by_group ${where}`, params, (err, rows) => {
         if (err) {
           reject(err);
           return;
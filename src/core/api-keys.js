@@ -0,0 +1,166 @@
+/**
+ * API keys and usage counters (migration 009). A key is returned once, at creation; only its SHA-256
+ * hash and a short prefix (to recognise it in lists) are stored. Usage is counted per key and UTC day
+ * in api_usage, with key id 0 for anonymous traffic. rate_limit / token_budget NULL = server default.
+ */
+const crypto = require('crypto');
+const { ensureSchema } = require('./migrate');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+const KEY_PREFIX = 'ew_';
+const ANONYMOUS_KEY_ID = 0;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/** UTC day, YYYY-MM-DD */
+function usageDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/** Token budgets are per UTC calendar month. */
+function monthStart(now = Date.now()) {
+  return `${usageDay(now).slice(0, 7)}-01`;
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_API_KEY_OPTION';
+  return err;
+}
+
+/** null/'' → null (server default); otherwise a non-negative integer. */
+function limitOption(value, name) {
+  if (value == null || value === '') return null;
+  if (!/^\d+$/.test(String(value))) throw invalid(`${name} must be a non-negative integer`);
+  return parseInt(value, 10);
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    rateLimit: row.rate_limit,
+    tokenBudget: row.token_budget,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {{ name: string, rateLimit?: number|null, tokenBudget?: number|null }} options
+ * @returns {Promise<object>} the stored key plus `key`, the secret (not retrievable later)
+ */
+async function createApiKey(db, { name, rateLimit, tokenBudget } = {}) {
+  await ensureSchema(db);
+  const label = String(name || '').trim();
+  if (!label) throw invalid('name is required');
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const { lastID } = await runAsync(db,
+    'INSERT INTO api_keys (name, key_prefix, key_hash, rate_limit, token_budget, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [label, key.slice(0, KEY_PREFIX.length + 6), hashKey(key), limitOption(rateLimit, 'rate_limit'),
+      limitOption(tokenBudget, 'token_budget'), Date.now()]);
+  return { ...toApiKey(await getAsync(db, 'SELECT * FROM api_keys WHERE id = ?', [lastID])), key };
+}
+
+/** All keys, newest first, with this month's requests and tokens. */
+async function listApiKeys(db, now = Date.now()) {
+  await ensureSchema(db);
+  const rows = await allAsync(db, `
+    SELECT k.*, COALESCE(u.requests, 0) AS month_requests, COALESCE(u.tokens, 0) AS month_tokens
+    FROM api_keys k
+    LEFT JOIN (
+      SELECT key_id, SUM(requests) AS requests, SUM(prompt_tokens + completion_tokens) AS tokens
+      FROM api_usage WHERE day >= ? GROUP BY key_id
+    ) u ON u.key_id = k.id
+    ORDER BY k.id DESC`, [monthStart(now)]);
+  return rows.map(r => ({ ...toApiKey(r), monthRequests: r.month_requests, monthTokens: r.month_tokens }));
+}
+
+/** Active (not revoked) key for a secret, or null. */
+async function findApiKey(db, key) {
+  await ensureSchema(db);
+  const row = await getAsync(db, 'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashKey(key)]);
+  return row ? toApiKey(row) : null;
+}
+
+async function revokeApiKey(db, id) {
+  await ensureSchema(db);
+  const row = await getAsync(db, 'SELECT * FROM api_keys WHERE id = ?', [id]);
+  if (!row) {
+    const err = new Error(`API key ${id} not found`);
+    err.code = 'API_KEY_NOT_FOUND';
+    throw err;
+  }
+  if (row.revoked_at == null) {
+    row.revoked_at = Date.now();
+    await runAsync(db, 'UPDATE api_keys SET revoked_at = ? WHERE id = ?', [row.revoked_at, id]);
+  }
+  return toApiKey(row);
+}
+
+/**
+ * Add to the usage counters of one key (ANONYMOUS_KEY_ID for anonymous traffic) for today.
+ * @param {{ requests?: number, rateLimited?: number, chatRequests?: number, promptTokens?: number, completionTokens?: number }} counts
+ */
+async function recordUsage(db, keyId, counts, now = Date.now()) {
+  await ensureSchema(db);
+  const { requests = 0, rateLimited = 0, chatRequests = 0, promptTokens = 0, completionTokens = 0 } = counts;
+  await runAsync(db, `
+    INSERT INTO api_usage (key_id, day, requests, rate_limited, chat_requests, prompt_tokens, completion_tokens)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (key_id, day) DO UPDATE SET
+      requests = requests + excluded.requests,
+      rate_limited = rate_limited + excluded.rate_limited,
+      chat_requests = chat_requests + excluded.chat_requests,
+      prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+      completion_tokens = completion_tokens + excluded.completion_tokens`,
+  [keyId, usageDay(now), requests, rateLimited, chatRequests, promptTokens, completionTokens]);
+  if (keyId !== ANONYMOUS_KEY_ID) await runAsync(db, 'UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, keyId]);
+}
+
+/** Prompt + completion tokens used by a key in the current UTC month. */
+async function getTokensUsed(db, keyId, now = Date.now()) {
+  await ensureSchema(db);
+  const row = await getAsync(db,
+    'SELECT COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS tokens FROM api_usage WHERE key_id = ? AND day >= ?',
+    [keyId, monthStart(now)]);
+  return row.tokens;
+}
+
+/** Daily usage rows of the last `days` days (key name null for anonymous), newest first. */
+async function getUsage(db, { days = 30 } = {}, now = Date.now()) {
+  await ensureSchema(db);
+  const since = usageDay(now - (days - 1) * 24 * 60 * 60 * 1000);
+  const rows = await allAsync(db, `
+    SELECT u.*, k.name, k.key_prefix FROM api_usage u
+    LEFT JOIN api_keys k ON k.id = u.key_id
+    WHERE u.day >= ?
+    ORDER BY u.day DESC, u.key_id`, [since]);
+  return rows.map(r => ({
+    day: r.day,
+    keyId: r.key_id,
+    name: r.key_id === ANONYMOUS_KEY_ID ? null : r.name,
+    prefix: r.key_prefix || null,
+    requests: r.requests,
+    rateLimited: r.rate_limited,
+    chatRequests: r.chat_requests,
+    promptTokens: r.prompt_tokens,
+    completionTokens: r.completion_tokens
+  }));
+}
+
+module.exports = {
+  ANONYMOUS_KEY_ID,
+  createApiKey,
+  listApiKeys,
+  findApiKey,
+  revokeApiKey,
+  recordUsage,
+  getTokensUsed,
+  getUsage
+};
@@ -0,0 +1,112 @@
+/**
+ * Canonical URLs of European Parliament verbatim reports (CRE) for any sitting date.
+ * The term number in a document id (CRE-<term>-<date>) follows the date; doceo serves HTML, PDF and XML
+ * for terms 5–10. For terms 5 and 6 the older "sides" address (getDoc.do?pubRef=-//EP//TEXT+CRE+…) is
+ * kept as a fallback for sittings doceo does not have. Terms 1–4 have no HTML verbatim reports.
+ */
+
+const DOCEO_BASE = 'https://www.europarl.europa.eu/doceo/document';
+const SIDES_BASE = 'https://www.europarl.europa.eu/sides/getDoc.do';
+
+/** EP terms, newest first: first sitting day of each */
+const TERMS = [
+  { term: 10, start: '2024-07-16' },
+  { term: 9, start: '2019-07-02' },
+  { term: 8, start: '2014-07-01' },
+  { term: 7, start: '2009-07-14' },
+  { term: 6, start: '2004-07-20' },
+  { term: 5, start: '1999-07-20' },
+  { term: 4, start: '1994-07-19' },
+  { term: 3, start: '1989-07-25' },
+  { term: 2, start: '1984-07-24' },
+  { term: 1, start: '1979-07-17' }
+];
+/** Term of a sitting in SQL (same boundaries as TERMS); needs alias s for sittings; NULL without a date */
+const TERM_SQL = `CASE ${TERMS.map(t => `WHEN s.activity_date >= '${t.start}' THEN ${t.term}`).join(' ')} ELSE NULL END`;
+/** Earliest term with HTML verbatim reports */
+const FIRST_CRE_TERM = 5;
+/** Terms whose reports may still only be published under the sides address */
+const LAST_SIDES_TERM = 6;
+
+function urlError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_DATE';
+  return err;
+}
+
+function checkDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) throw urlError('date must be YYYY-MM-DD');
+  return String(date);
+}
+
+/** EP term of a sitting date (1 for dates before the first term; 10 when no date is given). */
+function termForDate(date) {
+  if (!date) return TERMS[0].term;
+  const found = TERMS.find(t => date >= t.start);
+  return found ? found.term : 1;
+}
+
+/**
+ * doceo URL of a sitting's verbatim report (or its table of contents).
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ lang?: string, toc?: boolean, format?: 'html'|'pdf'|'xml' }} [options]
+ */
+function creUrl(date, { lang = 'EN', toc = false, format = 'html' } = {}) {
+  checkDate(date);
+  return `${DOCEO_BASE}/CRE-${termForDate(date)}-${date}${toc ? '-TOC' : ''}_${String(lang).toUpperCase()}.${format}`;
+}
+
+/** Older sides address of a report (terms 5–6): pubRef=-//EP//TEXT+CRE+YYYYMMDD+ITEMS|TOC+DOC+XML+V0//LANG */
+function sidesCreUrl(date, { lang = 'EN', toc = false } = {}) {
+  checkDate(date);
+  const pubRef = `-//EP//TEXT+CRE+${date.replace(/-/g, '')}+${toc ? 'TOC' : 'ITEMS'}+DOC+XML+V0//${String(lang).toUpperCase()}`;
+  return `${SIDES_BASE}?pubRef=${pubRef}&language=${String(lang).toUpperCase()}`;
+}
+
+/**
+ * Addresses to try for a report, in order: doceo, then (terms 5–6) the sides format.
+ * @returns {{ source: 'doceo'|'sides', url: string }[]}
+ */
+function creUrlCandidates(date, { lang = 'EN', toc = false } = {}) {
+  const candidates = [{ source: 'doceo', url: creUrl(date, { lang, toc }) }];
+  const term = termForDate(date);
+  if (term >= FIRST_CRE_TERM && term <= LAST_SIDES_TERM) candidates.push({ source: 'sides', url: sidesCreUrl(date, { lang, toc }) });
+  return candidates;
+}
+
+/** doceo URL of one agenda item of a report, from its document id (e.g. CRE-9-2020-11-11-ITM-003). */
+function creItemUrl(docIdentifier, { lang = 'EN' } = {}) {
+  return `${DOCEO_BASE}/${docIdentifier}_${String(lang).toUpperCase()}.html`;
+}
+
+/**
+ * All public links for a sitting's report.
+ * @returns {{ term: number, lang: string, available: boolean, html: string, toc: string, pdf: string, xml: string, sides?: string }}
+ *   available: false for terms 1–4 (the URLs follow the pattern but no HTML report exists)
+ */
+function creLinks(date, { lang = 'EN' } = {}) {
+  const term = termForDate(checkDate(date));
+  const links = {
+    term,
+    lang: String(lang).toUpperCase(),
+    available: term >= FIRST_CRE_TERM,
+    html: creUrl(date, { lang }),
+    toc: creUrl(date, { lang, toc: true }),
+    pdf: creUrl(date, { lang, format: 'pdf' }),
+    xml: creUrl(date, { lang, format: 'xml' })
+  };
+  if (term >= FIRST_CRE_TERM && term <= LAST_SIDES_TERM) links.sides = sidesCreUrl(date, { lang });
+  return links;
+}
+
+module.exports = {
+  TERMS,
+  TERM_SQL,
+  FIRST_CRE_TERM,
+  termForDate,
+  creUrl,
+  sidesCreUrl,
+  creUrlCandidates,
+  creItemUrl,
+  creLinks
+};
@@ -0,0 +1,142 @@
+/**
+ * Minimal cron expression support for the in-process scheduler (server/scheduler.js).
+ * Five fields: minute hour day-of-month month day-of-week, in server local time.
+ * Each field accepts *, numbers, ranges (1-5), lists (1,3,5), steps (*\/15, 8-18/2) and
+ * month/weekday names (jan, mon). Shortcuts: @hourly, @daily, @weekly, @monthly.
+ * As in Vixie cron, when both day fields are restricted a day matches if either does.
+ */
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+/** Give up after this many candidate steps (e.g. "0 0 31 2 *" never matches). */
+const MAX_SEARCH_STEPS = 100000;
+
+function invalid(expr, reason) {
+  const err = new Error(`Invalid cron expression "${expr}": ${reason}`);
+  err.code = 'INVALID_CRON';
+  return err;
+}
+
+function parseValue(text, field, expr) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.nameOffset;
+  if (!/^\d+$/.test(text)) throw invalid(expr, `bad ${field.name} value "${text}"`);
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw invalid(expr, `${field.name} ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/** Expand one field into the set of allowed values. */
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText == null ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText != null && !/^\d+$/.test(stepText))) throw invalid(expr, `bad step in "${part}"`);
+
+    let from;
+    let to;
+    if (rangeText === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (rangeText.includes('-')) {
+      const [a, b] = rangeText.split('-');
+      from = parseValue(a, field, expr);
+      to = parseValue(b, field, expr);
+      if (from > to) throw invalid(expr, `bad range "${rangeText}"`);
+    } else {
+      from = parseValue(rangeText, field, expr);
+      to = stepText == null ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression. Throws an Error with code INVALID_CRON when malformed.
+ * @param {string} expr
+ * @returns {{ expr: string, minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>, weekdays: Set<number>, dayRestricted: boolean, weekdayRestricted: boolean }}
+ */
+function parseCron(expr) {
+  const source = String(expr || '').trim();
+  const normalized = SHORTCUTS[source.toLowerCase()] || source;
+  const parts = normalized.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) throw invalid(source, 'expected 5 fields (minute hour day month weekday)');
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i], source));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return {
+    expr: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    dayRestricted: !parts[2].startsWith('*'),
+    weekdayRestricted: !parts[4].startsWith('*')
+  };
+}
+
+function dayMatches(schedule, date) {
+  const dom = schedule.days.has(date.getDate());
+  const dow = schedule.weekdays.has(date.getDay());
+  if (schedule.dayRestricted && schedule.weekdayRestricted) return dom || dow;
+  if (schedule.dayRestricted) return dom;
+  if (schedule.weekdayRestricted) return dow;
+  return true;
+}
+
+/**
+ * Next time (strictly after `from`) the schedule fires, or null if it never does.
+ * @param {string|object} schedule - expression or parseCron() result
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+function nextRun(schedule, from = new Date()) {
+  const s = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!s.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(s, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!s.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!s.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,26 @@
+/**
+ * Promise wrappers for the sqlite3 callback API, shared by every module that queries the database.
+ */
+
+/** db.run; resolves with the statement (lastID, changes). */
+function runAsync(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      return err ? reject(err) : resolve(this);
+    });
+  });
+}
+
+function getAsync(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function allAsync(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+module.exports = { runAsync, getAsync, allAsync };
@@ -1,22 +1,31 @@
 /**
  * EU Parliament speech language detection (CLD3 + franc + EU heuristics).
  * Used by refresh/rebuild to set `language` on individual_speeches (ISO 639-1, e.g. EN, FR).
- * Does not assume English; detects and stores the detected code or NULL when uncertain.
+ * Does not assume English; detects and stores the detected code or NULL when uncertain, together with
+ * the confidence, the detector that decided and any languages other detectors proposed (migration 011).
  */
 
 const { loadModule } = require('cld3-asm');
 const franc = require('franc').franc;
 const langs = require('langs');
+const { ensureSchema } = require('./migrate');
+const { detectLanguageMarker } = require('./parse-helpers');
 
 const TABLE = 'individual_speeches';
 const ID_COL = 'id';
 const TEXT_COL = 'speech_content';
 const LANG_COL = 'language';
+const CONFIDENCE_COL = 'language_confidence';
+const METHOD_COL = 'language_method';
+const ALTERNATIVES_COL = 'language_alternatives';
+const REVIEWED_COL = 'language_reviewed_at';
 
 const CLD3_MIN_PROB = 0.60;
 const CHUNK_SIZE = 600;
 const MAX_TEXT = 50000;
 const DEFAULT_WHEN_UNCERTAIN = null;
+/** Stored as language_method when the text is non-empty but no detector produced an EU language */
+const METHOD_UNDETECTED = 'none';
 
 const EU_ISO2 = [
   'BG', 'CS', 'DA', 'DE', 'EL', 'EN', 'ES', 'ET', 'FI', 'FR', 'GA', 'HR', 'HU',
@@ -82,7 +91,8 @@ function detectWithCLD3(cld3, text) {
   if (!res || !res.language) return null;
   const iso2 = toISO2Upper(res.language);
   if (!iso2) return null;
-  if (res.isReliable && res.probability >= CLD3_MIN_PROB) {
+  // cld3-asm reports reliability as `is_reliable` (the CLD3 C++ field name); unreliable results stay 'cld3-weak'
+  if (res.is_reliable && res.probability >= CLD3_MIN_PROB) {
     return { lang: iso2, conf: res.probability, via: 'cld3' };
   }
   return { lang: iso2, conf: res.probability || 0, via: 'cld3-weak' };
@@ -135,28 +145,27 @@ function decideLanguage(detectors, raw) {
   for (const c of candidates) byLang.set(c.lang, (byLang.get(c.lang) || 0) + 1);
   let agreed = null; let maxVotes = 0;
   for (const [lang, n] of byLang.entries()) if (n > maxVotes) { maxVotes = n; agreed = lang; }
-  if (maxVotes >= 2) return candidates.find(c => c.lang === agreed);
+  const withAlternatives = (chosen) => {
+    const alternatives = [...byLang.keys()].filter(lang => lang !== chosen.lang);
+    return alternatives.length ? { ...chosen, alternatives } : chosen;
+  };
+  if (maxVotes >= 2) return withAlternatives(candidates.find(c => c.lang === agreed));
 
   const pref = candidates.find(c => c.via.startsWith('cld3'))
     || candidates.find(c => c.via === 'franc');
   if (francRes && (francRes.lang === 'EL' || francRes.lang === 'MT') && (!pref || pref.conf < 0.7)) {
-    return francRes;
+    return withAlternatives(francRes);
   }
-  return pref || candidates[0];
+  return withAlternatives(pref || candidates[0]);
 }
 
 /**
- * Ensure individual_speeches has a language column. Idempotent.
+ * Ensure individual_speeches has a language column (migration 003). Idempotent.
  * @param {object} db - sqlite3 Database instance
- * @returns {Promise<void>}
+ * @returns {Promise<object>}
  */
 function ensureLanguageColumn(db) {
-  return new Promise((resolve, reject) => {
-    db.run(`ALTER TABLE ${TABLE} ADD COLUMN ${LANG_COL} TEXT`, (err) => {
-      if (err && !String(err.message).includes('duplicate column name')) return reject(err);
-      resolve();
-    });
-  });
+  return ensureSchema(db);
 }
 
 /**
@@ -181,21 +190,26 @@ function detectLanguage(detectors, text) {
 }
 
 /**
- * Run language detection on the database and update the language column.
+ * Run language detection on the database and update language, confidence, method and alternatives.
+ * Speeches whose language a curator reviewed are never re-detected.
  * @param {object} db - sqlite3 Database instance
  * @param {object} options
  * @param {boolean} [options.onlyNull=true] - if true, only update rows where language IS NULL
  * @param {function} [options.log] - log function (default no-op)
  * @param {number} [options.batchSize=500] - rows per transaction
+ * @param {function} [options.onProgress] - called as (processed, total) after each batch
+ * @param {AbortSignal} [options.signal] - stop after the current batch when aborted
  * @returns {Promise<{ updated: number, total: number, byLang: object }>}
  */
 function runDetectionOnDb(db, options = {}) {
   const log = options.log || (() => {});
   const onlyNull = options.onlyNull !== false;
   const batchSize = options.batchSize || 500;
+  const onProgress = options.onProgress || (() => {});
+  const signal = options.signal;
 
   return ensureLanguageColumn(db).then(() => new Promise((resolve, reject) => {
-    const where = onlyNull ? ` WHERE ${LANG_COL} IS NULL` : '';
+    const where = ` WHERE ${REVIEWED_COL} IS NULL${onlyNull ? ` AND ${LANG_COL} IS NULL` : ''}`;
     db.all(
       `SELECT ${ID_COL} AS id, ${TEXT_COL} AS text FROM ${TABLE}${where} ORDER BY ${ID_COL}`,
       [],
@@ -215,20 +229,29 @@ function runDetectionOnDb(db, options = {}) {
           return reject(e);
         }
 
-        const updateStmt = db.prepare(`UPDATE ${TABLE} SET ${LANG_COL} = ? WHERE ${ID_COL} = ?`);
+        const updateStmt = db.prepare(
+          `UPDATE ${TABLE} SET ${LANG_COL} = ?, ${CONFIDENCE_COL} = ?, ${METHOD_COL} = ?, ${ALTERNATIVES_COL} = ? WHERE ${ID_COL} = ?`
+        );
         const tallies = Object.create(null);
         let processed = 0;
 
         function runBatch(offset, callback) {
           const batch = rows.slice(offset, offset + batchSize);
           if (batch.length === 0) return callback(null);
+          if (signal && signal.aborted) {
+            log(`[LANG] Cancelled after ${processed}/${total} speeches.`);
+            return updateStmt.finalize(() => callback(null));
+          }
 
           db.run('BEGIN', (beginErr) => {
             if (beginErr) return callback(beginErr);
             let done = 0;
             for (const row of batch) {
-              const lang = detectLanguage(detectors, row.text);
-              updateStmt.run(lang, row.id, (runErr) => {
+              const decision = decideLanguage(detectors, row.text);
+              const lang = decision ? decision.lang : DEFAULT_WHEN_UNCERTAIN;
+              const method = decision ? decision.via : (clean(row.text) ? METHOD_UNDETECTED : null);
+              const alternatives = decision && decision.alternatives ? decision.alternatives.join(',') : null;
+              updateStmt.run(lang, decision ? decision.conf : null, method, alternatives, row.id, (runErr) => {
                 if (!runErr && lang) tallies[lang] = (tallies[lang] || 0) + 1;
                 processed++;
                 if (processed % 2000 === 0) process.stdout.write(`\r[LANG] ${processed}/${total}...`);
@@ -236,6 +259,7 @@ function runDetectionOnDb(db, options = {}) {
                 if (done === batch.length) {
                   db.run('COMMIT', (commitErr) => {
                     if (commitErr) return callback(commitErr);
+                    onProgress(processed, total);
                     if (offset + batch.length < rows.length) {
                       runBatch(offset + batch.length, callback);
                     } else {
@@ -263,12 +287,58 @@ function runDetectionOnDb(db, options = {}) {
   }));
 }
 
+/**
+ * Fill original_language / language_marker from CRE interpretation markers for speeches stored before
+ * parsing recorded them (migration 012). Only rows whose text could hold a marker are scanned.
+ * @param {object} db - sqlite3 Database instance
+ * @param {{ log?: function }} [options]
+ * @returns {Promise<{ scanned: number, marked: number, updated: number }>}
+ */
+async function backfillLanguageMarkers(db, options = {}) {
+  const log = options.log || (() => {});
+  await ensureSchema(db);
+  const candidates = ['(%', '%spoke%', '%speaks%', '%speaking%', '%delivered%', '%exprime%', '%parle%', '%spricht%', '%sprach%'];
+  const rows = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT ${ID_COL} AS id, ${TEXT_COL} AS text, original_language, language_marker FROM ${TABLE}
+       WHERE ${candidates.map(() => `${TEXT_COL} LIKE ?`).join(' OR ')} OR original_language IS NOT NULL`,
+      candidates,
+      (err, result) => (err ? reject(err) : resolve(result || []))
+    );
+  });
+  const changes = [];
+  let marked = 0;
+  for (const row of rows) {
+    const marker = detectLanguageMarker(row.text);
+    if (marker) marked++;
+    const language = marker ? marker.language : null;
+    const text = marker ? marker.marker : null;
+    if (language !== row.original_language || text !== row.language_marker) changes.push([language, text, row.id]);
+  }
+  for (let i = 0; i < changes.length; i += 500) {
+    await new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('BEGIN');
+        const stmt = db.prepare(`UPDATE ${TABLE} SET original_language = ?, language_marker = ? WHERE ${ID_COL} = ?`);
+        for (const params of changes.slice(i, i + 500)) stmt.run(params);
+        stmt.finalize();
+        db.run('COMMIT', (err) => (err ? reject(err) : resolve()));
+      });
+    });
+  }
+  log(`[LANG] Interpretation markers: ${marked} of ${rows.length} scanned speeches have an original-language marker (${changes.length} updated)`);
+  return { scanned: rows.length, marked, updated: changes.length };
+}
+
 module.exports = {
   ensureLanguageColumn,
+  backfillLanguageMarkers,
   createDetector,
   detectLanguage,
   decideLanguage,
   runDetectionOnDb,
+  EU_ISO2,
+  METHOD_UNDETECTED,
   TABLE,
   LANG_COL,
   TEXT_COL,
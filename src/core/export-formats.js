@@ -0,0 +1,102 @@
+/**
+ * Row serializers for table exports (GET /api/export/speeches): CSV, JSON Lines, Parquet, XLSX.
+ * Every writer has the same shape, so the export route streams batches without caring about the format:
+ *   start() → first chunk, write(rows) → chunk per batch, finish() → last chunk.
+ * gzip: CSV and JSON Lines are gzipped as a whole (compressOutput, ".gz" extension); Parquet
+ * compresses its pages instead (still a plain .parquet file); XLSX is always zip-compressed.
+ */
+const { createParquetWriter } = require('./parquet-writer');
+const { createXlsxWriter } = require('./xlsx-writer');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  // If contains comma, quote, or newline, wrap in quotes and escape quotes
+  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+function csvWriter(columns) {
+  const names = columns.map(c => c.name);
+  return {
+    // BOM for Excel compatibility
+    start: () => '\ufeff' + names.join(',') + '\n',
+    write(rows) {
+      let out = '';
+      for (const row of rows) {
+        for (let j = 0; j < names.length; j++) {
+          if (j > 0) out += ',';
+          out += escapeCSV(row[names[j]]);
+        }
+        out += '\n';
+      }
+      return out;
+    },
+    finish: () => ''
+  };
+}
+
+function jsonlWriter(columns) {
+  const names = columns.map(c => c.name);
+  return {
+    start: () => '',
+    write(rows) {
+      let out = '';
+      for (const row of rows) {
+        const obj = {};
+        for (const name of names) obj[name] = row[name] === undefined ? null : row[name];
+        out += JSON.stringify(obj) + '\n';
+      }
+      return out;
+    },
+    finish: () => ''
+  };
+}
+
+/**
+ * @param {string} format - csv | jsonl | parquet | xlsx
+ * @param {{ name: string, type?: 'string'|'int'|'double' }[]} columns
+ * @param {{ gzip?: boolean }} [options]
+ * @returns {{ format: string, contentType: string, extension: string, compressOutput: boolean,
+ *   start(): string|Buffer, write(rows: object[]): string|Buffer, finish(): string|Buffer, stats(): object }}
+ */
+function createExportWriter(format, columns, options = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    const err = new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    err.code = 'INVALID_FORMAT';
+    throw err;
+  }
+  const gzip = !!options.gzip;
+  const compressOutput = gzip && (format === 'csv' || format === 'jsonl');
+
+  let writer;
+  if (format === 'parquet') {
+    const parquet = createParquetWriter(columns, { compression: gzip ? 'gzip' : 'none' });
+    writer = { start: parquet.start, write: parquet.writeRowGroup, finish: parquet.finish, stats: () => ({}) };
+  } else if (format === 'xlsx') {
+    const xlsx = createXlsxWriter(columns, { sheetName: 'Speeches' });
+    writer = { start: xlsx.start, write: xlsx.writeRows, finish: xlsx.finish, stats: xlsx.stats };
+  } else {
+    writer = { ...(format === 'jsonl' ? jsonlWriter(columns) : csvWriter(columns)), stats: () => ({}) };
+  }
+
+  return {
+    format,
+    contentType: compressOutput ? 'application/gzip' : spec.contentType,
+    extension: compressOutput ? `${spec.extension}.gz` : spec.extension,
+    compressOutput,
+    ...writer
+  };
+}
+
+module.exports = { EXPORT_FORMATS, createExportWriter };
@@ -0,0 +1,160 @@
+/**
+ * Political group lineage across terms. group-normalizer maps raw strings to today's canonical codes; the lineage
+ * dataset (data/group-lineage.json, path overridable via GROUP_LINEAGE_FILE) lists the group as it was called in
+ * each term, its successor in the next term and its family, e.g. EDD (5) → IND/DEM (6) → EFD (7) → EFDD (8),
+ * all "Eurosceptics". Each row: { group, term, successor, family, canonical, aliases? }.
+ * The file is read once and kept in memory; reloadLineage() picks up edits (analytics regeneration calls it).
+ * Group analytics aggregate speeches under a group basis:
+ * - canonical: today's code (PPE, Renew, …), the default
+ * - historical: the group of the speech's term (PPE-DE, ELDR, UEN, …)
+ * - family: the lineage family across terms
+ */
+const path = require('path');
+const fs = require('fs');
+const { TERMS, TERM_SQL } = require('./cre-urls');
+const { GROUP_AT_DATE_SQL } = require('./mep-affiliations');
+const { allAsync } = require('./db-async');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'group-lineage.json');
+const GROUP_BASES = ['canonical', 'historical', 'family'];
+
+function getFilePath() {
+  const env = process.env.GROUP_LINEAGE_FILE;
+  return env ? path.resolve(env) : DEFAULT_FILE;
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+/** Lineage rows with a group, a term and a family; malformed rows are skipped. */
+function loadLineage() {
+  const filePath = getFilePath();
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const rows = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return (Array.isArray(rows) ? rows : []).filter(r => r && r.group && Number.isInteger(r.term) && r.family);
+  } catch (e) {
+    console.warn('[GROUP-LINEAGE] Could not load group-lineage.json:', e.message);
+    return [];
+  }
+}
+
+let cachedLineage = null;
+
+/** Lineage rows, read from the file on first use. */
+function getLineage() {
+  if (!cachedLineage) cachedLineage = loadLineage();
+  return cachedLineage;
+}
+
+/** Re-read the lineage file (e.g. after it was edited) and return the new rows. */
+function reloadLineage() {
+  cachedLineage = loadLineage();
+  return cachedLineage;
+}
+
+function checkGroupBasis(basis = 'canonical') {
+  if (!GROUP_BASES.includes(basis)) throw invalid(`group_basis must be one of ${GROUP_BASES.join(', ')}`);
+  return basis;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mapper from a speech's { grp (canonical group at its date), raw (printed group), term } to its label under a basis.
+ * The historical group is the lineage name found in the printed group for that term (longest first, so PPE-DE
+ * before PPE), else the term's row for the canonical group; groups the lineage does not know keep their code.
+ * @param {string} basis - canonical | historical | family
+ * @param {object[]} [lineage] - defaults to getLineage()
+ */
+function groupMapper(basis, lineage = getLineage()) {
+  checkGroupBasis(basis);
+  if (basis === 'canonical') return ({ grp }) => grp;
+
+  const byTerm = new Map();
+  for (const row of lineage) {
+    if (!byTerm.has(row.term)) byTerm.set(row.term, []);
+    const names = [row.group, ...(row.aliases || [])].map(n => String(n).toUpperCase());
+    for (const name of names) {
+      byTerm.get(row.term).push({ row, name, pattern: new RegExp(`(^|[^A-Z0-9])${escapeRegExp(name)}($|[^A-Z0-9])`) });
+    }
+  }
+  for (const list of byTerm.values()) list.sort((a, b) => b.name.length - a.name.length);
+  const familyOf = new Map(lineage.map(r => [r.group, r.family]));
+
+  const historical = ({ grp, raw, term }) => {
+    const candidates = byTerm.get(term || TERMS[0].term) || [];
+    const text = raw ? String(raw).toUpperCase() : '';
+    const printed = text && candidates.find(c => c.pattern.test(text));
+    if (printed) return printed.row;
+    const rows = candidates.map(c => c.row).filter(r => r.canonical === grp);
+    return rows.find(r => r.group === grp) || rows[0] || null;
+  };
+
+  if (basis === 'historical') {
+    return (speech) => {
+      const row = historical(speech);
+      return row ? row.group : speech.grp;
+    };
+  }
+  return (speech) => {
+    const row = historical(speech);
+    return row ? row.family : (familyOf.get(speech.grp) || speech.grp);
+  };
+}
+
+/**
+ * Speech counts per macro topic and group under a historical or family basis (the canonical basis is computed in
+ * SQL by the callers). Each speech is first attributed to its group at the sitting date (mep_affiliations).
+ * @param {{ basis: string, topics: string[], topGroups?: number }} options - topics: raw macro_topic values
+ * @returns {Promise<{ groups: string[], rows: { topic: string, grp: string, cnt: number }[] }>}
+ */
+async function aggregateByGroup(db, { basis, topics, topGroups = 10 }) {
+  const label = groupMapper(basis);
+  const source = `
+    SELECT i.macro_topic AS topic, ${GROUP_AT_DATE_SQL} AS grp, i.political_group AS raw, ${TERM_SQL} AS term
+    FROM individual_speeches i
+    LEFT JOIN sittings s ON s.id = i.sitting_id`;
+
+  const totals = new Map();
+  const all = await allAsync(db, `SELECT grp, raw, term, COUNT(*) AS cnt FROM (${source}) WHERE grp IS NOT NULL AND TRIM(grp)<>'' GROUP BY grp, raw, term`);
+  for (const r of all) {
+    const key = label(r);
+    totals.set(key, (totals.get(key) || 0) + r.cnt);
+  }
+  const groups = Array.from(totals.entries()).sort((a, b) => b[1] - a[1]).slice(0, topGroups).map(([key]) => key);
+  if (!topics.length || !groups.length) return { groups, rows: [] };
+
+  const counts = new Map();
+  const byTopic = await allAsync(db, `
+    SELECT topic, grp, raw, term, COUNT(*) AS cnt
+    FROM (${source} WHERE i.macro_topic IN (${topics.map(() => '?').join(',')}))
+    WHERE grp IS NOT NULL
+    GROUP BY topic, grp, raw, term`, topics);
+  for (const r of byTopic) {
+    const grp = label(r);
+    if (!groups.includes(grp)) continue;
+    const key = `${r.topic}\t${grp}`;
+    counts.set(key, (counts.get(key) || 0) + r.cnt);
+  }
+  const rows = Array.from(counts.entries()).map(([key, cnt]) => {
+    const [topic, grp] = key.split('\t');
+    return { topic, grp, cnt };
+  });
+  return { groups, rows };
+}
+
+module.exports = {
+  GROUP_BASES,
+  loadLineage,
+  getLineage,
+  reloadLineage,
+  checkGroupBasis,
+  groupMapper,
+  aggregateByGroup
+};
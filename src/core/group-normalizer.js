@@ -17,7 +17,13 @@ const fs = require('fs');
 
 // Database connection (same DB as rest of app)
 const { DB_PATH } = require('./db');
-const db = new sqlite3.Database(DB_PATH);
+const { ensureSchema } = require('./migrate');
+// Opened on first use, so requiring this module (e.g. from tests) does not touch the DB
+let db = null;
+function getDb() {
+  if (!db) db = new sqlite3.Database(DB_PATH);
+  return db;
+}
 
 // Canonical political groups (ONLY these are valid political groups)
 const CANONICAL_GROUPS = {
@@ -572,62 +578,11 @@ function normalizePoliticalGroup(rawText) {
 }
 
 /**
- * Add new columns to database if they don't exist
+ * Ensure political_group_* columns exist (migration 004)
  */
 async function ensureColumns() {
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Check existing columns
-      db.all("PRAGMA table_info(individual_speeches)", (err, columns) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        const columnNames = columns.map(col => col.name);
-        const columnsToAdd = [];
-
-        if (!columnNames.includes('political_group_raw')) {
-          columnsToAdd.push('political_group_raw TEXT');
-        }
-        if (!columnNames.includes('political_group_std')) {
-          columnsToAdd.push('political_group_std TEXT');
-        }
-        if (!columnNames.includes('political_group_kind')) {
-          columnsToAdd.push('political_group_kind TEXT');
-        }
-        if (!columnNames.includes('political_group_reason')) {
-          columnsToAdd.push('political_group_reason TEXT');
-        }
-
-        if (columnsToAdd.length === 0) {
-          console.log('✅ [SCHEMA] All columns already exist');
-          resolve();
-          return;
-        }
-
-        console.log(`⚙️ [SCHEMA] Adding ${columnsToAdd.length} new columns...`);
-
-        const addColumnPromises = columnsToAdd.map(columnDef => {
-          return new Promise((addResolve, addReject) => {
-            db.run(`ALTER TABLE individual_speeches ADD COLUMN ${columnDef}`, (err) => {
-              if (err) {
-                console.error(`❌ [SCHEMA] Error adding column ${columnDef}:`, err);
-                addReject(err);
-              } else {
-                console.log(`✅ [SCHEMA] Added column: ${columnDef}`);
-                addResolve();
-              }
-            });
-          });
-        });
-
-        Promise.all(addColumnPromises)
-          .then(() => resolve())
-          .catch(reject);
-      });
-    });
-  });
+  const result = await ensureSchema(getDb(), console.log);
+  console.log(`✅ [SCHEMA] Schema at version ${result.current}`);
 }
 
 /**
@@ -635,6 +590,7 @@ async function ensureColumns() {
  */
 async function analyzeAndNormalize(options = {}) {
   const { apply = false, overwriteLegacy = false, limit = null, fromId = null } = options;
+  const db = getDb();
 
   return new Promise((resolve, reject) => {
     console.log('🧹 [NORMALIZER] Starting data-driven political groups analysis...');
@@ -759,6 +715,7 @@ async function analyzeAndNormalize(options = {}) {
  * Apply normalizations to database
  */
 async function applyNormalizations(mappings, overwriteLegacy = false) {
+  const db = getDb();
   return new Promise((resolve, reject) => {
     db.serialize(() => {
       db.run('BEGIN TRANSACTION');
@@ -1034,7 +991,7 @@ async function main() {
     console.error('❌ [MAIN] Error:', error);
     process.exit(1);
   } finally {
-    db.close();
+    if (db) db.close();
   }
 }
 
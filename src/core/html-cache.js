@@ -0,0 +1,274 @@
+/**
+ * On-disk cache / mirror of EU Parliament verbatim report (CRE) HTML.
+ * Bodies are stored content-addressed (gzip, named by SHA-256 of the HTML) under objects/;
+ * index/<LANG>/<date>[-TOC][.<source>].json maps a document to its blob plus ETag / Last-Modified
+ * (source is set for fallback addresses, e.g. "sides" for older reports; see core/cre-urls).
+ * Entries are revalidated with conditional requests once they are older than their max age;
+ * recent sittings (provisional editions still change) are rechecked daily, older ones monthly.
+ * 404s are cached too, so non-sitting days are not requested again until they expire.
+ *
+ * Offline mode (OFFLINE=1) never touches the network: hits are served from disk and misses
+ * throw an Error with code CACHE_MISS. With HTTP_FIXTURES set the cache is bypassed entirely.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { http, fixtureMode } = require('./http-client');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const CACHE_DIR = process.env.HTML_CACHE_DIR || path.join(__dirname, '..', '..', 'data', 'html-cache');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; EUROWATCH/1.0)';
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Sittings younger than this are still revised (provisional → final edition). */
+const RECENT_SITTING_DAYS = 60;
+const RECENT_MAX_AGE_MS = DAY_MS;
+const SETTLED_MAX_AGE_MS = 30 * DAY_MS;
+
+const inFlight = new Map();
+
+/** Read at call time so a .env loaded after this module is required still applies. */
+function isOffline() {
+  return /^(1|true|yes)$/i.test(String(process.env.OFFLINE || ''));
+}
+
+function indexPath(key) {
+  return path.join(CACHE_DIR, 'index', key.lang, `${key.date}${key.toc ? '-TOC' : ''}${key.source ? `.${key.source}` : ''}.json`);
+}
+
+function blobPath(hash) {
+  return path.join(CACHE_DIR, 'objects', hash.slice(0, 2), `${hash}.html.gz`);
+}
+
+/** Write via a temp file + rename so readers never see a half-written file. */
+async function writeAtomic(file, data) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+}
+
+async function readEntry(key) {
+  try {
+    return JSON.parse(await fs.promises.readFile(indexPath(key), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function readBlob(hash) {
+  try {
+    return (await gunzip(await fs.promises.readFile(blobPath(hash)))).toString('utf8');
+  } catch (_) {
+    return null;
+  }
+}
+
+async function writeBlob(html) {
+  const hash = crypto.createHash('sha256').update(html, 'utf8').digest('hex');
+  const file = blobPath(hash);
+  if (!fs.existsSync(file)) await writeAtomic(file, await gzip(Buffer.from(html, 'utf8')));
+  return hash;
+}
+
+function maxAgeFor(date) {
+  const age = Date.now() - new Date(date).getTime();
+  return age > RECENT_SITTING_DAYS * DAY_MS ? SETTLED_MAX_AGE_MS : RECENT_MAX_AGE_MS;
+}
+
+/** Same shape as an axios 404 (err.response.status), so callers need not care whether it was cached. */
+function notFoundError(entry) {
+  const err = new Error(`Request failed with status code 404 (${entry.url})`);
+  err.response = { status: 404 };
+  err.fromCache = true;
+  return err;
+}
+
+function cacheMissError(key, url) {
+  const err = new Error(`Offline mode: ${url} is not in the HTML cache (${CACHE_DIR})`);
+  err.code = 'CACHE_MISS';
+  err.key = key;
+  return err;
+}
+
+async function serveEntry(entry) {
+  if (entry.status === 404) throw notFoundError(entry);
+  const html = await readBlob(entry.hash);
+  if (html == null) throw new Error(`HTML cache blob missing for ${entry.url}`);
+  return html;
+}
+
+async function revalidate(key, url, entry, options) {
+  const headers = { 'User-Agent': USER_AGENT };
+  const usable = entry && entry.status === 200 && fs.existsSync(blobPath(entry.hash));
+  if (usable && entry.etag) headers['If-None-Match'] = entry.etag;
+  if (usable && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+  let res;
+  try {
+    res = await http.get(url, {
+      headers,
+      timeout: options.timeout || 25000,
+      responseType: 'text',
+      validateStatus: (s) => (s >= 200 && s < 300) || s === 304
+    });
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 404) {
+      await writeAtomic(indexPath(key), JSON.stringify({ url, status: 404, fetchedAt: Date.now(), checkedAt: Date.now() }));
+      throw err;
+    }
+    // Network trouble or a 5xx: a stale copy beats no copy
+    if (usable) {
+      console.warn(`[HTML-CACHE] ${url} unreachable (${err.message}); serving cached copy from ${new Date(entry.fetchedAt).toISOString()}`);
+      return serveEntry(entry);
+    }
+    throw err;
+  }
+
+  if (res.status === 304 && usable) {
+    await writeAtomic(indexPath(key), JSON.stringify({ ...entry, checkedAt: Date.now() }));
+    return serveEntry(entry);
+  }
+
+  const html = typeof res.data === 'string' ? res.data : String(res.data);
+  const hash = await writeBlob(html);
+  await writeAtomic(indexPath(key), JSON.stringify({
+    url,
+    status: 200,
+    hash,
+    size: Buffer.byteLength(html, 'utf8'),
+    etag: res.headers.etag || null,
+    lastModified: res.headers['last-modified'] || null,
+    fetchedAt: Date.now(),
+    checkedAt: Date.now()
+  }));
+  return html;
+}
+
+/**
+ * Fetch a CRE document through the cache.
+ * @param {{ date: string, lang: string, toc?: boolean, source?: string }} key
+ * @param {string} url
+ * @param {{ timeout?: number, revalidate?: boolean }} [options] - revalidate forces a conditional request
+ * @returns {Promise<string>} HTML
+ */
+async function fetchCached(key, url, options = {}) {
+  const normalized = { date: key.date, lang: String(key.lang || 'EN').toUpperCase(), toc: !!key.toc, source: key.source };
+  // A forced revalidation must not be answered by a concurrent plain (possibly cached) read
+  const id = `${indexPath(normalized)}${options.revalidate ? '#revalidate' : ''}`;
+  if (inFlight.has(id)) return inFlight.get(id);
+
+  const p = (async () => {
+    // Fixture runs (core/http-client) must see every request: the disk cache would hide them
+    if (fixtureMode()) {
+      const res = await http.get(url, { headers: { 'User-Agent': USER_AGENT }, timeout: options.timeout || 25000, responseType: 'text' });
+      return typeof res.data === 'string' ? res.data : String(res.data);
+    }
+    const entry = await readEntry(normalized);
+    if (isOffline()) {
+      if (!entry) throw cacheMissError(normalized, url);
+      return serveEntry(entry);
+    }
+    const fresh = entry && !options.revalidate && Date.now() - entry.checkedAt < maxAgeFor(normalized.date);
+    if (fresh && (entry.status === 404 || fs.existsSync(blobPath(entry.hash)))) return serveEntry(entry);
+    return revalidate(normalized, url, entry, options);
+  })();
+  inFlight.set(id, p);
+  try {
+    return await p;
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/** True when the document (or its cached 404) is on disk; used by the mirror command. */
+async function isCached(key) {
+  const entry = await readEntry({ date: key.date, lang: String(key.lang || 'EN').toUpperCase(), toc: !!key.toc });
+  return !!entry && (entry.status === 404 || fs.existsSync(blobPath(entry.hash)));
+}
+
+async function listFiles(dir) {
+  const out = [];
+  let names;
+  try {
+    names = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (_) {
+    return out;
+  }
+  for (const d of names) {
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) out.push(...await listFiles(full));
+    else out.push(full);
+  }
+  return out;
+}
+
+/**
+ * Cache contents: document / 404 counts, blob count and compressed size.
+ * @returns {Promise<{ dir: string, offline: boolean, documents: number, notFound: number, blobs: number, bytes: number, byLang: object }>}
+ */
+async function getCacheStats() {
+  const stats = { dir: CACHE_DIR, offline: isOffline(), documents: 0, notFound: 0, blobs: 0, bytes: 0, byLang: {} };
+  for (const file of await listFiles(path.join(CACHE_DIR, 'index'))) {
+    if (!file.endsWith('.json')) continue;
+    const lang = path.basename(path.dirname(file));
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (_) {
+      continue;
+    }
+    if (entry.status === 404) {
+      stats.notFound++;
+    } else {
+      stats.documents++;
+      stats.byLang[lang] = (stats.byLang[lang] || 0) + 1;
+    }
+  }
+  for (const file of await listFiles(path.join(CACHE_DIR, 'objects'))) {
+    if (!file.endsWith('.html.gz')) continue;
+    stats.blobs++;
+    stats.bytes += (await fs.promises.stat(file)).size;
+  }
+  return stats;
+}
+
+/**
+ * Delete blobs no index entry points to (left behind when a document changed upstream).
+ * @returns {Promise<{ removed: number, bytes: number }>}
+ */
+async function collectGarbage() {
+  const referenced = new Set();
+  for (const file of await listFiles(path.join(CACHE_DIR, 'index'))) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (entry.hash) referenced.add(entry.hash);
+    } catch (_) { /* unreadable entry: its blob is unreachable anyway */ }
+  }
+  let removed = 0;
+  let bytes = 0;
+  for (const file of await listFiles(path.join(CACHE_DIR, 'objects'))) {
+    if (!file.endsWith('.html.gz')) continue;
+    const hash = path.basename(file).replace(/\.html\.gz$/, '');
+    if (referenced.has(hash)) continue;
+    bytes += (await fs.promises.stat(file)).size;
+    await fs.promises.unlink(file);
+    removed++;
+  }
+  return { removed, bytes };
+}
+
+module.exports = {
+  CACHE_DIR,
+  isOffline,
+  fetchCached,
+  isCached,
+  getCacheStats,
+  collectGarbage
+};
@@ -0,0 +1,125 @@
+/**
+ * Shared axios instance for every outbound request (Europarl data API and CRE site),
+ * with an optional record/replay fixture layer for deterministic tests and offline demos.
+ *
+ * HTTP_FIXTURES=record  perform requests normally and save each response (including 4xx/5xx)
+ *                       as a fixture file
+ * HTTP_FIXTURES=replay  never touch the network: answer from fixture files; a request without
+ *                       a fixture fails with an Error with code FIXTURE_MISSING
+ * HTTP_FIXTURES_DIR     fixture directory (default test/fixtures/http)
+ *
+ * Fixtures are keyed by method, URL, sorted query params and request body; one JSON file per
+ * request under <dir>/<host>/, readable and safe to edit by hand.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const settle = require('axios/lib/core/settle');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'test', 'fixtures', 'http');
+/** Response headers worth keeping; the rest (dates, cookies, tracing ids) only make fixtures noisy. */
+const KEPT_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+/** 'record' | 'replay' | null. Read at call time so a .env loaded later still applies. */
+function fixtureMode() {
+  const mode = String(process.env.HTTP_FIXTURES || '').trim().toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+}
+
+function fixturesDir() {
+  return process.env.HTTP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/** Canonical description of a request: the part of the config that decides the response. */
+function describeRequest(config) {
+  const url = new URL(config.url, config.baseURL);
+  const params = config.params || {};
+  for (const key of Object.keys(params).sort()) {
+    if (params[key] != null) url.searchParams.append(key, String(params[key]));
+  }
+  url.searchParams.sort();
+  const body = config.data == null ? null : (typeof config.data === 'string' ? config.data : JSON.stringify(config.data));
+  return { method: (config.method || 'get').toUpperCase(), url: url.toString(), body };
+}
+
+function fixturePath(request) {
+  const url = new URL(request.url);
+  const hash = crypto.createHash('sha1')
+    .update(`${request.method} ${request.url}\n${request.body || ''}`)
+    .digest('hex')
+    .slice(0, 12);
+  const slug = url.pathname.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80) || 'root';
+  return path.join(fixturesDir(), url.host.replace(/:/g, '_'), `${request.method.toLowerCase()}-${slug}-${hash}.json`);
+}
+
+function missingFixtureError(request, file) {
+  const err = new Error(`No HTTP fixture for ${request.method} ${request.url} (expected ${file}); record it with HTTP_FIXTURES=record`);
+  err.code = 'FIXTURE_MISSING';
+  return err;
+}
+
+function serializeResponse(response) {
+  const headers = {};
+  for (const name of KEPT_HEADERS) {
+    if (response.headers && response.headers[name] != null) headers[name] = response.headers[name];
+  }
+  const fixture = { status: response.status, statusText: response.statusText || '', headers };
+  const data = response.data;
+  const text = Buffer.isBuffer(data) ? data.toString('utf8') : (typeof data === 'string' ? data : JSON.stringify(data));
+  // JSON bodies are stored parsed so fixtures diff and read well; everything else as text
+  if (/json/i.test(headers['content-type'] || '')) {
+    try {
+      fixture.json = JSON.parse(text);
+      return fixture;
+    } catch (_) { /* not actually JSON: keep the text */ }
+  }
+  fixture.body = text;
+  return fixture;
+}
+
+async function recordResponse(request, response) {
+  const file = fixturePath(request);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const fixture = { request, response: serializeResponse(response), recordedAt: new Date().toISOString() };
+  await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2) + '\n');
+}
+
+async function replayResponse(config, request) {
+  const file = fixturePath(request);
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (_) {
+    throw missingFixtureError(request, file);
+  }
+  const saved = fixture.response;
+  const data = saved.json !== undefined ? JSON.stringify(saved.json) : saved.body;
+  const response = { data, status: saved.status, statusText: saved.statusText, headers: saved.headers || {}, config, request: {} };
+  // settle() applies validateStatus and builds the same AxiosError (err.response.status) a live request would
+  return new Promise((resolve, reject) => settle(resolve, reject, response));
+}
+
+const defaultAdapter = axios.defaults.adapter;
+
+async function fixtureAdapter(config) {
+  const mode = fixtureMode();
+  if (!mode) return defaultAdapter(config);
+
+  const request = describeRequest(config);
+  if (mode === 'replay') return replayResponse(config, request);
+
+  try {
+    const response = await defaultAdapter(config);
+    await recordResponse(request, response);
+    return response;
+  } catch (err) {
+    // HTTP errors are part of the recording (a 404 means "no sitting that day"); network errors are not
+    if (err.response) await recordResponse(request, err.response);
+    throw err;
+  }
+}
+
+const http = axios.create({ adapter: fixtureAdapter });
+
+module.exports = { http, fixtureMode, fixturesDir };
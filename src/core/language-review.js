@@ -0,0 +1,131 @@
+/**
+ * Review queue for detected speech languages (columns from migration 011).
+ * Speeches land in the queue when the detector was unsure (confidence below a threshold), when
+ * detectors disagreed, or when a non-empty text got no language. A curator confirms or corrects
+ * the language; reviewed speeches leave the queue and are skipped by runDetectionOnDb.
+ */
+const { ensureSchema } = require('./migrate');
+const { EU_ISO2, METHOD_UNDETECTED } = require('./detect-language');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+/** franc-only decisions (fixed confidence 0.75) and weak CLD3 results fall below this */
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+const REASONS = ['all', 'low-confidence', 'disagreement', 'undetected'];
+const EXCERPT_LENGTH = 400;
+
+function reviewError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** SQL condition (on alias i) and params for one queue reason. */
+function reasonClause(reason, minConfidence) {
+  const low = 'i.language_confidence < ?';
+  const disagreement = 'i.language_alternatives IS NOT NULL';
+  const undetected = `i.language_method = '${METHOD_UNDETECTED}'`;
+  if (reason === 'low-confidence') return { sql: low, params: [minConfidence] };
+  if (reason === 'disagreement') return { sql: disagreement, params: [] };
+  if (reason === 'undetected') return { sql: undetected, params: [] };
+  return { sql: `(${low} OR ${disagreement} OR ${undetected})`, params: [minConfidence] };
+}
+
+/**
+ * Unreviewed speeches whose detected language needs a look, least confident first.
+ * @param {{ reason?: string, minConfidence?: number, language?: string, limit?: number, offset?: number }} options
+ * @returns {Promise<{ total: number, items: object[] }>}
+ */
+async function listReviewQueue(db, { reason = 'all', minConfidence = DEFAULT_MIN_CONFIDENCE, language, limit = 50, offset = 0 } = {}) {
+  await ensureSchema(db);
+  if (!REASONS.includes(reason)) {
+    throw reviewError('INVALID_FILTER', `reason must be one of ${REASONS.join(', ')}`);
+  }
+  const threshold = Number(minConfidence);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw reviewError('INVALID_FILTER', 'min_confidence must be between 0 and 1');
+  }
+  const clause = reasonClause(reason, threshold);
+  let where = `WHERE i.language_reviewed_at IS NULL AND ${clause.sql}`;
+  const params = [...clause.params];
+  if (language) {
+    where += ' AND i.language = ?';
+    params.push(String(language).toUpperCase());
+  }
+
+  const { total } = await getAsync(db, `SELECT COUNT(*) AS total FROM individual_speeches i ${where}`, params);
+  const rows = await allAsync(db, `
+    SELECT i.id, i.sitting_id, i.speech_order, i.speaker_name, i.political_group, i.title, s.activity_date AS date,
+      i.language, i.language_confidence, i.language_method, i.language_alternatives,
+      substr(i.speech_content, 1, ${EXCERPT_LENGTH}) AS excerpt
+    FROM individual_speeches i
+    LEFT JOIN sittings s ON s.id = i.sitting_id
+    ${where}
+    ORDER BY i.language_confidence IS NOT NULL, i.language_confidence, i.id
+    LIMIT ? OFFSET ?`, [...params, limit, offset]);
+
+  return {
+    total,
+    items: rows.map(row => ({
+      id: row.id,
+      sitting_id: row.sitting_id,
+      speech_order: row.speech_order,
+      date: row.date,
+      speaker_name: row.speaker_name,
+      political_group: row.political_group,
+      title: row.title,
+      language: row.language,
+      confidence: row.language_confidence,
+      method: row.language_method,
+      alternatives: row.language_alternatives ? row.language_alternatives.split(',') : [],
+      excerpt: row.excerpt
+    }))
+  };
+}
+
+/**
+ * Confirm or correct a speech's language. The speech leaves the review queue and keeps this language
+ * through later detection runs (language_method becomes 'review', confidence 1).
+ * @param {string} language - EU ISO 639-1 code (EN, FR, …)
+ * @param {string} reviewer - username recorded with the review
+ */
+async function reviewLanguage(db, speechId, language, reviewer) {
+  await ensureSchema(db);
+  const code = String(language || '').trim().toUpperCase();
+  if (!EU_ISO2.includes(code)) {
+    throw reviewError('INVALID_LANGUAGE', `language must be one of ${EU_ISO2.join(', ')}`);
+  }
+  const speech = await getAsync(db, 'SELECT id, language FROM individual_speeches WHERE id = ?', [speechId]);
+  if (!speech) throw reviewError('SPEECH_NOT_FOUND', `Speech ${speechId} not found`);
+  await runAsync(db, `
+    UPDATE individual_speeches
+    SET language = ?, language_confidence = 1, language_method = 'review', language_alternatives = NULL,
+      language_reviewed_by = ?, language_reviewed_at = ?
+    WHERE id = ?`, [code, reviewer || null, Date.now(), speech.id]);
+  return { id: speech.id, language: code, previous: speech.language, corrected: speech.language !== code };
+}
+
+/** Counts per queue reason (unreviewed) and how many speeches were reviewed. */
+async function getReviewStats(db, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  await ensureSchema(db);
+  const row = await getAsync(db, `
+    SELECT
+      SUM(CASE WHEN language_reviewed_at IS NULL AND language_confidence < ? THEN 1 ELSE 0 END) AS low_confidence,
+      SUM(CASE WHEN language_reviewed_at IS NULL AND language_alternatives IS NOT NULL THEN 1 ELSE 0 END) AS disagreement,
+      SUM(CASE WHEN language_reviewed_at IS NULL AND language_method = '${METHOD_UNDETECTED}' THEN 1 ELSE 0 END) AS undetected,
+      SUM(CASE WHEN language_reviewed_at IS NOT NULL THEN 1 ELSE 0 END) AS reviewed
+    FROM individual_speeches`, [minConfidence]);
+  return {
+    low_confidence: row.low_confidence || 0,
+    disagreement: row.disagreement || 0,
+    undetected: row.undetected || 0,
+    reviewed: row.reviewed || 0
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  REASONS,
+  listReviewQueue,
+  reviewLanguage,
+  getReviewStats
+};
@@ -0,0 +1,197 @@
+/**
+ * Time-aware MEP political group history (mep_affiliations, migration 016). Intervals come from two sources:
+ * - 'speeches': runs of the group an MEP spoke for, ordered by sitting date; a single speech under another
+ *   group between two runs of the same group is treated as a parser slip. A run is valid until the day before
+ *   the next run starts; the last run ends at its last speech.
+ * - 'term': the group the Europarl API lists an MEP in for each term (meps-api fetchAllMepsFromTerm5),
+ *   valid for the whole term.
+ * Speech intervals are dated more precisely and win over term intervals when both cover a date.
+ */
+const { ensureSchema } = require('./migrate');
+const { TERMS } = require('./cre-urls');
+const { normalizePoliticalGroup } = require('./group-normalizer');
+const { runAsync, allAsync } = require('./db-async');
+
+/**
+ * Group of a speech at its sitting date: the MEP's affiliation valid on s.activity_date, else the group parsed
+ * from the speech. Institution and role speeches keep their own value. Needs aliases i (individual_speeches)
+ * and s (sittings, LEFT JOIN on i.sitting_id).
+ */
+const GROUP_AT_DATE_SQL = `CASE WHEN i.political_group_kind IN ('institution', 'role') OR i.mep_id IS NULL OR s.activity_date IS NULL
+    THEN COALESCE(i.political_group_std, i.political_group)
+    ELSE COALESCE((SELECT a.group_code FROM mep_affiliations a
+      WHERE a.mep_id = i.mep_id AND a.start_date <= s.activity_date AND (a.end_date IS NULL OR a.end_date >= s.activity_date)
+      ORDER BY a.source = 'speeches' DESC, a.start_date DESC LIMIT 1), i.political_group_std, i.political_group) END`;
+
+/** YYYY-MM-DD of the day before date */
+function dayBefore(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Canonical group code (PPE, S&D, Renew, …) of a raw label, or null when it is not a political group */
+function groupCode(raw) {
+  if (!raw || !String(raw).trim()) return null;
+  const { std, kind } = normalizePoliticalGroup(String(raw));
+  return kind === 'group' ? std : null;
+}
+
+/** First and last day of an EP term (last is null for the current term) */
+function termBounds(term) {
+  const index = TERMS.findIndex(t => t.term === term);
+  if (index < 0) return null;
+  return { start: TERMS[index].start, end: index === 0 ? null : dayBefore(TERMS[index - 1].start) };
+}
+
+/**
+ * Validity intervals from one MEP's dated speech groups.
+ * @param {{ date: string, group: string }[]} speeches - sorted by date
+ * @returns {{ group_code: string, start_date: string, end_date: string, speeches: number }[]}
+ */
+function speechIntervals(speeches) {
+  const runs = [];
+  for (const { date, group } of speeches) {
+    const last = runs[runs.length - 1];
+    if (last && last.group_code === group) {
+      last.last_date = date;
+      last.speeches += 1;
+    } else {
+      runs.push({ group_code: group, start_date: date, last_date: date, speeches: 1 });
+    }
+  }
+  for (let i = 1; i < runs.length - 1; i++) {
+    if (runs[i].speeches === 1 && runs[i - 1].group_code === runs[i + 1].group_code) {
+      runs[i - 1].last_date = runs[i + 1].last_date;
+      runs[i - 1].speeches += 1 + runs[i + 1].speeches;
+      runs.splice(i, 2);
+      i -= 1;
+    }
+  }
+  return runs.map((run, i) => ({
+    group_code: run.group_code,
+    start_date: run.start_date,
+    end_date: i < runs.length - 1 ? dayBefore(runs[i + 1].start_date) : run.last_date,
+    speeches: run.speeches
+  }));
+}
+
+/**
+ * Term intervals of one API MEP from its term_groups ({ term: raw group label }).
+ * @returns {{ group_code: string, group_label: string, start_date: string, end_date: string|null, term: number }[]}
+ */
+function termIntervals(mep) {
+  const rows = [];
+  for (const [term, label] of Object.entries((mep && mep.term_groups) || {})) {
+    const code = groupCode(label);
+    const bounds = termBounds(Number(term));
+    if (!code || !bounds) continue;
+    rows.push({ group_code: code, group_label: label, start_date: bounds.start, end_date: bounds.end, term: Number(term) });
+  }
+  return rows.sort((a, b) => a.start_date.localeCompare(b.start_date));
+}
+
+async function insertRows(db, rows) {
+  await runAsync(db, 'BEGIN TRANSACTION');
+  try {
+    for (const r of rows) {
+      await runAsync(db,
+        `INSERT INTO mep_affiliations (mep_id, group_code, group_label, start_date, end_date, source, term, speeches)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [r.mep_id, r.group_code, r.group_label || null, r.start_date, r.end_date, r.source, r.term || null, r.speeches || null]);
+    }
+    await runAsync(db, 'COMMIT');
+  } catch (err) {
+    await runAsync(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Replace the term intervals of the given API MEPs (Build MEP Dataset step 2).
+ * @param {object[]} mepsFromApi - from fetchAllMepsFromTerm5 (identifier, term_groups)
+ * @returns {Promise<number>} rows written
+ */
+async function storeTermAffiliations(db, mepsFromApi) {
+  await ensureSchema(db);
+  const rows = [];
+  const ids = [];
+  for (const m of mepsFromApi || []) {
+    const mepId = parseInt(m.identifier, 10);
+    if (!Number.isFinite(mepId)) continue;
+    ids.push(mepId);
+    for (const r of termIntervals(m)) rows.push({ ...r, mep_id: mepId, source: 'term' });
+  }
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    await runAsync(db, `DELETE FROM mep_affiliations WHERE source = 'term' AND mep_id IN (${chunk.map(() => '?').join(',')})`, chunk);
+  }
+  await insertRows(db, rows);
+  return rows.length;
+}
+
+/**
+ * Rebuild speech intervals from linked speeches (Build MEP Dataset step 6, after the group normalizer).
+ * @param {{ mepId?: number, log?: function }} [options] - mepId limits the rebuild to one MEP
+ * @returns {Promise<{ meps: number, intervals: number }>}
+ */
+async function rebuildSpeechAffiliations(db, { mepId, log = () => {} } = {}) {
+  await ensureSchema(db);
+  const scope = mepId != null ? 'AND i.mep_id = ?' : '';
+  const params = mepId != null ? [mepId] : [];
+  const speeches = await allAsync(db,
+    `SELECT i.mep_id, s.activity_date AS date, i.political_group_std, i.political_group_kind, i.political_group
+     FROM individual_speeches i
+     JOIN sittings s ON s.id = i.sitting_id
+     WHERE i.mep_id IS NOT NULL AND s.activity_date IS NOT NULL ${scope}
+     ORDER BY i.mep_id, s.activity_date, i.speech_order`, params);
+
+  const byMep = new Map();
+  for (const r of speeches) {
+    const group = r.political_group_std
+      ? (r.political_group_kind === 'group' ? r.political_group_std : null)
+      : groupCode(r.political_group);
+    if (!group) continue;
+    if (!byMep.has(r.mep_id)) byMep.set(r.mep_id, []);
+    byMep.get(r.mep_id).push({ date: r.date, group });
+  }
+  const rows = [];
+  for (const [id, list] of byMep) {
+    for (const r of speechIntervals(list)) rows.push({ ...r, mep_id: id, source: 'speeches' });
+  }
+
+  await runAsync(db, `DELETE FROM mep_affiliations WHERE source = 'speeches'${mepId != null ? ' AND mep_id = ?' : ''}`, params);
+  await insertRows(db, rows);
+  log(`[MEP-AFFILIATIONS] ${rows.length} group intervals from speeches for ${byMep.size} MEPs.`);
+  return { meps: byMep.size, intervals: rows.length };
+}
+
+/**
+ * Group history of one MEP, oldest first.
+ * @returns {Promise<{ group: string, label: string|null, start_date: string, end_date: string|null, source: string, term: number|null, speeches: number|null }[]>}
+ */
+async function getMepAffiliations(db, mepId) {
+  await ensureSchema(db);
+  const rows = await allAsync(db,
+    `SELECT group_code, group_label, start_date, end_date, source, term, speeches
+     FROM mep_affiliations WHERE mep_id = ?
+     ORDER BY start_date, source`, [mepId]);
+  return rows.map(r => ({
+    group: r.group_code,
+    label: r.group_label,
+    start_date: r.start_date,
+    end_date: r.end_date,
+    source: r.source,
+    term: r.term,
+    speeches: r.speeches
+  }));
+}
+
+module.exports = {
+  GROUP_AT_DATE_SQL,
+  speechIntervals,
+  termIntervals,
+  storeTermAffiliations,
+  rebuildSpeechAffiliations,
+  getMepAffiliations
+};
@@ -0,0 +1,182 @@
+/**
+ * National party, committee and delegation memberships of MEPs (mep_memberships, migration 017), read from the
+ * hasMembership list of Europarl API person records (GET /meps/{id}) and labelled from /corporate-bodies/{id}.
+ * Speeches are matched to the memberships valid on their sitting date, so a national_party or committee filter
+ * follows MEPs who changed party or committee.
+ */
+const { ensureSchema } = require('./migrate');
+const { runAsync, allAsync } = require('./db-async');
+
+/** kind → membershipClassification prefixes (def/ep-entities/…) */
+const KINDS = {
+  national_party: ['NATIONAL_POLITICAL_GROUP'],
+  committee: ['COMMITTEE_PARLIAMENTARY'],
+  delegation: ['DELEGATION']
+};
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+/** Last path segment of an API reference ("def/ep-entities/COMMITTEE_PARLIAMENTARY_STANDING" → "COMMITTEE_…") */
+function lastSegment(ref) {
+  return ref ? String(ref).split('/').pop() : null;
+}
+
+function kindOf(classification) {
+  const value = lastSegment(classification) || '';
+  return Object.keys(KINDS).find(kind => KINDS[kind].some(prefix => value.startsWith(prefix))) || null;
+}
+
+/**
+ * Memberships of one API person record that are national parties, committees or delegations.
+ * @param {object} person - data[0] of GET /meps/{id}
+ * @returns {{ kind: string, org_id: string, role: string|null, classification: string, start_date: string|null, end_date: string|null }[]}
+ */
+function membershipsFromPerson(person) {
+  const rows = [];
+  for (const m of (person && person.hasMembership) || []) {
+    const kind = kindOf(m.membershipClassification);
+    const orgId = lastSegment(m.organization);
+    if (!kind || !orgId) continue;
+    const during = m.memberDuring || {};
+    rows.push({
+      kind,
+      org_id: orgId,
+      role: lastSegment(m.role),
+      classification: lastSegment(m.membershipClassification),
+      start_date: during.startDate ? String(during.startDate).slice(0, 10) : null,
+      end_date: during.endDate ? String(during.endDate).slice(0, 10) : null
+    });
+  }
+  return rows;
+}
+
+/**
+ * Short code and name of a corporate body record (GET /corporate-bodies/{id}); prefLabel may be a string or
+ * an object keyed by language.
+ */
+function organizationLabel(body, lang = 'en') {
+  if (!body) return { code: null, label: null };
+  const pref = body.prefLabel && typeof body.prefLabel === 'object'
+    ? (body.prefLabel[lang] || body.prefLabel[lang.toUpperCase()] || Object.values(body.prefLabel)[0])
+    : body.prefLabel;
+  return { code: body.label || null, label: pref || body.label || null };
+}
+
+/** Organisation codes and labels already stored, by org_id (saves corporate-body requests on refreshes). */
+async function knownOrganizations(db) {
+  await ensureSchema(db);
+  const rows = await allAsync(db, 'SELECT org_id, MAX(org_code) AS code, MAX(org_label) AS label FROM mep_memberships GROUP BY org_id');
+  return new Map(rows.filter(r => r.code || r.label).map(r => [r.org_id, { code: r.code, label: r.label }]));
+}
+
+/**
+ * Replace the memberships of one MEP.
+ * @param {object[]} rows - from membershipsFromPerson, with org_code / org_label filled in
+ */
+async function storeMepMemberships(db, mepId, rows) {
+  await ensureSchema(db);
+  const now = Math.floor(Date.now() / 1000);
+  await runAsync(db, 'BEGIN TRANSACTION');
+  try {
+    await runAsync(db, 'DELETE FROM mep_memberships WHERE mep_id = ?', [mepId]);
+    for (const r of rows) {
+      await runAsync(db,
+        `INSERT INTO mep_memberships (mep_id, kind, org_id, org_code, org_label, role, classification, start_date, end_date, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mepId, r.kind, r.org_id, r.org_code || null, r.org_label || null, r.role, r.classification, r.start_date, r.end_date, now]);
+    }
+    await runAsync(db, 'COMMIT');
+  } catch (err) {
+    await runAsync(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+  return rows.length;
+}
+
+/**
+ * Memberships of one MEP by kind, newest first.
+ * @returns {Promise<{ national_party: object[], committee: object[], delegation: object[] }>}
+ */
+async function getMepMemberships(db, mepId) {
+  await ensureSchema(db);
+  const rows = await allAsync(db,
+    `SELECT kind, org_id, org_code, org_label, role, start_date, end_date
+     FROM mep_memberships WHERE mep_id = ?
+     ORDER BY kind, start_date DESC, org_code`, [mepId]);
+  const out = {};
+  for (const kind of Object.keys(KINDS)) out[kind] = [];
+  for (const r of rows) {
+    out[r.kind].push({ org_id: r.org_id, code: r.org_code, label: r.org_label, role: r.role, start_date: r.start_date, end_date: r.end_date });
+  }
+  return out;
+}
+
+function checkKind(kind) {
+  if (!KINDS[kind]) throw invalid(`kind must be one of ${Object.keys(KINDS).join(', ')}`);
+  return kind;
+}
+
+/**
+ * Organisations of one kind with their member counts, for filter pickers.
+ * @param {{ kind: string, q?: string, limit?: number }} options - q: substring of the code or label
+ * @returns {Promise<{ code: string|null, label: string|null, meps: number }[]>}
+ */
+async function listOrganizations(db, { kind, q, limit = 100 } = {}) {
+  checkKind(kind);
+  await ensureSchema(db);
+  const params = [kind];
+  let where = 'WHERE kind = ?';
+  if (q && String(q).trim()) {
+    where += " AND (org_code LIKE ? ESCAPE '\\' OR org_label LIKE ? ESCAPE '\\')";
+    const like = `%${String(q).trim().replace(/[\\%_]/g, c => '\\' + c)}%`;
+    params.push(like, like);
+  }
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500));
+  return allAsync(db,
+    `SELECT org_code AS code, org_label AS label, COUNT(DISTINCT mep_id) AS meps
+     FROM mep_memberships ${where}
+     GROUP BY org_id
+     ORDER BY meps DESC, label
+     LIMIT ?`, params);
+}
+
+/** Membership valid on the speech's sitting date (aliases i and s) */
+const VALID_ON_SITTING = `mm.mep_id = i.mep_id
+  AND (mm.start_date IS NULL OR mm.start_date <= s.activity_date)
+  AND (mm.end_date IS NULL OR mm.end_date >= s.activity_date)`;
+
+/**
+ * WHERE condition: the speaker was a member of one of the organisations (code or name, case-insensitive) on the
+ * sitting date. Needs aliases i (individual_speeches) and s (sittings).
+ * @returns {{ sql: string, params: string[] }}
+ */
+function membershipCondition(kind, values) {
+  checkKind(kind);
+  const placeholders = values.map(() => '?').join(', ');
+  return {
+    sql: `EXISTS (SELECT 1 FROM mep_memberships mm WHERE mm.kind = '${kind}' AND ${VALID_ON_SITTING}
+      AND (mm.org_code COLLATE NOCASE IN (${placeholders}) OR mm.org_label COLLATE NOCASE IN (${placeholders})))`,
+    params: [...values, ...values]
+  };
+}
+
+/** National party of the speaker on the sitting date (code, else name); aliases i and s */
+const NATIONAL_PARTY_SQL = `(SELECT COALESCE(mm.org_code, mm.org_label) FROM mep_memberships mm
+  WHERE mm.kind = 'national_party' AND ${VALID_ON_SITTING}
+  ORDER BY mm.start_date DESC LIMIT 1)`;
+
+module.exports = {
+  KINDS,
+  NATIONAL_PARTY_SQL,
+  membershipsFromPerson,
+  organizationLabel,
+  knownOrganizations,
+  storeMepMemberships,
+  getMepMemberships,
+  listOrganizations,
+  membershipCondition
+};
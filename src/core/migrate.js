@@ -0,0 +1,151 @@
+/**
+ * Versioned schema migrations. Migrations live in core/migrations as NNN-name.js and export
+ * { description, up(db, helpers) }. Applied versions are recorded in `schema_version`.
+ * All schema changes go through here; other modules call ensureSchema() instead of ALTER/CREATE.
+ */
+const fs = require('fs');
+const path = require('path');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_RE = /^(\d{3,})-([\w-]+)\.js$/;
+
+const ensured = new WeakMap();
+
+/** Helpers passed to each migration's up(). All are idempotent so legacy DBs (pre-migrations) upgrade cleanly. */
+function createHelpers(db) {
+  const columnNames = async (table) => (await allAsync(db, `PRAGMA table_info(${table})`)).map(c => c.name);
+  return {
+    run: (sql, params) => runAsync(db, sql, params),
+    get: (sql, params) => getAsync(db, sql, params),
+    all: (sql, params) => allAsync(db, sql, params),
+    columnNames,
+    tableExists: async (name) => !!(await getAsync(db, `SELECT name FROM sqlite_master WHERE name = ?`, [name])),
+    /** ALTER TABLE ... ADD COLUMN unless the column already exists. Returns true when added. */
+    addColumn: async (table, name, definition) => {
+      if ((await columnNames(table)).includes(name)) return false;
+      await runAsync(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      return true;
+    }
+  };
+}
+
+/**
+ * Load migration modules from MIGRATIONS_DIR, ordered by version.
+ * @returns {{ version: number, name: string, description: string, up: Function }[]}
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, m: file.match(MIGRATION_FILE_RE) }))
+    .filter(({ m }) => m)
+    .map(({ file, m }) => {
+      const mod = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(m[1], 10), name: m[2], description: mod.description || m[2], up: mod.up };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+function ensureVersionTable(db) {
+  return runAsync(db, `CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at INTEGER NOT NULL
+  )`);
+}
+
+/**
+ * Current version plus applied and pending migrations.
+ * @returns {Promise<{ current: number, applied: object[], pending: object[] }>}
+ */
+async function getSchemaStatus(db) {
+  await ensureVersionTable(db);
+  const applied = await allAsync(db, 'SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  const appliedSet = new Set(applied.map(r => r.version));
+  const pending = loadMigrations()
+    .filter(m => !appliedSet.has(m.version))
+    .map(({ version, name, description }) => ({ version, name, description }));
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+  return { current, applied, pending };
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction.
+ * @param {import('sqlite3').Database} db
+ * @param {{ log?: (msg: string) => void, dryRun?: boolean, to?: number }} [options]
+ * @returns {Promise<{ applied: object[], current: number, dryRun: boolean }>}
+ */
+async function migrate(db, options = {}) {
+  const log = options.log || (() => {});
+  const dryRun = !!options.dryRun;
+  const { pending, current } = await getSchemaStatus(db);
+  const toApply = pending.filter(m => options.to == null || m.version <= options.to);
+
+  if (toApply.length === 0) {
+    return { applied: [], current, dryRun };
+  }
+  if (dryRun) {
+    for (const m of toApply) log(`[MIGRATE] Would apply ${String(m.version).padStart(3, '0')}-${m.name}: ${m.description}`);
+    return { applied: toApply, current, dryRun };
+  }
+
+  // Other processes (server, pipeline) may hold the write lock briefly; wait instead of failing with SQLITE_BUSY
+  const timeout = await getAsync(db, 'PRAGMA busy_timeout');
+  if (!timeout || !Object.values(timeout)[0]) await runAsync(db, 'PRAGMA busy_timeout = 15000');
+
+  const helpers = createHelpers(db);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const applied = [];
+  let version = current;
+  for (const { version: v } of toApply) {
+    const m = byVersion.get(v);
+    // IMMEDIATE takes the write lock up front, so a server and a pipeline process never both apply the same step
+    await runAsync(db, 'BEGIN IMMEDIATE');
+    try {
+      const already = await getAsync(db, 'SELECT version FROM schema_version WHERE version = ?', [m.version]);
+      if (!already) {
+        log(`[MIGRATE] Applying ${String(m.version).padStart(3, '0')}-${m.name}: ${m.description}`);
+        await m.up(db, helpers, log);
+        await runAsync(db, 'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [m.version, m.name, Date.now()]);
+        applied.push({ version: m.version, name: m.name, description: m.description });
+      }
+      await runAsync(db, 'COMMIT');
+      version = Math.max(version, m.version);
+    } catch (err) {
+      await runAsync(db, 'ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${m.version}-${m.name} failed: ${err.message}`);
+    }
+  }
+  return { applied, current: version, dryRun };
+}
+
+/**
+ * Bring the schema up to date once per connection. Concurrent callers share the same run.
+ * @param {import('sqlite3').Database} db
+ * @param {(msg: string) => void} [log]
+ */
+function ensureSchema(db, log = () => {}) {
+  if (!ensured.has(db)) {
+    const p = migrate(db, { log }).then((result) => {
+      if (result.applied.length > 0) log(`[MIGRATE] Schema at version ${result.current} (${result.applied.length} applied)`);
+      return result;
+    });
+    p.catch(() => ensured.delete(db));
+    ensured.set(db, p);
+  }
+  return ensured.get(db);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getSchemaStatus,
+  migrate,
+  ensureSchema
+};
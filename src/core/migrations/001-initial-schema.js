@@ -0,0 +1,76 @@
+/**
+ * Base tables. IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+ */
+module.exports = {
+  description: 'Create base tables (meps, sittings, individual_speeches, caches, legacy speeches)',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS meps (
+      id INTEGER PRIMARY KEY,
+      label TEXT,
+      givenName TEXT,
+      familyName TEXT,
+      sortLabel TEXT,
+      country TEXT,
+      politicalGroup TEXT,
+      is_current BOOLEAN DEFAULT 0,
+      source TEXT DEFAULT 'api',
+      last_updated INTEGER DEFAULT 0
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS sittings (
+      id TEXT PRIMARY KEY,
+      type TEXT,
+      label TEXT,
+      personId INTEGER,
+      date TEXT,
+      content TEXT UNIQUE,
+      docIdentifier TEXT,
+      notationId TEXT,
+      activity_type TEXT,
+      activity_date TEXT,
+      activity_start_date TEXT,
+      last_updated INTEGER DEFAULT 0
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS individual_speeches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sitting_id TEXT,
+      speaker_name TEXT,
+      political_group TEXT,
+      title TEXT,
+      speech_content TEXT,
+      speech_order INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s', 'now')),
+      FOREIGN KEY (sitting_id) REFERENCES sittings (id)
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS sittings_cache (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      data TEXT,
+      last_updated INTEGER
+    )`);
+
+    await run(`CREATE TABLE IF NOT EXISTS cache_status (
+      id INTEGER PRIMARY KEY,
+      meps_last_updated INTEGER DEFAULT 0,
+      speeches_last_updated INTEGER DEFAULT 0,
+      total_speeches INTEGER DEFAULT 0
+    )`);
+
+    // Legacy: some DBs have individual_speeches.FK referencing "speeches"; keep that table around
+    await run(`CREATE TABLE IF NOT EXISTS speeches (
+      id TEXT PRIMARY KEY,
+      type TEXT,
+      label TEXT,
+      personId INTEGER,
+      date TEXT,
+      content TEXT,
+      docIdentifier TEXT,
+      notationId TEXT,
+      activity_type TEXT,
+      activity_date TEXT,
+      activity_start_date TEXT,
+      last_updated INTEGER DEFAULT 0
+    )`);
+  }
+};
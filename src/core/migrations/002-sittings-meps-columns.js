@@ -0,0 +1,24 @@
+/**
+ * Columns that older databases may lack. Replaces the old init path that dropped and
+ * recreated `sittings` when any of these were missing (which deleted all sitting content).
+ */
+module.exports = {
+  description: 'Add missing sittings metadata and meps status columns (non-destructive)',
+  async up(db, { addColumn }, log = () => {}) {
+    const sittingsColumns = [
+      ['docIdentifier', 'TEXT'],
+      ['notationId', 'TEXT'],
+      ['activity_type', 'TEXT'],
+      ['activity_date', 'TEXT'],
+      ['activity_start_date', 'TEXT'],
+      ['last_updated', 'INTEGER DEFAULT 0']
+    ];
+    for (const [name, def] of sittingsColumns) {
+      if (await addColumn('sittings', name, def)) log(`  + sittings.${name}`);
+    }
+
+    if (await addColumn('meps', 'is_current', 'BOOLEAN DEFAULT 0')) log('  + meps.is_current');
+    if (await addColumn('meps', 'source', "TEXT DEFAULT 'api'")) log('  + meps.source');
+    if (await addColumn('meps', 'last_updated', 'INTEGER DEFAULT 0')) log('  + meps.last_updated');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * MEP link, topic/macro-topic classification and detected language on individual_speeches.
+ * Previously added by step 5 (on every store) and detect-language.ensureLanguageColumn.
+ */
+module.exports = {
+  description: 'Add mep_id, topic, macro topic and language columns to individual_speeches',
+  async up(db, { addColumn }, log = () => {}) {
+    const columns = [
+      ['mep_id', 'INTEGER'],
+      ['topic', 'TEXT'],
+      ['macro_topic', 'TEXT'],
+      ['macro_specific_focus', 'TEXT'],
+      ['macro_confidence', 'REAL'],
+      ['language', 'TEXT']
+    ];
+    for (const [name, def] of columns) {
+      if (await addColumn('individual_speeches', name, def)) log(`  + individual_speeches.${name}`);
+    }
+  }
+};
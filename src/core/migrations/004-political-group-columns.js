@@ -0,0 +1,11 @@
+/**
+ * Normalized political group columns written by core/group-normalizer.js.
+ */
+module.exports = {
+  description: 'Add political_group_raw/std/kind/reason to individual_speeches',
+  async up(db, { addColumn }, log = () => {}) {
+    for (const name of ['political_group_raw', 'political_group_std', 'political_group_kind', 'political_group_reason']) {
+      if (await addColumn('individual_speeches', name, 'TEXT')) log(`  + individual_speeches.${name}`);
+    }
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * FTS5 index over individual_speeches.speech_content (see core/speech-search.js).
+ * External-content table kept in sync by triggers; populated from existing rows when first created.
+ */
+const FTS_TABLE = 'individual_speeches_fts';
+
+module.exports = {
+  description: 'Create FTS5 full-text index and sync triggers for individual_speeches',
+  async up(db, { run, tableExists }, log = () => {}) {
+    const existed = await tableExists(FTS_TABLE);
+
+    await run(`CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts5(
+      speech_content,
+      content='individual_speeches',
+      content_rowid='id',
+      tokenize='unicode61 remove_diacritics 2'
+    )`);
+    await run(`CREATE TRIGGER IF NOT EXISTS ${FTS_TABLE}_ai AFTER INSERT ON individual_speeches BEGIN
+      INSERT INTO ${FTS_TABLE}(rowid, speech_content) VALUES (new.id, new.speech_content);
+    END`);
+    await run(`CREATE TRIGGER IF NOT EXISTS ${FTS_TABLE}_ad AFTER DELETE ON individual_speeches BEGIN
+      INSERT INTO ${FTS_TABLE}(${FTS_TABLE}, rowid, speech_content) VALUES ('delete', old.id, old.speech_content);
+    END`);
+    await run(`CREATE TRIGGER IF NOT EXISTS ${FTS_TABLE}_au AFTER UPDATE OF speech_content ON individual_speeches BEGIN
+      INSERT INTO ${FTS_TABLE}(${FTS_TABLE}, rowid, speech_content) VALUES ('delete', old.id, old.speech_content);
+      INSERT INTO ${FTS_TABLE}(rowid, speech_content) VALUES (new.id, new.speech_content);
+    END`);
+
+    if (!existed) {
+      log('  Building full-text index over existing speeches...');
+      await run(`INSERT INTO ${FTS_TABLE}(${FTS_TABLE}) VALUES ('rebuild')`);
+    }
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Background job records (see server/jobs.js): one row per Data menu / maintenance run.
+ */
+module.exports = {
+  description: 'Create jobs table for background maintenance jobs',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      params TEXT,
+      status TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      started_at INTEGER,
+      finished_at INTEGER,
+      progress_current INTEGER,
+      progress_total INTEGER,
+      progress_message TEXT,
+      log_tail TEXT,
+      error TEXT,
+      result TEXT
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)');
+    await run('CREATE INDEX IF NOT EXISTS idx_jobs_type_created ON jobs(type, created_at DESC)');
+  }
+};
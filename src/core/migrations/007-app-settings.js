@@ -0,0 +1,13 @@
+/**
+ * Key/value settings changed at runtime from the UI (e.g. scheduler on/off); see core/settings.js.
+ */
+module.exports = {
+  description: 'Create app_settings key/value table',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at INTEGER NOT NULL
+    )`);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Per-date bulk pipeline state (see pipeline/state.js) so runBulk can resume after a crash
+ * and --retry-failed can reprocess only failed dates.
+ */
+module.exports = {
+  description: 'Create pipeline_dates and pipeline_batches for resumable bulk runs',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS pipeline_dates (
+      date TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      stage TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      batches_total INTEGER,
+      speeches INTEGER,
+      html TEXT,
+      updated_at INTEGER NOT NULL
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_pipeline_dates_status ON pipeline_dates(status)');
+    await run(`CREATE TABLE IF NOT EXISTS pipeline_batches (
+      date TEXT NOT NULL,
+      batch_index INTEGER NOT NULL,
+      results TEXT NOT NULL,
+      classified_at INTEGER NOT NULL,
+      PRIMARY KEY (date, batch_index)
+    )`);
+  }
+};
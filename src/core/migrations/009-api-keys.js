@@ -0,0 +1,30 @@
+/**
+ * API keys for the public deployment (see core/api-keys.js) and per-day usage counters.
+ * api_usage.key_id 0 collects anonymous traffic.
+ */
+module.exports = {
+  description: 'Create api_keys and api_usage for API key auth, rate limits and token budgets',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      rate_limit INTEGER,
+      token_budget INTEGER,
+      created_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      last_used_at INTEGER
+    )`);
+    await run(`CREATE TABLE IF NOT EXISTS api_usage (
+      key_id INTEGER NOT NULL,
+      day TEXT NOT NULL,
+      requests INTEGER NOT NULL DEFAULT 0,
+      rate_limited INTEGER NOT NULL DEFAULT 0,
+      chat_requests INTEGER NOT NULL DEFAULT 0,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, day)
+    )`);
+  }
+};
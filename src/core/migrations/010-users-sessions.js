@@ -0,0 +1,24 @@
+/**
+ * Dashboard users with roles (viewer, curator, admin) and their login sessions (see core/users.js).
+ */
+module.exports = {
+  description: 'Create users and sessions for the data-maintenance login',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      disabled_at INTEGER,
+      last_login_at INTEGER
+    )`);
+    await run(`CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+  }
+};
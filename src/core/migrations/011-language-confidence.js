@@ -0,0 +1,21 @@
+/**
+ * Language detection confidence, winning detector and disagreeing detectors per speech
+ * (core/detect-language.js), plus curator review (core/language-review.js). Reviewed rows
+ * are skipped by later detection runs.
+ */
+module.exports = {
+  description: 'Add language confidence, method, alternatives and review columns to individual_speeches',
+  async up(db, { run, addColumn }, log = () => {}) {
+    const columns = [
+      ['language_confidence', 'REAL'],
+      ['language_method', 'TEXT'],
+      ['language_alternatives', 'TEXT'],
+      ['language_reviewed_by', 'TEXT'],
+      ['language_reviewed_at', 'INTEGER']
+    ];
+    for (const [name, def] of columns) {
+      if (await addColumn('individual_speeches', name, def)) log(`  + individual_speeches.${name}`);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_speeches_language_confidence ON individual_speeches(language_confidence)');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Original language of interpreted speeches, from CRE markers such as "(DE)" or "(The speaker spoke in Irish)"
+ * (parse-helpers.detectLanguageMarker). NULL when the text has no marker, i.e. it is in the language spoken;
+ * `language` stays the (detected) language of the stored text.
+ */
+module.exports = {
+  description: 'Add original_language and language_marker to individual_speeches',
+  async up(db, { run, addColumn }, log = () => {}) {
+    for (const name of ['original_language', 'language_marker']) {
+      if (await addColumn('individual_speeches', name, 'TEXT')) log(`  + individual_speeches.${name}`);
+    }
+    await run('CREATE INDEX IF NOT EXISTS idx_speeches_original_language ON individual_speeches(original_language)');
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Other CRE language versions of stored speeches (see core/translations.js): one row per speech and
+ * language, aligned to the EN parse. Rows go away with their speech (re-parse, rebuild).
+ */
+module.exports = {
+  description: 'Create speech_translations for aligned CRE language versions',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS speech_translations (
+      speech_id INTEGER NOT NULL,
+      language TEXT NOT NULL,
+      speaker_name TEXT,
+      speech_content TEXT,
+      alignment_score REAL,
+      fetched_at INTEGER NOT NULL,
+      PRIMARY KEY (speech_id, language)
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_speech_translations_language ON speech_translations(language)');
+    await run(`CREATE TRIGGER IF NOT EXISTS speech_translations_speech_ad AFTER DELETE ON individual_speeches BEGIN
+      DELETE FROM speech_translations WHERE speech_id = old.id;
+    END`);
+  }
+};
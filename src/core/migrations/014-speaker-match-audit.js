@@ -0,0 +1,20 @@
+/**
+ * How each speech was linked to its MEP (core/speaker-resolver.js): method, score and, when the best
+ * candidates scored too close to call, the runner-up candidates (flags the speech for review).
+ * meps.terms lists the parliamentary terms an API MEP sat in, used to score candidates by sitting date.
+ */
+module.exports = {
+  description: 'Add MEP match method, score and candidates to individual_speeches and terms to meps',
+  async up(db, { run, addColumn }, log = () => {}) {
+    const columns = [
+      ['mep_match_method', 'TEXT'],
+      ['mep_match_score', 'REAL'],
+      ['mep_match_candidates', 'TEXT']
+    ];
+    for (const [name, def] of columns) {
+      if (await addColumn('individual_speeches', name, def)) log(`  + individual_speeches.${name}`);
+    }
+    if (await addColumn('meps', 'terms', 'TEXT')) log('  + meps.terms');
+    await run('CREATE INDEX IF NOT EXISTS idx_speeches_speaker_name ON individual_speeches(speaker_name)');
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Curator decisions on speaker names (core/speaker-overrides.js): link a name to an MEP, or keep it unlinked
+ * (mep_id NULL), for all terms (term 0) or one term. Overrides outlive MEP dataset rebuilds; speeches they
+ * cover carry mep_match_method 'override'.
+ */
+module.exports = {
+  description: 'Create speaker_overrides for manual speaker → MEP links',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS speaker_overrides (
+      speaker_name TEXT NOT NULL,
+      term INTEGER NOT NULL DEFAULT 0,
+      mep_id INTEGER,
+      note TEXT,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (speaker_name, term)
+    )`);
+  }
+};
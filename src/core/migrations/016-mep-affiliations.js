@@ -0,0 +1,21 @@
+/**
+ * Political group history of MEPs (core/mep-affiliations.js): one row per validity interval, derived from
+ * the groups MEPs spoke for (source 'speeches') or the group the Europarl API lists them in per term
+ * (source 'term'). end_date NULL means still valid.
+ */
+module.exports = {
+  description: 'Create mep_affiliations for time-aware MEP group history',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS mep_affiliations (
+      mep_id INTEGER NOT NULL,
+      group_code TEXT NOT NULL,
+      group_label TEXT,
+      start_date TEXT NOT NULL,
+      end_date TEXT,
+      source TEXT NOT NULL,
+      term INTEGER,
+      speeches INTEGER
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_mep_affiliations_mep ON mep_affiliations(mep_id, start_date)');
+  }
+};
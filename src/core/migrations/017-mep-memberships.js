@@ -0,0 +1,23 @@
+/**
+ * MEP memberships from the Europarl API person records (core/mep-memberships.js): national party, committee
+ * and delegation memberships with their dates. Keyed by the EP person id, so they outlive MEP dataset rebuilds.
+ */
+module.exports = {
+  description: 'Create mep_memberships for national party, committee and delegation memberships',
+  async up(db, { run }) {
+    await run(`CREATE TABLE IF NOT EXISTS mep_memberships (
+      mep_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      org_id TEXT NOT NULL,
+      org_code TEXT,
+      org_label TEXT,
+      role TEXT,
+      classification TEXT,
+      start_date TEXT,
+      end_date TEXT,
+      updated_at INTEGER NOT NULL
+    )`);
+    await run('CREATE INDEX IF NOT EXISTS idx_mep_memberships_mep ON mep_memberships(mep_id, kind)');
+    await run('CREATE INDEX IF NOT EXISTS idx_mep_memberships_org ON mep_memberships(kind, org_code)');
+  }
+};
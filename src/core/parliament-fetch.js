@@ -1,28 +1,17 @@
 /**
  * EU Parliament sitting HTML fetch & discovery
  * HTML scraping only — no EU Parliament API calls
+ * All CRE requests go through core/html-cache (on-disk mirror, offline mode).
  */
 
-const axios = require('axios');
-
-const USER_AGENT = 'Mozilla/5.0 (compatible; EUROWATCH/1.0)';
+const { fetchCached } = require('./html-cache');
+const { termForDate, creUrl, creUrlCandidates } = require('./cre-urls');
 
 /**
- * Get session number for URL based on date (EP terms 1–10)
+ * Get session number for URL based on date (EP terms 1–10; see core/cre-urls)
  */
 function getSessionNumber(date) {
-  if (!date) return 10;
-  if (date >= '2024-07-16') return 10; // 10th term: 2024-07-16 → present
-  if (date >= '2019-07-02') return 9;  // 9th term: 2019-07-02 → 2024-07-15
-  if (date >= '2014-07-01') return 8;  // 8th term: 2014-07-01 → 2019-07-01
-  if (date >= '2009-07-14') return 7;  // 7th term: 2009-07-14 → 2014-06-30
-  if (date >= '2004-07-20') return 6;  // 6th term: 2004-07-20 → 2009-07-13
-  if (date >= '1999-07-20') return 5;  // 5th term: 1999-07-20 → 2004-07-19
-  if (date >= '1994-07-19') return 4;  // 4th term: 1994-07-19 → 1999-07-19
-  if (date >= '1989-07-25') return 3;  // 3rd term: 1989-07-25 → 1994-07-18
-  if (date >= '1984-07-24') return 2;  // 2nd term: 1984-07-24 → 1989-07-24
-  if (date >= '1979-07-17') return 1;  // 1st term: 1979-07-17 → 1984-07-23
-  return 1;
+  return termForDate(date);
 }
 
 /**
@@ -140,26 +129,38 @@ async function findMostRecentUnclassifiedSitting(db) {
 }
 
 /**
- * Fetch HTML content for a sitting date
+ * Fetch a CRE document (cached). 404s and offline cache misses are not retried. When doceo answers 404
+ * for a term 5–6 sitting, the older sides address is tried (cached separately).
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ lang?: string, toc?: boolean, maxRetries?: number, timeout?: number, revalidate?: boolean }} [options]
  */
-async function fetchSittingHTML(date, maxRetries = 3) {
-  const session = getSessionNumber(date);
-  const url = `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${date}_EN.html`;
+async function fetchCreHtml(date, options = {}) {
+  const { lang = 'EN', toc = false, maxRetries = 3 } = options;
+  const candidates = creUrlCandidates(date, { lang, toc });
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const res = await axios.get(url, {
-        headers: { 'User-Agent': USER_AGENT },
-        timeout: 25000
-      });
-      return res.data;
-    } catch (err) {
-      if (attempt === maxRetries) throw err;
-      await new Promise(r => setTimeout(r, Math.pow(2, attempt) * 1000));
+  for (const [i, { source, url }] of candidates.entries()) {
+    const key = source === 'doceo' ? { date, lang, toc } : { date, lang, toc, source };
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        return await fetchCached(key, url, { timeout: options.timeout, revalidate: options.revalidate });
+      } catch (err) {
+        const notFound = err.response && err.response.status === 404;
+        if (notFound && i < candidates.length - 1) break;
+        const final = attempt === maxRetries || err.code === 'CACHE_MISS' || notFound;
+        if (final) throw err;
+        await new Promise(r => setTimeout(r, Math.pow(2, attempt) * 1000));
+      }
     }
   }
 }
 
+/**
+ * Fetch HTML content for a sitting date (EN verbatim report unless another CRE language is given)
+ */
+async function fetchSittingHTML(date, maxRetries = 3, lang = 'EN') {
+  return fetchCreHtml(date, { maxRetries, lang });
+}
+
 /**
  * Generate all dates in range [startDate, endDate] inclusive.
  * @param {string} startDate - YYYY-MM-DD
@@ -208,6 +209,8 @@ module.exports = {
   findMostRecentUnclassifiedSitting,
   filterDatesNeedingProcessing,
   getSittingHtmlFromDb,
+  creUrl,
+  fetchCreHtml,
   fetchSittingHTML,
   listDatesInRange,
   filterDatesNotInDb
@@ -0,0 +1,237 @@
+/**
+ * Minimal streaming Parquet writer for flat tables (used by the speeches export).
+ * Columns are OPTIONAL INT64, DOUBLE or BYTE_ARRAY/UTF8, PLAIN-encoded in one data page (v1) per
+ * column chunk; each writeRowGroup() call becomes one row group, so output can be streamed batch by
+ * batch. Pages are stored uncompressed or GZIP-compressed. Footer metadata uses the Thrift compact
+ * protocol (parquet-format FileMetaData). Readable by pyarrow, pandas, polars, DuckDB and R arrow.
+ */
+const zlib = require('zlib');
+
+const MAGIC = Buffer.from('PAR1');
+
+// parquet-format enums
+const TYPE = { INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const CONVERTED_UTF8 = 0;
+const REPETITION_OPTIONAL = 1;
+const ENCODING = { PLAIN: 0, RLE: 3 };
+const CODEC = { UNCOMPRESSED: 0, GZIP: 2 };
+const PAGE_DATA = 0;
+
+// Thrift compact protocol type ids
+const CT = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+function varint(value) {
+  let v = BigInt(value);
+  const bytes = [];
+  while (v >= 0x80n) {
+    bytes.push(Number((v & 0x7fn) | 0x80n));
+    v >>= 7n;
+  }
+  bytes.push(Number(v));
+  return Buffer.from(bytes);
+}
+
+function zigzag(value) {
+  const v = BigInt(value);
+  return varint(v >= 0n ? v << 1n : ((-v) << 1n) - 1n);
+}
+
+/**
+ * Encode a Thrift struct. fields: [fieldId, kind, value] in ascending id order; null values are skipped.
+ * kind: 'i32' | 'i64' | 'string' | 'struct' | 'list<i32>' | 'list<string>' | 'list<struct>'.
+ * Struct values are themselves field arrays.
+ */
+function encodeStruct(fields) {
+  const parts = [];
+  let lastId = 0;
+  for (const [id, kind, value] of fields) {
+    if (value == null) continue;
+    const typeId = kind.startsWith('list') ? CT.LIST : { i32: CT.I32, i64: CT.I64, string: CT.BINARY, struct: CT.STRUCT }[kind];
+    const delta = id - lastId;
+    parts.push(delta > 0 && delta <= 15 ? Buffer.from([(delta << 4) | typeId]) : Buffer.concat([Buffer.from([typeId]), zigzag(id)]));
+    lastId = id;
+    parts.push(encodeValue(kind, value));
+  }
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+function encodeValue(kind, value) {
+  if (kind === 'i32' || kind === 'i64') return zigzag(value);
+  if (kind === 'string') {
+    const bytes = Buffer.from(String(value), 'utf8');
+    return Buffer.concat([varint(bytes.length), bytes]);
+  }
+  if (kind === 'struct') return encodeStruct(value);
+  const elemKind = kind.slice(5, -1);
+  const elemType = { i32: CT.I32, string: CT.BINARY, struct: CT.STRUCT }[elemKind];
+  const header = value.length < 15
+    ? Buffer.from([(value.length << 4) | elemType])
+    : Buffer.concat([Buffer.from([0xf0 | elemType]), varint(value.length)]);
+  return Buffer.concat([header, ...value.map(v => encodeValue(elemKind, v))]);
+}
+
+/** Definition levels (0 = null, 1 = present) as one bit-packed run of the RLE/bit-packing hybrid, length-prefixed. */
+function encodeDefinitionLevels(present) {
+  const groups = Math.ceil(present.length / 8);
+  const packed = Buffer.alloc(groups);
+  present.forEach((p, i) => {
+    if (p) packed[i >> 3] |= 1 << (i & 7);
+  });
+  const body = Buffer.concat([varint((groups << 1) | 1), packed]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+function toInt64(value) {
+  if (value == null || value === '') return null;
+  const n = typeof value === 'bigint' ? value : Number(value);
+  if (typeof n === 'number' && !Number.isFinite(n)) return null;
+  return BigInt(typeof n === 'number' ? Math.trunc(n) : n);
+}
+
+function toDouble(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function encodePlainValues(type, values) {
+  if (type === 'int') {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => buf.writeBigInt64LE(v, i * 8));
+    return buf;
+  }
+  if (type === 'double') {
+    const buf = Buffer.alloc(values.length * 8);
+    values.forEach((v, i) => buf.writeDoubleLE(v, i * 8));
+    return buf;
+  }
+  const parts = [];
+  for (const v of values) {
+    const bytes = Buffer.from(v, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length, 0);
+    parts.push(length, bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+function physicalType(type) {
+  if (type === 'int') return TYPE.INT64;
+  if (type === 'double') return TYPE.DOUBLE;
+  return TYPE.BYTE_ARRAY;
+}
+
+/**
+ * @param {{ name: string, type?: 'string'|'int'|'double' }[]} columns
+ * @param {{ compression?: 'none'|'gzip' }} [options]
+ * @returns {{ start(): Buffer, writeRowGroup(rows: object[]): Buffer, finish(): Buffer }}
+ *   Concatenating start(), every writeRowGroup() chunk and finish() yields the file.
+ */
+function createParquetWriter(columns, options = {}) {
+  const codec = options.compression === 'gzip' ? CODEC.GZIP : CODEC.UNCOMPRESSED;
+  const cols = columns.map(c => ({ name: c.name, type: c.type === 'int' || c.type === 'double' ? c.type : 'string' }));
+  const rowGroups = [];
+  let offset = 0;
+  let totalRows = 0;
+
+  function start() {
+    offset = MAGIC.length;
+    return MAGIC;
+  }
+
+  function writeColumnChunk(col, rows) {
+    const present = [];
+    const values = [];
+    for (const row of rows) {
+      const raw = row[col.name];
+      const value = col.type === 'int' ? toInt64(raw) : col.type === 'double' ? toDouble(raw) : (raw == null ? null : String(raw));
+      present.push(value != null);
+      if (value != null) values.push(value);
+    }
+    const page = Buffer.concat([encodeDefinitionLevels(present), encodePlainValues(col.type, values)]);
+    const body = codec === CODEC.GZIP ? zlib.gzipSync(page) : page;
+    const header = encodeStruct([
+      [1, 'i32', PAGE_DATA],
+      [2, 'i32', page.length],
+      [3, 'i32', body.length],
+      [5, 'struct', [
+        [1, 'i32', rows.length],
+        [2, 'i32', ENCODING.PLAIN],
+        [3, 'i32', ENCODING.RLE],
+        [4, 'i32', ENCODING.RLE]
+      ]]
+    ]);
+    const chunk = Buffer.concat([header, body]);
+    const meta = {
+      name: col.name,
+      type: physicalType(col.type),
+      numValues: rows.length,
+      uncompressed: header.length + page.length,
+      compressed: chunk.length,
+      pageOffset: offset
+    };
+    offset += chunk.length;
+    return { chunk, meta };
+  }
+
+  /** Encode one row group. Empty batches produce nothing. */
+  function writeRowGroup(rows) {
+    if (!rows || rows.length === 0) return Buffer.alloc(0);
+    const chunks = [];
+    const metas = [];
+    for (const col of cols) {
+      const { chunk, meta } = writeColumnChunk(col, rows);
+      chunks.push(chunk);
+      metas.push(meta);
+    }
+    rowGroups.push({ numRows: rows.length, columns: metas });
+    totalRows += rows.length;
+    return Buffer.concat(chunks);
+  }
+
+  function finish() {
+    const schema = [
+      [[4, 'string', 'schema'], [5, 'i32', cols.length]],
+      ...cols.map(col => [
+        [1, 'i32', physicalType(col.type)],
+        [3, 'i32', REPETITION_OPTIONAL],
+        [4, 'string', col.name],
+        [6, 'i32', col.type === 'string' ? CONVERTED_UTF8 : null]
+      ])
+    ];
+    const groups = rowGroups.map(group => [
+      [1, 'list<struct>', group.columns.map(m => [
+        [2, 'i64', m.pageOffset],
+        [3, 'struct', [
+          [1, 'i32', m.type],
+          [2, 'list<i32>', [ENCODING.PLAIN, ENCODING.RLE]],
+          [3, 'list<string>', [m.name]],
+          [4, 'i32', codec],
+          [5, 'i64', m.numValues],
+          [6, 'i64', m.uncompressed],
+          [7, 'i64', m.compressed],
+          [9, 'i64', m.pageOffset]
+        ]]
+      ])],
+      [2, 'i64', group.columns.reduce((sum, m) => sum + m.uncompressed, 0)],
+      [3, 'i64', group.numRows]
+    ]);
+    const footer = encodeStruct([
+      [1, 'i32', 1],
+      [2, 'list<struct>', schema],
+      [3, 'i64', totalRows],
+      [4, 'list<struct>', groups],
+      [6, 'string', 'EUROWATCH export']
+    ]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(footer.length, 0);
+    return Buffer.concat([footer, length, MAGIC]);
+  }
+
+  return { start, writeRowGroup, finish };
+}
+
+module.exports = { createParquetWriter };
@@ -99,6 +99,70 @@ function extractTextFromHTML(html) {
   return $('p').map((i, el) => $(el).text()).get().join('\n').trim();
 }
 
+/** EU language names in EN / FR / DE CRE notes (diacritics stripped, lower case) → ISO 639-1 */
+const MARKER_LANGUAGE_NAMES = {
+  BG: ['bulgarian', 'bulgare', 'bulgarisch'],
+  CS: ['czech', 'tcheque', 'tschechisch'],
+  DA: ['danish', 'danois', 'danisch'],
+  DE: ['german', 'allemand', 'deutsch'],
+  EL: ['greek', 'grec', 'griechisch'],
+  EN: ['english', 'anglais', 'englisch'],
+  ES: ['spanish', 'espagnol', 'spanisch'],
+  ET: ['estonian', 'estonien', 'estnisch'],
+  FI: ['finnish', 'finnois', 'finnisch'],
+  FR: ['french', 'francais', 'franzosisch'],
+  GA: ['irish', 'gaelic', 'irlandais', 'gaelique', 'irisch', 'galisch'],
+  HR: ['croatian', 'croate', 'kroatisch'],
+  HU: ['hungarian', 'hongrois', 'ungarisch'],
+  IT: ['italian', 'italien', 'italienisch'],
+  LT: ['lithuanian', 'lituanien', 'litauisch'],
+  LV: ['latvian', 'letton', 'lettisch'],
+  MT: ['maltese', 'maltais', 'maltesisch'],
+  NL: ['dutch', 'neerlandais', 'niederlandisch'],
+  PL: ['polish', 'polonais', 'polnisch'],
+  PT: ['portuguese', 'portugais', 'portugiesisch'],
+  RO: ['romanian', 'roumain', 'rumanisch'],
+  SK: ['slovak', 'slovaque', 'slowakisch'],
+  SL: ['slovenian', 'slovene', 'slowenisch'],
+  SV: ['swedish', 'suedois', 'schwedisch'],
+  CA: ['catalan', 'katalanisch'],
+  EU: ['basque', 'baskisch'],
+  GL: ['galician', 'galicien', 'galicisch']
+};
+const MARKER_NAME_TO_CODE = new Map(
+  Object.entries(MARKER_LANGUAGE_NAMES).flatMap(([code, names]) => names.map(name => [name, code]))
+);
+/** "(The speaker spoke in Irish)", "(L'oratrice s'exprime en irlandais)", "(Der Redner spricht Irisch)", … */
+const SPOKE_IN_NOTE = /\(([^()]{0,80}?\b(?:spoke|speaks|speaking|delivered|exprime|parle|spricht|sprach)\b[^()]{0,80})\)/gi;
+/** Speeches in the EN (or another) CRE version that were interpreted start with the original language: "(DE) Mr President, …" */
+const LEADING_CODE = /^\(([A-Z]{2})\)\s/;
+
+/**
+ * Original-language marker of a speech, if any: a leading "(XX)" code, or a note that the speaker spoke
+ * in a named language. Notes saying the speaker continued in another language are ignored.
+ * @param {string} content - speech text
+ * @returns {{ language: string, marker: string }|null} - ISO 639-1 code (upper case) and the marker text
+ */
+function detectLanguageMarker(content) {
+  const text = String(content || '').trim();
+  const code = text.match(LEADING_CODE);
+  if (code && MARKER_LANGUAGE_NAMES[code[1]]) return { language: code[1], marker: code[0].trim() };
+  for (const match of text.matchAll(SPOKE_IN_NOTE)) {
+    if (/\b(continued|continues|poursuit|fährt fort)\b/i.test(match[1])) continue;
+    const words = normalizeText(match[1]).split(' ');
+    const hit = words.find(w => MARKER_NAME_TO_CODE.has(w));
+    if (hit) return { language: MARKER_NAME_TO_CODE.get(hit), marker: match[0] };
+  }
+  return null;
+}
+
+function withLanguageMarker(speech) {
+  const marker = detectLanguageMarker(speech.speech_content);
+  speech.original_language = marker ? marker.language : null;
+  speech.language_marker = marker ? marker.marker : null;
+  return speech;
+}
+
 function parseIndividualSpeeches(content, sittingId) {
   const speeches = [];
   const lines = content.split('\n');
@@ -142,7 +206,7 @@ function parseIndividualSpeeches(content, sittingId) {
     }
 
     if (speechMatch) {
-      if (currentSpeech) speeches.push(currentSpeech);
+      if (currentSpeech) speeches.push(withLanguageMarker(currentSpeech));
       let politicalGroup = null;
       let title = null;
       const nameWithPartyMatch = speakerName.match(/^(.+?)\s*\(([^)]+)\)$/);
@@ -167,7 +231,7 @@ function parseIndividualSpeeches(content, sittingId) {
       currentSpeech.speech_content += ' ' + line;
     }
   }
-  if (currentSpeech) speeches.push(currentSpeech);
+  if (currentSpeech) speeches.push(withLanguageMarker(currentSpeech));
   return speeches;
 }
 
@@ -211,5 +275,6 @@ module.exports = {
   splitHtmlIntoSections,
   extractTextFromHTML,
   parseIndividualSpeeches,
+  detectLanguageMarker,
   bestSectionForSpeech
 };
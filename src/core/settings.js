@@ -0,0 +1,37 @@
+/**
+ * Runtime settings stored in `app_settings` (migration 007). Values are JSON-encoded.
+ */
+const { ensureSchema } = require('./migrate');
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {string} key
+ * @param {*} [fallback] - returned when the key is not set
+ */
+async function getSetting(db, key, fallback = null) {
+  await ensureSchema(db);
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT value FROM app_settings WHERE key = ?', [key], (err, r) => (err ? reject(err) : resolve(r)));
+  });
+  if (!row || row.value == null) return fallback;
+  try {
+    return JSON.parse(row.value);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {string} key
+ * @param {*} value - any JSON-serializable value
+ */
+async function setSetting(db, key, value) {
+  await ensureSchema(db);
+  await new Promise((resolve, reject) => {
+    db.run('INSERT OR REPLACE INTO app_settings (key, value, updated_at) VALUES (?, ?, ?)',
+      [key, JSON.stringify(value), Date.now()], (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,356 @@
+/**
+ * Versioned dataset snapshots for citable research data.
+ * A snapshot is a directory data/snapshots/<id>/ (override with SNAPSHOTS_DIR) holding:
+ *   speeches.<ext>            filtered individual_speeches rows (all columns, ordered by id)
+ *   sittings.<ext>, meps.<ext> the sittings and MEPs those speeches reference
+ *   macro-topics.json          macro-topic taxonomy at snapshot time
+ *   macro-topic-rules.json     macro-topic normalization rules
+ *   group-normalization.json   raw → standardized political group mappings used by the speeches
+ *   SHA256SUMS                 checksums of the files above (sha256sum -c compatible)
+ *   manifest.json              id, version, filters, software/pipeline versions, classifier model, counts, files
+ * Snapshots are written to <id>.partial and renamed when complete, so a listed snapshot is always whole.
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { ensureSchema, getSchemaStatus } = require('./migrate');
+const { createExportWriter } = require('./export-formats');
+const { parseSpeechFilters, buildSpeechFilter } = require('./speech-filters');
+const { createZipWriter } = require('./zip-writer');
+const macroTopics = require('./macro-topics');
+const { loadRules } = require('./normalize-topics-apply');
+const { DEFAULT_MODEL } = require('./openai-call');
+const { getAsync, allAsync } = require('./db-async');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_DIR = path.join(ROOT, 'data', 'snapshots');
+const SNAPSHOT_FORMATS = ['parquet', 'csv', 'jsonl'];
+const BATCH_SIZE = 5000;
+const ID_PATTERN = /^\d{8}-\d{6}(-[a-z0-9-]+)?$/;
+
+// Files whose content determines how speeches are parsed, grouped and classified
+const PIPELINE_SOURCES = {
+  parser: 'src/core/parse-helpers.js',
+  groupNormalizer: 'src/core/group-normalizer.js',
+  classifierPrompt: 'src/core/prompts/topic-macro-classification.js',
+  topicNormalizationPrompt: 'src/core/prompts/normalize-macro-topics.js'
+};
+
+function getSnapshotsDir() {
+  return process.env.SNAPSHOTS_DIR ? path.resolve(process.env.SNAPSHOTS_DIR) : DEFAULT_DIR;
+}
+
+function notFound(id) {
+  const err = new Error(`Snapshot not found: ${id}`);
+  err.code = 'SNAPSHOT_NOT_FOUND';
+  return err;
+}
+
+function sha256Buffer(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function snapshotPath(id) {
+  if (!ID_PATTERN.test(String(id))) throw notFound(id);
+  return path.join(getSnapshotsDir(), id);
+}
+
+function slug(label) {
+  return String(label || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+}
+
+function timestampId(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/** Columns of a table with export types from the declared SQLite type. */
+async function tableColumns(db, table) {
+  const info = await allAsync(db, `PRAGMA table_info(${table})`);
+  return info.map(c => {
+    const type = String(c.type || '').toUpperCase();
+    if (type.includes('INT')) return { name: c.name, type: 'int' };
+    if (type.includes('REAL') || type.includes('FLOA') || type.includes('DOUB')) return { name: c.name, type: 'double' };
+    return { name: c.name, type: 'string' };
+  });
+}
+
+function gitCommit() {
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: ROOT, stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim();
+  } catch (_) {
+    return null;
+  }
+}
+
+function pipelineVersions() {
+  const sources = {};
+  for (const [key, rel] of Object.entries(PIPELINE_SOURCES)) {
+    const file = path.join(ROOT, rel);
+    sources[key] = { file: rel, sha256: fs.existsSync(file) ? sha256Buffer(fs.readFileSync(file)) : null };
+  }
+  return sources;
+}
+
+/**
+ * Stream a query to a file with an export writer, in keyset- or offset-paged batches.
+ * @returns {Promise<number>} rows written
+ */
+async function writeTable(db, filePath, { sql, params, columns, format, gzip, orderKey, throwIfCancelled }) {
+  const writer = createExportWriter(format, columns, { gzip });
+  const file = fs.createWriteStream(filePath);
+  const out = writer.compressOutput ? zlib.createGzip() : file;
+  if (out !== file) out.pipe(file);
+  const done = new Promise((resolve, reject) => {
+    file.on('finish', resolve);
+    file.on('error', reject);
+  });
+  const write = (chunk) => (out.write(chunk) ? null : new Promise(resolve => out.once('drain', resolve)));
+
+  let rows = 0;
+  try {
+    await write(writer.start());
+    let last = null;
+    let offset = 0;
+    for (;;) {
+      if (throwIfCancelled) throwIfCancelled();
+      const batch = orderKey
+        ? await allAsync(db, `SELECT * FROM (${sql}) WHERE ${last == null ? '1' : `${orderKey} > ?`} ORDER BY ${orderKey} LIMIT ${BATCH_SIZE}`,
+          last == null ? params : [...params, last])
+        : await allAsync(db, `${sql} LIMIT ${BATCH_SIZE} OFFSET ${offset}`, params);
+      if (batch.length === 0) break;
+      rows += batch.length;
+      offset += batch.length;
+      if (orderKey) last = batch[batch.length - 1][orderKey];
+      await write(writer.write(batch));
+    }
+    out.end(writer.finish());
+  } catch (err) {
+    done.catch(() => {});
+    out.destroy();
+    file.destroy();
+    throw err;
+  }
+  await done;
+  return rows;
+}
+
+/**
+ * Write a new snapshot.
+ * @param {import('sqlite3').Database} db
+ * @param {{ filters?: object, label?: string, format?: 'parquet'|'csv'|'jsonl', gzip?: boolean,
+ *   log?: (msg: string) => void, progress?: (current: number, total: number, message: string) => void,
+ *   throwIfCancelled?: () => void }} [options] - filters use the export vocabulary (see speech-filters.js)
+ * @returns {Promise<object>} the manifest
+ */
+async function createSnapshot(db, options = {}) {
+  const log = options.log || (() => {});
+  const progress = options.progress || (() => {});
+  const format = (options.format || 'parquet').toLowerCase();
+  if (!SNAPSHOT_FORMATS.includes(format)) {
+    const err = new Error(`Unknown snapshot format "${format}" (expected ${SNAPSHOT_FORMATS.join(', ')})`);
+    err.code = 'INVALID_FORMAT';
+    throw err;
+  }
+  const rawFilters = options.filters || {};
+  const filters = parseSpeechFilters(rawFilters);
+  const { whereClause, params } = buildSpeechFilter(filters);
+  const gzip = !!options.gzip;
+  await ensureSchema(db);
+
+  const existing = await listSnapshots();
+  const version = existing.reduce((max, s) => Math.max(max, s.version || 0), 0) + 1;
+  const createdAt = new Date();
+  const baseId = [timestampId(createdAt), slug(options.label)].filter(Boolean).join('-');
+  let id = baseId;
+  for (let n = 2; fs.existsSync(snapshotPath(id)); n++) id = `${baseId}-${n}`;
+  const dir = snapshotPath(id);
+  const tmpDir = `${dir}.partial`;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  fs.mkdirSync(tmpDir, { recursive: true });
+  log(`[SNAPSHOT] Writing snapshot v${version} (${id}) as ${format}${gzip ? ' + gzip' : ''}`);
+
+  try {
+    const filtered = `SELECT i.id FROM individual_speeches i
+      LEFT JOIN sittings s ON i.sitting_id = s.id
+      LEFT JOIN meps m ON i.mep_id = m.id
+      ${whereClause}`;
+    const ext = createExportWriter(format, [], { gzip }).extension;
+    const files = [];
+    const counts = {};
+
+    const tables = [
+      { table: 'individual_speeches', name: 'speeches', orderKey: 'id',
+        sql: `SELECT * FROM individual_speeches WHERE id IN (${filtered})` },
+      { table: 'sittings', name: 'sittings',
+        sql: `SELECT * FROM sittings WHERE id IN (SELECT i.sitting_id FROM individual_speeches i WHERE i.id IN (${filtered})) ORDER BY id` },
+      { table: 'meps', name: 'meps', orderKey: 'id',
+        sql: `SELECT * FROM meps WHERE id IN (SELECT i.mep_id FROM individual_speeches i WHERE i.id IN (${filtered}))` }
+    ];
+    for (const [index, t] of tables.entries()) {
+      progress(index, tables.length + 1, `Writing ${t.name}`);
+      const fileName = `${t.name}.${ext}`;
+      const rows = await writeTable(db, path.join(tmpDir, fileName), {
+        sql: t.sql,
+        params,
+        columns: await tableColumns(db, t.table),
+        format,
+        gzip,
+        orderKey: t.orderKey,
+        throwIfCancelled: options.throwIfCancelled
+      });
+      counts[t.name] = rows;
+      files.push({ name: fileName, rows });
+      log(`[SNAPSHOT]   ${fileName}: ${rows} rows`);
+    }
+
+    progress(tables.length, tables.length + 1, 'Writing taxonomy and rules');
+    const groupMappings = await allAsync(db, `
+      SELECT COALESCE(i.political_group_raw, i.political_group) AS raw, i.political_group_std AS std,
+             i.political_group_kind AS kind, i.political_group_reason AS reason, COUNT(*) AS speeches
+      FROM individual_speeches i WHERE i.id IN (${filtered})
+      GROUP BY 1, 2, 3, 4 ORDER BY speeches DESC`, params);
+    const jsonFiles = {
+      'macro-topics.json': macroTopics.load(),
+      'macro-topic-rules.json': loadRules(),
+      'group-normalization.json': groupMappings
+    };
+    for (const [fileName, data] of Object.entries(jsonFiles)) {
+      fs.writeFileSync(path.join(tmpDir, fileName), JSON.stringify(data, null, 2) + '\n', 'utf8');
+      files.push({ name: fileName, rows: data.length });
+    }
+    counts.macroTopics = jsonFiles['macro-topics.json'].length;
+    counts.macroTopicRules = jsonFiles['macro-topic-rules.json'].length;
+    counts.groupMappings = groupMappings.length;
+
+    for (const f of files) {
+      const filePath = path.join(tmpDir, f.name);
+      f.bytes = fs.statSync(filePath).size;
+      f.sha256 = await sha256File(filePath);
+    }
+    fs.writeFileSync(path.join(tmpDir, 'SHA256SUMS'), files.map(f => `${f.sha256}  ${f.name}`).join('\n') + '\n', 'utf8');
+
+    const range = await getAsync(db, `SELECT MIN(s.activity_date) AS first, MAX(s.activity_date) AS last
+      FROM individual_speeches i LEFT JOIN sittings s ON i.sitting_id = s.id WHERE i.id IN (${filtered})`, params);
+    const schema = await getSchemaStatus(db);
+    let packageVersion = null;
+    try {
+      packageVersion = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8')).version;
+    } catch (_) { /* not fatal */ }
+
+    const manifest = {
+      id,
+      version,
+      label: options.label || null,
+      createdAt: createdAt.toISOString(),
+      format,
+      gzip,
+      filters: rawFilters,
+      dateRange: { first: range ? range.first : null, last: range ? range.last : null },
+      counts,
+      software: {
+        eurowatch: packageVersion,
+        gitCommit: gitCommit(),
+        node: process.version,
+        schemaVersion: schema.current
+      },
+      pipeline: pipelineVersions(),
+      classifier: { provider: 'openai', model: DEFAULT_MODEL },
+      files
+    };
+    fs.writeFileSync(path.join(tmpDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmpDir, dir);
+    progress(tables.length + 1, tables.length + 1, 'Done');
+    log(`[SNAPSHOT] Snapshot v${version} complete: ${counts.speeches} speeches, ${counts.sittings} sittings, ${counts.meps} MEPs`);
+    return manifest;
+  } catch (err) {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+/** Manifests of all complete snapshots, newest version first. */
+async function listSnapshots() {
+  const dir = getSnapshotsDir();
+  if (!fs.existsSync(dir)) return [];
+  const manifests = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!ID_PATTERN.test(name)) continue;
+    try {
+      manifests.push(JSON.parse(fs.readFileSync(path.join(dir, name, 'manifest.json'), 'utf8')));
+    } catch (_) { /* incomplete or foreign directory */ }
+  }
+  return manifests.sort((a, b) => (b.version || 0) - (a.version || 0));
+}
+
+/** @returns {Promise<object>} manifest; throws SNAPSHOT_NOT_FOUND */
+async function getSnapshot(id) {
+  const file = path.join(snapshotPath(id), 'manifest.json');
+  if (!fs.existsSync(file)) throw notFound(id);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Absolute path of a file listed in the manifest (or manifest.json / SHA256SUMS); throws SNAPSHOT_NOT_FOUND otherwise.
+ */
+async function getSnapshotFile(id, name) {
+  const manifest = await getSnapshot(id);
+  const allowed = ['manifest.json', 'SHA256SUMS', ...manifest.files.map(f => f.name)];
+  if (!allowed.includes(name)) throw notFound(`${id}/${name}`);
+  return path.join(snapshotPath(id), name);
+}
+
+/** Recompute checksums. @returns {Promise<{ id: string, ok: boolean, files: object[] }>} */
+async function verifySnapshot(id) {
+  const manifest = await getSnapshot(id);
+  const dir = snapshotPath(id);
+  const files = [];
+  for (const f of manifest.files) {
+    const filePath = path.join(dir, f.name);
+    const actual = fs.existsSync(filePath) ? await sha256File(filePath) : null;
+    files.push({ name: f.name, expected: f.sha256, actual, ok: actual === f.sha256 });
+  }
+  return { id, ok: files.every(f => f.ok), files };
+}
+
+/**
+ * Write the snapshot as one zip (folder <id>/ inside) to a writable stream, honouring backpressure.
+ * Resolves when everything is written; the caller ends the stream.
+ */
+async function writeSnapshotZip(id, stream) {
+  const manifest = await getSnapshot(id);
+  const dir = snapshotPath(id);
+  const zip = createZipWriter({ date: new Date(manifest.createdAt) });
+  const write = (chunk) => (chunk.length === 0 || stream.write(chunk) ? null : new Promise(resolve => stream.once('drain', resolve)));
+
+  for (const name of ['manifest.json', 'SHA256SUMS', ...manifest.files.map(f => f.name)]) {
+    await write(zip.beginEntry(`${id}/${name}`));
+    for await (const chunk of fs.createReadStream(path.join(dir, name), { highWaterMark: 1024 * 1024 })) {
+      await write(zip.entryData(chunk));
+    }
+    await write(zip.endEntry());
+  }
+  await write(zip.finish());
+}
+
+module.exports = {
+  SNAPSHOT_FORMATS,
+  getSnapshotsDir,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  getSnapshotFile,
+  verifySnapshot,
+  writeSnapshotZip
+};
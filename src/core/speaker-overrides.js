@@ -0,0 +1,238 @@
+/**
+ * Manual speaker → MEP links (speaker_overrides, migration 015). A curator links a speaker name to an MEP or
+ * keeps it unlinked, for all terms (term 0) or one term; a term-specific override wins over the all-terms one.
+ * Overridden speeches get mep_match_method 'override' and are skipped by the resolver, the historic MEP step
+ * and clearAllMepData, so Build MEP Dataset re-applies them instead of wiping them.
+ */
+const { ensureSchema } = require('./migrate');
+const { normalizeName, resolveSpeeches } = require('./speaker-resolver');
+const { TERMS, TERM_SQL } = require('./cre-urls');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+const STATUSES = ['unlinked', 'low-confidence', 'ambiguous', 'overridden', 'all'];
+/** Automatic matches scoring below this are listed as low-confidence */
+const DEFAULT_MAX_SCORE = 0.85;
+
+function overrideError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const SPEECH_TERM = `(SELECT ${TERM_SQL} FROM sittings s WHERE s.id = individual_speeches.sitting_id)`;
+
+function checkTerm(term) {
+  const value = term === undefined || term === null || term === '' ? 0 : Number(term);
+  if (!Number.isInteger(value) || value < 0 || value > TERMS[0].term) {
+    throw overrideError('INVALID_OVERRIDE', `term must be 0 (all terms) to ${TERMS[0].term}`);
+  }
+  return value;
+}
+
+/** HAVING condition per list status (on the per-name aggregate) */
+function statusClause(status, maxScore) {
+  const automatic = "i.mep_match_method NOT IN ('override', 'historic')";
+  if (status === 'unlinked') {
+    return { sql: "SUM(CASE WHEN (i.mep_id IS NULL AND i.mep_match_method IS NOT 'override') OR i.mep_match_method = 'historic' THEN 1 ELSE 0 END) > 0", params: [] };
+  }
+  if (status === 'low-confidence') return { sql: `MIN(CASE WHEN ${automatic} THEN i.mep_match_score END) < ?`, params: [maxScore] };
+  if (status === 'ambiguous') return { sql: `MAX(CASE WHEN ${automatic} AND i.mep_match_candidates IS NOT NULL THEN 1 ELSE 0 END) = 1`, params: [] };
+  if (status === 'overridden') return { sql: 'i.speaker_name IN (SELECT speaker_name FROM speaker_overrides)', params: [] };
+  return { sql: '1 = 1', params: [] };
+}
+
+/**
+ * Speaker names with their speech counts and current links, most speeches first.
+ * status: unlinked (no MEP, or only a historic placeholder), low-confidence (an automatic match below maxScore),
+ * ambiguous (close runner-up candidates), overridden, all.
+ * @param {{ status?: string, q?: string, maxScore?: number, limit?: number, offset?: number }} options
+ * @returns {Promise<{ total: number, items: object[] }>}
+ */
+async function listSpeakers(db, { status = 'unlinked', q, maxScore = DEFAULT_MAX_SCORE, limit = 50, offset = 0 } = {}) {
+  await ensureSchema(db);
+  if (!STATUSES.includes(status)) throw overrideError('INVALID_FILTER', `status must be one of ${STATUSES.join(', ')}`);
+  const threshold = Number(maxScore);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw overrideError('INVALID_FILTER', 'max_score must be between 0 and 1');
+  }
+  const clause = statusClause(status, threshold);
+  let where = "WHERE i.speaker_name IS NOT NULL AND TRIM(i.speaker_name) != ''";
+  const params = [];
+  if (q && String(q).trim()) {
+    where += ' AND i.speaker_name LIKE ?';
+    params.push(`%${String(q).trim()}%`);
+  }
+  const grouped = `
+    SELECT i.speaker_name, COUNT(*) AS speeches,
+      SUM(CASE WHEN i.mep_id IS NULL THEN 1 ELSE 0 END) AS unlinked,
+      MIN(CASE WHEN i.mep_match_method NOT IN ('override', 'historic') THEN i.mep_match_score END) AS min_score,
+      MAX(CASE WHEN i.mep_match_candidates IS NOT NULL THEN 1 ELSE 0 END) AS ambiguous,
+      GROUP_CONCAT(DISTINCT i.mep_id) AS mep_ids,
+      MIN(s.activity_date) AS first_date, MAX(s.activity_date) AS last_date
+    FROM individual_speeches i LEFT JOIN sittings s ON s.id = i.sitting_id
+    ${where}
+    GROUP BY i.speaker_name
+    HAVING ${clause.sql}`;
+  const allParams = [...params, ...clause.params];
+  const { total } = await getAsync(db, `SELECT COUNT(*) AS total FROM (${grouped})`, allParams);
+  const rows = await allAsync(db, `${grouped} ORDER BY speeches DESC, i.speaker_name LIMIT ? OFFSET ?`, [...allParams, limit, offset]);
+  if (!rows.length) return { total, items: [] };
+
+  const mepIds = [...new Set(rows.flatMap(r => (r.mep_ids ? String(r.mep_ids).split(',').map(Number) : [])))];
+  const names = rows.map(r => r.speaker_name);
+  const meps = new Map();
+  if (mepIds.length) {
+    const found = await allAsync(db, `SELECT id, label, source FROM meps WHERE id IN (${mepIds.map(() => '?').join(', ')})`, mepIds);
+    for (const m of found) meps.set(m.id, m);
+  }
+  const overrides = await allAsync(db, `
+    SELECT o.speaker_name, o.term, o.mep_id, m.label AS mep_label, o.note, o.created_by, o.created_at
+    FROM speaker_overrides o LEFT JOIN meps m ON m.id = o.mep_id
+    WHERE o.speaker_name IN (${names.map(() => '?').join(', ')})
+    ORDER BY o.term`, names);
+
+  return {
+    total,
+    items: rows.map(r => ({
+      speaker_name: r.speaker_name,
+      speeches: r.speeches,
+      unlinked: r.unlinked,
+      min_score: r.min_score,
+      ambiguous: !!r.ambiguous,
+      first_date: r.first_date,
+      last_date: r.last_date,
+      meps: (r.mep_ids ? String(r.mep_ids).split(',').map(Number) : [])
+        .map(id => ({ id, label: meps.has(id) ? meps.get(id).label : null, source: meps.has(id) ? meps.get(id).source : null })),
+      overrides: overrides.filter(o => o.speaker_name === r.speaker_name).map(({ speaker_name, ...o }) => o)
+    }))
+  };
+}
+
+/**
+ * MEPs whose name contains every word of q as a word prefix (diacritics and particles ignored).
+ * API MEPs of the current term first.
+ * @returns {Promise<object[]>} { id, label, country, political_group, terms, source, is_current }
+ */
+async function searchMeps(db, q, { limit = 20 } = {}) {
+  const words = normalizeName(q).tokens;
+  if (!words.length) return [];
+  const meps = await allAsync(db, `
+    SELECT id, label, givenName, familyName, country, politicalGroup, terms, source, is_current FROM meps
+    ORDER BY source = 'historic', is_current DESC, sortLabel, label`);
+  const found = [];
+  for (const m of meps) {
+    const tokens = normalizeName(`${m.label || ''} ${m.givenName || ''} ${m.familyName || ''}`).tokens;
+    if (!words.every(w => tokens.some(t => t.startsWith(w)))) continue;
+    found.push({
+      id: m.id,
+      label: m.label,
+      country: m.country,
+      political_group: m.politicalGroup,
+      terms: m.terms ? String(m.terms).split(',').map(Number) : [],
+      source: m.source,
+      is_current: !!m.is_current
+    });
+    if (found.length >= limit) break;
+  }
+  return found;
+}
+
+/**
+ * Write overrides onto speeches: link (score 1) or keep unlinked, term-specific overrides over all-terms ones.
+ * @param {{ speakerName?: string, sittingId?: string }} [scope]
+ * @returns {Promise<{ overrides: number, speeches: number }>}
+ */
+async function applyOverrides(db, { speakerName, sittingId } = {}) {
+  await ensureSchema(db);
+  const overrides = await allAsync(db,
+    `SELECT speaker_name, term, mep_id FROM speaker_overrides${speakerName ? ' WHERE speaker_name = ?' : ''} ORDER BY speaker_name, term`,
+    speakerName ? [speakerName] : []);
+  let speeches = 0;
+  for (const o of overrides) {
+    let where = 'speaker_name = ?';
+    const params = [o.speaker_name];
+    if (o.term) {
+      where += ` AND ${SPEECH_TERM} = ?`;
+      params.push(o.term);
+    } else {
+      const specific = overrides.filter(other => other.speaker_name === o.speaker_name && other.term).map(other => other.term);
+      if (specific.length) where += ` AND IFNULL(${SPEECH_TERM}, 0) NOT IN (${specific.join(', ')})`;
+    }
+    if (sittingId) {
+      where += ' AND sitting_id = ?';
+      params.push(sittingId);
+    }
+    const update = await runAsync(db, `
+      UPDATE individual_speeches
+      SET mep_id = ?, mep_match_method = 'override', mep_match_score = ?, mep_match_candidates = NULL
+      WHERE ${where}`, [o.mep_id, o.mep_id == null ? null : 1, ...params]);
+    speeches += update.changes;
+  }
+  return { overrides: overrides.length, speeches };
+}
+
+/**
+ * Link a speaker name to an MEP (mepId) or keep it unlinked (mepId null), for all terms (0) or one term.
+ * @param {{ speakerName: string, mepId?: number|null, term?: number, note?: string, user?: string }} override
+ * @returns {Promise<{ speaker_name: string, term: number, mep_id: number|null, speeches: number }>}
+ */
+async function setOverride(db, { speakerName, mepId = null, term, note, user } = {}) {
+  await ensureSchema(db);
+  const name = typeof speakerName === 'string' ? speakerName : '';
+  if (!name.trim()) throw overrideError('INVALID_OVERRIDE', 'speaker_name is required');
+  const termValue = checkTerm(term);
+  let mep = null;
+  if (mepId !== null && mepId !== undefined && mepId !== '') {
+    mep = await getAsync(db, 'SELECT id FROM meps WHERE id = ?', [mepId]);
+    if (!mep) throw overrideError('MEP_NOT_FOUND', `MEP ${mepId} not found`);
+  }
+  const speaker = await getAsync(db, 'SELECT COUNT(*) AS n FROM individual_speeches WHERE speaker_name = ?', [name]);
+  if (!speaker.n) throw overrideError('SPEAKER_NOT_FOUND', `No speeches by "${name}"`);
+
+  await runAsync(db, `
+    INSERT OR REPLACE INTO speaker_overrides (speaker_name, term, mep_id, note, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)`, [name, termValue, mep ? mep.id : null, note || null, user || null, Date.now()]);
+  const applied = await applyOverrides(db, { speakerName: name });
+  return { speaker_name: name, term: termValue, mep_id: mep ? mep.id : null, speeches: applied.speeches };
+}
+
+/**
+ * Drop an override; the name's speeches go back to automatic resolution (remaining overrides still apply).
+ * @returns {Promise<{ speaker_name: string, term: number, relinked: number }>} relinked: speeches the resolver linked
+ */
+async function removeOverride(db, { speakerName, term } = {}) {
+  await ensureSchema(db);
+  const termValue = checkTerm(term);
+  const removed = await runAsync(db, 'DELETE FROM speaker_overrides WHERE speaker_name = ? AND term = ?', [speakerName, termValue]);
+  if (!removed.changes) throw overrideError('NOT_FOUND', `No override for "${speakerName}" (term ${termValue})`);
+  await runAsync(db, `
+    UPDATE individual_speeches
+    SET mep_id = NULL, mep_match_method = NULL, mep_match_score = NULL, mep_match_candidates = NULL
+    WHERE speaker_name = ? AND mep_match_method = 'override'`, [speakerName]);
+  await applyOverrides(db, { speakerName });
+  const resolved = await resolveSpeeches(db, { speakerName });
+  return { speaker_name: speakerName, term: termValue, relinked: resolved.speeches };
+}
+
+/**
+ * Apply overrides, then resolve the remaining unlinked speeches (core/speaker-resolver).
+ * @param {{ sittingId?: string, log?: function }} [options]
+ * @returns {Promise<object>} resolveSpeeches result plus overridden (speeches set by overrides)
+ */
+async function linkSpeakers(db, { sittingId, log } = {}) {
+  const applied = await applyOverrides(db, { sittingId });
+  if (applied.overrides && log) log(`[MEP-LINK] Applied ${applied.overrides} speaker overrides (${applied.speeches} speeches).`);
+  const resolved = await resolveSpeeches(db, { sittingId, log });
+  return { ...resolved, overridden: applied.speeches };
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_MAX_SCORE,
+  listSpeakers,
+  searchMeps,
+  applyOverrides,
+  setOverride,
+  removeOverride,
+  linkSpeakers
+};
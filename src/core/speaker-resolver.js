@@ -0,0 +1,347 @@
+/**
+ * Speaker name → MEP resolution for individual_speeches.mep_id.
+ * Names are compared without diacritics, titles and name particles ("Ó Ríordáin" = "O'Riordain",
+ * "von der Leyen" = "Leyen"), in any order and with compound surnames matched by token containment
+ * ("Pedro Sánchez Pérez" ~ "Pedro SÁNCHEZ"). Candidates are then scored against the speech: the term of
+ * the sitting date vs the MEP's terms (meps.terms), the group of the speech vs the MEP's group and the
+ * original language vs the MEP's country. Each linked speech records mep_match_method and mep_match_score
+ * (migration 014); when the two best candidates score within AMBIGUITY_MARGIN the best one is linked and
+ * the others are kept in mep_match_candidates so the speech shows up for review.
+ */
+const { ensureSchema } = require('./migrate');
+const { TERM_SQL } = require('./cre-urls');
+const { normalizePoliticalGroup } = require('./group-normalizer');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+/** Below this a speaker stays unlinked (and gets a historic MEP in the dataset build) */
+const MIN_SCORE = 0.7;
+/** Best and runner-up closer than this: linked but flagged as ambiguous */
+const AMBIGUITY_MARGIN = 0.1;
+const METHODS = ['exact', 'reordered', 'particles', 'partial', 'fuzzy', 'historic', 'override'];
+
+const TITLES = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'professor', 'sir', 'lord', 'lady', 'baroness', 'baron', 'dame', 'hon', 'mep']);
+const PARTICLES = new Set([
+  'von', 'van', 'der', 'den', 'de', 'del', 'della', 'delle', 'dei', 'di', 'da', 'dal', 'do', 'dos', 'das', 'du', 'des',
+  'la', 'le', 'lo', 'zu', 'zum', 'ter', 'ten', 'af', 'av', 'y', 'i', 'e', 'o', 'ua', 'ni', 'nic', 'mac', 'mc'
+]);
+const SPECIAL_LETTERS = { ß: 'ss', ø: 'o', æ: 'ae', œ: 'oe', đ: 'd', ł: 'l', ı: 'i', þ: 'th', ð: 'd' };
+
+/** Countries (ISO 3166 alpha-3) whose MEPs speak each EU language as a national language */
+const LANGUAGE_COUNTRIES = {
+  BG: ['BGR'], CS: ['CZE'], DA: ['DNK'], DE: ['DEU', 'AUT', 'LUX', 'BEL'], EL: ['GRC', 'CYP'], ES: ['ESP'],
+  ET: ['EST'], FI: ['FIN'], FR: ['FRA', 'BEL', 'LUX'], GA: ['IRL'], HR: ['HRV'], HU: ['HUN'], IT: ['ITA'],
+  LT: ['LTU'], LV: ['LVA'], MT: ['MLT'], NL: ['NLD', 'BEL'], PL: ['POL'], PT: ['PRT'], RO: ['ROU'],
+  SK: ['SVK'], SL: ['SVN'], SV: ['SWE', 'FIN']
+};
+const COUNTRY_CODES = {
+  austria: 'AUT', belgium: 'BEL', bulgaria: 'BGR', croatia: 'HRV', cyprus: 'CYP', czechia: 'CZE', 'czech republic': 'CZE',
+  denmark: 'DNK', estonia: 'EST', finland: 'FIN', france: 'FRA', germany: 'DEU', greece: 'GRC', hungary: 'HUN',
+  ireland: 'IRL', italy: 'ITA', latvia: 'LVA', lithuania: 'LTU', luxembourg: 'LUX', malta: 'MLT', netherlands: 'NLD',
+  poland: 'POL', portugal: 'PRT', romania: 'ROU', slovakia: 'SVK', slovenia: 'SVN', spain: 'ESP', sweden: 'SWE'
+};
+
+/**
+ * Name tokens for matching: lowercase ASCII, no titles or parenthesised notes.
+ * @returns {{ tokens: string[], core: string[], compact: string }} core drops particles (unless nothing is left)
+ */
+function normalizeName(name) {
+  const text = String(name || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .toLowerCase()
+    .replace(/[ßøæœđłıþð]/g, c => SPECIAL_LETTERS[c])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ');
+  const tokens = text.split(' ').filter(t => t && !TITLES.has(t));
+  const core = tokens.filter(t => !PARTICLES.has(t));
+  return { tokens, core: core.length ? core : tokens, compact: tokens.join('') };
+}
+
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** 1 for equal tokens, otherwise edit similarity for tokens of 5+ letters (0 when below 0.8) */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 5 || b.length < 5) return 0;
+  const sim = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  return sim >= 0.8 ? sim : 0;
+}
+
+const sorted = (list) => [...list].sort().join(' ');
+
+/**
+ * Name similarity of a speaker and one MEP name variant.
+ * @returns {{ score: number, method: string }|null}
+ */
+function compareNames(speaker, mep, familyCore = []) {
+  if (!speaker.tokens.length || !mep.tokens.length) return null;
+  if (speaker.tokens.join(' ') === mep.tokens.join(' ')) return { score: 1, method: 'exact' };
+  if (sorted(speaker.tokens) === sorted(mep.tokens) || speaker.compact === mep.compact
+    || speaker.compact === [...mep.tokens].reverse().join('')) {
+    return { score: 0.97, method: 'reordered' };
+  }
+  if (sorted(speaker.core) === sorted(mep.core) || speaker.core.join('') === mep.core.join('')) {
+    return { score: 0.93, method: 'particles' };
+  }
+
+  // Every token of the shorter name must match one of the longer; the family name must be among them
+  const [shorter, longer] = speaker.core.length <= mep.core.length ? [speaker.core, mep.core] : [mep.core, speaker.core];
+  const used = new Set();
+  let matched = 0;
+  let fuzzy = false;
+  const matchedMep = new Set();
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    longer.forEach((other, i) => {
+      if (used.has(i)) return;
+      const sim = tokenSimilarity(token, other);
+      if (sim > best) {
+        best = sim;
+        bestIndex = i;
+      }
+    });
+    if (!best) return null;
+    used.add(bestIndex);
+    matched += best;
+    if (best < 1) fuzzy = true;
+    matchedMep.add(shorter === mep.core ? token : longer[bestIndex]);
+  }
+  if (familyCore.length && !familyCore.some(t => matchedMep.has(t))) return null;
+  const coverage = matched / longer.length;
+  return { score: Math.round((0.6 + 0.3 * coverage) * 1000) / 1000, method: fuzzy ? 'fuzzy' : 'partial' };
+}
+
+function countryCode(value) {
+  if (!value) return null;
+  const last = String(value).trim().split('/').pop();
+  if (/^[A-Z]{3}$/.test(last)) return last;
+  return COUNTRY_CODES[last.toLowerCase()] || null;
+}
+
+function groupCode(value) {
+  if (!value || /^unknown$/i.test(String(value).trim())) return null;
+  const result = normalizePoliticalGroup(String(value));
+  return result.kind === 'group' && result.reason !== 'generic_group_phrase' ? result.std : null;
+}
+
+/**
+ * Lookup structure over the meps table rows (id, label, givenName, familyName, country, politicalGroup, terms).
+ */
+function buildMepIndex(meps) {
+  const entries = [];
+  const byKey = new Map();
+  const addKey = (key, entry) => {
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, new Set());
+    byKey.get(key).add(entry);
+  };
+  for (const m of meps) {
+    const variants = [normalizeName(m.label)];
+    if (m.givenName && m.familyName) variants.push(normalizeName(`${m.givenName} ${m.familyName}`));
+    const entry = {
+      mep: m,
+      variants: variants.filter(v => v.tokens.length),
+      familyCore: m.familyName ? normalizeName(m.familyName).core : [],
+      terms: m.terms ? String(m.terms).split(',').map(Number).filter(Boolean) : [],
+      country: countryCode(m.country),
+      group: groupCode(m.politicalGroup)
+    };
+    if (!entry.variants.length) continue;
+    entries.push(entry);
+    for (const v of entry.variants) {
+      for (const t of v.core) addKey(t.slice(0, 3), entry);
+      addKey(v.compact.slice(0, 3), entry);
+    }
+  }
+  return { entries, byKey };
+}
+
+/**
+ * Name score adjusted by what the speech tells about the speaker.
+ * @param {{ term?: number, group?: string, language?: string }} context - group as a canonical code (groupCode)
+ */
+function scoreCandidate(speaker, entry, context = {}) {
+  let best = null;
+  for (const variant of entry.variants) {
+    const result = compareNames(speaker, variant, entry.familyCore);
+    if (result && (!best || result.score > best.score)) best = result;
+  }
+  if (!best) return null;
+
+  let score = best.score;
+  if (context.term && entry.terms.length) score += entry.terms.includes(context.term) ? 0.1 : -0.25;
+  if (context.group && entry.group) score += context.group === entry.group ? 0.05 : -0.05;
+  const countries = context.language && LANGUAGE_COUNTRIES[String(context.language).toUpperCase()];
+  if (countries && entry.country) score += countries.includes(entry.country) ? 0.05 : -0.05;
+  // rank keeps the unclamped score so context still separates two perfect name matches
+  return { mep_id: entry.mep.id, method: best.method, rank: score, score: Math.round(Math.max(0, Math.min(1, score)) * 1000) / 1000 };
+}
+
+/**
+ * Best MEP for a speaker name in a speech context ({ term, group, language }: raw group, original language).
+ * @returns {{ mep_id: number, method: string, score: number, candidates: {mep_id: number, score: number}[]|null }|null}
+ *   candidates: set when the runner-up is within AMBIGUITY_MARGIN (best first)
+ */
+function resolveSpeaker(index, name, context = {}) {
+  const speaker = normalizeName(name);
+  if (!speaker.tokens.length) return null;
+  const pool = new Set();
+  for (const key of [...speaker.core.map(t => t.slice(0, 3)), speaker.compact.slice(0, 3)]) {
+    for (const entry of index.byKey.get(key) || []) pool.add(entry);
+  }
+  const scoreContext = { ...context, group: groupCode(context.group) };
+  const scored = [];
+  for (const entry of pool) {
+    const result = scoreCandidate(speaker, entry, scoreContext);
+    if (result && result.rank >= MIN_SCORE) scored.push(result);
+  }
+  if (!scored.length) return null;
+  scored.sort((a, b) => b.rank - a.rank || a.mep_id - b.mep_id);
+  const [best] = scored;
+  const close = scored.filter(c => best.rank - c.rank < AMBIGUITY_MARGIN - 1e-9);
+  return {
+    mep_id: best.mep_id,
+    method: best.method,
+    score: best.score,
+    candidates: close.length > 1 ? close.slice(0, 5).map(c => ({ mep_id: c.mep_id, score: c.score })) : null
+  };
+}
+
+/**
+ * Link unlinked speeches (mep_id IS NULL) to MEPs. Speeches are resolved per speaker name, term, group and
+ * original language, so one name can land on different MEPs in different terms. Speeches kept unlinked by a
+ * curator override (mep_match_method 'override') are left alone.
+ * @param {{ sittingId?: string, speakerName?: string, log?: function }} [options] - sittingId / speakerName
+ *   limit the run to one sitting / one name
+ * @returns {Promise<{ speakers: number, linkedSpeakers: number, ambiguous: number, speeches: number }>}
+ *   speakers / linkedSpeakers / ambiguous count distinct speaker names; speeches counts updated rows
+ */
+async function resolveSpeeches(db, { sittingId, speakerName, log = () => {} } = {}) {
+  await ensureSchema(db);
+  const meps = await allAsync(db, 'SELECT id, label, givenName, familyName, country, politicalGroup, terms FROM meps');
+  const scope = ["mep_id IS NULL", "mep_match_method IS NOT 'override'"];
+  const scopeParams = [];
+  if (sittingId) {
+    scope.push('sitting_id = ?');
+    scopeParams.push(sittingId);
+  }
+  if (speakerName) {
+    scope.push('speaker_name = ?');
+    scopeParams.push(speakerName);
+  }
+  const groups = await allAsync(db, `
+    SELECT i.speaker_name, i.political_group, i.original_language, ${TERM_SQL} AS term, COUNT(*) AS speeches
+    FROM individual_speeches i LEFT JOIN sittings s ON s.id = i.sitting_id
+    WHERE i.speaker_name IS NOT NULL AND TRIM(i.speaker_name) != ''${scope.map(c => ` AND i.${c}`).join('')}
+    GROUP BY i.speaker_name, i.political_group, i.original_language, term`, scopeParams);
+  const result = { speakers: new Set(groups.map(g => g.speaker_name)).size, linkedSpeakers: 0, ambiguous: 0, speeches: 0 };
+  if (!groups.length || !meps.length) return result;
+
+  log(`[MEP-LINK] Resolving ${result.speakers} speaker names (${groups.length} name/term/group combinations) against ${meps.length} MEPs...`);
+  const index = buildMepIndex(meps);
+  const linked = new Set();
+  const ambiguous = new Set();
+  for (const g of groups) {
+    const match = resolveSpeaker(index, g.speaker_name, { term: g.term, group: g.political_group, language: g.original_language });
+    if (!match) continue;
+    const update = await runAsync(db, `
+      UPDATE individual_speeches
+      SET mep_id = ?, mep_match_method = ?, mep_match_score = ?, mep_match_candidates = ?
+      WHERE speaker_name = ? AND political_group IS ? AND original_language IS ?
+        AND (SELECT ${TERM_SQL} FROM sittings s WHERE s.id = individual_speeches.sitting_id) IS ?${scope.map(c => ` AND ${c}`).join('')}`,
+    [match.mep_id, match.method, match.score, match.candidates ? JSON.stringify(match.candidates) : null,
+      g.speaker_name, g.political_group, g.original_language, g.term, ...scopeParams]);
+    result.speeches += update.changes;
+    linked.add(g.speaker_name);
+    if (match.candidates) ambiguous.add(g.speaker_name);
+  }
+  result.linkedSpeakers = linked.size;
+  result.ambiguous = ambiguous.size;
+  log(`[MEP-LINK] Linked ${result.linkedSpeakers} speaker names (${result.speeches} speeches); ${result.ambiguous} ambiguous, flagged for review.`);
+  return result;
+}
+
+/**
+ * Linked speaker names for review, grouped by name and MEP: ambiguous ones (status 'ambiguous') or every
+ * automatic match (status 'all'), lowest score first.
+ * @param {{ status?: 'ambiguous'|'all', method?: string, limit?: number, offset?: number }} options
+ * @returns {Promise<{ total: number, items: object[] }>}
+ */
+async function listMatches(db, { status = 'ambiguous', method, limit = 50, offset = 0 } = {}) {
+  await ensureSchema(db);
+  if (!['ambiguous', 'all'].includes(status)) {
+    const err = new Error('status must be ambiguous or all');
+    err.code = 'INVALID_FILTER';
+    throw err;
+  }
+  if (method && !METHODS.includes(method)) {
+    const err = new Error(`method must be one of ${METHODS.join(', ')}`);
+    err.code = 'INVALID_FILTER';
+    throw err;
+  }
+  const where = ['i.mep_id IS NOT NULL', 'i.mep_match_method IS NOT NULL'];
+  const params = [];
+  if (status === 'ambiguous') where.push('i.mep_match_candidates IS NOT NULL');
+  if (method) {
+    where.push('i.mep_match_method = ?');
+    params.push(method);
+  }
+  const grouped = `
+    SELECT i.speaker_name, i.mep_id, MIN(i.mep_match_score) AS score, MAX(i.mep_match_method) AS method,
+      MAX(i.mep_match_candidates) AS candidates, COUNT(*) AS speeches, MIN(s.activity_date) AS first_date,
+      MAX(s.activity_date) AS last_date
+    FROM individual_speeches i LEFT JOIN sittings s ON s.id = i.sitting_id
+    WHERE ${where.join(' AND ')}
+    GROUP BY i.speaker_name, i.mep_id`;
+  const { total } = await getAsync(db, `SELECT COUNT(*) AS total FROM (${grouped})`, params);
+  const rows = await allAsync(db, `
+    SELECT g.*, m.label AS mep_label, m.country, m.politicalGroup AS mep_group
+    FROM (${grouped}) g LEFT JOIN meps m ON m.id = g.mep_id
+    ORDER BY g.score, g.speeches DESC, g.speaker_name
+    LIMIT ? OFFSET ?`, [...params, limit, offset]);
+
+  const candidateIds = [...new Set(rows.flatMap(r => (r.candidates ? JSON.parse(r.candidates).map(c => c.mep_id) : [])))];
+  const labels = new Map();
+  if (candidateIds.length) {
+    const found = await allAsync(db, `SELECT id, label FROM meps WHERE id IN (${candidateIds.map(() => '?').join(', ')})`, candidateIds);
+    for (const m of found) labels.set(m.id, m.label);
+  }
+  return {
+    total,
+    items: rows.map(r => ({
+      speaker_name: r.speaker_name,
+      mep_id: r.mep_id,
+      mep_label: r.mep_label,
+      country: r.country,
+      political_group: r.mep_group,
+      method: r.method,
+      score: r.score,
+      speeches: r.speeches,
+      first_date: r.first_date,
+      last_date: r.last_date,
+      candidates: r.candidates ? JSON.parse(r.candidates).map(c => ({ ...c, label: labels.get(c.mep_id) || null })) : []
+    }))
+  };
+}
+
+module.exports = {
+  MIN_SCORE,
+  AMBIGUITY_MARGIN,
+  METHODS,
+  normalizeName,
+  buildMepIndex,
+  resolveSpeaker,
+  resolveSpeeches,
+  listMatches
+};
@@ -0,0 +1,148 @@
+/**
+ * Speech filters shared by list-style endpoints (currently GET /api/export/speeches).
+ * Same vocabulary as the rest of the API: date range, MEP ids, political group, country, language,
+ * macro topic, specific-focus substring, speech length and a full-text query (FTS5, see speech-search.js).
+ *
+ * The SQL assumes the aliases i (individual_speeches), s (sittings) and m (meps, LEFT JOINed).
+ *
+ * `language` matches the language of the stored text by default; with language_basis=original it matches
+ * the language the speaker actually spoke (CRE interpretation marker, else the text language).
+ * `national_party` and `committee` match the speaker's memberships valid on the sitting date (mep_memberships).
+ */
+const { FTS_TABLE, buildMatchQuery } = require('./speech-search');
+const { membershipCondition } = require('./mep-memberships');
+
+/** language_basis → SQL expression for a speech's language */
+const LANGUAGE_BASES = {
+  text: 'i.language',
+  original: 'COALESCE(i.original_language, i.language)'
+};
+
+/**
+ * SQL expression for the language of a speech under a language basis (alias i).
+ * @param {string} [basis='text'] - 'text' or 'original'
+ */
+function languageExpression(basis = 'text') {
+  if (!LANGUAGE_BASES[basis]) throw invalid(`language_basis must be one of ${Object.keys(LANGUAGE_BASES).join(', ')}`);
+  return LANGUAGE_BASES[basis];
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+/** "a,b" or ?x=a&x=b → ['a', 'b'] (trimmed, empty entries dropped). */
+function listParam(value) {
+  if (value == null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function strParam(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return typeof v === 'string' && v.trim() ? v.trim() : null;
+}
+
+function lengthParam(value, name) {
+  const v = strParam(value);
+  if (v == null) return null;
+  if (!/^\d+$/.test(v)) throw invalid(`${name} must be a non-negative integer`);
+  return parseInt(v, 10);
+}
+
+/**
+ * Read filters from a query string object. Throws INVALID_FILTER on malformed values.
+ * @param {object} query - e.g. req.query
+ * @returns {{ startDate: string|null, endDate: string|null, mepIds: number[], groups: string[], countries: string[],
+ *   languages: string[], macroTopics: string[], specificFocus: string|null, minLength: number|null,
+ *   maxLength: number|null, q: string|null, mode: 'boolean'|'phrase', languageBasis: 'text'|'original',
+ *   nationalParties: string[], committees: string[] }}
+ */
+function parseSpeechFilters(query = {}) {
+  const mepIds = listParam(query.mep_id).map(v => {
+    if (!/^\d+$/.test(v)) throw invalid(`Invalid mep_id "${v}"`);
+    return parseInt(v, 10);
+  });
+  for (const key of ['startDate', 'endDate']) {
+    const v = strParam(query[key]);
+    if (v && !/^\d{4}-\d{2}-\d{2}$/.test(v)) throw invalid(`${key} must be YYYY-MM-DD`);
+  }
+  const filters = {
+    startDate: strParam(query.startDate),
+    endDate: strParam(query.endDate),
+    mepIds,
+    groups: listParam(query.political_group_std),
+    countries: listParam(query.country),
+    languages: listParam(query.language).map(v => v.toUpperCase()),
+    macroTopics: listParam(query.macro_topic),
+    specificFocus: strParam(query.specific_focus),
+    minLength: lengthParam(query.min_length, 'min_length'),
+    maxLength: lengthParam(query.max_length, 'max_length'),
+    q: strParam(query.q),
+    mode: query.mode === 'phrase' ? 'phrase' : 'boolean',
+    languageBasis: strParam(query.language_basis) || 'text',
+    nationalParties: listParam(query.national_party),
+    committees: listParam(query.committee)
+  };
+  languageExpression(filters.languageBasis);
+  if (filters.minLength != null && filters.maxLength != null && filters.minLength > filters.maxLength) {
+    throw invalid('min_length must not exceed max_length');
+  }
+  return filters;
+}
+
+function inClause(column, values, params) {
+  params.push(...values);
+  return values.length === 1 ? `${column} = ?` : `${column} IN (${values.map(() => '?').join(', ')})`;
+}
+
+/**
+ * @param {ReturnType<typeof parseSpeechFilters>} filters
+ * @returns {{ whereClause: string, params: any[] }} whereClause is '' when no filter is set.
+ */
+function buildSpeechFilter(filters) {
+  const where = [];
+  const params = [];
+  if (filters.startDate) {
+    where.push('s.activity_date >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    where.push('s.activity_date <= ?');
+    params.push(filters.endDate);
+  }
+  if (filters.mepIds.length) where.push(inClause('i.mep_id', filters.mepIds, params));
+  if (filters.groups.length) where.push(inClause('i.political_group_std', filters.groups, params));
+  if (filters.countries.length) where.push(inClause('m.country', filters.countries, params));
+  if (filters.languages.length) where.push(inClause(languageExpression(filters.languageBasis), filters.languages, params));
+  if (filters.macroTopics.length) where.push(inClause('TRIM(i.macro_topic)', filters.macroTopics, params));
+  for (const [kind, values] of [['national_party', filters.nationalParties || []], ['committee', filters.committees || []]]) {
+    if (!values.length) continue;
+    const condition = membershipCondition(kind, values);
+    where.push(condition.sql);
+    params.push(...condition.params);
+  }
+  if (filters.specificFocus) {
+    // LIKE is case-insensitive for ASCII; % and _ in the input are literal
+    where.push("i.macro_specific_focus LIKE ? ESCAPE '\\'");
+    params.push(`%${filters.specificFocus.replace(/[\\%_]/g, c => '\\' + c)}%`);
+  }
+  if (filters.minLength != null) {
+    where.push('LENGTH(i.speech_content) >= ?');
+    params.push(filters.minLength);
+  }
+  if (filters.maxLength != null) {
+    where.push('LENGTH(i.speech_content) <= ?');
+    params.push(filters.maxLength);
+  }
+  const match = buildMatchQuery(filters.q, filters.mode);
+  if (match) {
+    where.push(`i.id IN (SELECT rowid FROM ${FTS_TABLE} WHERE ${FTS_TABLE} MATCH ?)`);
+    params.push(match);
+  }
+  return { whereClause: where.length ? 'WHERE ' + where.join(' AND ') : '', params };
+}
+
+module.exports = { parseSpeechFilters, buildSpeechFilter, languageExpression, LANGUAGE_BASES };
@@ -0,0 +1,253 @@
+/**
+ * Full-text search over individual_speeches.speech_content (SQLite FTS5).
+ * The index is an external-content table: it stores only the token index, the text itself stays in
+ * individual_speeches. Triggers keep it in step with every insert/delete/content update.
+ * Table and triggers are created by migrations/005-speech-search-index.js.
+ */
+const { ensureSchema } = require('./migrate');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+const FTS_TABLE = 'individual_speeches_fts';
+const SNIPPET_TOKENS = 24;
+const MAX_LIMIT = 200;
+
+// Snippet markers: control chars that never occur in speech text, swapped for <mark> after HTML-escaping
+const HIT_OPEN = '\u0002';
+const HIT_CLOSE = '\u0003';
+
+/**
+ * Make sure the FTS5 table and its sync triggers exist (schema migration 005).
+ * @param {import('sqlite3').Database} db
+ * @param {(msg: string) => void} [log]
+ */
+async function ensureSearchIndex(db, log = () => {}) {
+  await ensureSchema(db, log);
+}
+
+/** Re-index every speech from individual_speeches. */
+function rebuildSearchIndex(db) {
+  return runAsync(db, `INSERT INTO ${FTS_TABLE}(${FTS_TABLE}) VALUES ('rebuild')`);
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** HTML-escape a raw FTS snippet and wrap hits in <mark>. */
+function highlightSnippet(raw) {
+  if (raw == null) return '';
+  return escapeHtml(raw).split(HIT_OPEN).join('<mark>').split(HIT_CLOSE).join('</mark>');
+}
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT', 'NEAR']);
+// FTS5 bareword characters: ASCII letters, digits, underscore, \x1a and every non-ASCII character
+const BAREWORD = /^[A-Za-z0-9_\u001a\u0080-\uffff]+$/;
+
+/** One bareword of a boolean query: kept when FTS5 accepts it, else quoted (a trailing * stays a prefix). */
+function quoteWord(word) {
+  const [, base, star] = word.match(/^(.*?)(\*?)$/);
+  if (!base) return '';
+  if (BAREWORD.test(base)) return base + star;
+  // Punctuation alone ("-", ":") has no tokens and would only break the query
+  if (!/[A-Za-z0-9\u0080-\uffff]/.test(base)) return '';
+  return `"${base.replace(/"/g, '""')}"${star}`;
+}
+
+/**
+ * Turn user input into an FTS5 MATCH expression.
+ * mode 'phrase': whole input is one exact phrase. mode 'boolean': FTS5 syntax is passed through
+ * ("quoted phrases", AND / OR / NOT, NEAR(…), prefix*, parentheses); other words with characters FTS5 does not
+ * accept in a bareword (COVID-19, EU-Mercosur, "7:", l'asile) are quoted as phrases.
+ * @param {string} q
+ * @param {'phrase'|'boolean'} [mode]
+ * @returns {string|null}
+ */
+function buildMatchQuery(q, mode = 'boolean') {
+  const text = String(q || '').trim();
+  if (!text) return null;
+  if (mode === 'phrase') return `"${text.replace(/"/g, '""')}"`;
+
+  const out = [];
+  const parens = []; // per open parenthesis: true when it is the argument list of NEAR
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      out.push(' ');
+      i += 1;
+    } else if (c === '"') {
+      // Quoted phrase ("" is an escaped quote); an unterminated one is left for FTS5 to reject
+      let end = i + 1;
+      while (end < text.length && !(text[end] === '"' && text[end + 1] !== '"')) end += text[end] === '"' ? 2 : 1;
+      out.push(text.slice(i, end + 1));
+      i = end + 1;
+    } else if (c === '(') {
+      parens.push(out.filter(t => t.trim()).pop() === 'NEAR');
+      out.push(c);
+      i += 1;
+    } else if (c === ')') {
+      parens.pop();
+      out.push(c);
+      i += 1;
+    } else {
+      let end = i;
+      while (end < text.length && !/[\s()"]/.test(text[end])) end += 1;
+      const word = text.slice(i, end);
+      i = end;
+      if (OPERATORS.has(word)) {
+        out.push(word);
+      } else if (parens[parens.length - 1]) {
+        // Inside NEAR(…): keep the ", N" distance
+        const [, lead, body, trail] = word.match(/^(,?)(.*?)(,?)$/);
+        out.push(lead + (/^\d+$/.test(body) && lead ? body : quoteWord(body)) + trail);
+      } else {
+        out.push(quoteWord(word));
+      }
+    }
+  }
+  const match = out.join('').replace(/\s+/g, ' ').trim();
+  return match || null;
+}
+
+/**
+ * Search speeches. Returns ranked hits with HTML-safe snippets (hits wrapped in <mark>) plus the total hit count.
+ * @param {import('sqlite3').Database} db
+ * @param {{ q: string, mode?: 'phrase'|'boolean', group?: string, language?: string, macroTopic?: string,
+ *           startDate?: string, endDate?: string, sort?: 'rank'|'date', limit?: number, offset?: number,
+ *           facets?: boolean }} opts
+ * @returns {Promise<{ results: object[], total: number, match: string, limit: number, offset: number, facets?: object }>}
+ */
+async function searchSpeeches(db, opts = {}) {
+  const match = buildMatchQuery(opts.q, opts.mode);
+  if (!match) throw new Error('Query parameter q is required');
+  await ensureSearchIndex(db);
+
+  const limit = Math.min(Math.max(parseInt(opts.limit, 10) || 20, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(opts.offset, 10) || 0, 0);
+
+  const { fromClause, whereClause, params } = buildSearchFilter(match, opts);
+  const orderBy = opts.sort === 'date'
+    ? 'ORDER BY s.activity_date DESC, i.speech_order ASC'
+    : `ORDER BY bm25(${FTS_TABLE}), s.activity_date DESC`;
+
+  const [results, countRow, facets] = await Promise.all([
+    allAsync(db, `
+      SELECT
+        i.id,
+        i.sitting_id,
+        i.speaker_name,
+        i.political_group,
+        i.political_group_std,
+        i.mep_id,
+        i.title,
+        i.speech_order,
+        i.language,
+        i.macro_topic,
+        s.activity_date AS date,
+        snippet(${FTS_TABLE}, 0, '${HIT_OPEN}', '${HIT_CLOSE}', '…', ${SNIPPET_TOKENS}) AS snippet
+      ${fromClause}
+      ${whereClause}
+      ${orderBy}
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]),
+    getAsync(db, `SELECT COUNT(*) AS total ${fromClause} ${whereClause}`, params),
+    opts.facets ? facetCounts(db, fromClause, whereClause, params) : null
+  ]);
+
+  for (const r of results) r.snippet = highlightSnippet(r.snippet);
+  const out = { results, total: countRow ? countRow.total : 0, match, limit, offset };
+  if (facets) out.facets = facets;
+  return out;
+}
+
+/** FROM/WHERE shared by the hit list, the total count and the facet counts. */
+function buildSearchFilter(match, opts) {
+  const where = [`${FTS_TABLE} MATCH ?`];
+  const params = [match];
+  if (opts.group) {
+    where.push('COALESCE(i.political_group_std, i.political_group) = ?');
+    params.push(opts.group);
+  }
+  if (opts.language) {
+    where.push('i.language = ?');
+    params.push(String(opts.language).toUpperCase());
+  }
+  if (opts.macroTopic) {
+    where.push('TRIM(i.macro_topic) = ?');
+    params.push(opts.macroTopic);
+  }
+  if (opts.startDate) {
+    where.push('s.activity_date >= ?');
+    params.push(opts.startDate);
+  }
+  if (opts.endDate) {
+    where.push('s.activity_date <= ?');
+    params.push(opts.endDate);
+  }
+  return {
+    fromClause: `FROM ${FTS_TABLE}
+    JOIN individual_speeches i ON i.id = ${FTS_TABLE}.rowid
+    JOIN sittings s ON s.id = i.sitting_id`,
+    whereClause: 'WHERE ' + where.join(' AND '),
+    params
+  };
+}
+
+/**
+ * Facet counts over the full hit set in a single statement: the MATCH runs once into a
+ * materialized CTE, then each facet is a GROUP BY over it.
+ * @returns {Promise<{ group: object[], language: object[], macro_topic: object[], year: object[] }>}
+ */
+async function facetCounts(db, fromClause, whereClause, params) {
+  const rows = await allAsync(db, `
+    WITH hits AS MATERIALIZED (
+      SELECT
+        COALESCE(i.political_group_std, i.political_group) AS grp,
+        i.language AS lang,
+        TRIM(i.macro_topic) AS topic,
+        substr(s.activity_date, 1, 4) AS year
+      ${fromClause}
+      ${whereClause}
+    )
+    SELECT 'group' AS facet, grp AS value, COUNT(*) AS count FROM hits GROUP BY grp
+    UNION ALL
+    SELECT 'language', lang, COUNT(*) FROM hits GROUP BY lang
+    UNION ALL
+    SELECT 'macro_topic', topic, COUNT(*) FROM hits GROUP BY topic
+    UNION ALL
+    SELECT 'year', year, COUNT(*) FROM hits GROUP BY year
+  `, params);
+
+  const facets = { group: [], language: [], macro_topic: [], year: [] };
+  for (const r of rows) {
+    if (r.value == null || r.value === '') continue;
+    facets[r.facet].push({ value: r.value, count: r.count });
+  }
+  facets.group.sort((a, b) => b.count - a.count);
+  facets.language.sort((a, b) => b.count - a.count);
+  facets.macro_topic.sort((a, b) => b.count - a.count);
+  facets.year.sort((a, b) => b.value.localeCompare(a.value));
+  return facets;
+}
+
+/**
+ * True when an error comes from a malformed MATCH expression (user input, not a server fault). "no such column"
+ * is FTS5 reading "word:" as a column filter.
+ */
+function isQuerySyntaxError(err) {
+  const msg = String(err && err.message || '');
+  return msg.includes('fts5: syntax error') || msg.includes('unterminated string') || msg.includes('no such column');
+}
+
+module.exports = {
+  FTS_TABLE,
+  ensureSearchIndex,
+  rebuildSearchIndex,
+  buildMatchQuery,
+  searchSpeeches,
+  isQuerySyntaxError
+};
@@ -0,0 +1,238 @@
+/**
+ * Other language versions of a sitting's verbatim report (CRE), aligned speech by speech to the EN parse
+ * stored in individual_speeches (table speech_translations, migration 013).
+ *
+ * Each language version is parsed like the EN one (parse-helpers.parseIndividualSpeeches) and aligned by
+ * speaker name and text length (weighted longest common subsequence). Runs between two aligned speeches
+ * that have the same number of speeches on both sides (chair turns, names written in another script) are
+ * then paired by position. alignment_score is above 0.5 for name matches and at most 0.5 for positional pairs.
+ *
+ * CRE_LANGUAGES (e.g. "FR,DE" or "all"): language versions the pipeline fetches after storing a sitting;
+ * empty = EN only.
+ */
+const { ensureSchema } = require('./migrate');
+const { fetchCreHtml } = require('./parliament-fetch');
+const { extractTextFromHTML, parseIndividualSpeeches, normalizeText } = require('./parse-helpers');
+const { EU_ISO2 } = require('./detect-language');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+/** Language versions other than the EN base */
+const TRANSLATION_LANGUAGES = EU_ISO2.filter(code => code !== 'EN');
+/** Speaker names must share at least this share of their words to be aligned directly */
+const MIN_NAME_SIMILARITY = 0.5;
+/** Positional pairs inside a gap need roughly comparable text lengths */
+const MIN_GAP_LENGTH_SIMILARITY = 0.25;
+
+function translationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Language codes from a list such as "FR, de" or "all" (every version except EN).
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseLanguageList(value) {
+  const items = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim().toUpperCase())
+    .filter(Boolean);
+  if (items.includes('ALL')) return [...TRANSLATION_LANGUAGES];
+  const invalid = items.filter(code => !EU_ISO2.includes(code));
+  if (invalid.length) {
+    throw translationError('INVALID_LANGUAGE', `Unknown language(s) ${invalid.join(', ')}; use ${EU_ISO2.join(', ')} or all`);
+  }
+  return [...new Set(items)].filter(code => code !== 'EN');
+}
+
+/** Languages from CRE_LANGUAGES, read at call time so a .env loaded later still applies. */
+function configuredLanguages() {
+  return parseLanguageList(process.env.CRE_LANGUAGES || '');
+}
+
+function nameTokens(name) {
+  return new Set(normalizeText(name).split(' ').filter(t => t.length > 1));
+}
+
+function lengthSimilarity(a, b) {
+  const la = String(a || '').length;
+  const lb = String(b || '').length;
+  return Math.max(la, lb) === 0 ? 1 : Math.min(la, lb) / Math.max(la, lb);
+}
+
+function pairScore(base, other) {
+  const a = base.tokens;
+  const b = other.tokens;
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  const nameSimilarity = shared / Math.max(a.size, b.size);
+  if (nameSimilarity < MIN_NAME_SIMILARITY) return 0;
+  return 0.5 + 0.3 * nameSimilarity + 0.2 * lengthSimilarity(base.speech_content, other.speech_content);
+}
+
+/**
+ * Align a language version's speeches to the base (EN) speeches, both in speech order.
+ * @param {{ speaker_name: string, speech_content: string }[]} base
+ * @param {{ speaker_name: string, speech_content: string }[]} other
+ * @returns {{ base: number, other: number, score: number }[]} index pairs, increasing on both sides
+ */
+function alignSpeeches(base, other) {
+  const a = base.map(s => ({ ...s, tokens: nameTokens(s.speaker_name) }));
+  const b = other.map(s => ({ ...s, tokens: nameTokens(s.speaker_name) }));
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  // best[i][j]: best total score aligning a[i..] with b[j..]
+  const best = new Float64Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const score = pairScore(a[i], b[j]);
+      const take = score > 0 ? score + best[(i + 1) * width + j + 1] : 0;
+      best[i * width + j] = Math.max(take, best[(i + 1) * width + j], best[i * width + j + 1]);
+    }
+  }
+
+  const anchors = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    const score = pairScore(a[i], b[j]);
+    if (score > 0 && best[i * width + j] === score + best[(i + 1) * width + j + 1]) {
+      anchors.push({ base: i, other: j, score });
+      i++;
+      j++;
+    } else if (best[i * width + j] === best[(i + 1) * width + j]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  const pairs = [];
+  let prevBase = -1;
+  let prevOther = -1;
+  for (const anchor of [...anchors, { base: n, other: m }]) {
+    const gap = anchor.base - prevBase - 1;
+    if (gap > 0 && gap === anchor.other - prevOther - 1) {
+      for (let k = 1; k <= gap; k++) {
+        const similarity = lengthSimilarity(a[prevBase + k].speech_content, b[prevOther + k].speech_content);
+        if (similarity >= MIN_GAP_LENGTH_SIMILARITY) pairs.push({ base: prevBase + k, other: prevOther + k, score: 0.5 * similarity });
+      }
+    }
+    if (anchor.base < n) pairs.push(anchor);
+    prevBase = anchor.base;
+    prevOther = anchor.other;
+  }
+  return pairs.map(p => ({ ...p, score: Math.round(p.score * 1000) / 1000 }));
+}
+
+/**
+ * Align parsed speeches of one language version to the sitting's stored speeches and replace that
+ * language's translations for the sitting.
+ * @param {object[]} parsed - speeches from parseIndividualSpeeches on the language version
+ * @returns {Promise<{ language: string, speeches: number, parsed: number, aligned: number }>}
+ */
+async function storeTranslations(db, sittingId, language, parsed) {
+  await ensureSchema(db);
+  const base = await allAsync(db,
+    'SELECT id, speaker_name, speech_content FROM individual_speeches WHERE sitting_id = ? ORDER BY speech_order',
+    [sittingId]);
+  const pairs = alignSpeeches(base, parsed);
+  const now = Date.now();
+  await runAsync(db, 'BEGIN TRANSACTION');
+  try {
+    await runAsync(db, `DELETE FROM speech_translations WHERE language = ?
+      AND speech_id IN (SELECT id FROM individual_speeches WHERE sitting_id = ?)`, [language, sittingId]);
+    for (const p of pairs) {
+      const speech = parsed[p.other];
+      await runAsync(db, `INSERT INTO speech_translations
+        (speech_id, language, speaker_name, speech_content, alignment_score, fetched_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [base[p.base].id, language, speech.speaker_name, speech.speech_content, p.score, now]);
+    }
+    await runAsync(db, 'COMMIT');
+  } catch (err) {
+    await runAsync(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+  return { language, speeches: base.length, parsed: parsed.length, aligned: pairs.length };
+}
+
+/**
+ * Fetch language versions of a stored sitting and store them aligned to its speeches. A version that
+ * does not exist (404) or fails to download is reported per language and does not stop the others.
+ * @param {string[]} languages - ISO 639-1 codes (EN is skipped)
+ * @param {{ log?: Function, onProgress?: Function, signal?: AbortSignal, skipExisting?: boolean, revalidate?: boolean }} [options]
+ *   skipExisting: leave languages that already have translations for this sitting
+ * @returns {Promise<{ sitting_id: string, date: string, languages: object[] }>}
+ */
+async function fetchSittingTranslations(db, sittingId, languages, options = {}) {
+  const log = options.log || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  await ensureSchema(db);
+  const sitting = await getAsync(db, 'SELECT id, activity_date FROM sittings WHERE id = ?', [sittingId]);
+  if (!sitting) throw translationError('SITTING_NOT_FOUND', `Sitting ${sittingId} not found`);
+  const existing = options.skipExisting ? new Set((await listSittingLanguages(db, sittingId)).map(l => l.language)) : new Set();
+
+  const list = parseLanguageList(languages);
+  const results = [];
+  for (const language of list) {
+    if (options.signal && options.signal.aborted) break;
+    onProgress(results.length, list.length);
+    if (existing.has(language)) {
+      results.push({ language, status: 'skipped' });
+      continue;
+    }
+    let html;
+    try {
+      html = await fetchCreHtml(sitting.activity_date, { lang: language, maxRetries: 2, revalidate: options.revalidate });
+    } catch (err) {
+      const notFound = err.response && err.response.status === 404;
+      log(`  [TRANSLATIONS] ${sitting.activity_date} ${language}: ${notFound ? 'no such language version' : err.message}`);
+      results.push({ language, status: notFound ? 'not_found' : 'failed', error: notFound ? undefined : err.message });
+      continue;
+    }
+    const parsed = parseIndividualSpeeches(extractTextFromHTML(html), sittingId);
+    const stored = await storeTranslations(db, sittingId, language, parsed);
+    log(`  [TRANSLATIONS] ${sitting.activity_date} ${language}: ${stored.aligned} of ${stored.speeches} speeches aligned (${stored.parsed} parsed)`);
+    results.push({ ...stored, status: 'aligned' });
+  }
+  onProgress(results.length, list.length);
+  return { sitting_id: sittingId, date: sitting.activity_date, languages: results };
+}
+
+/** Languages with stored translations for a sitting: { language, speeches, fetched_at } */
+async function listSittingLanguages(db, sittingId) {
+  await ensureSchema(db);
+  return allAsync(db, `
+    SELECT t.language, COUNT(*) AS speeches, MAX(t.fetched_at) AS fetched_at
+    FROM speech_translations t JOIN individual_speeches i ON i.id = t.speech_id
+    WHERE i.sitting_id = ?
+    GROUP BY t.language ORDER BY t.language`, [sittingId]);
+}
+
+/** One language version of a sitting's speeches, keyed to the stored speeches (speech_id, speech_order). */
+async function getSittingTranslations(db, sittingId, language) {
+  await ensureSchema(db);
+  const code = String(language || '').trim().toUpperCase();
+  if (!EU_ISO2.includes(code)) {
+    throw translationError('INVALID_LANGUAGE', `language must be one of ${EU_ISO2.join(', ')}`);
+  }
+  return allAsync(db, `
+    SELECT t.speech_id, i.speech_order, t.language, t.speaker_name, t.speech_content, t.alignment_score, t.fetched_at
+    FROM speech_translations t JOIN individual_speeches i ON i.id = t.speech_id
+    WHERE i.sitting_id = ? AND t.language = ?
+    ORDER BY i.speech_order`, [sittingId, code]);
+}
+
+module.exports = {
+  TRANSLATION_LANGUAGES,
+  parseLanguageList,
+  configuredLanguages,
+  alignSpeeches,
+  storeTranslations,
+  fetchSittingTranslations,
+  listSittingLanguages,
+  getSittingTranslations
+};
@@ -0,0 +1,190 @@
+/**
+ * Dashboard users, roles and login sessions (migration 010).
+ * Roles are ordered: viewer (sees the Data menu and job logs) < curator (runs incremental data actions,
+ * snapshots) < admin (destructive rebuilds, scheduler, users and API keys). Passwords are stored as
+ * scrypt hashes; session tokens, like API keys, only as SHA-256 hashes.
+ */
+const crypto = require('crypto');
+const { ensureSchema } = require('./migrate');
+const { runAsync, getAsync, allAsync } = require('./db-async');
+
+const ROLES = ['viewer', 'curator', 'admin'];
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 10;
+
+function userError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** True when the user's role is at least `role`. */
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 32, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt:${salt.toString('hex')}:${(await scrypt(password, salt)).toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/** Verified against when the username is unknown, so timing does not reveal which usernames exist. */
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at,
+    disabledAt: row.disabled_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw userError('INVALID_USER', `role must be one of ${ROLES.join(', ')}`);
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw userError('INVALID_USER', `password must have at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function createUser(db, { username, password, role = 'viewer' } = {}) {
+  await ensureSchema(db);
+  const name = String(username || '').trim();
+  if (!/^[\w.@-]{2,64}$/.test(name)) {
+    throw userError('INVALID_USER', 'username must be 2–64 characters: letters, digits, . _ @ -');
+  }
+  checkRole(role);
+  checkPassword(password);
+  if (await getAsync(db, 'SELECT id FROM users WHERE username = ?', [name])) {
+    throw userError('USER_EXISTS', `User ${name} already exists`);
+  }
+  const { lastID } = await runAsync(db,
+    'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+    [name, await hashPassword(password), role, Date.now()]);
+  return toUser(await getAsync(db, 'SELECT * FROM users WHERE id = ?', [lastID]));
+}
+
+async function listUsers(db) {
+  await ensureSchema(db);
+  return (await allAsync(db, 'SELECT * FROM users ORDER BY username')).map(toUser);
+}
+
+/** User by id or username. */
+async function getUser(db, idOrName) {
+  await ensureSchema(db);
+  const row = typeof idOrName === 'number'
+    ? await getAsync(db, 'SELECT * FROM users WHERE id = ?', [idOrName])
+    : await getAsync(db, 'SELECT * FROM users WHERE username = ?', [String(idOrName)]);
+  if (!row) throw userError('USER_NOT_FOUND', `User ${idOrName} not found`);
+  return toUser(row);
+}
+
+/**
+ * Change role, password or disabled state. Disabling or a password change ends the user's sessions.
+ * The last active admin can neither be demoted nor disabled.
+ * @param {{ role?: string, password?: string, disabled?: boolean }} changes
+ */
+async function updateUser(db, idOrName, { role, password, disabled } = {}) {
+  const user = await getUser(db, idOrName);
+  if (user.role === 'admin' && !user.disabledAt && ((role !== undefined && role !== 'admin') || disabled)) {
+    const { n } = await getAsync(db, "SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled_at IS NULL");
+    if (n <= 1) throw userError('LAST_ADMIN', `${user.username} is the last active admin`);
+  }
+  if (role !== undefined) {
+    checkRole(role);
+    await runAsync(db, 'UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+  }
+  if (password !== undefined) {
+    checkPassword(password);
+    await runAsync(db, 'UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), user.id]);
+  }
+  if (disabled !== undefined) {
+    await runAsync(db, 'UPDATE users SET disabled_at = ? WHERE id = ?', [disabled ? Date.now() : null, user.id]);
+  }
+  if (password !== undefined || disabled) await runAsync(db, 'DELETE FROM sessions WHERE user_id = ?', [user.id]);
+  return getUser(db, user.id);
+}
+
+/** The active user for a username and password, or null. */
+async function authenticate(db, username, password) {
+  await ensureSchema(db);
+  const row = await getAsync(db, 'SELECT * FROM users WHERE username = ? AND disabled_at IS NULL', [String(username || '')]);
+  const ok = await verifyPassword(String(password || ''), row ? row.password_hash : await DUMMY_HASH);
+  if (!row || !ok) return null;
+  await runAsync(db, 'UPDATE users SET last_login_at = ? WHERE id = ?', [Date.now(), row.id]);
+  return toUser(row);
+}
+
+/** Start a session; returns the token for the cookie (only its hash is stored). Expired sessions are purged. */
+async function createSession(db, userId, ttlMs = SESSION_TTL_MS) {
+  await ensureSchema(db);
+  const now = Date.now();
+  await runAsync(db, 'DELETE FROM sessions WHERE expires_at < ?', [now]);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await runAsync(db, 'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+    [tokenHash(token), userId, now, now + ttlMs]);
+  return { token, expiresAt: now + ttlMs };
+}
+
+/** The user of a live session (not expired, user not disabled), or null. */
+async function getSessionUser(db, token) {
+  await ensureSchema(db);
+  const row = await getAsync(db, `
+    SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ? AND u.disabled_at IS NULL`, [tokenHash(token), Date.now()]);
+  return row ? toUser(row) : null;
+}
+
+async function deleteSession(db, token) {
+  await ensureSchema(db);
+  await runAsync(db, 'DELETE FROM sessions WHERE token_hash = ?', [tokenHash(token)]);
+}
+
+/** First start of a deployment: create an admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users. */
+async function ensureBootstrapAdmin(db, { username, password }, log = console.log) {
+  if (!username || !password) return null;
+  await ensureSchema(db);
+  const { n } = await getAsync(db, 'SELECT COUNT(*) AS n FROM users');
+  if (n > 0) return null;
+  const user = await createUser(db, { username, password, role: 'admin' });
+  log(`[AUTH] Created admin user ${user.username} from ADMIN_USERNAME / ADMIN_PASSWORD`);
+  return user;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_MS,
+  hasRole,
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  ensureBootstrapAdmin
+};
@@ -0,0 +1,135 @@
+/**
+ * Minimal streaming XLSX writer for flat tables (used by the speeches export).
+ * One worksheet with a bold, frozen header row; strings are written inline (no shared-string table)
+ * so rows can be emitted batch by batch. The zip container is produced on the fly (zip-writer.js),
+ * with the sheet as a streamed entry.
+ *
+ * Excel limits apply: cells hold at most 32,767 characters (longer text is cut and marked with "…")
+ * and a sheet at most 1,048,576 rows (extra rows are dropped and counted in stats()).
+ */
+const { createZipWriter } = require('./zip-writer');
+
+const MAX_CELL_CHARS = 32767;
+const MAX_ROWS = 1048576;
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+  let n = index + 1;
+  let s = '';
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    s = String.fromCharCode(65 + r) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+const STATIC_FILES = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>'
+};
+
+function workbookXml(sheetName) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>';
+}
+
+/**
+ * @param {{ name: string, type?: 'string'|'int'|'double' }[]} columns
+ * @param {{ sheetName?: string }} [options]
+ * @returns {{ start(): Buffer, writeRows(rows: object[]): Buffer, finish(): Buffer, stats(): { rows: number, droppedRows: number, truncatedCells: number } }}
+ *   Concatenating start(), every writeRows() chunk and finish() yields the file.
+ */
+function createXlsxWriter(columns, options = {}) {
+  const zip = createZipWriter();
+  let rowNumber = 0;
+  let droppedRows = 0;
+  let truncatedCells = 0;
+
+  function cell(col, index, value) {
+    const ref = `${columnLetter(index)}${rowNumber}`;
+    if (value == null || value === '') return '';
+    if ((col.type === 'int' || col.type === 'double') && Number.isFinite(Number(value))) {
+      return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+    }
+    let text = String(value);
+    if (text.length > MAX_CELL_CHARS) {
+      text = text.slice(0, MAX_CELL_CHARS - 1) + '…';
+      truncatedCells++;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+  }
+
+  function start() {
+    const parts = Object.entries(STATIC_FILES).map(([name, content]) => zip.file(name, content));
+    parts.push(zip.file('xl/workbook.xml', workbookXml(options.sheetName || 'Export')));
+    parts.push(zip.beginEntry('xl/worksheets/sheet1.xml'));
+
+    rowNumber = 1;
+    const headerCells = columns.map((c, i) => `<c r="${columnLetter(i)}1" t="inlineStr" s="1"><is><t>${escapeXml(c.name)}</t></is></c>`).join('');
+    parts.push(zip.entryData('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<sheetData><row r="1">${headerCells}</row>`));
+    return Buffer.concat(parts);
+  }
+
+  function writeRows(rows) {
+    let xml = '';
+    for (const row of rows || []) {
+      if (rowNumber >= MAX_ROWS) {
+        droppedRows++;
+        continue;
+      }
+      rowNumber++;
+      xml += `<row r="${rowNumber}">${columns.map((c, i) => cell(c, i, row[c.name])).join('')}</row>`;
+    }
+    return zip.entryData(xml);
+  }
+
+  function finish() {
+    return Buffer.concat([zip.entryData('</sheetData></worksheet>'), zip.endEntry(), zip.finish()]);
+  }
+
+  function stats() {
+    return { rows: Math.max(rowNumber - 1, 0), droppedRows, truncatedCells };
+  }
+
+  return { start, writeRows, finish, stats };
+}
+
+module.exports = { createXlsxWriter };
@@ -0,0 +1,145 @@
+/**
+ * Streaming zip writer (deflate, no zip64): used for XLSX exports and dataset snapshot bundles.
+ * Every method returns the bytes to append, so output can go straight to a response or file stream.
+ * Entries are either complete buffers (file) or streamed (beginEntry → entryData* → endEntry): streamed
+ * data is deflated in sync-flushed segments and closed with a data descriptor, so nothing is buffered.
+ * Limits of the classic format apply: < 4 GiB per entry and archive, < 65,535 entries.
+ */
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+function crc32(buf, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+/**
+ * @param {{ date?: Date }} [options] - modification time stamped on every entry (default: now)
+ * @returns {{ file(name: string, content: string|Buffer): Buffer, beginEntry(name: string): Buffer,
+ *   entryData(data: string|Buffer): Buffer, endEntry(): Buffer, finish(): Buffer }}
+ */
+function createZipWriter(options = {}) {
+  const now = dosDateTime(options.date || new Date());
+  const entries = [];
+  let offset = 0;
+  let open = null;
+
+  function localHeader(name, flags, crc, csize, usize) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const h = Buffer.alloc(30);
+    h.writeUInt32LE(0x04034b50, 0);
+    h.writeUInt16LE(20, 4);
+    h.writeUInt16LE(flags, 6);
+    h.writeUInt16LE(8, 8);
+    h.writeUInt16LE(now.time, 10);
+    h.writeUInt16LE(now.day, 12);
+    h.writeUInt32LE(crc, 14);
+    h.writeUInt32LE(csize, 18);
+    h.writeUInt32LE(usize, 22);
+    h.writeUInt16LE(nameBuf.length, 26);
+    return Buffer.concat([h, nameBuf]);
+  }
+
+  /** A complete (non-streamed) entry. */
+  function file(name, content) {
+    if (open) throw new Error(`Zip entry ${open.name} is still open`);
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = { name, flags: FLAG_UTF8, crc: crc32(data), csize: compressed.length, usize: data.length, offset };
+    const out = Buffer.concat([localHeader(name, entry.flags, entry.crc, entry.csize, entry.usize), compressed]);
+    entries.push(entry);
+    offset += out.length;
+    return out;
+  }
+
+  function beginEntry(name) {
+    if (open) throw new Error(`Zip entry ${open.name} is still open`);
+    open = { name, flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, crc: 0, csize: 0, usize: 0, offset };
+    const header = localHeader(name, open.flags, 0, 0, 0);
+    offset += header.length;
+    return header;
+  }
+
+  /** Deflate a piece of the open entry; segments end on a sync flush so they concatenate. */
+  function entryData(data) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    if (buf.length === 0) return Buffer.alloc(0);
+    open.crc = crc32(buf, open.crc);
+    open.usize += buf.length;
+    const compressed = zlib.deflateRawSync(buf, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    open.csize += compressed.length;
+    offset += compressed.length;
+    return compressed;
+  }
+
+  function endEntry() {
+    // Final empty fixed-Huffman block terminates the deflate stream
+    const end = Buffer.from([0x03, 0x00]);
+    open.csize += end.length;
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(open.crc, 4);
+    descriptor.writeUInt32LE(open.csize, 8);
+    descriptor.writeUInt32LE(open.usize, 12);
+    offset += end.length + descriptor.length;
+    entries.push(open);
+    open = null;
+    return Buffer.concat([end, descriptor]);
+  }
+
+  /** Central directory and end record. */
+  function finish() {
+    if (open) throw new Error(`Zip entry ${open.name} is still open`);
+    const parts = [];
+    const centralStart = offset;
+    for (const e of entries) {
+      const nameBuf = Buffer.from(e.name, 'utf8');
+      const h = Buffer.alloc(46);
+      h.writeUInt32LE(0x02014b50, 0);
+      h.writeUInt16LE(20, 4);
+      h.writeUInt16LE(20, 6);
+      h.writeUInt16LE(e.flags, 8);
+      h.writeUInt16LE(8, 10);
+      h.writeUInt16LE(now.time, 12);
+      h.writeUInt16LE(now.day, 14);
+      h.writeUInt32LE(e.crc, 16);
+      h.writeUInt32LE(e.csize, 20);
+      h.writeUInt32LE(e.usize, 24);
+      h.writeUInt16LE(nameBuf.length, 28);
+      h.writeUInt32LE(e.offset, 42);
+      parts.push(h, nameBuf);
+      offset += h.length + nameBuf.length;
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralStart, 12);
+    end.writeUInt32LE(centralStart, 16);
+    parts.push(end);
+    return Buffer.concat(parts);
+  }
+
+  return { file, beginEntry, entryData, endEntry, finish };
+}
+
+module.exports = { createZipWriter, crc32 };
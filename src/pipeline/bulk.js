@@ -1,6 +1,14 @@
 /**
  * Bulk pipeline: process many sittings with fetch/parse and AI classification in parallel.
  * Env: FETCH_CONCURRENCY, AI_WORKERS, TOPIC_BATCH_SIZE
+ * Options: signal (AbortSignal — stop fetching/classifying; sittings already classified are still stored),
+ * onProgress(datesDone, datesTotal), onEvent(name, data) — structured steps for live job views:
+ * 'date-fetched', 'batch-classified', 'sitting-stored', 'failure' (stage: fetch | ai | store); data.stats has running counts.
+ * Per-date progress (fetched HTML, classified batches, stored, failed with reason and attempts) is kept in the DB
+ * (pipeline/state.js), so a crashed or cancelled run resumes where it stopped. resume: false ignores saved
+ * progress; retryFailed: true processes only dates whose last attempt failed.
+ * languages (default CRE_LANGUAGES): other CRE language versions fetched and aligned after each sitting is
+ * stored (core/translations.js); a failed language version is logged and does not fail the sitting.
  */
 
 process.env.DOTENV_CONFIG_QUIET = '1';
@@ -13,6 +21,9 @@ const { classifyBatch, BATCH_SIZE } = require('../core/topic-agent');
 const { load: loadMacroTopics, addAllIfNew: addMacroTopics } = require('../core/macro-topics');
 const { run: storeSitting } = require('../scripts/step-5-store-sitting');
 const { DB_PATH } = require('../core/db');
+const { ensureSchema } = require('../core/migrate');
+const pipelineState = require('./state');
+const { configuredLanguages, fetchSittingTranslations } = require('../core/translations');
 
 const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY || '20', 10);
 const AI_WORKERS = parseInt(process.env.AI_WORKERS || process.env.TOPIC_POOL_SIZE || '50', 10);
@@ -46,7 +57,12 @@ function semaphore(max) {
 
 async function runBulk(options = {}) {
   const log = options.log || console.log;
-  const { startDate, endDate, skipExisting = true, includeUnclassified = false, db: externalDb } = options;
+  const { startDate, endDate, skipExisting = true, includeUnclassified = false, db: externalDb, signal } = options;
+  const resume = options.resume !== false;
+  const retryFailed = !!options.retryFailed;
+  const onProgress = options.onProgress || (() => {});
+  const onEvent = options.onEvent || (() => {});
+  const languages = options.languages || configuredLanguages();
 
   if (!startDate || !endDate) {
     throw new Error('startDate and endDate required (YYYY-MM-DD)');
@@ -61,13 +77,31 @@ async function runBulk(options = {}) {
   try {
     log(`[REFRESH] Date range: ${startDate} → ${endDate}`);
     log(`[REFRESH] Workers: ${AI_WORKERS}, Fetch concurrency: ${FETCH_CONCURRENCY}`);
+    if (languages.length) log(`[REFRESH] Language versions besides EN: ${languages.join(', ')}`);
 
+    await ensureSchema(db, log);
     const allDates = listDatesInRange(startDate, endDate);
-    let datesToProcess = includeUnclassified
-      ? await filterDatesNeedingProcessing(allDates, db)
-      : (skipExisting ? await filterDatesNotInDb(allDates, db) : allDates);
-    const alreadyDone = allDates.length - datesToProcess.length;
-    log(`[REFRESH] New sittings to fetch and store: ${datesToProcess.length} dates. Already in DB for this range: ${alreadyDone} dates.`);
+    let datesToProcess;
+    if (retryFailed) {
+      datesToProcess = await pipelineState.listFailedDates(db, startDate, endDate);
+      log(`[REFRESH] Retrying failed dates only: ${datesToProcess.length} dates.`);
+    } else {
+      datesToProcess = includeUnclassified
+        ? await filterDatesNeedingProcessing(allDates, db)
+        : (skipExisting ? await filterDatesNotInDb(allDates, db) : allDates);
+      const alreadyDone = allDates.length - datesToProcess.length;
+      log(`[REFRESH] New sittings to fetch and store: ${datesToProcess.length} dates. Already in DB for this range: ${alreadyDone} dates.`);
+    }
+
+    const savedStates = resume || retryFailed ? await pipelineState.loadDateStates(db, datesToProcess) : new Map();
+    if (resume && !retryFailed) {
+      const before = datesToProcess.length;
+      datesToProcess = datesToProcess.filter(d => !pipelineState.isSettledEmpty(savedStates.get(d)));
+      const inFlight = datesToProcess.filter(d => { const st = savedStates.get(d); return st && st.has_html; }).length;
+      if (before > datesToProcess.length || inFlight > 0) {
+        log(`[REFRESH] Resuming: ${before - datesToProcess.length} known non-sitting dates skipped, ${inFlight} dates continue from saved HTML/classification.`);
+      }
+    }
 
     if (datesToProcess.length === 0) {
       log('[REFRESH] No new sittings to process.');
@@ -83,6 +117,11 @@ async function runBulk(options = {}) {
     let fetchSkipped = 0;
     let aiFailed = 0;
     const storePromises = [];
+    let datesDone = 0;
+
+    function emit(name, data) {
+      onEvent(name, { ...data, stats: { datesDone, datesTotal: datesToProcess.length, processed, failed, fetchSkipped, aiFailed } });
+    }
 
     function onSittingComplete(sittingId) {
       const state = sittingState.get(sittingId);
@@ -101,44 +140,88 @@ async function runBulk(options = {}) {
       state.stored = true;
       log(`  [REFRESH] Storing sitting ${sitting.date} (${sitting.speeches.length} speeches)...`);
       const p = storeSitting({ ...sitting, topicMap }, { log: () => {}, db, replaceExisting: !!state.replaceExisting })
+        .then(() => pipelineState.markStored(db, sitting.date))
         .then(() => {
           processed++;
           log(`  [REFRESH] Stored sitting ${sitting.date} (${sitting.speeches.length} speeches).`);
+          emit('sitting-stored', { date: sitting.date, speeches: sitting.speeches.length });
+          if (!languages.length) return null;
+          return fetchSittingTranslations(db, sittingId, languages, { log, signal })
+            .catch(err => log(`  [REFRESH] Language versions failed for ${sitting.date}: ${err.message}`));
         })
         .catch(err => {
           failed++;
           log(`  [REFRESH] Store failed for ${sittingId}: ${err.message}`);
           appendFailureLog('STORE', sittingId, err);
+          emit('failure', { stage: 'store', date: sitting.date, error: err.message });
+          return pipelineState.markFailed(db, sitting.date, 'store', err).catch(() => {});
         });
       storePromises.push(p);
     }
 
     async function fetchAndParse(date) {
       await fetchSem.acquire();
+      let stage = 'fetch';
       try {
-        let html = includeUnclassified ? await getSittingHtmlFromDb(date, db) : null;
+        await pipelineState.beginAttempt(db, date);
+        let html = includeUnclassified || retryFailed ? await getSittingHtmlFromDb(date, db) : null;
         const replaceExisting = !!html;
-        if (!html) html = await fetchSittingHTML(date, 1);
-        if (!html || html.length < 500) return;
-        if (!/<html|arrow_title_doc\.gif|<table|<td/i.test(html)) return;
+        const saved = savedStates.get(date);
+        const savedHtml = !html && saved && saved.has_html ? await pipelineState.loadHtml(db, date) : null;
+        if (savedHtml) html = savedHtml;
+        if (!html) {
+          try {
+            html = await fetchSittingHTML(date, 1);
+          } catch (err) {
+            fetchSkipped++;
+            /* 404 = no sitting that day; other fetch errors are recorded for --retry-failed */
+            if (err.response && err.response.status === 404) {
+              await pipelineState.markEmpty(db, date);
+            } else {
+              await pipelineState.markFailed(db, date, 'fetch', err);
+              emit('failure', { stage: 'fetch', date, error: err.message });
+            }
+            return;
+          }
+        }
+        if (!html || html.length < 500 || !/<html|arrow_title_doc\.gif|<table|<td/i.test(html)) {
+          await pipelineState.markEmpty(db, date);
+          return;
+        }
 
+        stage = 'parse';
         const sittingId = `sitting-${date}`;
         const { topics, speeches, sections } = parseSitting(html, sittingId, () => {});
         const topicTitles = topics.map(t => t.title);
-        if (topicTitles.length === 0) return;
+        if (topicTitles.length === 0) {
+          await pipelineState.markEmpty(db, date);
+          return;
+        }
+
+        const numBatches = Math.ceil(topicTitles.length / BATCH_SIZE);
+        const batchResults = saved ? await pipelineState.loadBatches(db, date) : {};
+        await pipelineState.markFetched(db, date, { html: savedHtml ? null : html, batchesTotal: numBatches, speeches: speeches.length });
 
-        const state = { sitting: { date, html, sittingId, topics, speeches, sections }, topicTitles, batchResults: {}, stored: false, replaceExisting };
+        const state = { sitting: { date, html, sittingId, topics, speeches, sections }, topicTitles, batchResults, stored: false, replaceExisting };
         sittingState.set(sittingId, state);
-        log(`  [REFRESH] Fetched sitting ${date} (${speeches.length} speeches).`);
+        const resumedBatches = Object.keys(batchResults).length;
+        log(`  [REFRESH] ${savedHtml ? 'Resumed' : 'Fetched'} sitting ${date} (${speeches.length} speeches${resumedBatches ? `, ${resumedBatches}/${numBatches} batches already classified` : ''}).`);
+        emit('date-fetched', { date, speeches: speeches.length, batches: numBatches, resumedBatches });
 
         for (let i = 0; i < topicTitles.length; i += BATCH_SIZE) {
-          taskQueue.push({ sittingId, batchIndex: Math.floor(i / BATCH_SIZE), topicTitles: topicTitles.slice(i, i + BATCH_SIZE) });
+          const batchIndex = Math.floor(i / BATCH_SIZE);
+          if (batchResults[batchIndex]) continue;
+          taskQueue.push({ sittingId, batchIndex, topicTitles: topicTitles.slice(i, i + BATCH_SIZE) });
         }
+        if (resumedBatches === numBatches) onSittingComplete(sittingId);
       } catch (err) {
         fetchSkipped++;
-        /* fetch errors (404 etc) — skip silently, don't log to file */
+        await pipelineState.markFailed(db, date, stage, err).catch(() => {});
+        emit('failure', { stage, date, error: err.message });
       } finally {
         fetchSem.release();
+        datesDone++;
+        onProgress(datesDone, datesToProcess.length);
       }
     }
 
@@ -150,6 +233,7 @@ async function runBulk(options = {}) {
       };
       while (true) {
         let task = null;
+        if (signal && signal.aborted) break;
         if (taskQueue.length > 0) task = taskQueue.shift();
         else if (producerDone) break;
         else { await new Promise(r => setTimeout(r, 50)); continue; }
@@ -164,19 +248,33 @@ async function runBulk(options = {}) {
           }
           const state = sittingState.get(task.sittingId);
           if (state) {
+            await pipelineState.saveBatch(db, state.sitting.date, task.batchIndex, results);
             state.batchResults[task.batchIndex] = results;
+            emit('batch-classified', {
+              date: state.sitting.date,
+              batch: task.batchIndex + 1,
+              batches: Math.ceil(state.topicTitles.length / BATCH_SIZE),
+              topics: results.length
+            });
             onSittingComplete(task.sittingId);
           }
         } catch (err) {
           aiFailed++;
           log(`  ✗ AI ${task.sittingId}: ${err.message}`);
           appendFailureLog('AI', task.sittingId, err);
+          const state = sittingState.get(task.sittingId);
+          if (state) await pipelineState.markFailed(db, state.sitting.date, 'classify', err).catch(() => {});
+          emit('failure', { stage: 'ai', sittingId: task.sittingId, error: err.message });
         }
       }
     }
 
     async function produceLoop() {
       for (let i = 0; i < datesToProcess.length; i += FETCH_CONCURRENCY) {
+        if (signal && signal.aborted) {
+          log('[REFRESH] Cancelled — no further dates will be fetched.');
+          break;
+        }
         await Promise.all(datesToProcess.slice(i, i + FETCH_CONCURRENCY).map(d => fetchAndParse(d)));
       }
       producerDone = true;
@@ -190,7 +288,10 @@ async function runBulk(options = {}) {
     if (aiFailed > 0 || failed > 0) {
       log(`[REFRESH] Failures logged to: ${FAILURES_LOG}`);
     }
-    return { processed, failed, fetchSkipped, aiFailed, pending };
+    if (aiFailed > 0 || failed > 0 || pending > 0) {
+      log('[REFRESH] Failed dates are kept in the DB: re-run to resume, or use --retry-failed to reprocess only those.');
+    }
+    return { processed, failed, fetchSkipped, aiFailed, pending, cancelled: !!(signal && signal.aborted) };
   } finally {
     if (closeDb) db.close();
   }
@@ -6,10 +6,16 @@
  *   node pipeline --full       # bulk (1999-07-20 → today)
  *   node pipeline --full --start 1995-01-01 --end 2024-12-31
  *   node pipeline --quiet      # less output
+ *   node pipeline --retry-failed [--start ... --end ...]   # reprocess only dates whose last attempt failed
+ *   node pipeline --full --no-resume   # ignore saved per-date progress (re-fetch and re-classify)
+ *   node pipeline --state      # per-date pipeline state counts (stored, failed, empty, ...)
+ *
+ * Bulk runs save per-date progress in the DB; re-running the same command resumes an interrupted run.
  */
 
 const { runRefresh } = require('./refresh');
 const { runBulk } = require('./bulk');
+const { getStateSummary } = require('./state');
 
 const EARLIEST = '1999-07-20'; // oldest digitized HTML on Europarl
 
@@ -24,22 +30,37 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const quiet = args.includes('--quiet');
   const full = args.includes('--full');
+  const retryFailed = args.includes('--retry-failed');
+  const resume = !args.includes('--no-resume');
+  const state = args.includes('--state');
   let start = null, end = null;
   const skipExisting = !args.includes('--no-skip-existing');
   const si = args.indexOf('--start'), ei = args.indexOf('--end');
   if (si >= 0 && args[si + 1]) start = args[si + 1];
   if (ei >= 0 && args[ei + 1]) end = args[ei + 1];
-  if (full && !start) start = EARLIEST;
-  if (full && !end) end = formatDate(new Date());
-  return { full, start, end, skipExisting, quiet };
+  if ((full || retryFailed) && !start) start = EARLIEST;
+  if ((full || retryFailed) && !end) end = formatDate(new Date());
+  return { full, retryFailed, resume, state, start, end, skipExisting, quiet };
 }
 
 async function main() {
-  const { full, start, end, skipExisting, quiet } = parseArgs();
+  const { full, retryFailed, resume, state, start, end, skipExisting, quiet } = parseArgs();
   const log = quiet ? (m) => { if (/✓|✗|❌|complete|→/.test(String(m))) console.log(m); } : console.log;
 
-  if (full) {
-    const result = await runBulk({ startDate: start, endDate: end, skipExisting, log });
+  if (state) {
+    const sqlite3 = require('sqlite3').verbose();
+    const { DB_PATH } = require('../core/db');
+    const db = new sqlite3.Database(DB_PATH);
+    const summary = await getStateSummary(db);
+    db.close();
+    const entries = Object.entries(summary);
+    if (entries.length === 0) console.log('No pipeline state recorded yet.');
+    for (const [status, count] of entries) console.log(`${status.padEnd(8)} ${count}`);
+    process.exit(0);
+  }
+
+  if (full || retryFailed) {
+    const result = await runBulk({ startDate: start, endDate: end, skipExisting, resume, retryFailed, log });
     process.exit(result.processed > 0 || result.failed === 0 ? 0 : 1);
   } else {
     const result = await runRefresh({ log, quiet });
@@ -45,7 +45,10 @@ async function runRefresh(options = {}) {
       endDate,
       includeUnclassified: true,
       log,
-      db
+      db,
+      signal: options.signal,
+      onProgress: options.onProgress,
+      onEvent: options.onEvent
     });
 
     return {
@@ -53,7 +56,8 @@ async function runRefresh(options = {}) {
       processed: result.processed,
       failed: result.failed,
       fetchSkipped: result.fetchSkipped,
-      aiFailed: result.aiFailed
+      aiFailed: result.aiFailed,
+      cancelled: result.cancelled
     };
   } finally {
     if (closeDb) db.close();
@@ -0,0 +1,121 @@
+/**
+ * Persistent per-date state for the bulk pipeline (tables from migration 008).
+ * Status: pending → fetched (HTML kept, batches being classified) → stored, or failed (stage + error),
+ * or empty (no sitting that day). Classified batches are kept per date until the sitting is stored,
+ * so a crashed or cancelled run resumes without re-fetching or re-classifying.
+ */
+const { ensureSchema } = require('../core/migrate');
+const { runAsync, allAsync } = require('../core/db-async');
+
+/** A date probed this long after it happened and found empty is treated as a non-sitting day. */
+const EMPTY_SETTLED_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * States (without HTML) for the given dates.
+ * @returns {Promise<Map<string, { date: string, status: string, stage: string|null, error: string|null, attempts: number, batches_total: number|null, has_html: number, updated_at: number }>>}
+ */
+async function loadDateStates(db, dates) {
+  await ensureSchema(db);
+  const states = new Map();
+  if (!dates.length) return states;
+  const rows = await allAsync(db,
+    `SELECT date, status, stage, error, attempts, batches_total, html IS NOT NULL AS has_html, updated_at
+     FROM pipeline_dates WHERE date IN (${dates.map(() => '?').join(',')})`, dates);
+  for (const row of rows) states.set(row.date, row);
+  return states;
+}
+
+/** True when the date was confirmed empty long enough after the fact to skip it on resume. */
+function isSettledEmpty(state) {
+  return !!state && state.status === 'empty' && state.updated_at - new Date(state.date).getTime() >= EMPTY_SETTLED_MS;
+}
+
+/** Failed dates in [startDate, endDate], oldest first. */
+async function listFailedDates(db, startDate, endDate) {
+  await ensureSchema(db);
+  const rows = await allAsync(db,
+    `SELECT date FROM pipeline_dates WHERE status = 'failed' AND date >= ? AND date <= ? ORDER BY date`,
+    [startDate, endDate]);
+  return rows.map(r => r.date);
+}
+
+/** Count one more processing attempt for a date (creates the row on first sight). */
+function beginAttempt(db, date) {
+  return runAsync(db,
+    `INSERT INTO pipeline_dates (date, status, attempts, updated_at) VALUES (?, 'pending', 1, ?)
+     ON CONFLICT(date) DO UPDATE SET attempts = attempts + 1, updated_at = excluded.updated_at`,
+    [date, Date.now()]);
+}
+
+async function loadHtml(db, date) {
+  const rows = await allAsync(db, 'SELECT html FROM pipeline_dates WHERE date = ?', [date]);
+  return rows[0] ? rows[0].html : null;
+}
+
+/** Saved batch results for a date: { [batchIndex]: results[] }. */
+async function loadBatches(db, date) {
+  const rows = await allAsync(db, 'SELECT batch_index, results FROM pipeline_batches WHERE date = ?', [date]);
+  const batches = {};
+  for (const row of rows) batches[row.batch_index] = JSON.parse(row.results);
+  return batches;
+}
+
+/** HTML fetched and parsed; html is omitted when it is already saved. */
+function markFetched(db, date, { html, batchesTotal, speeches }) {
+  return runAsync(db,
+    `UPDATE pipeline_dates SET status = 'fetched', stage = NULL, error = NULL, html = COALESCE(?, html),
+       batches_total = ?, speeches = ?, updated_at = ? WHERE date = ?`,
+    [html || null, batchesTotal, speeches, Date.now(), date]);
+}
+
+function saveBatch(db, date, batchIndex, results) {
+  return runAsync(db,
+    'INSERT OR REPLACE INTO pipeline_batches (date, batch_index, results, classified_at) VALUES (?, ?, ?, ?)',
+    [date, batchIndex, JSON.stringify(results), Date.now()]);
+}
+
+/** Sitting stored: drop the in-flight HTML and batch results. */
+async function markStored(db, date) {
+  await runAsync(db,
+    `UPDATE pipeline_dates SET status = 'stored', stage = NULL, error = NULL, html = NULL, updated_at = ? WHERE date = ?`,
+    [Date.now(), date]);
+  await runAsync(db, 'DELETE FROM pipeline_batches WHERE date = ?', [date]);
+}
+
+/** @param {'fetch'|'parse'|'classify'|'store'} stage */
+function markFailed(db, date, stage, err) {
+  return runAsync(db,
+    `UPDATE pipeline_dates SET status = 'failed', stage = ?, error = ?, updated_at = ? WHERE date = ?`,
+    [stage, String((err && err.message) || err), Date.now(), date]);
+}
+
+/** No sitting that day (404, no CRE content or no agenda items). */
+function markEmpty(db, date) {
+  return runAsync(db,
+    `UPDATE pipeline_dates SET status = 'empty', stage = NULL, error = NULL, html = NULL, updated_at = ? WHERE date = ?`,
+    [Date.now(), date]);
+}
+
+/** Counts per status, for CLI summaries. */
+async function getStateSummary(db) {
+  await ensureSchema(db);
+  const rows = await allAsync(db, 'SELECT status, COUNT(*) AS count FROM pipeline_dates GROUP BY status');
+  const summary = {};
+  for (const row of rows) summary[row.status] = row.count;
+  return summary;
+}
+
+module.exports = {
+  loadDateStates,
+  isSettledEmpty,
+  listFailedDates,
+  beginAttempt,
+  loadHtml,
+  loadBatches,
+  markFetched,
+  saveBatch,
+  markStored,
+  markFailed,
+  markEmpty,
+  getStateSummary
+};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * API keys for the public deployment (see src/core/api-keys.js, src/server/access-control.js).
+ * Works without a dashboard login, e.g. from a Render shell.
+ *
+ * Usage: node src/scripts/api-keys.js [list|create|revoke|usage] [options]
+ *   list     all keys with this month's requests and AI tokens (default)
+ *   create   issue a key: create --name "Uni Mannheim" [--rate-limit 600] [--token-budget 200000]
+ *            (limits default to API_KEY_RATE_LIMIT / API_KEY_TOKEN_BUDGET; the key is printed once)
+ *   revoke   revoke <id>
+ *   usage    requests and tokens per key and day: usage [--days 30]
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH } = require('../core/db');
+const { createApiKey, listApiKeys, revokeApiKey, getUsage } = require('../core/api-keys');
+
+const limitText = (value) => (value == null ? 'default' : String(value));
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+  const db = new sqlite3.Database(DB_PATH);
+  try {
+    if (command === 'create') {
+      const key = await createApiKey(db, options);
+      log(`Key ${key.id} for "${key.name}" (rate limit ${limitText(key.rateLimit)}/min, token budget ${limitText(key.tokenBudget)}/month):`);
+      log(`  ${key.key}`);
+      log('Store it now; it cannot be shown again.');
+      return key;
+    }
+
+    if (command === 'revoke') {
+      const key = await revokeApiKey(db, options.id);
+      log(`Key ${key.id} (${key.prefix}…, "${key.name}") revoked.`);
+      return key;
+    }
+
+    if (command === 'usage') {
+      const usage = await getUsage(db, { days: options.days || 30 });
+      log(`Usage, last ${options.days || 30} days: ${usage.length} rows`);
+      for (const u of usage) {
+        log(`  ${u.day}  ${u.keyId === 0 ? 'anonymous' : `#${u.keyId} ${u.name}`}  ${u.requests} requests` +
+          `  ${u.rateLimited} limited  ${u.chatRequests} chats  ${u.promptTokens + u.completionTokens} tokens`);
+      }
+      return usage;
+    }
+
+    const keys = await listApiKeys(db);
+    log(`API keys: ${keys.length}`);
+    for (const k of keys) {
+      log(`  #${k.id}  ${k.prefix}…  ${k.name}  ${k.revokedAt ? 'REVOKED' : 'active'}  ` +
+        `${k.monthRequests} requests / ${k.monthTokens} tokens this month  ` +
+        `(limit ${limitText(k.rateLimit)}/min, budget ${limitText(k.tokenBudget)})`);
+    }
+    return keys;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] ? args[i + 1] : undefined;
+  };
+
+  if (!['list', 'create', 'revoke', 'usage'].includes(command) ||
+    (command === 'create' && !value('--name')) || (command === 'revoke' && !/^\d+$/.test(args[1] || ''))) {
+    console.error('Usage: node src/scripts/api-keys.js [list|create --name text [--rate-limit n] [--token-budget n]|revoke <id>|usage [--days n]]');
+    process.exit(1);
+  }
+
+  run(command, {
+    id: parseInt(args[1], 10),
+    name: value('--name'),
+    rateLimit: value('--rate-limit'),
+    tokenBudget: value('--token-budget'),
+    days: parseInt(value('--days'), 10) || undefined
+  })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -1,22 +1,24 @@
 #!/usr/bin/env node
 /**
  * Run language detection on individual_speeches (CLD3 + franc, EU-constrained).
- * Use after import or when backfilling language for existing rows.
+ * Use after import or when backfilling language for existing rows. Also records original-language
+ * markers ("(DE)", "(The speaker spoke in Irish)") for speeches parsed before they were stored.
  *
  *   node scripts/detect-language.js           # only rows where language IS NULL
- *   node scripts/detect-language.js --all    # all rows (re-detect)
+ *   node scripts/detect-language.js --all    # all rows (re-detect; curator-reviewed languages are kept)
  */
 
 require('dotenv').config();
 const sqlite3 = require('sqlite3').verbose();
 const { DB_PATH } = require('../core/db');
-const { runDetectionOnDb } = require('../core/detect-language');
+const { runDetectionOnDb, backfillLanguageMarkers } = require('../core/detect-language');
 
 const onlyNull = !process.argv.includes('--all');
 
 const db = new sqlite3.Database(DB_PATH);
 
-runDetectionOnDb(db, { onlyNull, log: console.log })
+backfillLanguageMarkers(db, { log: console.log })
+  .then(() => runDetectionOnDb(db, { onlyNull, log: console.log }))
   .then((result) => {
     console.log('[LANG] Result:', result);
     db.close();
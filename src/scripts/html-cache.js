@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Local CRE HTML cache / mirror (see src/core/html-cache.js).
+ *
+ * Usage: node src/scripts/html-cache.js [stats|mirror|gc] [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--lang EN] [--toc] [--refresh]
+ *   stats (default)  documents, cached 404s and on-disk size
+ *   mirror           fetch every date in [--start, --end] into the cache (skips dates already cached
+ *                    unless --refresh); run this before working with OFFLINE=1
+ *   gc               delete blobs no longer referenced by any cached document
+ */
+
+require('dotenv').config();
+const { fetchCreHtml, listDatesInRange, formatDate } = require('../core/parliament-fetch');
+const { isCached, getCacheStats, collectGarbage } = require('../core/html-cache');
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+async function mirror(options, log) {
+  const end = options.end || formatDate(new Date());
+  const start = options.start || end;
+  const lang = (options.lang || 'EN').toUpperCase();
+  const dates = listDatesInRange(start, end);
+  const summary = { dates: dates.length, fetched: 0, cached: 0, notFound: 0, failed: 0 };
+
+  log(`Mirroring ${lang}${options.toc ? ' TOC' : ''} ${start} → ${end} (${dates.length} dates)`);
+  for (const date of dates) {
+    if (!options.refresh && await isCached({ date, lang, toc: options.toc })) {
+      summary.cached++;
+      continue;
+    }
+    try {
+      const html = await fetchCreHtml(date, { lang, toc: options.toc, maxRetries: 2, revalidate: options.refresh });
+      summary.fetched++;
+      log(`  ${date}: ${html.length} chars`);
+    } catch (err) {
+      if (err.response && err.response.status === 404) {
+        summary.notFound++;
+      } else {
+        summary.failed++;
+        log(`  ${date}: ${err.message}`);
+      }
+    }
+  }
+  log(`Done: ${summary.fetched} fetched, ${summary.cached} already cached, ${summary.notFound} no sitting, ${summary.failed} failed.`);
+  return summary;
+}
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+
+  if (command === 'mirror') return mirror(options, log);
+
+  if (command === 'gc') {
+    const result = await collectGarbage();
+    log(`Removed ${result.removed} unreferenced blob(s) (${formatBytes(result.bytes)}).`);
+    return result;
+  }
+
+  const stats = await getCacheStats();
+  log(`HTML cache: ${stats.dir}${stats.offline ? ' (offline mode)' : ''}`);
+  log(`  Documents: ${stats.documents} (${Object.entries(stats.byLang).map(([l, n]) => `${l} ${n}`).join(', ') || 'none'})`);
+  log(`  Cached 404s: ${stats.notFound}`);
+  log(`  Blobs: ${stats.blobs} (${formatBytes(stats.bytes)} compressed)`);
+  return stats;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'stats';
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] ? args[i + 1] : undefined;
+  };
+
+  if (!['stats', 'mirror', 'gc'].includes(command)) {
+    console.error('Usage: node src/scripts/html-cache.js [stats|mirror|gc] [--start YYYY-MM-DD] [--end YYYY-MM-DD] [--lang EN] [--toc] [--refresh]');
+    process.exit(1);
+  }
+
+  run(command, {
+    start: value('--start'),
+    end: value('--end'),
+    lang: value('--lang'),
+    toc: args.includes('--toc'),
+    refresh: args.includes('--refresh')
+  })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations (see src/core/migrations/).
+ *
+ * Usage: node src/scripts/migrate.js [up|status] [--dry-run] [--to N]
+ *   up (default)  apply all pending migrations (or up to version N)
+ *   status        show current version, applied and pending migrations
+ *   --dry-run     list what `up` would apply without changing the database
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH } = require('../core/db');
+const { migrate, getSchemaStatus } = require('../core/migrate');
+
+function pad(version) {
+  return String(version).padStart(3, '0');
+}
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+  const db = options.db || new sqlite3.Database(DB_PATH);
+  const closeDb = !options.db;
+
+  try {
+    if (command === 'status') {
+      const status = await getSchemaStatus(db);
+      log(`Database: ${DB_PATH}`);
+      log(`Schema version: ${status.current}`);
+      for (const m of status.applied) {
+        log(`  [applied] ${pad(m.version)}-${m.name} (${new Date(m.applied_at).toISOString()})`);
+      }
+      for (const m of status.pending) {
+        log(`  [pending] ${pad(m.version)}-${m.name}: ${m.description}`);
+      }
+      if (status.pending.length === 0) log('Up to date.');
+      return status;
+    }
+
+    const result = await migrate(db, { log, dryRun: options.dryRun, to: options.to });
+    if (result.applied.length === 0) {
+      log(`Up to date (schema version ${result.current}).`);
+    } else if (result.dryRun) {
+      log(`Dry run: ${result.applied.length} migration(s) pending; nothing applied.`);
+    } else {
+      log(`Applied ${result.applied.length} migration(s); schema version ${result.current}.`);
+    }
+    return result;
+  } finally {
+    if (closeDb) db.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+  const toIdx = args.indexOf('--to');
+  const to = toIdx !== -1 && args[toIdx + 1] ? parseInt(args[toIdx + 1], 10) : undefined;
+
+  if (!['up', 'status'].includes(command)) {
+    console.error('Usage: node src/scripts/migrate.js [up|status] [--dry-run] [--to N]');
+    process.exit(1);
+  }
+
+  run(command, { dryRun: args.includes('--dry-run'), to })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
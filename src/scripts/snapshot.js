@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Versioned dataset snapshots for citations (see src/core/snapshots.js).
+ *
+ * Usage: node src/scripts/snapshot.js [create|list|verify] [options]
+ *   create   write a new snapshot: --label "thesis ch. 4" --format parquet|csv|jsonl --gzip
+ *            plus export filters as --name value, e.g. --startDate 2019-07-02 --language EN
+ *            --political_group_std Verts/ALE --macro_topic "Migration & asylum" --q frontex
+ *   list     all snapshots, newest first (default)
+ *   verify   recompute the SHA-256 checksums of one snapshot: verify <id>
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH } = require('../core/db');
+const { createSnapshot, listSnapshots, verifySnapshot, getSnapshotsDir } = require('../core/snapshots');
+
+const FILTER_KEYS = ['startDate', 'endDate', 'mep_id', 'political_group_std', 'country', 'language',
+  'macro_topic', 'specific_focus', 'min_length', 'max_length', 'q', 'mode'];
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+
+  if (command === 'create') {
+    const db = new sqlite3.Database(DB_PATH);
+    try {
+      const manifest = await createSnapshot(db, { ...options, log });
+      log(`Snapshot ${manifest.id} (v${manifest.version}) in ${getSnapshotsDir()}`);
+      return manifest;
+    } finally {
+      db.close();
+    }
+  }
+
+  if (command === 'verify') {
+    const result = await verifySnapshot(options.id);
+    for (const f of result.files) log(`  ${f.ok ? 'OK      ' : 'MISMATCH'} ${f.name}`);
+    log(result.ok ? `Snapshot ${result.id}: all checksums match.` : `Snapshot ${result.id}: checksum mismatch!`);
+    return result;
+  }
+
+  const snapshots = await listSnapshots();
+  log(`Snapshots in ${getSnapshotsDir()}: ${snapshots.length}`);
+  for (const s of snapshots) {
+    log(`  v${s.version}  ${s.id}  ${s.counts.speeches} speeches  ${s.format}${s.gzip ? '+gzip' : ''}  ${s.label || ''}`);
+  }
+  return snapshots;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] ? args[i + 1] : undefined;
+  };
+
+  if (!['create', 'list', 'verify'].includes(command) || (command === 'verify' && !args[1])) {
+    console.error('Usage: node src/scripts/snapshot.js [create|list|verify <id>] [--label text] [--format parquet|csv|jsonl] [--gzip] [--<filter> value]');
+    process.exit(1);
+  }
+
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    if (value(`--${key}`) !== undefined) filters[key] = value(`--${key}`);
+  }
+
+  run(command, {
+    id: args[1],
+    label: value('--label'),
+    format: value('--format'),
+    gzip: args.includes('--gzip'),
+    filters
+  })
+    .then((result) => process.exit(command === 'verify' && !result.ok ? 2 : 0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
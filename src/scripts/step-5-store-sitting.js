@@ -13,32 +13,17 @@ const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const { bestSectionForSpeech } = require('../core/parse-helpers');
 const { DB_PATH } = require('../core/db');
+const { ensureSchema } = require('../core/migrate');
+const { linkSpeakers } = require('../core/speaker-overrides');
 
-async function linkSpeechesToMeps(db, log) {
-  return new Promise((resolve, reject) => {
-    db.all(`SELECT DISTINCT speaker_name FROM individual_speeches WHERE speaker_name IS NOT NULL AND mep_id IS NULL`, async (err, speakers) => {
-      if (err) return reject(err);
-      if (!speakers || speakers.length === 0) return resolve(0);
-      log(`  Linking ${speakers.length} unlinked speakers to MEPs...`);
-
-      let linkedCount = 0;
-      for (const s of speakers) {
-        const mep = await new Promise(r => {
-          db.get(`SELECT id FROM meps WHERE label LIKE ? OR label LIKE ?`,
-            [`%${s.speaker_name}%`, `%${s.speaker_name.split(' ').reverse().join(' ')}%`], (e, row) => r(row));
-        });
-        if (mep) {
-          await new Promise(r => {
-            db.run(`UPDATE individual_speeches SET mep_id = ? WHERE speaker_name = ? AND mep_id IS NULL`, [mep.id, s.speaker_name], function(er) {
-              if (!er && this.changes > 0) linkedCount++;
-              r();
-            });
-          });
-        }
-      }
-      resolve(linkedCount);
-    });
-  });
+/**
+ * Link the sitting's speakers to MEPs: curator overrides first, then core/speaker-resolver.
+ * Returns the number of speaker names the resolver linked.
+ */
+async function linkSpeechesToMeps(db, log, sittingId) {
+  const result = await linkSpeakers(db, { sittingId });
+  if (result.speakers) log(`  Linked ${result.linkedSpeakers}/${result.speakers} speakers to MEPs (${result.ambiguous} ambiguous)`);
+  return result.linkedSpeakers;
 }
 
 async function run(payload, options = {}) {
@@ -52,6 +37,9 @@ async function run(payload, options = {}) {
   }
 
   try {
+    // Columns and search-index triggers must exist before speeches are deleted/inserted
+    await ensureSchema(db, log);
+
     const replaceExisting = !!options.replaceExisting;
     if (replaceExisting) {
       log('  Replacing existing speeches...');
@@ -72,21 +60,10 @@ async function run(payload, options = {}) {
         err => err ? reject(err) : resolve());
     });
 
-    log('  Ensuring schema...');
-    await new Promise(r => {
-      db.exec(`
-        ALTER TABLE individual_speeches ADD COLUMN topic TEXT;
-        ALTER TABLE individual_speeches ADD COLUMN macro_topic TEXT;
-        ALTER TABLE individual_speeches ADD COLUMN macro_specific_focus TEXT;
-        ALTER TABLE individual_speeches ADD COLUMN macro_confidence REAL;
-        ALTER TABLE individual_speeches ADD COLUMN language TEXT;
-      `, () => r());
-    });
-
     log('  Storing speeches with topic mapping...');
     const stmt = db.prepare(`
-      INSERT INTO individual_speeches (sitting_id, speaker_name, political_group, title, speech_content, speech_order, mep_id, topic, macro_topic, macro_specific_focus, macro_confidence)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO individual_speeches (sitting_id, speaker_name, political_group, title, speech_content, speech_order, mep_id, topic, macro_topic, macro_specific_focus, macro_confidence, original_language, language_marker)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const topicMapVal = topicMap || {};
@@ -102,12 +79,12 @@ async function run(payload, options = {}) {
           macro_confidence = meta.confidence;
         }
       }
-      stmt.run(sp.sitting_id, sp.speaker_name, sp.political_group, sp.title, sp.speech_content, sp.speech_order, sp.mep_id, topic, macro_topic, macro_specific_focus, macro_confidence);
+      stmt.run(sp.sitting_id, sp.speaker_name, sp.political_group, sp.title, sp.speech_content, sp.speech_order, sp.mep_id, topic, macro_topic, macro_specific_focus, macro_confidence, sp.original_language || null, sp.language_marker || null);
     }
     stmt.finalize();
 
     log('  Linking speeches to MEPs...');
-    const linkedCount = await linkSpeechesToMeps(db, log);
+    const linkedCount = await linkSpeechesToMeps(db, log, sittingId);
 
     return { speechesStored: speeches.length, linkedCount };
   } finally {
@@ -3,7 +3,7 @@
  * to see if country/party are present.
  * Run: node src/scripts/test-historic-mep-api.js
  */
-const axios = require('axios');
+const { http } = require('../core/http-client');
 const API_BASE = 'https://data.europarl.europa.eu/api/v2';
 const TERM = 9;
 const LIMIT = 2;
@@ -11,7 +11,7 @@ const LIMIT = 2;
 async function main() {
   // --- Historic: /meps?parliamentary-term=N ---
   console.log(`\n=== Historic term ${TERM}: GET /meps?parliamentary-term=${TERM} (limit=${LIMIT}) ===\n`);
-  const historicRes = await axios.get(`${API_BASE}/meps`, {
+  const historicRes = await http.get(`${API_BASE}/meps`, {
     params: { language: 'EN', 'parliamentary-term': TERM, format: 'application/ld+json', limit: LIMIT, offset: 0 },
     headers: { Accept: 'application/ld+json', 'User-Agent': 'EUROWATCH-test-1.0' }
   });
@@ -24,7 +24,7 @@ async function main() {
 
   // --- Current: /meps/show-current ---
   console.log(`\n=== Current term: GET /meps/show-current (limit=${LIMIT}) ===\n`);
-  const currentRes = await axios.get(`${API_BASE}/meps/show-current`, {
+  const currentRes = await http.get(`${API_BASE}/meps/show-current`, {
     params: { language: 'EN', format: 'application/ld+json', limit: LIMIT, offset: 0 },
     headers: { Accept: 'application/ld+json', 'User-Agent': 'EUROWATCH-test-1.0' }
   });
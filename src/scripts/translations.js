@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Other CRE language versions of stored sittings, aligned to their EN speeches (see src/core/translations.js).
+ *
+ * Usage: node src/scripts/translations.js [status|fetch] [--date YYYY-MM-DD | --start YYYY-MM-DD --end YYYY-MM-DD]
+ *                                         [--lang FR,DE|all] [--refresh]
+ *   status (default)  language versions stored per sitting in the range
+ *   fetch             fetch and align --lang (default CRE_LANGUAGES) for every stored sitting in the range;
+ *                     languages a sitting already has are skipped unless --refresh
+ */
+
+require('dotenv').config();
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH } = require('../core/db');
+const { formatDate } = require('../core/parliament-fetch');
+const translations = require('../core/translations');
+
+function listSittings(db, start, end) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT s.id, s.activity_date FROM sittings s
+       WHERE s.activity_date BETWEEN ? AND ?
+       AND EXISTS (SELECT 1 FROM individual_speeches i WHERE i.sitting_id = s.id)
+       ORDER BY s.activity_date`,
+      [start, end],
+      (err, rows) => (err ? reject(err) : resolve(rows || []))
+    );
+  });
+}
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+  const end = options.end || options.date || formatDate(new Date());
+  const start = options.start || options.date || end;
+  const db = new sqlite3.Database(DB_PATH);
+  try {
+    const sittings = await listSittings(db, start, end);
+
+    if (command === 'fetch') {
+      const languages = options.lang ? translations.parseLanguageList(options.lang) : translations.configuredLanguages();
+      if (!languages.length) throw new Error('No languages: pass --lang FR,DE (or all) or set CRE_LANGUAGES');
+      log(`Fetching ${languages.join(', ')} for ${sittings.length} sitting(s) ${start} → ${end}`);
+      const summary = { sittings: sittings.length, aligned: 0, skipped: 0, notFound: 0, failed: 0 };
+      for (const sitting of sittings) {
+        const result = await translations.fetchSittingTranslations(db, sitting.id, languages, {
+          log,
+          skipExisting: !options.refresh,
+          revalidate: options.refresh
+        });
+        for (const l of result.languages) {
+          if (l.status === 'aligned') summary.aligned++;
+          else if (l.status === 'skipped') summary.skipped++;
+          else if (l.status === 'not_found') summary.notFound++;
+          else summary.failed++;
+        }
+      }
+      log(`Done: ${summary.aligned} aligned, ${summary.skipped} already stored, ${summary.notFound} not published, ${summary.failed} failed.`);
+      return summary;
+    }
+
+    const status = [];
+    for (const sitting of sittings) {
+      const languages = await translations.listSittingLanguages(db, sitting.id);
+      status.push({ sitting_id: sitting.id, date: sitting.activity_date, languages });
+      log(`  ${sitting.activity_date}: ${languages.map(l => `${l.language} ${l.speeches}`).join(', ') || 'EN only'}`);
+    }
+    return status;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'status';
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] ? args[i + 1] : undefined;
+  };
+
+  if (!['status', 'fetch'].includes(command)) {
+    console.error('Usage: node src/scripts/translations.js [status|fetch] [--date YYYY-MM-DD | --start YYYY-MM-DD --end YYYY-MM-DD] [--lang FR,DE|all] [--refresh]');
+    process.exit(1);
+  }
+
+  run(command, {
+    date: value('--date'),
+    start: value('--start'),
+    end: value('--end'),
+    lang: value('--lang'),
+    refresh: args.includes('--refresh')
+  })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Dashboard users and roles (see src/core/users.js, src/server/auth.js).
+ * Works without a dashboard login, e.g. to create the first admin or reset a forgotten password.
+ *
+ * Usage: node src/scripts/users.js [list|create|set-role|set-password|disable|enable] [options]
+ *   list          all users with role and last sign-in (default)
+ *   create        create --username anna --role curator [--password text]
+ *                 (without --password a random one is generated and printed once)
+ *   set-role      set-role <username> <viewer|curator|admin>
+ *   set-password  set-password <username> [--password text] (ends the user's sessions)
+ *   disable       disable <username> (ends the user's sessions)
+ *   enable        enable <username>
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3').verbose();
+const { DB_PATH } = require('../core/db');
+const users = require('../core/users');
+
+const COMMANDS = ['list', 'create', 'set-role', 'set-password', 'disable', 'enable'];
+const formatTime = (ms) => (ms ? new Date(ms).toISOString() : 'never');
+
+async function run(command, options = {}) {
+  const log = options.log || console.log;
+  const db = new sqlite3.Database(DB_PATH);
+  try {
+    if (command === 'create' || command === 'set-password') {
+      const generated = !options.password;
+      const password = options.password || crypto.randomBytes(12).toString('base64url');
+      const user = command === 'create'
+        ? await users.createUser(db, { username: options.username, password, role: options.role })
+        : await users.updateUser(db, options.username, { password });
+      log(command === 'create' ? `User ${user.username} created (${user.role}).` : `Password of ${user.username} changed.`);
+      if (generated) log(`  Password: ${password}  (store it now; it cannot be shown again)`);
+      return user;
+    }
+
+    if (command === 'set-role') {
+      const user = await users.updateUser(db, options.username, { role: options.role });
+      log(`${user.username} is now ${user.role}.`);
+      return user;
+    }
+
+    if (command === 'disable' || command === 'enable') {
+      const user = await users.updateUser(db, options.username, { disabled: command === 'disable' });
+      log(`${user.username} ${command}d.`);
+      return user;
+    }
+
+    const list = await users.listUsers(db);
+    log(`Users: ${list.length}`);
+    for (const u of list) {
+      log(`  ${u.username}  ${u.role}  ${u.disabledAt ? 'DISABLED' : 'active'}  last sign-in ${formatTime(u.lastLoginAt)}`);
+    }
+    return list;
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const value = (flag) => {
+    const i = args.indexOf(flag);
+    return i !== -1 && args[i + 1] ? args[i + 1] : undefined;
+  };
+  const positional = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+  const username = command === 'create' ? value('--username') : positional;
+
+  if (!COMMANDS.includes(command) || (command !== 'list' && !username) ||
+    (command === 'set-role' && !args[2])) {
+    console.error('Usage: node src/scripts/users.js [list|create --username u --role r [--password p]|' +
+      'set-role <username> <role>|set-password <username> [--password p]|disable <username>|enable <username>]');
+    process.exit(1);
+  }
+
+  run(command, {
+    username,
+    role: command === 'set-role' ? args[2] : value('--role'),
+    password: value('--password')
+  })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('Error:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,210 @@
+/**
+ * API keys, rate limits and usage accounting for everything under /api (keys: core/api-keys.js).
+ * - A key is sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`; unknown or revoked keys get 401,
+ *   requests without a key are anonymous. Failed key lookups count per client IP (ANON_RATE_LIMIT a minute);
+ *   an IP over it gets 429 for unknown keys without a database lookup. Only valid keys are cached.
+ * - Rate limits are fixed one-minute windows: per key (its rate_limit, else API_KEY_RATE_LIMIT), per signed-in
+ *   user without a key (USER_RATE_LIMIT; needs auth.attachUser mounted first so req.user is set) or per
+ *   client IP for anonymous requests (ANON_RATE_LIMIT). Over the limit → 429 with Retry-After.
+ *   Signed-in users' requests are counted in api_usage with anonymous traffic (key 0).
+ * - With ANONYMOUS_READ off, the public API (/api/v1, except openapi.json) needs a key.
+ * - /api/ai/chat has a monthly token budget per key (token_budget, else API_KEY_TOKEN_BUDGET); anonymous
+ *   users share ANON_CHAT_TOKEN_BUDGET (0 = key required, null = unlimited).
+ * Request counts are buffered and flushed to api_usage once a minute; chat tokens are written at once.
+ */
+const { ANONYMOUS_KEY_ID, findApiKey, recordUsage, getTokensUsed } = require('../core/api-keys');
+
+const WINDOW_MS = 60 * 1000;
+/** Resolved keys are cached this long, so a revocation takes effect within a minute (or at once via forget()). */
+const KEY_CACHE_MS = 60 * 1000;
+
+/** /api/v1 answers errors as { error: { code, message } }; the dashboard routes as { error, code }. */
+function sendError(req, res, status, code, message) {
+  const body = req.originalUrl.startsWith('/api/v1') ? { error: { code, message } } : { error: message, code };
+  return res.status(status).json(body);
+}
+
+function requestKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const auth = req.get('authorization') || '';
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {{ anonymousRead: boolean, anonRateLimit: number, keyRateLimit: number, userRateLimit?: number,
+ *   keyTokenBudget: number, anonChatTokenBudget: number|null, log?: Function }} options
+ */
+function createAccessControl(db, options) {
+  const log = options.log || console.log;
+  const keyCache = new Map();
+  const windows = new Map();
+  let currentWindow = 0;
+  /** keyId → { requests, rateLimited } not yet written to api_usage */
+  const pending = new Map();
+
+  function cachedKey(secret) {
+    const cached = keyCache.get(secret);
+    return cached && cached.expires > Date.now() ? cached.apiKey : null;
+  }
+
+  /** Valid key for a secret, from the cache or the database; null for unknown or revoked keys (not cached). */
+  async function resolveKey(secret) {
+    const cached = cachedKey(secret);
+    if (cached) return cached;
+    const apiKey = await findApiKey(db, secret);
+    if (apiKey) keyCache.set(secret, { apiKey, expires: Date.now() + KEY_CACHE_MS });
+    else keyCache.delete(secret);
+    return apiKey;
+  }
+
+  function pruneKeyCache() {
+    const now = Date.now();
+    for (const [secret, entry] of keyCache) {
+      if (entry.expires <= now) keyCache.delete(secret);
+    }
+  }
+
+  function count(keyId, field) {
+    const entry = pending.get(keyId) || { requests: 0, rateLimited: 0 };
+    entry[field]++;
+    pending.set(keyId, entry);
+  }
+
+  /** Index of the current one-minute window; counters start over when it changes. */
+  function currentWindowIndex(now) {
+    const window = Math.floor(now / WINDOW_MS);
+    if (window !== currentWindow) {
+      windows.clear();
+      currentWindow = window;
+    }
+    return window;
+  }
+
+  /** Requests counted for id in the current minute. */
+  function countInWindow(id) {
+    currentWindowIndex(Date.now());
+    return windows.get(id) || 0;
+  }
+
+  /** Returns false when the caller is over its limit for the current minute. */
+  function take(id, limit, res) {
+    const now = Date.now();
+    const window = currentWindowIndex(now);
+    const used = (windows.get(id) || 0) + 1;
+    windows.set(id, used);
+    const resetSeconds = Math.ceil(((window + 1) * WINDOW_MS - now) / 1000);
+    res.setHeader('X-RateLimit-Limit', limit);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, limit - used));
+    res.setHeader('X-RateLimit-Reset', resetSeconds);
+    if (used <= limit) return true;
+    res.setHeader('Retry-After', resetSeconds);
+    return false;
+  }
+
+  /** Rate-limit bucket of a request: its key, else its signed-in user (not the LOCALRUN user), else its IP. */
+  function callerLimit(req) {
+    if (req.apiKey) return { id: `key:${req.apiKey.id}`, limit: req.apiKey.rateLimit ?? options.keyRateLimit };
+    if (req.user && req.user.id != null) {
+      return { id: `user:${req.user.id}`, limit: options.userRateLimit ?? options.keyRateLimit };
+    }
+    return { id: `ip:${req.ip}`, limit: options.anonRateLimit };
+  }
+
+  /** Mount on /api: identify the caller, apply its rate limit and count the request. */
+  async function middleware(req, res, next) {
+    try {
+      const secret = requestKey(req);
+      if (secret) {
+        const failedId = `invalid-key:${req.ip}`;
+        if (!cachedKey(secret) && countInWindow(failedId) >= options.anonRateLimit) {
+          take(failedId, options.anonRateLimit, res);
+          count(ANONYMOUS_KEY_ID, 'rateLimited');
+          return sendError(req, res, 429, 'rate_limited', `Too many invalid API keys (${options.anonRateLimit} per minute)`);
+        }
+        req.apiKey = await resolveKey(secret);
+        if (!req.apiKey) {
+          take(failedId, options.anonRateLimit, res);
+          return sendError(req, res, 401, 'invalid_api_key', 'Invalid or revoked API key');
+        }
+      }
+      const keyId = req.apiKey ? req.apiKey.id : ANONYMOUS_KEY_ID;
+      const { id, limit } = callerLimit(req);
+      if (!take(id, limit, res)) {
+        count(keyId, 'rateLimited');
+        return sendError(req, res, 429, 'rate_limited', `Rate limit exceeded (${limit} requests per minute)`);
+      }
+      count(keyId, 'requests');
+      if (!req.apiKey && !options.anonymousRead && req.path.startsWith('/v1/') && req.path !== '/v1/openapi.json') {
+        return sendError(req, res, 401, 'api_key_required', 'An API key is required (X-API-Key header)');
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /** Before /api/ai/chat: refuse when the caller's monthly token budget is used up. */
+  async function chatBudget(req, res, next) {
+    try {
+      const keyId = req.apiKey ? req.apiKey.id : ANONYMOUS_KEY_ID;
+      const budget = req.apiKey ? (req.apiKey.tokenBudget ?? options.keyTokenBudget) : options.anonChatTokenBudget;
+      if (budget === 0) {
+        return req.apiKey
+          ? sendError(req, res, 403, 'no_token_budget', 'This API key has no AI chat budget')
+          : sendError(req, res, 401, 'api_key_required', 'AI chat requires an API key (X-API-Key header)');
+      }
+      if (budget != null) {
+        const used = await getTokensUsed(db, keyId);
+        res.setHeader('X-Token-Budget-Remaining', Math.max(0, budget - used));
+        if (used >= budget) {
+          return sendError(req, res, 429, 'token_budget_exhausted', `Monthly AI token budget of ${budget} tokens is used up`);
+        }
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /** After a chat completion: book its token usage against the caller. */
+  function recordChatUsage(req, usage = {}) {
+    const keyId = req.apiKey ? req.apiKey.id : ANONYMOUS_KEY_ID;
+    return recordUsage(db, keyId, {
+      chatRequests: 1,
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    }).catch(err => log(`[API KEYS] Could not record chat usage: ${err.message}`));
+  }
+
+  /** Write buffered request counts to api_usage and drop expired cached keys. */
+  async function flush() {
+    pruneKeyCache();
+    const entries = [...pending.entries()];
+    pending.clear();
+    for (const [keyId, counts] of entries) {
+      try {
+        await recordUsage(db, keyId, counts);
+      } catch (err) {
+        log(`[API KEYS] Could not record usage: ${err.message}`);
+      }
+    }
+  }
+
+  const timer = setInterval(flush, WINDOW_MS);
+  timer.unref();
+
+  return {
+    middleware,
+    chatBudget,
+    recordChatUsage,
+    flush,
+    /** Drop cached keys, e.g. right after a revocation. */
+    forget: () => keyCache.clear(),
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = { createAccessControl };
@@ -2,6 +2,7 @@
  * In-memory analytics cache and warm function. Used by /api/analytics/* routes.
  */
 const { loadAnalyticsFromDatabase } = require('../core/analytics-db');
+const { GROUP_AT_DATE_SQL } = require('../core/mep-affiliations');
 
 const analyticsCache = {
   data: null,
@@ -53,8 +54,8 @@ async function warmAnalyticsCache(db) {
       console.log(`[CACHE] Loaded: ${cacheData.allTopics.length} topics, ${cacheData.timeseries_month.labels.length} periods`);
       return;
     } catch (loadError) {
-      // Analytics database doesn't exist yet - fall back to computing
-      console.log('[CACHE] Pre-computed analytics database not found, computing from scratch...');
+      // Analytics database missing or unreadable - fall back to computing
+      console.log(`[CACHE] Could not load pre-computed analytics database (${loadError.message}), computing from scratch...`);
       console.log('💡 [CACHE] Tip: Run "node src/scripts/generate-analytics.js" to pre-compute analytics for instant loading');
     }
     
@@ -173,10 +174,13 @@ async function warmAnalyticsCache(db) {
     const [groups, groupRows] = await Promise.all([
       new Promise((resolve, reject) => {
         db.all(`
-          SELECT COALESCE(political_group_std, political_group) AS grp, COUNT(*) AS cnt
-          FROM individual_speeches
-          WHERE COALESCE(political_group_std, political_group) IS NOT NULL 
-            AND TRIM(COALESCE(political_group_std, political_group))<>''
+          SELECT grp, COUNT(*) AS cnt
+          FROM (
+            SELECT ${GROUP_AT_DATE_SQL} AS grp
+            FROM individual_speeches i
+            LEFT JOIN sittings s ON s.id = i.sitting_id
+          )
+          WHERE grp IS NOT NULL AND TRIM(grp)<>''
           GROUP BY grp
           ORDER BY cnt DESC LIMIT 10
         `, [], (err, rows) => err ? reject(err) : resolve(rows));
@@ -193,11 +197,15 @@ async function warmAnalyticsCache(db) {
       const pT = allTopicVariantsForGroups.map(() => '?').join(',');
       const pG = groupsList.map(() => '?').join(',');
       db.all(`
-        SELECT i.macro_topic AS topic, COALESCE(i.political_group_std, i.political_group) AS grp, COUNT(*) AS cnt
-        FROM individual_speeches i
-        WHERE i.macro_topic IN (${pT})
-          AND COALESCE(i.political_group_std, i.political_group) IN (${pG})
-        GROUP BY i.macro_topic, COALESCE(i.political_group_std, i.political_group)
+        SELECT topic, grp, COUNT(*) AS cnt
+        FROM (
+          SELECT i.macro_topic AS topic, ${GROUP_AT_DATE_SQL} AS grp
+          FROM individual_speeches i
+          LEFT JOIN sittings s ON s.id = i.sitting_id
+          WHERE i.macro_topic IN (${pT})
+        )
+        WHERE grp IN (${pG})
+        GROUP BY topic, grp
       `, [...allTopicVariantsForGroups, ...groupsList], (err, rows) => err ? reject(err) : resolve(rows));
     });
     
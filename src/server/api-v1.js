@@ -0,0 +1,599 @@
+/**
+ * Public read-only REST API, mounted at /api/v1.
+ * Every list endpoint follows one contract: filters as query parameters (the speech filter vocabulary of
+ * core/speech-filters.js wherever speeches are counted), sort=field or sort=-field, and keyset pagination
+ * with an opaque cursor → { data: [...], pagination: { limit, next_cursor, has_more[, total] } }.
+ * Single resources are { data: {...} }; errors are always { error: { code, message } }.
+ * GET /api/v1/openapi.json is generated from the route table and field lists below, so it cannot drift.
+ */
+const express = require('express');
+const { parseSpeechFilters, buildSpeechFilter, languageExpression } = require('../core/speech-filters');
+const { isQuerySyntaxError } = require('../core/speech-search');
+const macroTopics = require('../core/macro-topics');
+const { NATIONAL_PARTY_SQL } = require('../core/mep-memberships');
+const { version } = require('../../package.json');
+const { getAsync, allAsync } = require('../core/db-async');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function apiError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// ---------------------------------------------------------------------------
+// Resource fields: [name, SQL expression, type]. A trailing '?' marks nullable types.
+// The same lists build the SELECT and the OpenAPI schemas.
+// ---------------------------------------------------------------------------
+
+const MEP_SPEECH_COUNT = '(SELECT COUNT(*) FROM individual_speeches i WHERE i.mep_id = m.id)';
+
+const MEP_FIELDS = [
+  ['id', 'm.id', 'integer'],
+  ['label', 'm.label', 'string?'],
+  ['given_name', 'm.givenName', 'string?'],
+  ['family_name', 'm.familyName', 'string?'],
+  ['sort_label', 'm.sortLabel', 'string?'],
+  ['country', 'm.country', 'string?'],
+  ['political_group', 'm.politicalGroup', 'string?'],
+  ['is_current', 'm.is_current', 'boolean?'],
+  ['source', 'm.source', 'string?'],
+  ['speech_count', MEP_SPEECH_COUNT, 'integer']
+];
+
+const SITTING_FIELDS = [
+  ['id', 's.id', 'string'],
+  ['date', 's.activity_date', 'string?'],
+  ['start_date', 's.activity_start_date', 'string?'],
+  ['type', 's.activity_type', 'string?'],
+  ['label', 's.label', 'string?'],
+  ['doc_identifier', 's.docIdentifier', 'string?'],
+  ['notation_id', 's.notationId', 'string?'],
+  ['speech_count', '(SELECT COUNT(*) FROM individual_speeches i WHERE i.sitting_id = s.id)', 'integer']
+];
+/** Full sitting text is only returned by GET /sittings/{id}. */
+const SITTING_DETAIL_FIELDS = [...SITTING_FIELDS, ['content', 's.content', 'string?']];
+
+const SPEECH_FIELDS = [
+  ['id', 'i.id', 'integer'],
+  ['sitting_id', 'i.sitting_id', 'string?'],
+  ['date', 's.activity_date', 'string?'],
+  ['speech_order', 'i.speech_order', 'integer?'],
+  ['speaker_name', 'i.speaker_name', 'string?'],
+  ['mep_id', 'i.mep_id', 'integer?'],
+  ['mep_match_method', 'i.mep_match_method', 'string?'],
+  ['mep_match_score', 'i.mep_match_score', 'number?'],
+  ['country', 'm.country', 'string?'],
+  ['political_group', 'i.political_group', 'string?'],
+  ['political_group_std', 'i.political_group_std', 'string?'],
+  ['political_group_kind', 'i.political_group_kind', 'string?'],
+  ['language', 'i.language', 'string?'],
+  ['original_language', 'COALESCE(i.original_language, i.language)', 'string?'],
+  ['language_marker', 'i.language_marker', 'string?'],
+  ['title', 'i.title', 'string?'],
+  ['topic', 'i.topic', 'string?'],
+  ['macro_topic', 'i.macro_topic', 'string?'],
+  ['specific_focus', 'i.macro_specific_focus', 'string?'],
+  ['macro_confidence', 'i.macro_confidence', 'number?'],
+  ['length', 'LENGTH(i.speech_content)', 'integer?'],
+  ['speech_content', 'i.speech_content', 'string?']
+];
+
+const TOPIC_FIELDS = [
+  ['name', 't.name', 'string'],
+  ['speech_count', 't.speech_count', 'integer'],
+  ['first_date', 't.first_date', 'string?'],
+  ['last_date', 't.last_date', 'string?']
+];
+
+const COUNT_FIELDS = [
+  ['key', 't.key', 'string'],
+  ['speech_count', 't.speech_count', 'integer']
+];
+
+const SUMMARY_FIELDS = [
+  ['speeches', 'COUNT(*)', 'integer'],
+  ['meps', 'COUNT(DISTINCT i.mep_id)', 'integer'],
+  ['sittings', 'COUNT(DISTINCT i.sitting_id)', 'integer'],
+  ['languages', 'COUNT(DISTINCT i.language)', 'integer'],
+  ['first_date', 'MIN(s.activity_date)', 'string?'],
+  ['last_date', 'MAX(s.activity_date)', 'string?']
+];
+
+const SPEECH_FROM = `individual_speeches i
+  LEFT JOIN sittings s ON i.sitting_id = s.id
+  LEFT JOIN meps m ON i.mep_id = m.id`;
+
+/**
+ * GET /analytics/counts?by=…: grouping expression per dimension (speeches without a value are left out).
+ * by=language follows language_basis like the language filter; by=national_party uses the speaker's party on the
+ * sitting date (mep_memberships).
+ */
+const COUNT_DIMENSIONS = {
+  year: 'substr(s.activity_date, 1, 4)',
+  month: 'substr(s.activity_date, 1, 7)',
+  political_group: 'COALESCE(i.political_group_std, i.political_group)',
+  language: 'i.language',
+  macro_topic: 'TRIM(i.macro_topic)',
+  country: 'm.country',
+  national_party: NATIONAL_PARTY_SQL
+};
+
+function selectList(fields) {
+  return fields.map(([name, sql]) => `${sql} AS ${name}`).join(', ');
+}
+
+function toJson(fields, row) {
+  const out = {};
+  for (const [name, , type] of fields) {
+    out[name] = type.startsWith('boolean') && row[name] != null ? Boolean(row[name]) : row[name];
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Query parameters
+// ---------------------------------------------------------------------------
+
+function single(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return typeof v === 'string' && v.trim() ? v.trim() : null;
+}
+
+function list(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+function boolParam(value, name) {
+  const v = single(value);
+  if (v == null) return null;
+  if (/^(1|true|yes)$/i.test(v)) return true;
+  if (/^(0|false|no)$/i.test(v)) return false;
+  throw apiError(400, 'invalid_parameter', `${name} must be true or false`);
+}
+
+function parseLimit(value) {
+  const v = single(value);
+  if (v == null) return DEFAULT_LIMIT;
+  if (!/^\d+$/.test(v) || +v < 1 || +v > MAX_LIMIT) {
+    throw apiError(400, 'invalid_parameter', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  return parseInt(v, 10);
+}
+
+function parseSort(value, route, defaultSort = route.defaultSort) {
+  const param = single(value) || defaultSort;
+  const key = param.replace(/^-/, '');
+  if (!route.sorts[key]) {
+    throw apiError(400, 'invalid_parameter', `sort must be one of: ${Object.keys(route.sorts).join(', ')} (prefix - for descending)`);
+  }
+  return { param, key, desc: param.startsWith('-') };
+}
+
+/** Cursors carry the sort they were made for, so a changed sort cannot silently skip rows. */
+function encodeCursor(sort, sortValue, id) {
+  return Buffer.from(JSON.stringify([sort, sortValue, id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    value = null;
+  }
+  if (!Array.isArray(value) || value.length !== 3) {
+    throw apiError(400, 'invalid_cursor', 'cursor is malformed; pass next_cursor from the previous page unchanged');
+  }
+  if (value[0] !== sort) throw apiError(400, 'invalid_cursor', `cursor was issued for sort=${value[0]}, not sort=${sort}`);
+  return value.slice(1);
+}
+
+/** Speech filters from the query string as SQL conditions on aliases i, s and m. */
+function speechConditions(query) {
+  const { whereClause, params } = buildSpeechFilter(parseSpeechFilters(query));
+  return { where: whereClause ? [whereClause.replace(/^WHERE /, '')] : [], params };
+}
+
+function inClause(column, values, params) {
+  params.push(...values);
+  return `${column} IN (${values.map(() => '?').join(', ')})`;
+}
+
+// ---------------------------------------------------------------------------
+// Keyset pagination
+// ---------------------------------------------------------------------------
+
+/**
+ * One page of a list endpoint. Sort expressions must never be NULL (COALESCE them) so that the
+ * row-value comparison (sort, id) > (?, ?) resumes exactly after the last row of the previous page.
+ * @param {object} spec - { fields, from, fromParams?, where?, params?, id, defaultSort? }
+ */
+async function listPage(db, req, route, spec) {
+  const limit = parseLimit(req.query.limit);
+  const sort = parseSort(req.query.sort, route, spec.defaultSort);
+  const sortExpr = route.sorts[sort.key];
+  const where = [...(spec.where || [])];
+  const params = [...(spec.fromParams || []), ...(spec.params || [])];
+  const filterCount = params.length;
+  const cursor = single(req.query.cursor);
+  if (cursor) {
+    where.push(`(${sortExpr}, ${spec.id}) ${sort.desc ? '<' : '>'} (?, ?)`);
+    params.push(...decodeCursor(cursor, sort.param));
+  }
+  const whereClause = (conditions) => (conditions.length ? `WHERE ${conditions.join(' AND ')}` : '');
+  const dir = sort.desc ? 'DESC' : 'ASC';
+  const rows = await allAsync(db, `
+    SELECT ${selectList(spec.fields)}, ${sortExpr} AS _sort, ${spec.id} AS _id
+    FROM ${spec.from}
+    ${whereClause(where)}
+    ORDER BY ${sortExpr} ${dir}, ${spec.id} ${dir}
+    LIMIT ?`, [...params, limit + 1]);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const pagination = { limit, next_cursor: hasMore ? encodeCursor(sort.param, last._sort, last._id) : null, has_more: hasMore };
+  if (boolParam(req.query.include_total, 'include_total')) {
+    const row = await getAsync(db, `SELECT COUNT(*) AS total FROM ${spec.from} ${whereClause(spec.where || [])}`,
+      params.slice(0, filterCount));
+    pagination.total = row.total;
+  }
+  return { data: page.map(row => toJson(spec.fields, row)), pagination };
+}
+
+async function getOne(db, fields, from, where, params) {
+  const row = await getAsync(db, `SELECT ${selectList(fields)} FROM ${from} WHERE ${where}`, params);
+  return row ? toJson(fields, row) : null;
+}
+
+function intId(value, name) {
+  if (!/^\d+$/.test(value)) throw apiError(400, 'invalid_parameter', `${name} must be an integer`);
+  return parseInt(value, 10);
+}
+
+// ---------------------------------------------------------------------------
+// Handlers
+// ---------------------------------------------------------------------------
+
+async function listMeps(db, req, route) {
+  const where = [];
+  const params = [];
+  const countries = list(req.query.country);
+  const groups = list(req.query.political_group);
+  if (countries.length) where.push(inClause('m.country', countries, params));
+  if (groups.length) where.push(inClause('m.politicalGroup', groups, params));
+  const isCurrent = boolParam(req.query.is_current, 'is_current');
+  if (isCurrent != null) where.push(isCurrent ? 'm.is_current = 1' : 'COALESCE(m.is_current, 0) = 0');
+  const name = single(req.query.name);
+  if (name) {
+    where.push("m.label LIKE ? ESCAPE '\\'");
+    params.push(`%${name.replace(/[\\%_]/g, c => '\\' + c)}%`);
+  }
+  return listPage(db, req, route, { fields: MEP_FIELDS, from: 'meps m', where, params, id: 'm.id' });
+}
+
+async function getMep(db, req) {
+  return getOne(db, MEP_FIELDS, 'meps m', 'm.id = ?', [intId(req.params.id, 'id')]);
+}
+
+async function listSittings(db, req, route) {
+  const where = [];
+  const params = [];
+  for (const [key, op] of [['startDate', '>='], ['endDate', '<=']]) {
+    const v = single(req.query[key]);
+    if (!v) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) throw apiError(400, 'invalid_parameter', `${key} must be YYYY-MM-DD`);
+    where.push(`s.activity_date ${op} ?`);
+    params.push(v);
+  }
+  const types = list(req.query.type);
+  if (types.length) where.push(inClause('s.activity_type', types, params));
+  return listPage(db, req, route, { fields: SITTING_FIELDS, from: 'sittings s', where, params, id: 's.id' });
+}
+
+async function getSitting(db, req) {
+  return getOne(db, SITTING_DETAIL_FIELDS, 'sittings s', 's.id = ?', [req.params.id]);
+}
+
+async function listSpeeches(db, req, route) {
+  const { where, params } = speechConditions(req.query);
+  const sittingIds = list(req.query.sitting_id);
+  if (sittingIds.length) where.push(inClause('i.sitting_id', sittingIds, params));
+  return listPage(db, req, route, { fields: SPEECH_FIELDS, from: SPEECH_FROM, where, params, id: 'i.id' });
+}
+
+async function getSpeech(db, req) {
+  return getOne(db, SPEECH_FIELDS, SPEECH_FROM, 'i.id = ?', [intId(req.params.id, 'id')]);
+}
+
+/** Macro topics in use, counted under the speech filters; in_taxonomy flags names still in macro-topics.json. */
+async function listTopics(db, req, route) {
+  const { where, params } = speechConditions(req.query);
+  where.push("i.macro_topic IS NOT NULL AND TRIM(i.macro_topic) != ''");
+  const page = await listPage(db, req, route, {
+    fields: TOPIC_FIELDS,
+    from: `(SELECT TRIM(i.macro_topic) AS name, COUNT(*) AS speech_count,
+        MIN(s.activity_date) AS first_date, MAX(s.activity_date) AS last_date
+      FROM ${SPEECH_FROM} WHERE ${where.join(' AND ')} GROUP BY TRIM(i.macro_topic)) t`,
+    fromParams: params,
+    id: 't.name'
+  });
+  const taxonomy = new Set(macroTopics.load());
+  page.data = page.data.map(t => ({ ...t, in_taxonomy: taxonomy.has(t.name) }));
+  return page;
+}
+
+async function analyticsCounts(db, req, route) {
+  const by = single(req.query.by);
+  if (!COUNT_DIMENSIONS[by]) {
+    throw apiError(400, 'invalid_parameter', `by must be one of: ${Object.keys(COUNT_DIMENSIONS).join(', ')}`);
+  }
+  const { where, params } = speechConditions(req.query);
+  const expr = by === 'language' ? languageExpression(single(req.query.language_basis) || 'text') : COUNT_DIMENSIONS[by];
+  where.push(`${expr} IS NOT NULL AND ${expr} != ''`);
+  // Time buckets read chronologically by default, the others by size
+  const timeSeries = by === 'year' || by === 'month';
+  return listPage(db, req, route, {
+    fields: COUNT_FIELDS,
+    from: `(SELECT ${expr} AS key, COUNT(*) AS speech_count FROM ${SPEECH_FROM}
+      WHERE ${where.join(' AND ')} GROUP BY 1) t`,
+    fromParams: params,
+    id: 't.key',
+    defaultSort: timeSeries ? 'key' : '-speech_count'
+  });
+}
+
+async function analyticsSummary(db, req) {
+  const { where, params } = speechConditions(req.query);
+  return getOne(db, SUMMARY_FIELDS, SPEECH_FROM, where.length ? where.join(' AND ') : '1', params);
+}
+
+// ---------------------------------------------------------------------------
+// Route table (drives both the router and the OpenAPI document)
+// ---------------------------------------------------------------------------
+
+const SPEECH_FILTER_PARAMS = ['startDate', 'endDate', 'mep_id', 'political_group_std', 'country', 'language',
+  'language_basis', 'macro_topic', 'national_party', 'committee', 'specific_focus', 'min_length', 'max_length', 'q', 'mode'];
+
+const ROUTES = [
+  {
+    path: '/meps', operationId: 'listMeps', tag: 'MEPs', summary: 'List MEPs',
+    params: ['country', 'political_group', 'is_current', 'name'], schema: 'Mep', handler: listMeps,
+    sorts: { name: "COALESCE(m.sortLabel, m.label, '')", id: 'm.id', country: "COALESCE(m.country, '')", speech_count: MEP_SPEECH_COUNT },
+    defaultSort: 'name'
+  },
+  {
+    path: '/meps/:id', operationId: 'getMep', tag: 'MEPs', summary: 'One MEP',
+    params: ['id'], schema: 'Mep', handler: getMep, resource: 'MEP'
+  },
+  {
+    path: '/sittings', operationId: 'listSittings', tag: 'Sittings', summary: 'List plenary sittings',
+    params: ['startDate', 'endDate', 'type'], schema: 'Sitting', handler: listSittings,
+    sorts: { date: "COALESCE(s.activity_date, '')", id: 's.id' },
+    defaultSort: 'date'
+  },
+  {
+    path: '/sittings/:id', operationId: 'getSitting', tag: 'Sittings', summary: 'One sitting, including its full text',
+    params: ['sitting_path_id'], schema: 'SittingDetail', handler: getSitting, resource: 'sitting'
+  },
+  {
+    path: '/speeches', operationId: 'listSpeeches', tag: 'Speeches', summary: 'List individual speeches',
+    params: [...SPEECH_FILTER_PARAMS, 'sitting_id'], schema: 'Speech', handler: listSpeeches,
+    sorts: { date: "COALESCE(s.activity_date, '')", id: 'i.id', length: 'COALESCE(LENGTH(i.speech_content), 0)' },
+    defaultSort: 'date'
+  },
+  {
+    path: '/speeches/:id', operationId: 'getSpeech', tag: 'Speeches', summary: 'One speech',
+    params: ['id'], schema: 'Speech', handler: getSpeech, resource: 'speech'
+  },
+  {
+    path: '/topics', operationId: 'listTopics', tag: 'Topics', summary: 'Macro topics with speech counts',
+    params: SPEECH_FILTER_PARAMS, schema: 'Topic', handler: listTopics,
+    sorts: { speech_count: 't.speech_count', name: 't.name' },
+    defaultSort: '-speech_count'
+  },
+  {
+    path: '/analytics/counts', operationId: 'countSpeeches', tag: 'Analytics', summary: 'Speech counts grouped by one dimension',
+    params: ['by', ...SPEECH_FILTER_PARAMS], schema: 'CountBucket', handler: analyticsCounts,
+    sorts: { key: 't.key', speech_count: 't.speech_count' },
+    defaultSort: 'key'  // -speech_count unless by=year|month
+  },
+  {
+    path: '/analytics/summary', operationId: 'summarizeSpeeches', tag: 'Analytics', summary: 'Totals and date range under the speech filters',
+    params: SPEECH_FILTER_PARAMS, schema: 'Summary', handler: analyticsSummary
+  }
+];
+
+// ---------------------------------------------------------------------------
+// OpenAPI document
+// ---------------------------------------------------------------------------
+
+const stringList = (description) => ({ schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: false, description });
+const date = (description) => ({ schema: { type: 'string', format: 'date' }, description });
+
+const PARAMETERS = {
+  id: { in: 'path', required: true, schema: { type: 'integer' } },
+  sitting_path_id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+  limit: { schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }, description: 'Page size' },
+  cursor: { schema: { type: 'string' }, description: 'pagination.next_cursor of the previous page (same filters and sort)' },
+  include_total: { schema: { type: 'boolean', default: false }, description: 'Also return pagination.total (one extra COUNT query)' },
+  startDate: date('Sitting date on or after (YYYY-MM-DD)'),
+  endDate: date('Sitting date on or before (YYYY-MM-DD)'),
+  mep_id: { schema: { type: 'array', items: { type: 'integer' } }, style: 'form', explode: false, description: 'MEP ids' },
+  political_group_std: stringList('Standardized political groups, e.g. Verts/ALE'),
+  country: stringList('Countries, e.g. Germany'),
+  language: stringList('Two-letter language codes'),
+  language_basis: {
+    schema: { type: 'string', enum: ['text', 'original'], default: 'text' },
+    description: 'Which language `language` (and by=language) refers to: the stored text, or the language spoken (interpretation markers)'
+  },
+  macro_topic: stringList('Macro topics (exact names, see /topics)'),
+  national_party: stringList('National parties of the speaker on the sitting date (code or name, e.g. CDU)'),
+  committee: stringList('Committees the speaker sat on at the sitting date (code or name, e.g. AFET)'),
+  specific_focus: { schema: { type: 'string' }, description: 'Substring of the classified specific focus (case-insensitive)' },
+  min_length: { schema: { type: 'integer', minimum: 0 }, description: 'Minimum speech length in characters' },
+  max_length: { schema: { type: 'integer', minimum: 0 }, description: 'Maximum speech length in characters' },
+  q: { schema: { type: 'string' }, description: 'Full-text query: words, "phrases", AND/OR/NOT, prefix*' },
+  mode: { schema: { type: 'string', enum: ['boolean', 'phrase'], default: 'boolean' }, description: 'phrase: match q as one exact phrase' },
+  sitting_id: stringList('Sitting ids'),
+  political_group: stringList('Political group as recorded on the MEP'),
+  is_current: { schema: { type: 'boolean' }, description: 'Only MEPs in (or not in) the current term' },
+  name: { schema: { type: 'string' }, description: 'Substring of the MEP name (case-insensitive)' },
+  type: stringList('Activity types'),
+  by: { required: true, schema: { type: 'string', enum: Object.keys(COUNT_DIMENSIONS) }, description: 'Grouping dimension' }
+};
+
+function objectSchema(fields, extra = {}) {
+  const properties = {};
+  for (const [name, , type] of fields) {
+    const base = type.replace('?', '');
+    properties[name] = { type: type.endsWith('?') ? [base, 'null'] : base };
+  }
+  Object.assign(properties, extra);
+  return { type: 'object', required: Object.keys(properties), properties };
+}
+
+const SCHEMAS = {
+  Mep: objectSchema(MEP_FIELDS),
+  Sitting: objectSchema(SITTING_FIELDS),
+  SittingDetail: objectSchema(SITTING_DETAIL_FIELDS),
+  Speech: objectSchema(SPEECH_FIELDS),
+  Topic: objectSchema(TOPIC_FIELDS, { in_taxonomy: { type: 'boolean' } }),
+  CountBucket: objectSchema(COUNT_FIELDS),
+  Summary: objectSchema(SUMMARY_FIELDS),
+  Pagination: {
+    type: 'object',
+    required: ['limit', 'next_cursor', 'has_more'],
+    properties: {
+      limit: { type: 'integer' },
+      next_cursor: { type: ['string', 'null'] },
+      has_more: { type: 'boolean' },
+      total: { type: 'integer' }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: ['invalid_parameter', 'invalid_cursor', 'invalid_query', 'not_found', 'method_not_allowed', 'internal_error'] },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const route of ROUTES) {
+    const isList = Boolean(route.sorts);
+    const parameters = route.params.map(key => ({ name: key, in: 'query', ...PARAMETERS[key] }));
+    if (isList) {
+      const sorts = Object.keys(route.sorts).flatMap(k => [k, `-${k}`]);
+      parameters.push(
+        { name: 'sort', in: 'query', schema: { type: 'string', enum: sorts, default: route.defaultSort }, description: 'Sort field; prefix - for descending' },
+        ...['limit', 'cursor', 'include_total'].map(key => ({ name: key, in: 'query', ...PARAMETERS[key] }))
+      );
+    }
+    const body = isList
+      ? { type: 'object', required: ['data', 'pagination'], properties: { data: { type: 'array', items: ref(route.schema) }, pagination: ref('Pagination') } }
+      : { type: 'object', required: ['data'], properties: { data: ref(route.schema) } };
+    const responses = {
+      200: { description: 'OK', content: { 'application/json': { schema: body } } },
+      400: errorResponse('Invalid parameter, cursor or full-text query')
+    };
+    if (route.resource) responses[404] = errorResponse('Not found');
+    responses[500] = errorResponse('Server error');
+    paths[route.path.replace(/:(\w+)/g, '{$1}')] = {
+      get: { operationId: route.operationId, summary: route.summary, tags: [route.tag], parameters, responses }
+    };
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'EUROWATCH API',
+      version,
+      description: 'Read-only access to European Parliament plenary speeches, sittings, MEPs, macro topics and counts. ' +
+        'Lists are cursor-paginated: follow pagination.next_cursor until has_more is false.'
+    },
+    servers: [{ url: '/api/v1' }],
+    paths,
+    components: { schemas: SCHEMAS }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Router
+// ---------------------------------------------------------------------------
+
+function sendError(res, err) {
+  let status = err.status;
+  let code = err.status ? err.code : null;
+  if (err.code === 'INVALID_FILTER') {
+    status = 400;
+    code = 'invalid_parameter';
+  } else if (isQuerySyntaxError(err)) {
+    status = 400;
+    code = 'invalid_query';
+  }
+  if (!code) {
+    console.error('[API v1]', err);
+    return res.status(500).json({ error: { code: 'internal_error', message: err.message } });
+  }
+  return res.status(status).json({ error: { code, message: err.message } });
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @returns {import('express').Router} mount at /api/v1
+ */
+function createApiV1(db) {
+  const router = express.Router();
+  const openApiDocument = buildOpenApiDocument();
+
+  // Open to other origins (read-only); anything but GET is refused
+  router.use((req, res, next) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET');
+      return res.sendStatus(204);
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET');
+      return sendError(res, apiError(405, 'method_not_allowed', 'The v1 API is read-only'));
+    }
+    next();
+  });
+
+  // GET /api/v1/openapi.json: OpenAPI 3.1 description of every route below
+  router.get('/openapi.json', (req, res) => res.json(openApiDocument));
+
+  for (const route of ROUTES) {
+    router.get(route.path, async (req, res) => {
+      try {
+        const result = await route.handler(db, req, route);
+        if (!result) return sendError(res, apiError(404, 'not_found', `No ${route.resource} with id ${req.params.id}`));
+        res.json(route.sorts ? result : { data: result });
+      } catch (err) {
+        sendError(res, err);
+      }
+    });
+  }
+
+  router.use((req, res) => sendError(res, apiError(404, 'not_found', `No endpoint GET ${req.baseUrl}${req.path}`)));
+  return router;
+}
+
+module.exports = { createApiV1, buildOpenApiDocument, MAX_LIMIT };
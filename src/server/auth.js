@@ -0,0 +1,115 @@
+/**
+ * Login sessions and role checks for the data-maintenance routes (users: core/users.js).
+ * The session token travels in an HttpOnly, SameSite=Strict cookie, so cross-site forms cannot
+ * trigger data actions. With LOCALRUN set, requests without a session act as a local admin
+ * (single-user replication setup); deployments without LOCALRUN need a login.
+ */
+const users = require('../core/users');
+
+const COOKIE_NAME = 'ew_session';
+/** Failed logins allowed per client IP within LOGIN_WINDOW_MS before further attempts get 429 */
+const MAX_FAILED_LOGINS = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOCAL_USER = { id: null, username: 'local', role: 'admin', local: true };
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(i + 1).trim());
+      } catch (_) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {import('sqlite3').Database} db
+ * @param {{ localrun: boolean }} options
+ */
+function createAuth(db, { localrun }) {
+  /** ip → { count, since } */
+  const failedLogins = new Map();
+
+  /** Mount on /api: sets req.user to the session user, the local admin (LOCALRUN) or null. */
+  async function attachUser(req, res, next) {
+    try {
+      const token = readCookie(req, COOKIE_NAME);
+      req.user = token ? await users.getSessionUser(db, token) : null;
+      if (!req.user && localrun) req.user = LOCAL_USER;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /** Route guard: 401 without a user, 403 when the user's role is below `role`. */
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ error: 'Sign in required', code: 'auth_required' });
+      if (!users.hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role`, code: 'forbidden' });
+      }
+      next();
+    };
+  }
+
+  /** POST /api/auth/login handler. Body: { username, password } */
+  async function login(req, res) {
+    try {
+      const now = Date.now();
+      const failed = failedLogins.get(req.ip);
+      if (failed && now - failed.since > LOGIN_WINDOW_MS) failedLogins.delete(req.ip);
+      else if (failed && failed.count >= MAX_FAILED_LOGINS) {
+        return res.status(429).json({ error: 'Too many failed sign-in attempts; try again later', code: 'rate_limited' });
+      }
+      const { username, password } = req.body || {};
+      const user = await users.authenticate(db, username, password);
+      if (!user) {
+        const entry = failedLogins.get(req.ip) || { count: 0, since: now };
+        entry.count++;
+        failedLogins.set(req.ip, entry);
+        return res.status(401).json({ error: 'Wrong username or password', code: 'invalid_credentials' });
+      }
+      failedLogins.delete(req.ip);
+      const { token, expiresAt } = await users.createSession(db, user.id);
+      res.cookie(COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        expires: new Date(expiresAt),
+        path: '/'
+      });
+      console.log(`[AUTH] ${user.username} signed in (${user.role})`);
+      res.json({ user: { username: user.username, role: user.role } });
+    } catch (err) {
+      console.error('[AUTH] Login error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /** POST /api/auth/logout handler */
+  async function logout(req, res) {
+    try {
+      const token = readCookie(req, COOKIE_NAME);
+      if (token) await users.deleteSession(db, token);
+      res.clearCookie(COOKIE_NAME, { path: '/' });
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /** GET /api/auth/me handler: the current user (null when signed out) and the role order. */
+  function me(req, res) {
+    const user = req.user ? { username: req.user.username, role: req.user.role, local: !!req.user.local } : null;
+    res.json({ user, roles: users.ROLES });
+  }
+
+  return { attachUser, requireRole, login, logout, me };
+}
+
+module.exports = { createAuth, COOKIE_NAME };
@@ -1,9 +1,55 @@
 /**
  * Server configuration constants.
  * Centralizes PORT and API base URL for the Europarl data API.
+ * REFRESH_SCHEDULE: cron expression for automatic refresh (e.g. "0 6 * * 2-6"); empty = off.
+ * API access (see access-control.js): ANONYMOUS_READ (default on; off = /api/v1 needs a key),
+ * ANON_RATE_LIMIT / API_KEY_RATE_LIMIT / USER_RATE_LIMIT (requests per minute), API_KEY_TOKEN_BUDGET (AI chat tokens per key
+ * and month), ANON_CHAT_TOKEN_BUDGET (shared by anonymous users; default unlimited with LOCALRUN, else 0),
+ * TRUST_PROXY (Express "trust proxy", e.g. 1 on Render so limits apply per client IP).
+ * ADMIN_USERNAME / ADMIN_PASSWORD: first admin, created at startup while the users table is empty.
  */
 const PORT = process.env.PORT || 3000;
 const API_BASE = 'https://data.europarl.europa.eu/api/v2';
 const LOCALRUN = /^(1|true|yes)$/i.test(String(process.env.LOCALRUN || ''));
 
-module.exports = { PORT, API_BASE, LOCALRUN };
+const REFRESH_SCHEDULE = (process.env.REFRESH_SCHEDULE || '').trim();
+
+/** Non-negative integer env value, or fallback when unset or malformed. */
+function intEnv(name, fallback) {
+  const v = String(process.env[name] || '').trim();
+  return /^\d+$/.test(v) ? parseInt(v, 10) : fallback;
+}
+
+const ANONYMOUS_READ = !/^(0|false|no)$/i.test(String(process.env.ANONYMOUS_READ || ''));
+const ANON_RATE_LIMIT = intEnv('ANON_RATE_LIMIT', 120);
+const API_KEY_RATE_LIMIT = intEnv('API_KEY_RATE_LIMIT', 600);
+/** Signed-in dashboard users without a key, per user */
+const USER_RATE_LIMIT = intEnv('USER_RATE_LIMIT', 600);
+const API_KEY_TOKEN_BUDGET = intEnv('API_KEY_TOKEN_BUDGET', 500000);
+/** null = unlimited */
+const ANON_CHAT_TOKEN_BUDGET = intEnv('ANON_CHAT_TOKEN_BUDGET', LOCALRUN ? null : 0);
+const TRUST_PROXY = (() => {
+  const v = String(process.env.TRUST_PROXY || '').trim();
+  if (!v) return null;
+  if (/^(true|yes)$/i.test(v)) return true;
+  return /^\d+$/.test(v) ? parseInt(v, 10) : v;
+})();
+
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || '').trim();
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+
+module.exports = {
+  PORT,
+  API_BASE,
+  LOCALRUN,
+  REFRESH_SCHEDULE,
+  ANONYMOUS_READ,
+  ANON_RATE_LIMIT,
+  API_KEY_RATE_LIMIT,
+  USER_RATE_LIMIT,
+  API_KEY_TOKEN_BUDGET,
+  ANON_CHAT_TOKEN_BUDGET,
+  TRUST_PROXY,
+  ADMIN_USERNAME,
+  ADMIN_PASSWORD
+};
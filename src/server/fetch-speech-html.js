@@ -1,10 +1,10 @@
 /**
  * Fetches speech content from Europarl HTML plenary documents.
- * Uses core/parliament-fetch for HTTP (correct session by term); this module
+ * Uses core/parliament-fetch for HTTP (correct session by term, via the HTML cache); this module
  * only extracts text from the HTML (notation anchors, paragraphs, body, TOC).
  */
 const cheerio = require('cheerio');
-const { fetchSittingHTML } = require('../core/parliament-fetch');
+const { fetchSittingHTML, fetchCreHtml } = require('../core/parliament-fetch');
 
 async function fetchSpeechContentFromHTML(date, speechId) {
   const html = await fetchSittingHTML(date);
@@ -57,15 +57,8 @@ async function fetchSpeechContentFromHTML(date, speechId) {
 
   if (!content || content.length < 100) {
     try {
-      const axios = require('axios');
-      const { getSessionNumber } = require('../core/parliament-fetch');
-      const session = getSessionNumber(date);
-      const tocUrl = `https://www.europarl.europa.eu/doceo/document/CRE-${session}-${date}-TOC_EN.html`;
-      const tocResponse = await axios.get(tocUrl, {
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)' },
-        timeout: 8000
-      });
-      const $toc = cheerio.load(tocResponse.data);
+      const tocHtml = await fetchCreHtml(date, { toc: true, maxRetries: 1, timeout: 8000 });
+      const $toc = cheerio.load(tocHtml);
       const items = $toc('a[href*="ITM-"]').toArray();
       if (items.length > 0) {
         content = `TOC Agenda Items:\n` + items.map(a => $toc(a).text().trim()).join('\n');
@@ -2,6 +2,8 @@
  * Historic MEP creation from speaker names and linking speeches to MEPs.
  * Used by refresh and link endpoints.
  */
+const { linkSpeakers } = require('../core/speaker-overrides');
+
 function checkAndRemoveDuplicates(db) {
   return new Promise((resolve) => {
     let totalRemoved = 0;
@@ -42,69 +44,16 @@ function checkAndRemoveDuplicates(db) {
   });
 }
 
-/** Build in-memory map: normalized label / reversed name -> mep id (for fast lookup). */
-function buildMepLabelLookup(meps) {
-  const map = new Map();
-  for (const m of meps) {
-    const id = m.id;
-    const label = (m.label || '').trim();
-    if (!label) continue;
-    const rev = label.split(/\s+/).filter(Boolean).reverse().join(' ');
-    const key1 = label.toLowerCase();
-    const key2 = rev.toLowerCase();
-    if (!map.has(key1)) map.set(key1, id);
-    if (key2 !== key1 && !map.has(key2)) map.set(key2, id);
-  }
-  return map;
-}
-
-function linkSpeechesToMeps(db, log = null) {
-  return new Promise((resolve, reject) => {
-    db.all(`SELECT id, label FROM meps`, (err, meps) => {
-      if (err) return reject(err);
-      db.all(`SELECT DISTINCT speaker_name FROM individual_speeches WHERE speaker_name IS NOT NULL AND mep_id IS NULL`, async (err2, speakers) => {
-        if (err2) return reject(err2);
-        if (!speakers?.length) return resolve(0);
-        const total = speakers.length;
-        if (log) log(`[MEP-DATASET] Step 3: Linking up to ${total} speakers (in-memory match + parallel updates)...`);
-        const lookup = buildMepLabelLookup(meps);
-        const toLink = [];
-        const mepsList = meps;
-        for (const speaker of speakers) {
-          const name = (speaker.speaker_name || '').trim();
-          if (!name) continue;
-          const key1 = name.toLowerCase();
-          const key2 = name.split(/\s+/).filter(Boolean).reverse().join(' ').toLowerCase();
-          let mepId = lookup.get(key1) || lookup.get(key2);
-          if (mepId == null && mepsList.length) {
-            const first = mepsList.find((m) => {
-              const L = (m.label || '').toLowerCase();
-              return L && (L.includes(key1) || (key2 && L.includes(key2)));
-            });
-            if (first) mepId = first.id;
-          }
-          if (mepId != null) toLink.push({ speaker_name: speaker.speaker_name, mep_id: mepId });
-        }
-        const BATCH = 50;
-        let speechesLinked = 0;
-        const updateOne = ({ speaker_name, mep_id }) => new Promise((res, rej) => {
-          db.run(`UPDATE individual_speeches SET mep_id = ? WHERE speaker_name = ? AND mep_id IS NULL`, [mep_id, speaker_name], function(e) {
-            if (e) rej(e);
-            else res(this.changes);
-          });
-        });
-        for (let i = 0; i < toLink.length; i += BATCH) {
-          const batch = toLink.slice(i, i + BATCH);
-          const changes = await Promise.all(batch.map(updateOne));
-          const batchSpeeches = changes.reduce((a, b) => a + b, 0);
-          speechesLinked += batchSpeeches;
-          const saved = Math.min(i + BATCH, toLink.length);
-          if (log) log(`Linking: saved ${saved}/${toLink.length} speakers (${speechesLinked} speeches) to DB`);
-        }
-        resolve(toLink.length);
-      });
-    });
-  });
+/**
+ * Apply curator overrides (core/speaker-overrides), then link unlinked speeches to existing MEPs with
+ * core/speaker-resolver (diacritic/particle-aware names scored by term, group and country; method and score
+ * recorded per speech, close calls flagged for review).
+ * @returns {Promise<number>} number of speaker names linked by the resolver
+ */
+async function linkSpeechesToMeps(db, log = null) {
+  if (log) log('[MEP-DATASET] Step 3: Applying speaker overrides and resolving speaker names to MEPs...');
+  const result = await linkSpeakers(db, { log: log || undefined });
+  return result.linkedSpeakers;
 }
 
 function createHistoricMepsAndLinkSpeeches(db) {
@@ -129,7 +78,8 @@ function buildMepCreateLookup(meps) {
 }
 
 /**
- * Create one historic MEP per distinct speaker_name (not per speaker+group).
+ * Create one historic MEP per distinct speaker_name (not per speaker+group). Speeches a curator override keeps
+ * unlinked are left out.
  * Uses in-memory match then batch INSERT and parallel batch UPDATE.
  */
 function createHistoricMepsOnePerPerson(db, log = null) {
@@ -146,6 +96,7 @@ function createHistoricMepsOnePerPerson(db, log = null) {
                  MAX(political_group) as political_group
           FROM individual_speeches
           WHERE speaker_name IS NOT NULL AND TRIM(speaker_name) != '' AND mep_id IS NULL
+            AND mep_match_method IS NOT 'override'
           GROUP BY speaker_name
           ORDER BY speech_count DESC
         `, async (err2, speakers) => {
@@ -195,7 +146,7 @@ function createHistoricMepsOnePerPerson(db, log = null) {
           const BATCH = 50;
           let linkedSpeeches = 0;
           const updateOne = (item) => new Promise((res, rej) => {
-            db.run(`UPDATE individual_speeches SET mep_id = ? WHERE speaker_name = ? AND mep_id IS NULL`, [item.mep_id, item.speaker_name], function(e) {
+            db.run(`UPDATE individual_speeches SET mep_id = ?, mep_match_method = 'historic', mep_match_score = NULL, mep_match_candidates = NULL WHERE speaker_name = ? AND mep_id IS NULL AND mep_match_method IS NOT 'override'`, [item.mep_id, item.speaker_name], function(e) {
               if (e) rej(e);
               else res(this.changes);
             });
@@ -217,12 +168,13 @@ function createHistoricMepsOnePerPerson(db, log = null) {
 /**
  * Upsert MEPs from API into meps table. Does not delete historic MEPs.
  * Each MEP can have is_current (true/false); defaults to true if missing for backward compatibility.
+ * terms (array of term numbers, from fetchAllMepsFromTerm5) is stored as meps.terms ("6,7,8").
  */
 function upsertApiMeps(db, mepsFromApi) {
   return new Promise((resolve, reject) => {
     const stmt = db.prepare(`
-      INSERT OR REPLACE INTO meps (id, label, givenName, familyName, sortLabel, country, politicalGroup, is_current, source, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'api', ?)
+      INSERT OR REPLACE INTO meps (id, label, givenName, familyName, sortLabel, country, politicalGroup, is_current, terms, source, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'api', ?)
     `);
     let n = 0;
     const now = Date.now();
@@ -239,7 +191,7 @@ function upsertApiMeps(db, mepsFromApi) {
         return;
       }
       const isCurrent = m.is_current !== false ? 1 : 0;
-      stmt.run(pid, m.label || '', m.givenName || '', m.familyName || '', m.sortLabel || m.label || '', m['api:country-of-representation'] || null, m['api:political-group'] || null, isCurrent, now, (err) => {
+      stmt.run(pid, m.label || '', m.givenName || '', m.familyName || '', m.sortLabel || m.label || '', m['api:country-of-representation'] || null, m['api:political-group'] || null, isCurrent, Array.isArray(m.terms) ? m.terms.join(',') : null, now, (err) => {
         if (err) {
           stmt.finalize();
           reject(err);
@@ -1,133 +1,34 @@
 /**
- * Database initialization: create tables, run migrations, seed MEPs and optionally speeches.
+ * Database initialization: run schema migrations (core/migrate.js), seed MEPs and optionally speeches.
  */
 const { optimizeDatabase } = require('../core/db-optimize');
-const { ensureLanguageColumn } = require('../core/detect-language');
+const { ensureSchema } = require('../core/migrate');
 const { fetchAllMeps } = require('./meps-api');
 const speechesFetch = require('./speeches-fetch');
 const { parseRecentSpeeches } = require('./parse-speeches');
 
 function initDatabase(db) {
   return new Promise((resolve, reject) => {
-    optimizeDatabase(db, console.log)
+    // Schema first (migrations), then indexes/PRAGMAs, which reference migrated columns
+    ensureSchema(db, console.log)
+      .then(() => optimizeDatabase(db, console.log).catch((err) => {
+        console.error('[INIT] Database optimization warning:', err.message);
+      }))
       .then(() => {
         db.serialize(() => {
-          createTablesAndInit(db);
+          seedAndInit(db);
         });
       })
       .catch((err) => {
-        console.error('[INIT] Database optimization warning:', err.message);
-        db.serialize(() => {
-          createTablesAndInit(db);
-        });
+        console.error('[INIT] Schema migration failed:', err.message);
+        reject(err);
       });
 
-    function createTablesAndInit(db) {
-      db.run(`CREATE TABLE IF NOT EXISTS meps (
-        id INTEGER PRIMARY KEY,
-        label TEXT,
-        givenName TEXT,
-        familyName TEXT,
-        sortLabel TEXT,
-        country TEXT,
-        politicalGroup TEXT,
-        is_current BOOLEAN DEFAULT 0,
-        source TEXT DEFAULT 'api',
-        last_updated INTEGER DEFAULT 0
-      )`);
-
-      db.run(`CREATE TABLE IF NOT EXISTS sittings (
-        id TEXT PRIMARY KEY,
-        type TEXT,
-        label TEXT,
-        personId INTEGER,
-        date TEXT,
-        content TEXT UNIQUE,
-        docIdentifier TEXT,
-        notationId TEXT,
-        activity_type TEXT,
-        activity_date TEXT,
-        activity_start_date TEXT,
-        last_updated INTEGER DEFAULT 0
-      )`);
-
-      db.run(`CREATE TABLE IF NOT EXISTS individual_speeches (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        sitting_id TEXT,
-        speaker_name TEXT,
-        political_group TEXT,
-        title TEXT,
-        speech_content TEXT,
-        speech_order INTEGER,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        FOREIGN KEY (sitting_id) REFERENCES sittings (id)
-      )`);
-
-      db.run(`CREATE TABLE IF NOT EXISTS sittings_cache (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        data TEXT,
-        last_updated INTEGER
-      )`);
-
-      db.run(`CREATE TABLE IF NOT EXISTS cache_status (
-        id INTEGER PRIMARY KEY,
-        meps_last_updated INTEGER DEFAULT 0,
-        speeches_last_updated INTEGER DEFAULT 0,
-        total_speeches INTEGER DEFAULT 0
-      )`);
-
-      // Legacy: some DBs have individual_speeches.FK referencing "speeches". Ensure that table exists and matches sittings.
-      db.run(`CREATE TABLE IF NOT EXISTS speeches (
-        id TEXT PRIMARY KEY,
-        type TEXT,
-        label TEXT,
-        personId INTEGER,
-        date TEXT,
-        content TEXT,
-        docIdentifier TEXT,
-        notationId TEXT,
-        activity_type TEXT,
-        activity_date TEXT,
-        activity_start_date TEXT,
-        last_updated INTEGER DEFAULT 0
-      )`, () => {});
-
+    function seedAndInit(db) {
+      // Keep legacy "speeches" table mirrored from sittings (FK target on some older DBs)
       db.run(`INSERT OR REPLACE INTO speeches (id, type, label, activity_date, content, last_updated)
               SELECT id, type, label, activity_date, content, last_updated FROM sittings WHERE id IS NOT NULL`, () => {});
 
-      ensureLanguageColumn(db).catch(e => console.error('[MIGRATION] Language column:', e.message));
-
-      db.get("PRAGMA table_info(sittings)", (err, row) => {
-        if (err) return;
-        db.all("PRAGMA table_info(sittings)", (err, columns) => {
-          if (err) return;
-          const columnNames = (columns || []).map(col => col.name);
-          const required = ['docIdentifier', 'notationId', 'activity_type', 'activity_date', 'activity_start_date', 'last_updated'];
-          const missing = required.filter(col => !columnNames.includes(col));
-          if (missing.length > 0) {
-            db.run('DROP TABLE IF EXISTS sittings', (err) => {
-              if (!err) {
-                db.run(`CREATE TABLE sittings (
-                  id TEXT PRIMARY KEY, type TEXT, label TEXT, personId INTEGER, date TEXT, content TEXT UNIQUE,
-                  docIdentifier TEXT, notationId TEXT, activity_type TEXT, activity_date TEXT, activity_start_date TEXT, last_updated INTEGER DEFAULT 0
-                )`);
-              }
-            });
-          }
-        });
-      });
-
-      db.all("PRAGMA table_info(meps)", (err, columns) => {
-        if (err) return;
-        const names = (columns || []).map(col => col.name);
-        if (!names.includes('is_current')) {
-          db.run('ALTER TABLE meps ADD COLUMN is_current BOOLEAN DEFAULT 0', () => {});
-        }
-        if (!names.includes('source')) {
-          db.run('ALTER TABLE meps ADD COLUMN source TEXT DEFAULT "api"', () => {});
-        }
-      });
-
       db.get('SELECT COUNT(*) as count FROM meps', async (err, mepRow) => {
         if (err) return reject(err);
         const mepCount = mepRow.count;
@@ -0,0 +1,126 @@
+/**
+ * Job HTTP API (job manager: jobs.js): history, one job, live Server-Sent Events and cancellation, plus the
+ * helper that starts a Data menu action as a background job.
+ */
+const express = require('express');
+
+/**
+ * Run a maintenance action as a background job (see src/server/jobs.js) and answer 202 with its id.
+ * fn(ctx) resolves with the result payload; 409 when another job is already running.
+ */
+async function startJob(jobs, res, type, params, fn) {
+  try {
+    const job = await jobs.start(type, params, fn);
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (err) {
+    if (err.code === 'JOB_CONFLICT') {
+      return res.status(409).json({ success: false, error: err.message, runningJob: err.runningJob });
+    }
+    console.error(`[JOBS] Could not start ${type}:`, err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+/**
+ * Routes under /api: /jobs, /jobs/:id, /jobs/:id/events (viewer) and /jobs/:id/cancel (curator).
+ * @param {ReturnType<import('./jobs').createJobManager>} jobs
+ * @param {{ requireRole: (role: string) => Function }} auth
+ */
+function createJobRoutes(jobs, { requireRole }) {
+  const router = express.Router();
+
+  // GET /api/jobs: job history, newest first (?status=&type=&limit=&offset=&log=1)
+  router.get('/jobs', requireRole('viewer'), async (req, res) => {
+    try {
+      const { status, type, limit, offset } = req.query;
+      const result = await jobs.list({ status, type, limit, offset, includeLog: req.query.log === '1' });
+      res.json({
+        jobs: result.jobs,
+        current: jobs.current(),
+        pagination: {
+          total: result.total,
+          limit: result.limit,
+          offset: result.offset,
+          hasMore: result.offset + result.jobs.length < result.total
+        }
+      });
+    } catch (err) {
+      console.error('[JOBS] Error listing jobs:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/jobs/:id: one job with status, progress, log tail, error and result
+  router.get('/jobs/:id', requireRole('viewer'), async (req, res) => {
+    try {
+      const job = await jobs.get(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json(job);
+    } catch (err) {
+      console.error('[JOBS] Error getting job:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/jobs/:id/events: Server-Sent Events stream of a job.
+  // Sends `snapshot` (current state incl. log tail) first, then `log`, `progress`, `event` (structured pipeline
+  // steps) as they happen, and `done` with the final job; finished jobs get snapshot + done immediately.
+  router.get('/jobs/:id/events', requireRole('viewer'), async (req, res) => {
+    let job;
+    try {
+      job = await jobs.get(req.params.id);
+    } catch (err) {
+      console.error('[JOBS] Error getting job for stream:', err);
+      return res.status(500).json({ error: err.message });
+    }
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.setTimeout(0);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('snapshot', job);
+
+    const unsubscribe = jobs.subscribe(job.id, (message) => {
+      if (message.type === 'log') send('log', { line: message.line });
+      else if (message.type === 'progress') send('progress', message.progress);
+      else if (message.type === 'event') send('event', { name: message.name, data: message.data });
+      else if (message.type === 'done') {
+        send('done', message.job);
+        close();
+      }
+    });
+    if (!unsubscribe) {
+      // Not running (or finished since the snapshot): report the stored final state
+      send('done', await jobs.get(job.id).catch(() => job));
+      return res.end();
+    }
+
+    // Comment lines keep proxies from closing an idle stream during long silent steps
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    let closed = false;
+    function close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    }
+    req.on('close', close);
+  });
+
+  // POST /api/jobs/:id/cancel: request cancellation; the job stops at its next checkpoint
+  router.post('/jobs/:id/cancel', requireRole('curator'), (req, res) => {
+    const job = jobs.cancel(req.params.id);
+    if (!job) return res.status(409).json({ success: false, error: 'Job is not running' });
+    res.json({ success: true, job });
+  });
+
+  return router;
+}
+
+module.exports = { startJob, createJobRoutes };
@@ -0,0 +1,302 @@
+/**
+ * Background job manager for Data menu / maintenance actions.
+ * Each run is a row in `jobs` (migration 006): type, params, status, timestamps, progress, log tail,
+ * error and result. Running jobs are tracked in memory and flushed to the DB every few seconds.
+ * Status: running → succeeded | failed | cancelled (cancelling while a cancel request is pending).
+ * Live updates (every log line, progress, structured pipeline events) go to subscribe() listeners (SSE).
+ */
+const { ensureSchema } = require('../core/migrate');
+const { runAsync, allAsync } = require('../core/db-async');
+
+const LOG_TAIL_LINES = 200;
+const FLUSH_INTERVAL_MS = 2000;
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+function parseJson(text, fallback) {
+  if (text == null) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    params: parseJson(row.params, {}),
+    status: row.status,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    progress: { current: row.progress_current, total: row.progress_total, message: row.progress_message },
+    logTail: parseJson(row.log_tail, []),
+    error: row.error,
+    result: parseJson(row.result, null)
+  };
+}
+
+/** Error thrown by start() when another job is already running; carries the running job. */
+function conflictError(running) {
+  const err = new Error(`Another job is already running: ${running.type} (#${running.id})`);
+  err.code = 'JOB_CONFLICT';
+  err.runningJob = running;
+  return err;
+}
+
+/** Error a job function throws (via throwIfCancelled) to stop after a cancel request. */
+function cancelledError() {
+  const err = new Error('Job cancelled');
+  err.code = 'JOB_CANCELLED';
+  return err;
+}
+
+/**
+ * Create the job manager for one DB connection.
+ * All data jobs write to the main DB, so they are mutually exclusive: start() refuses while any job runs.
+ * @param {import('sqlite3').Database} db
+ */
+function createJobManager(db) {
+  const active = new Map();
+  const listeners = new Map();
+  let reserved = null;
+
+  // Jobs left "running" by a previous process never finished; mark them so history stays truthful
+  const ready = ensureSchema(db).then(() => runAsync(db,
+    `UPDATE jobs SET status = 'failed', error = COALESCE(error, 'Interrupted (server restarted)'), finished_at = ?
+     WHERE status IN ('running', 'cancelling')`, [Date.now()]));
+  ready.catch(err => console.error('[JOBS] Job table init failed:', err.message));
+
+  function snapshot(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      params: job.params,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      progress: { ...job.progress },
+      logTail: job.logTail.slice(),
+      error: job.error,
+      result: job.result
+    };
+  }
+
+  function flush(job) {
+    return runAsync(db,
+      `UPDATE jobs SET status = ?, finished_at = ?, progress_current = ?, progress_total = ?, progress_message = ?,
+        log_tail = ?, error = ?, result = ? WHERE id = ?`,
+      [job.status, job.finishedAt, job.progress.current, job.progress.total, job.progress.message,
+        JSON.stringify(job.logTail), job.error, job.result == null ? null : JSON.stringify(job.result), job.id]
+    ).catch(err => console.error(`[JOBS] Failed to persist job ${job.id}:`, err.message));
+  }
+
+  /** Deliver a live update ({ type: 'log' | 'progress' | 'event' | 'done', ... }) to the job's subscribers. */
+  function emit(jobId, message) {
+    const set = listeners.get(jobId);
+    if (!set) return;
+    for (const listener of set) {
+      try {
+        listener(message);
+      } catch (err) {
+        console.error(`[JOBS] Listener error for job ${jobId}:`, err.message);
+      }
+    }
+  }
+
+  function runningJob() {
+    if (reserved) return reserved;
+    for (const job of active.values()) return job;
+    return null;
+  }
+
+  /**
+   * Start a job in the background. Resolves with the job record as soon as it is persisted.
+   * fn receives { log, progress, event, signal, throwIfCancelled, jobId } and resolves with a JSON-able result.
+   * event(name, data) reports a structured step (e.g. 'sitting-stored') to live subscribers; it is not persisted.
+   * @param {string} type
+   * @param {object} params
+   * @param {(ctx: object) => Promise<object>} fn
+   */
+  async function start(type, params, fn) {
+    const running = runningJob();
+    if (running) throw conflictError(snapshot(running));
+
+    const controller = new AbortController();
+    const now = Date.now();
+    const job = {
+      id: null,
+      type,
+      params: params || {},
+      status: 'running',
+      createdAt: now,
+      startedAt: now,
+      finishedAt: null,
+      progress: { current: null, total: null, message: null },
+      logTail: [],
+      error: null,
+      result: null,
+      controller,
+      dirty: false
+    };
+    reserved = job;
+
+    try {
+      await ready;
+      const stmt = await runAsync(db,
+        `INSERT INTO jobs (type, params, status, created_at, started_at, log_tail) VALUES (?, ?, ?, ?, ?, '[]')`,
+        [type, JSON.stringify(job.params), job.status, job.createdAt, job.startedAt]);
+      job.id = stmt.lastID;
+      active.set(job.id, job);
+    } finally {
+      reserved = null;
+    }
+
+    const ctx = {
+      jobId: job.id,
+      signal: controller.signal,
+      log(msg) {
+        console.log(msg);
+        const lines = String(msg).split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+        if (lines.length === 0) return;
+        job.logTail.push(...lines);
+        if (job.logTail.length > LOG_TAIL_LINES) job.logTail.splice(0, job.logTail.length - LOG_TAIL_LINES);
+        job.dirty = true;
+        for (const line of lines) emit(job.id, { type: 'log', line });
+      },
+      progress(current, total, message) {
+        job.progress = {
+          current: current == null ? null : current,
+          total: total == null ? job.progress.total : total,
+          message: message == null ? job.progress.message : message
+        };
+        job.dirty = true;
+        emit(job.id, { type: 'progress', progress: { ...job.progress } });
+      },
+      event(name, data) {
+        emit(job.id, { type: 'event', name, data: data || {} });
+      },
+      throwIfCancelled() {
+        if (controller.signal.aborted) throw cancelledError();
+      }
+    };
+
+    const timer = setInterval(() => {
+      if (!job.dirty) return;
+      job.dirty = false;
+      flush(job);
+    }, FLUSH_INTERVAL_MS);
+    if (timer.unref) timer.unref();
+
+    Promise.resolve()
+      .then(() => fn(ctx))
+      .then((result) => {
+        job.result = result == null ? null : result;
+        job.status = controller.signal.aborted ? 'cancelled' : 'succeeded';
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) {
+          job.status = 'cancelled';
+        } else {
+          job.status = 'failed';
+          job.error = (err && err.message) || String(err);
+          console.error(`[JOBS] Job ${job.id} (${type}) failed:`, err);
+        }
+      })
+      .then(async () => {
+        clearInterval(timer);
+        job.finishedAt = Date.now();
+        await flush(job);
+        active.delete(job.id);
+        emit(job.id, { type: 'done', job: snapshot(job) });
+        listeners.delete(job.id);
+      });
+
+    return snapshot(job);
+  }
+
+  /** Request cancellation. Returns the job, or null when no running job has this id. */
+  function cancel(id) {
+    const job = active.get(Number(id));
+    if (!job) return null;
+    if (!job.controller.signal.aborted) {
+      job.controller.abort();
+      job.status = 'cancelling';
+      job.logTail.push('Cancellation requested...');
+      job.dirty = true;
+      flush(job);
+      emit(job.id, { type: 'log', line: 'Cancellation requested...' });
+    }
+    return snapshot(job);
+  }
+
+  /** One job by id (live state when running). */
+  async function get(id) {
+    const job = active.get(Number(id));
+    if (job) return snapshot(job);
+    await ready;
+    const rows = await allAsync(db, 'SELECT * FROM jobs WHERE id = ?', [Number(id)]);
+    return rows.length ? rowToJob(rows[0]) : null;
+  }
+
+  /**
+   * Job history, newest first. Log tails are omitted unless includeLog is set.
+   * @param {{ limit?: number, offset?: number, status?: string, type?: string, includeLog?: boolean }} [options]
+   */
+  async function list(options = {}) {
+    await ready;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+    const where = [];
+    const params = [];
+    if (options.status) {
+      where.push('status = ?');
+      params.push(options.status);
+    }
+    if (options.type) {
+      where.push('type = ?');
+      params.push(options.type);
+    }
+    const whereClause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const rows = await allAsync(db, `SELECT * FROM jobs ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    const countRows = await allAsync(db, `SELECT COUNT(*) AS total FROM jobs ${whereClause}`, params);
+    const jobs = rows.map(row => {
+      const live = active.get(row.id);
+      const job = live ? snapshot(live) : rowToJob(row);
+      if (!options.includeLog) delete job.logTail;
+      return job;
+    });
+    return { jobs, total: countRows[0] ? countRows[0].total : 0, limit, offset };
+  }
+
+  /**
+   * Listen to live updates of a running job. Returns an unsubscribe function,
+   * or null when the job is not running (read the final state with get()).
+   * @param {number|string} id
+   * @param {(message: object) => void} listener
+   */
+  function subscribe(id, listener) {
+    const jobId = Number(id);
+    if (!active.has(jobId)) return null;
+    if (!listeners.has(jobId)) listeners.set(jobId, new Set());
+    listeners.get(jobId).add(listener);
+    return () => {
+      const set = listeners.get(jobId);
+      if (!set) return;
+      set.delete(listener);
+      if (set.size === 0) listeners.delete(jobId);
+    };
+  }
+
+  /** The running job, if any (live state). */
+  function current() {
+    const job = runningJob();
+    return job && job.id != null ? snapshot(job) : null;
+  }
+
+  return { start, cancel, get, list, current, subscribe };
+}
+
+module.exports = { createJobManager, TERMINAL_STATUSES };
@@ -3,7 +3,7 @@
  * - fetchAllMeps: current term only (backward compatible).
  * - fetchAllMepsFromTerm5: all MEPs from term 5 onwards (1999), merged by person; used for Build MEP Dataset.
  */
-const axios = require('axios');
+const { http } = require('../core/http-client');
 const { API_BASE } = require('./config');
 const { createProgressBar } = require('./progress');
 
@@ -17,7 +17,7 @@ async function paginateMepRequest(url, params, log = console.log) {
   let offset = 0;
   let all = [];
   while (true) {
-    const response = await axios.get(url, {
+    const response = await http.get(url, {
       params: { ...params, format: 'application/ld+json', limit, offset },
       headers: { Accept: 'application/ld+json', 'User-Agent': USER_AGENT }
     });
@@ -51,7 +51,7 @@ async function fetchCurrentTermMeps(lang = 'EN') {
   const mepStartTime = Date.now();
 
   while (true) {
-    const response = await axios.get(`${API_BASE}/meps/show-current`, {
+    const response = await http.get(`${API_BASE}/meps/show-current`, {
       params: { language: lang, format: 'application/ld+json', limit, offset },
       headers: { Accept: 'application/ld+json', 'User-Agent': USER_AGENT }
     });
@@ -101,6 +101,8 @@ async function fetchMepsForTerm(term, lang = 'EN') {
 /**
  * Fetch all MEPs from term 5 onwards (1999), merge by identifier.
  * Current-term (10) data wins for label/country/group; is_current true only for term-10.
+ * Each MEP gets terms: the terms it was returned for (ascending), used to score speaker matches by date,
+ * and term_groups: { term: political group listed for that term }, stored as mep_affiliations (source 'term').
  */
 async function fetchAllMepsFromTerm5(lang = 'EN') {
   const mepStartTime = Date.now();
@@ -110,7 +112,7 @@ async function fetchAllMepsFromTerm5(lang = 'EN') {
   const current = await fetchCurrentTermMeps(lang);
   const byId = new Map();
   for (const m of current) {
-    byId.set(m.identifier, { ...m, is_current: true });
+    byId.set(m.identifier, { ...m, is_current: true, terms: [10], term_groups: { 10: m['api:political-group'] || null } });
   }
   console.log(`\nCurrent term: ${current.length} MEPs`);
 
@@ -125,8 +127,13 @@ async function fetchAllMepsFromTerm5(lang = 'EN') {
     if (result.status === 'fulfilled' && result.value.length) {
       for (const m of result.value) {
         const id = m.identifier;
-        if (!id || byId.has(id)) continue;
-        byId.set(id, { ...m, is_current: false });
+        if (!id) continue;
+        if (byId.has(id)) {
+          byId.get(id).terms.push(term);
+          byId.get(id).term_groups[term] = m['api:political-group'] || null;
+          continue;
+        }
+        byId.set(id, { ...m, is_current: false, terms: [term], term_groups: { [term]: m['api:political-group'] || null } });
       }
       console.log(`  Term ${term}: ${result.value.length} MEPs`);
     } else if (result.status === 'rejected') {
@@ -136,9 +143,34 @@ async function fetchAllMepsFromTerm5(lang = 'EN') {
   console.log(`  Total unique (with current): ${byId.size}`);
 
   const merged = Array.from(byId.values());
+  for (const m of merged) m.terms.sort((a, b) => a - b);
   const mepTime = (Date.now() - mepStartTime) / 1000;
   console.log(`\nTotal MEPs (term 5–current): ${merged.length} in ${mepTime.toFixed(1)}s (${merged.filter(m => m.is_current).length} current)`);
   return merged;
 }
 
-module.exports = { fetchAllMeps, fetchAllMepsFromTerm5, fetchMepsForTerm };
+/**
+ * Fetch one MEP's full person record (GET /meps/{id}): hasMembership lists every group, national party,
+ * committee and delegation membership with its memberDuring dates.
+ */
+async function fetchMepDetails(id, lang = 'EN') {
+  const response = await http.get(`${API_BASE}/meps/${encodeURIComponent(id)}`, {
+    params: { language: lang, format: 'application/ld+json' },
+    headers: { Accept: 'application/ld+json', 'User-Agent': USER_AGENT }
+  });
+  return ((response.data && response.data.data) || [])[0] || null;
+}
+
+/**
+ * Fetch one corporate body (party, committee, delegation) by id (GET /corporate-bodies/{id}): label is the
+ * short code, prefLabel the name.
+ */
+async function fetchCorporateBody(id, lang = 'EN') {
+  const response = await http.get(`${API_BASE}/corporate-bodies/${encodeURIComponent(id)}`, {
+    params: { language: lang, format: 'application/ld+json' },
+    headers: { Accept: 'application/ld+json', 'User-Agent': USER_AGENT }
+  });
+  return ((response.data && response.data.data) || [])[0] || null;
+}
+
+module.exports = { fetchAllMeps, fetchAllMepsFromTerm5, fetchMepsForTerm, fetchMepDetails, fetchCorporateBody };
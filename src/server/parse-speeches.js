@@ -4,6 +4,7 @@
  */
 const { createProgressBar } = require('./progress');
 const { parseIndividualSpeeches } = require('../core/parse-helpers');
+const { ensureSchema } = require('../core/migrate');
 
 // Re-export so callers can require lib/parse-speeches for both parse + store
 function parseIndividualSpeechesFromContent(rawContent, sittingId) {
@@ -11,6 +12,9 @@ function parseIndividualSpeechesFromContent(rawContent, sittingId) {
 }
 
 async function storeIndividualSpeeches(db, speeches) {
+  // Schema (incl. FTS triggers that index each inserted row) must be current first
+  if (speeches.length > 0) await ensureSchema(db, console.log);
+
   return new Promise((resolve, reject) => {
     if (speeches.length === 0) {
       resolve(0);
@@ -34,8 +38,8 @@ async function storeIndividualSpeeches(db, speeches) {
         }
 
         const stmt = db.prepare(`INSERT INTO individual_speeches 
-          (sitting_id, speaker_name, political_group, title, speech_content, speech_order) 
-          VALUES (?, ?, ?, ?, ?, ?)`);
+          (sitting_id, speaker_name, political_group, title, speech_content, speech_order, original_language, language_marker) 
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
 
         let processed = 0;
         let errors = 0;
@@ -48,6 +52,8 @@ async function storeIndividualSpeeches(db, speeches) {
             speech.title,
             speech.speech_content,
             speech.speech_order,
+            speech.original_language || null,
+            speech.language_marker || null,
             (err) => {
               if (err) {
                 console.error(`[PARSE] Error inserting speech ${processed + 1}:`, err);
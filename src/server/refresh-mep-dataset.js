@@ -1,12 +1,13 @@
 /**
  * Build the best possible MEP dataset from API + speeches.
  * CLEAN refresh: wipe MEP data first, then rebuild from API + link + historic + normalizer.
- * 0. Clear all MEP data (unlink speeches, delete meps).
+ * 0. Clear all MEP data (unlink speeches, delete meps), keeping curator overrides and the MEPs they link to.
  * 1. Fetch MEPs from API (term 5 to current).
- * 2. Insert API MEPs.
- * 3. Link speeches to existing MEPs by name.
+ * 2. Insert API MEPs and their per-term groups (mep_affiliations, source 'term').
+ * 3. Apply curator speaker overrides, then link speeches to existing MEPs (core/speaker-resolver: name, term, group, country).
  * 4. Create one historic MEP per remaining speaker (one per person).
  * 5. Run group normalizer on individual_speeches (political_group_std).
+ * 6. Sync meps.politicalGroup and rebuild the dated group history (mep_affiliations) from speeches.
  */
 const { execFile } = require('child_process');
 const path = require('path');
@@ -14,18 +15,25 @@ const path = require('path');
 const { fetchAllMepsFromTerm5 } = require('./meps-api');
 const historicMeps = require('./historic-meps');
 const { syncMepAffiliationsFromSpeeches } = require('./sync-mep-affiliations');
+const { storeTermAffiliations, rebuildSpeechAffiliations } = require('../core/mep-affiliations');
 
 /**
- * Clear all MEP data: unlink speeches then delete meps table.
+ * Clear all MEP data: unlink speeches (and their match audit), drop the group history, then delete meps.
+ * Speeches set by a curator override (speaker_overrides) and the MEPs overrides point to are kept; step 3
+ * re-applies the overrides.
  */
 function clearAllMepData(db) {
   return new Promise((resolve, reject) => {
-    db.run('UPDATE individual_speeches SET mep_id = NULL', function (err) {
+    db.run(`UPDATE individual_speeches SET mep_id = NULL, mep_match_method = NULL, mep_match_score = NULL, mep_match_candidates = NULL
+      WHERE mep_match_method IS NOT 'override'`, function (err) {
       if (err) return reject(err);
       const unlinked = this.changes;
-      db.run('DELETE FROM meps', function (err2) {
-        if (err2) return reject(err2);
-        resolve({ unlinked: unlinked, mepsDeleted: this.changes });
+      db.run('DELETE FROM mep_affiliations', (errAff) => {
+        if (errAff) return reject(errAff);
+        db.run('DELETE FROM meps WHERE id NOT IN (SELECT mep_id FROM speaker_overrides WHERE mep_id IS NOT NULL)', function (err2) {
+          if (err2) return reject(err2);
+          resolve({ unlinked: unlinked, mepsDeleted: this.changes });
+        });
       });
     });
   });
@@ -34,13 +42,15 @@ function clearAllMepData(db) {
 /**
  * Run the group-normalizer script with --apply (same DB).
  * @param {string} projectRoot - Path to project root
+ * @param {function} [log]
+ * @param {{ signal?: AbortSignal }} [options] - signal kills the child process
  * @returns {Promise<void>}
  */
-function runGroupNormalizer(projectRoot, log = console.log) {
+function runGroupNormalizer(projectRoot, log = console.log, options = {}) {
   return new Promise((resolve, reject) => {
     const scriptPath = path.join(projectRoot, 'src', 'core', 'group-normalizer.js');
     log('[MEP-DATASET] Running group normalizer...');
-    execFile('node', [scriptPath, '--apply'], { cwd: projectRoot, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+    execFile('node', [scriptPath, '--apply'], { cwd: projectRoot, maxBuffer: 10 * 1024 * 1024, signal: options.signal }, (err, stdout, stderr) => {
       if (stdout) log(stdout);
       if (stderr) console.error(stderr);
       if (err) {
@@ -56,39 +66,60 @@ function runGroupNormalizer(projectRoot, log = console.log) {
 /**
  * Run the full MEP dataset refresh.
  * @param {object} db - SQLite3 database instance
- * @param {{ log?: function, projectRoot?: string }} options - log function; projectRoot for group-normalizer (default: parent of src)
+ * @param {{ log?: function, projectRoot?: string, signal?: AbortSignal, onProgress?: function }} options - log function; projectRoot for group-normalizer (default: parent of src); signal stops between steps; onProgress(stepsDone, totalSteps, label) before each step
  * @returns {Promise<{ apiMeps: number, linked: number, createdHistoric: number, linkedSpeeches: number }>}
  */
 async function runRefreshMepDataset(db, options = {}) {
   const log = options.log || console.log;
   const projectRoot = options.projectRoot || path.resolve(__dirname, '..', '..');
+  const onProgress = options.onProgress || (() => {});
+  const totalSteps = 7;
+  const checkCancelled = () => {
+    if (options.signal && options.signal.aborted) throw new Error('MEP dataset refresh cancelled');
+  };
 
+  onProgress(0, totalSteps, 'Clearing MEP data');
   log('[MEP-DATASET] Step 0: Clearing all MEP data (clean refresh)...');
   const clearResult = await clearAllMepData(db);
   log(`[MEP-DATASET] Cleared: ${clearResult.unlinked} speeches unlinked, ${clearResult.mepsDeleted} MEPs removed.`);
 
+  checkCancelled();
+  onProgress(1, totalSteps, 'Fetching MEPs from API');
   log('[MEP-DATASET] Step 1: Fetching MEPs from API (term 5 to current)...');
   const mepsFromApi = await fetchAllMepsFromTerm5();
   log(`[MEP-DATASET] Fetched ${mepsFromApi.length} MEPs (term 5 onwards).`);
 
+  checkCancelled();
+  onProgress(2, totalSteps, 'Inserting API MEPs');
   log('[MEP-DATASET] Step 2: Inserting API MEPs...');
   const apiCount = await new Promise((resolve, reject) => {
     historicMeps.upsertApiMeps(db, mepsFromApi).then(resolve).catch(reject);
   });
-  log(`[MEP-DATASET] Inserted ${apiCount} API MEPs.`);
+  const termAffiliations = await storeTermAffiliations(db, mepsFromApi);
+  log(`[MEP-DATASET] Inserted ${apiCount} API MEPs (${termAffiliations} term group intervals).`);
 
+  checkCancelled();
+  onProgress(3, totalSteps, 'Linking speeches to MEPs');
   const linked = await historicMeps.linkSpeechesToMeps(db, log);
   log(`[MEP-DATASET] Linked ${linked} speaker names to existing MEPs.`);
 
+  checkCancelled();
+  onProgress(4, totalSteps, 'Creating historic MEPs');
   const historicResult = await historicMeps.createHistoricMepsOnePerPerson(db, log);
   log(`[MEP-DATASET] Created ${historicResult.createdHistoricMeps} historic MEPs, linked ${historicResult.linkedSpeeches} speeches.`);
 
+  checkCancelled();
+  onProgress(5, totalSteps, 'Normalizing political groups');
   log('[MEP-DATASET] Step 5: Normalizing political groups (group-normalizer)...');
-  await runGroupNormalizer(projectRoot, log);
+  await runGroupNormalizer(projectRoot, log, { signal: options.signal });
 
+  checkCancelled();
+  onProgress(6, totalSteps, 'Syncing MEP affiliations');
   log('[MEP-DATASET] Step 6: Syncing MEP affiliations from speeches to meps.politicalGroup...');
+  const historyResult = await rebuildSpeechAffiliations(db, { log });
   const syncResult = await syncMepAffiliationsFromSpeeches(db, { log });
   log(`[MEP-DATASET] Synced affiliations for ${syncResult.updated} MEPs.`);
+  onProgress(totalSteps, totalSteps, 'Done');
 
   return {
     cleared: clearResult,
@@ -96,8 +127,9 @@ async function runRefreshMepDataset(db, options = {}) {
     linked,
     createdHistoric: historicResult.createdHistoricMeps,
     linkedSpeeches: historicResult.linkedSpeeches,
-    syncedMeps: syncResult.updated
+    syncedMeps: syncResult.updated,
+    affiliationIntervals: historyResult.intervals
   };
 }
 
-module.exports = { runRefreshMepDataset, runGroupNormalizer };
+module.exports = { runRefreshMepDataset, runGroupNormalizer, clearAllMepData };
@@ -0,0 +1,86 @@
+/**
+ * Fetch national party, committee and delegation memberships of API MEPs into mep_memberships
+ * (core/mep-memberships.js): one person request per MEP (GET /meps/{id}) and one corporate-body request per
+ * organisation whose name is not stored yet. A failed MEP is logged and skipped.
+ * MEP_MEMBERSHIPS_CONCURRENCY (default 4) person requests run in parallel.
+ */
+const { fetchMepDetails, fetchCorporateBody } = require('./meps-api');
+const memberships = require('../core/mep-memberships');
+const { allAsync } = require('../core/db-async');
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.MEP_MEMBERSHIPS_CONCURRENCY || '4', 10) || 4);
+
+/**
+ * @param {object} db - SQLite3 database instance
+ * @param {{ mepIds?: number[], currentOnly?: boolean, log?: function, signal?: AbortSignal, onProgress?: function }} [options]
+ *   mepIds: only these MEPs; otherwise every API MEP (terms 5–10, so speeches of former MEPs match the party and
+ *   committee filters too), or only current-term MEPs with currentOnly
+ * @returns {Promise<{ meps: number, memberships: number, organizations: number, failed: number }>}
+ */
+async function refreshMepMemberships(db, options = {}) {
+  const log = options.log || console.log;
+  const onProgress = options.onProgress || (() => {});
+  let ids = Array.isArray(options.mepIds) && options.mepIds.length ? options.mepIds : null;
+  if (!ids) {
+    const rows = await allAsync(db, `SELECT id FROM meps WHERE source = 'api'${options.currentOnly ? ' AND is_current = 1' : ''} ORDER BY id`);
+    ids = rows.map(r => r.id);
+  }
+  log(`[MEP-MEMBERSHIPS] Fetching memberships for ${ids.length} MEPs (${CONCURRENCY} at a time)...`);
+
+  const organizations = await memberships.knownOrganizations(db);
+  const pending = new Map();
+  let fetchedOrganizations = 0;
+  const organization = (orgId) => {
+    if (organizations.has(orgId)) return Promise.resolve(organizations.get(orgId));
+    if (!pending.has(orgId)) {
+      pending.set(orgId, fetchCorporateBody(orgId)
+        .then((body) => {
+          const label = memberships.organizationLabel(body);
+          organizations.set(orgId, label);
+          fetchedOrganizations += 1;
+          return label;
+        })
+        .catch((err) => {
+          log(`[MEP-MEMBERSHIPS] Organisation ${orgId}: ${err.message}`);
+          return { code: null, label: null };
+        }));
+    }
+    return pending.get(orgId);
+  };
+
+  let stored = 0;
+  let failed = 0;
+  let done = 0;
+  for (let i = 0; i < ids.length; i += CONCURRENCY) {
+    if (options.signal && options.signal.aborted) throw new Error('MEP memberships refresh cancelled');
+    onProgress(done, ids.length, 'Fetching MEP memberships');
+    // Fetch in parallel, store one MEP at a time (each store is a transaction on the shared connection)
+    const fetched = await Promise.all(ids.slice(i, i + CONCURRENCY).map(async (id) => {
+      try {
+        const rows = memberships.membershipsFromPerson(await fetchMepDetails(id));
+        for (const row of rows) {
+          const { code, label } = await organization(row.org_id);
+          row.org_code = code;
+          row.org_label = label;
+        }
+        return { id, rows };
+      } catch (err) {
+        return { id, error: err };
+      }
+    }));
+    for (const { id, rows, error } of fetched) {
+      done += 1;
+      if (error) {
+        failed += 1;
+        log(`[MEP-MEMBERSHIPS] MEP ${id}: ${error.message}`);
+        continue;
+      }
+      stored += await memberships.storeMepMemberships(db, id, rows);
+    }
+  }
+  onProgress(ids.length, ids.length, 'Done');
+  log(`[MEP-MEMBERSHIPS] Stored ${stored} memberships for ${ids.length - failed} MEPs (${fetchedOrganizations} organisations fetched, ${failed} MEPs failed).`);
+  return { meps: ids.length - failed, memberships: stored, organizations: fetchedOrganizations, failed };
+}
+
+module.exports = { refreshMepMemberships };
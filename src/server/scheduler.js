@@ -0,0 +1,158 @@
+/**
+ * In-process scheduler for automatic refresh. REFRESH_SCHEDULE holds a cron expression (see core/cron.js).
+ * Each tick starts a 'scheduled-refresh' job (server/jobs.js): runRefresh → language detection for new
+ * speeches → generateAnalyticsDatabase → re-warm analytics cache. A tick is skipped while any job runs.
+ * On/off is stored in app_settings so the Data menu toggle survives restarts.
+ */
+const { parseCron, nextRun } = require('../core/cron');
+const { getSetting, setSetting } = require('../core/settings');
+const { runDetectionOnDb } = require('../core/detect-language');
+const { generateAnalyticsDatabase } = require('../core/analytics-db');
+const { analyticsCache, warmAnalyticsCache } = require('./analytics-cache');
+
+const JOB_TYPE = 'scheduled-refresh';
+const ENABLED_SETTING = 'scheduler.enabled';
+/** setTimeout overflows above ~24.8 days; longer waits are re-armed in steps. */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** Job body: same refresh as "Check New Sittings", then analytics regeneration when anything changed. */
+async function runScheduledRefresh(db, { log, progress, event, signal, throwIfCancelled }) {
+  const { runRefresh } = require('../pipeline');
+  log('[SCHEDULER] Scheduled refresh: new sittings → language detection → analytics DB → cache warm.');
+  const result = await runRefresh({
+    log,
+    db,
+    signal,
+    onProgress: (done, total) => progress(done, total, 'Sitting dates fetched'),
+    onEvent: event
+  });
+  throwIfCancelled();
+
+  log('[SCHEDULER] Detecting language for speeches without language set...');
+  const langResult = await runDetectionOnDb(db, { onlyNull: true, log, signal });
+  throwIfCancelled();
+
+  const summary = {
+    processed: result.processed,
+    failed: result.failed,
+    fetchSkipped: result.fetchSkipped,
+    aiFailed: result.aiFailed,
+    language_detection_updated: langResult.updated
+  };
+  if (result.processed === 0 && langResult.updated === 0) {
+    log('[SCHEDULER] No new sittings or languages; analytics left unchanged.');
+    return { ...summary, analyticsRegenerated: false, message: 'No new sittings; analytics unchanged.' };
+  }
+
+  log('[SCHEDULER] Generating analytics database...');
+  await generateAnalyticsDatabase(db, log);
+  analyticsCache.data = null;
+  analyticsCache.lastUpdated = null;
+  log('[SCHEDULER] Re-warming analytics cache...');
+  await warmAnalyticsCache(db);
+  log('[SCHEDULER] Scheduled refresh complete.');
+  return {
+    ...summary,
+    analyticsRegenerated: true,
+    message: `Stored ${result.processed} new sittings, detected language for ${langResult.updated} speeches, regenerated analytics.`
+  };
+}
+
+/**
+ * Create the refresh scheduler. Does nothing (status().configured = false) when no schedule is set.
+ * @param {import('sqlite3').Database} db
+ * @param {ReturnType<import('./jobs').createJobManager>} jobs
+ * @param {{ schedule?: string }} [options]
+ */
+function createRefreshScheduler(db, jobs, options = {}) {
+  const expr = (options.schedule || '').trim();
+  let schedule = null;
+  let error = null;
+  if (expr) {
+    try {
+      schedule = parseCron(expr);
+    } catch (err) {
+      error = err.message;
+      console.error(`[SCHEDULER] ${err.message}; automatic refresh disabled.`);
+    }
+  }
+
+  let enabled = false;
+  let timer = null;
+  let next = null;
+  let lastSkipped = null;
+
+  function arm() {
+    clearTimeout(timer);
+    timer = null;
+    next = schedule && enabled ? nextRun(schedule) : null;
+    if (next) wait();
+  }
+
+  function wait() {
+    const delay = Math.min(Math.max(next.getTime() - Date.now(), 0), MAX_TIMER_MS);
+    timer = setTimeout(() => (Date.now() >= next.getTime() ? tick() : wait()), delay);
+    if (timer.unref) timer.unref();
+  }
+
+  async function tick() {
+    try {
+      const job = await jobs.start(JOB_TYPE, { trigger: 'schedule', schedule: schedule.expr }, (ctx) => runScheduledRefresh(db, ctx));
+      console.log(`[SCHEDULER] Started scheduled refresh (job #${job.id}).`);
+    } catch (err) {
+      if (err.code === 'JOB_CONFLICT') {
+        lastSkipped = { at: Date.now(), reason: err.message };
+        console.log(`[SCHEDULER] Skipped scheduled refresh: ${err.message}`);
+      } else {
+        console.error('[SCHEDULER] Could not start scheduled refresh:', err);
+      }
+    }
+    arm();
+  }
+
+  const ready = getSetting(db, ENABLED_SETTING, true)
+    .then((value) => {
+      enabled = !!value;
+      arm();
+      if (next) console.log(`[SCHEDULER] Automatic refresh "${schedule.expr}"; next run ${next.toLocaleString()}.`);
+    })
+    .catch((err) => console.error('[SCHEDULER] Could not load scheduler setting:', err.message));
+
+  /**
+   * Schedule, on/off, next run and the last scheduled job (plus the last skipped tick, if any).
+   * Times are epoch milliseconds.
+   */
+  async function status() {
+    await ready;
+    const last = await jobs.list({ type: JOB_TYPE, limit: 1 });
+    return {
+      configured: !!schedule,
+      schedule: expr || null,
+      error,
+      enabled,
+      nextRun: next ? next.getTime() : null,
+      lastRun: last.jobs[0] || null,
+      lastSkipped
+    };
+  }
+
+  /** Turn automatic refresh on or off (persisted). Returns the new status. */
+  async function setEnabled(value) {
+    await ready;
+    enabled = !!value;
+    await setSetting(db, ENABLED_SETTING, enabled);
+    arm();
+    console.log(`[SCHEDULER] Automatic refresh ${enabled ? 'enabled' : 'disabled'}.`);
+    return status();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    next = null;
+  }
+
+  return { status, setEnabled, stop };
+}
+
+module.exports = { createRefreshScheduler, runScheduledRefresh };
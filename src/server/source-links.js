@@ -0,0 +1,73 @@
+/**
+ * Canonical source links for a sitting or a speech (GET /api/source-links). Report URLs come from
+ * core/cre-urls (term-aware); a speech also gets the agenda item document of its topic, looked up in the
+ * stored sitting HTML, and its deep link on speech.html.
+ */
+const { creLinks, creItemUrl } = require('../core/cre-urls');
+const { parseTopicsFromHTML, normalizeText } = require('../core/parse-helpers');
+const { EU_ISO2 } = require('../core/detect-language');
+const { getAsync } = require('../core/db-async');
+
+function linkError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** Agenda item document id (e.g. CRE-9-2020-11-11-ITM-003) whose title is the speech's topic, or null. */
+function itemIdentifier(html, topic) {
+  if (!html || !topic) return null;
+  const wanted = normalizeText(topic);
+  const match = parseTopicsFromHTML(html).find(t => t.docIdentifier && normalizeText(t.title) === wanted);
+  return match ? match.docIdentifier : null;
+}
+
+/**
+ * @param {{ date?: string, sittingId?: string, speechId?: number|string, lang?: string }} query - one of
+ *   speechId, sittingId or date
+ * @returns {Promise<object>} { sitting_id, date, term, lang, available, links, speech? }
+ */
+async function getSourceLinks(db, { date, sittingId, speechId, lang = 'EN' } = {}) {
+  const code = String(lang || 'EN').toUpperCase();
+  if (!EU_ISO2.includes(code)) throw linkError('INVALID_LANGUAGE', `lang must be one of ${EU_ISO2.join(', ')}`);
+
+  let speech = null;
+  if (speechId != null && speechId !== '') {
+    speech = await getAsync(db, `
+      SELECT i.id, i.sitting_id, i.speech_order, i.topic, s.activity_date, s.content
+      FROM individual_speeches i LEFT JOIN sittings s ON s.id = i.sitting_id
+      WHERE i.id = ?`, [speechId]);
+    if (!speech) throw linkError('NOT_FOUND', `Speech ${speechId} not found`);
+    sittingId = speech.sitting_id;
+    date = speech.activity_date;
+  } else if (sittingId) {
+    const sitting = await getAsync(db, 'SELECT id, activity_date FROM sittings WHERE id = ?', [sittingId]);
+    date = sitting ? sitting.activity_date : (String(sittingId).match(/^sitting-(\d{4}-\d{2}-\d{2})$/) || [])[1];
+    if (!date) throw linkError('NOT_FOUND', `Sitting ${sittingId} not found`);
+  } else if (!date) {
+    throw linkError('INVALID_DATE', 'Pass date, sitting_id or speech_id');
+  }
+  if (!date) throw linkError('NOT_FOUND', `No sitting date for speech ${speechId}`);
+
+  const cre = creLinks(date, { lang: code });
+  const id = sittingId || `sitting-${date}`;
+  const links = { html: cre.html, toc: cre.toc, pdf: cre.pdf, xml: cre.xml };
+  if (cre.sides) links.sides = cre.sides;
+  links.dashboard = `/speech.html?id=${encodeURIComponent(id)}`;
+  const result = { sitting_id: id, date, term: cre.term, lang: code, available: cre.available, links };
+  if (speech) {
+    const item = itemIdentifier(speech.content, speech.topic);
+    result.speech = {
+      id: speech.id,
+      speech_order: speech.speech_order,
+      topic: speech.topic,
+      links: {
+        item: item ? creItemUrl(item, { lang: code }) : null,
+        dashboard: `/speech.html?id=${encodeURIComponent(id)}&speech=${speech.speech_order}`
+      }
+    };
+  }
+  return result;
+}
+
+module.exports = { getSourceLinks };
@@ -1,11 +1,12 @@
 /**
  * Fetch and cache speeches from Europarl API and HTML. Used by init, refresh, and speech routes.
  */
-const axios = require('axios');
+const { http } = require('../core/http-client');
 const cheerio = require('cheerio');
 const { API_BASE } = require('./config');
 const { createProgressBar } = require('./progress');
 const { fetchSpeechContentFromHTML } = require('./fetch-speech-html');
+const { fetchCreHtml } = require('../core/parliament-fetch');
 const { parseIndividualSpeeches, storeIndividualSpeeches, parseAllSpeechesWithContent } = require('./parse-speeches');
 
 function insertOneSitting(db, speech) {
@@ -33,14 +34,7 @@ function insertOneSitting(db, speech) {
 // Helper function to fetch from HTML (fallback) - improved with multiple fallback methods
 async function fetchFromHTML(date, res, speechId, db) {
   try {
-    const url = `https://www.europarl.europa.eu/doceo/document/CRE-10-${date}_EN.html`;
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)'
-      },
-      timeout: 8000
-    });
-    const html = response.data;
+    const html = await fetchCreHtml(date, { maxRetries: 1, timeout: 8000 });
     const $ = cheerio.load(html);
     
     let content = '';
@@ -98,14 +92,7 @@ async function fetchFromHTML(date, res, speechId, db) {
     if (!content || content.length < 100) {
       try {
         console.log(`[SPEECH] Trying TOC page for ${date}...`);
-        const tocUrl = `https://www.europarl.europa.eu/doceo/document/CRE-10-${date}-TOC_EN.html`;
-        const tocResponse = await axios.get(tocUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; SpeechDashboardBot/1.0)'
-          },
-          timeout: 8000
-        });
-        const tocHtml = tocResponse.data;
+        const tocHtml = await fetchCreHtml(date, { toc: true, maxRetries: 1, timeout: 8000 });
         const $toc = cheerio.load(tocHtml);
         const items = $toc('a[href*="ITM-"]').toArray();
         if (items.length > 0) {
@@ -175,7 +162,7 @@ async function fetchAllSpeechesFromRemote() {
           console.log(`Retry ${attempt}/${maxRetries} for offset=${offset}`);
         }
         
-    const response = await axios.get(`${API_BASE}/speeches`, {
+    const response = await http.get(`${API_BASE}/speeches`, {
           params: { 
             format: 'application/ld+json', 
             limit, 
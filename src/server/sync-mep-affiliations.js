@@ -1,10 +1,16 @@
 /**
- * Sync meps.politicalGroup from individual_speeches.
- * Uses political_group_std (and kind/raw) when set; else raw political_group; else title (role).
- * For each MEP we set politicalGroup to the most frequent affiliation across their speeches.
+ * Sync meps.politicalGroup from individual_speeches and the dated group history (mep_affiliations).
+ * An MEP with group intervals gets the group of the latest interval (speech intervals win a tie with term
+ * intervals, as in GROUP_AT_DATE_SQL), so the MEP list shows the current group rather than the one the MEP
+ * spoke for most often. Run after rebuildSpeechAffiliations.
+ * Speakers without intervals (no political group in any speech, e.g. Commissioners) get the most frequent
+ * affiliation across their speeches: political_group_std (and kind/raw) when set; else raw political_group;
+ * else title (role).
  */
 
 const { speechToAffiliationDisplay } = require('./affiliation-display');
+const { ensureSchema } = require('../core/migrate');
+const { allAsync } = require('../core/db-async');
 
 // Map raw political_group strings (from parser) to display label used in MEP list / chart
 const RAW_TO_DISPLAY = {
@@ -78,13 +84,28 @@ function titleToDisplay(title) {
   return 'Parliamentary Role';
 }
 
+/** mep_id → display label of the group in the MEP's latest mep_affiliations interval */
+async function latestIntervalGroups(db) {
+  await ensureSchema(db);
+  const rows = await allAsync(db,
+    `SELECT a.mep_id, a.group_code FROM mep_affiliations a
+     WHERE a.rowid = (SELECT b.rowid FROM mep_affiliations b WHERE b.mep_id = a.mep_id
+                   ORDER BY b.start_date DESC, b.source = 'speeches' DESC LIMIT 1)`);
+  const latest = new Map();
+  for (const r of rows) {
+    latest.set(r.mep_id, speechToAffiliationDisplay({ political_group_std: r.group_code, political_group_kind: 'group' }));
+  }
+  return latest;
+}
+
 /**
  * @param {import('sqlite3').Database} db
  * @param {{ log?: (msg: string) => void }} options
  * @returns {Promise<{ updated: number, skipped: number }>}
  */
-function syncMepAffiliationsFromSpeeches(db, options = {}) {
+async function syncMepAffiliationsFromSpeeches(db, options = {}) {
   const log = options.log || (() => {});
+  const latest = await latestIntervalGroups(db);
 
   return new Promise((resolve, reject) => {
     db.all(
@@ -121,9 +142,10 @@ function syncMepAffiliationsFromSpeeches(db, options = {}) {
           byMep[r.mep_id][display] = (byMep[r.mep_id][display] || 0) + 1;
         }
 
-        // For each MEP pick the most frequent display value
-        const toUpdate = [];
+        // MEPs with a group history take its latest group; the others their most frequent display value
+        const toUpdate = [...latest].map(([mepId, politicalGroup]) => ({ mepId, politicalGroup }));
         for (const [mepId, counts] of Object.entries(byMep)) {
+          if (latest.has(Number(mepId))) continue;
           let best = '';
           let bestCount = 0;
           for (const [display, count] of Object.entries(counts)) {
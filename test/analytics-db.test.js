@@ -0,0 +1,37 @@
+/**
+ * Tests for loading the pre-computed analytics database (src/core/analytics-db.js).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-db-'));
+process.env.ANALYTICS_DB_PATH = path.join(dir, 'analytics.db');
+const { initAnalyticsDatabase, loadAnalyticsFromDatabase } = require('../src/core/analytics-db');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('an analytics.db from before group bases loads its by-group rows as canonical', async () => {
+  const db = new sqlite3.Database(process.env.ANALYTICS_DB_PATH);
+  await initAnalyticsDatabase(db);
+  await run(db, 'DROP TABLE analytics_by_group');
+  await run(db, 'CREATE TABLE analytics_by_group (topic TEXT, group_name TEXT, count INTEGER, PRIMARY KEY (topic, group_name))');
+  await run(db, "INSERT INTO analytics_by_group VALUES ('Trade', 'PPE', 4), ('Trade', 'Renew', 2)");
+  await run(db, `INSERT INTO analytics_topics (normalized_topic, variants) VALUES ('Trade', '["Trade"]')`);
+  await new Promise(resolve => db.close(resolve));
+
+  const logs = [];
+  const data = await loadAnalyticsFromDatabase((line) => logs.push(line));
+  assert.deepEqual(data.byGroup.groups, ['PPE', 'Renew']);
+  assert.deepEqual(data.byGroup.rows, [{ topic: 'Trade', grp: 'PPE', cnt: 4 }, { topic: 'Trade', grp: 'Renew', cnt: 2 }]);
+  assert.equal(data.byGroupBases.historical, null);
+  assert.equal(data.byGroupBases.family, null);
+  assert.ok(logs.some(line => line.includes('no basis column') && line.includes('regenerate analytics')));
+});
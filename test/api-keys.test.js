@@ -0,0 +1,174 @@
+/**
+ * Tests for src/core/api-keys.js (key storage, usage counters) and src/server/access-control.js
+ * (key auth, rate limits, anonymous read switch, AI chat token budgets) on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const apiKeys = require('../src/core/api-keys');
+const { createAccessControl } = require('../src/server/access-control');
+
+let db;
+const servers = [];
+
+/** App with access control on /api, a dashboard route, a v1 route and a fake chat route. */
+async function startApp(options) {
+  const access = createAccessControl(db, {
+    anonymousRead: true, anonRateLimit: 100, keyRateLimit: 100, keyTokenBudget: 1000, anonChatTokenBudget: 0,
+    log: () => {},
+    ...options
+  });
+  const app = express();
+  // Stands in for auth.attachUser, which server.js mounts before the access control
+  app.use('/api', (req, res, next) => {
+    const userId = req.get('x-test-user');
+    req.user = userId ? { id: Number(userId), role: 'viewer' } : null;
+    next();
+  });
+  app.use('/api', access.middleware);
+  app.get('/api/meps', (req, res) => res.json({ key: req.apiKey ? req.apiKey.id : null }));
+  app.get('/api/v1/speeches', (req, res) => res.json({ data: [] }));
+  app.post('/api/ai/chat', access.chatBudget, async (req, res) => {
+    await access.recordChatUsage(req, { prompt_tokens: 400, completion_tokens: 200 });
+    res.json({ content: 'ok' });
+  });
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  servers.push({ server, access });
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  return {
+    access,
+    get: (path, key) => fetch(base + path, { headers: key ? { 'X-API-Key': key } : {} }),
+    getAsUser: (path, userId) => fetch(base + path, { headers: { 'X-Test-User': String(userId) } }),
+    chat: (key) => fetch(`${base}/ai/chat`, { method: 'POST', headers: key ? { Authorization: `Bearer ${key}` } : {} })
+  };
+}
+
+test.before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+});
+
+test.after(async () => {
+  for (const { server, access } of servers) {
+    access.stop();
+    await new Promise(resolve => server.close(resolve));
+  }
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('keys are stored hashed, found by secret and can be revoked', async () => {
+  const created = await apiKeys.createApiKey(db, { name: ' Lab ', rateLimit: '5' });
+  assert.match(created.key, /^ew_[\w-]{32}$/);
+  assert.equal(created.name, 'Lab');
+  assert.equal(created.rateLimit, 5);
+  assert.equal(created.tokenBudget, null);
+  assert.ok(created.key.startsWith(created.prefix));
+
+  assert.equal((await apiKeys.findApiKey(db, created.key)).id, created.id);
+  assert.equal(await apiKeys.findApiKey(db, 'ew_wrong'), null);
+  await apiKeys.revokeApiKey(db, created.id);
+  assert.equal(await apiKeys.findApiKey(db, created.key), null);
+  assert.ok((await apiKeys.listApiKeys(db)).find(k => k.id === created.id).revokedAt);
+
+  await assert.rejects(apiKeys.createApiKey(db, { name: '' }), { code: 'INVALID_API_KEY_OPTION' });
+  await assert.rejects(apiKeys.createApiKey(db, { name: 'x', tokenBudget: -1 }), { code: 'INVALID_API_KEY_OPTION' });
+  await assert.rejects(apiKeys.revokeApiKey(db, 9999), { code: 'API_KEY_NOT_FOUND' });
+});
+
+test('usage accumulates per key and day; tokens count per calendar month', async () => {
+  const { id } = await apiKeys.createApiKey(db, { name: 'Usage' });
+  const may1 = Date.UTC(2025, 4, 1, 12);
+  await apiKeys.recordUsage(db, id, { requests: 3, promptTokens: 10 }, may1);
+  await apiKeys.recordUsage(db, id, { requests: 2, completionTokens: 5, chatRequests: 1 }, may1);
+  await apiKeys.recordUsage(db, id, { promptTokens: 100 }, Date.UTC(2025, 3, 30, 12));
+  assert.equal(await apiKeys.getTokensUsed(db, id, may1), 15);
+
+  const rows = (await apiKeys.getUsage(db, { days: 2 }, may1)).filter(r => r.keyId === id);
+  assert.deepEqual(rows.map(r => [r.day, r.requests, r.chatRequests, r.promptTokens + r.completionTokens]),
+    [['2025-05-01', 5, 1, 15], ['2025-04-30', 0, 0, 100]]);
+});
+
+test('unknown keys get 401; anonymous and key traffic have separate rate limits', async () => {
+  const { key } = await apiKeys.createApiKey(db, { name: 'Limited', rateLimit: 2 });
+  const app = await startApp({ anonRateLimit: 3 });
+
+  const bad = await app.get('/meps', 'ew_nope');
+  assert.equal(bad.status, 401);
+  assert.equal((await bad.json()).code, 'invalid_api_key');
+
+  assert.deepEqual(await (await app.get('/meps', key)).json(), { key: (await apiKeys.findApiKey(db, key)).id });
+  assert.equal((await app.get('/meps', key)).status, 200);
+  const limited = await app.get('/meps', key);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  for (let i = 0; i < 3; i++) assert.equal((await app.get('/meps')).status, 200);
+  const anon = await app.get('/v1/speeches');
+  assert.equal(anon.status, 429);
+  assert.equal((await anon.json()).error.code, 'rate_limited');
+
+  await app.access.flush();
+  const today = (await apiKeys.getUsage(db, { days: 1 })).find(r => r.keyId === apiKeys.ANONYMOUS_KEY_ID);
+  assert.equal(today.requests, 3);
+  assert.equal(today.rateLimited, 1);
+});
+
+test('invalid keys are rate limited per IP without a lookup; valid keys keep working', async () => {
+  const { key } = await apiKeys.createApiKey(db, { name: 'Valid' });
+  const app = await startApp({ anonRateLimit: 2 });
+  assert.equal((await app.get('/meps', key)).status, 200);
+
+  assert.equal((await app.get('/meps', 'ew_random1')).status, 401);
+  assert.equal((await app.get('/meps', 'ew_random2')).status, 401);
+  const limited = await app.get('/meps', 'ew_random3');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  // The cached key and anonymous requests have their own limits
+  assert.equal((await app.get('/meps', key)).status, 200);
+  assert.equal((await app.get('/meps')).status, 200);
+});
+
+test('signed-in users have their own limit instead of sharing the anonymous one of their IP', async () => {
+  const app = await startApp({ anonRateLimit: 1, userRateLimit: 3 });
+  assert.equal((await app.get('/meps')).status, 200);
+  assert.equal((await app.get('/meps')).status, 429);
+
+  for (let i = 0; i < 3; i++) {
+    const res = await app.getAsUser('/meps', 7);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-ratelimit-limit'), '3');
+  }
+  assert.equal((await app.getAsUser('/meps', 7)).status, 429);
+  assert.equal((await app.getAsUser('/meps', 8)).status, 200);
+});
+
+test('ANONYMOUS_READ off: /api/v1 needs a key, dashboard routes stay open', async () => {
+  const { key } = await apiKeys.createApiKey(db, { name: 'Reader' });
+  const app = await startApp({ anonymousRead: false });
+  const res = await app.get('/v1/speeches');
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).error.code, 'api_key_required');
+  assert.equal((await app.get('/v1/speeches', key)).status, 200);
+  assert.equal((await app.get('/meps')).status, 200);
+});
+
+test('AI chat: key required by default, budget enforced and usage booked', async () => {
+  const { key, id } = await apiKeys.createApiKey(db, { name: 'Chat', tokenBudget: 1000 });
+  const { key: noChat } = await apiKeys.createApiKey(db, { name: 'No chat', tokenBudget: 0 });
+  const app = await startApp();
+
+  assert.equal((await app.chat()).status, 401);
+  assert.equal((await app.chat(noChat)).status, 403);
+
+  const first = await app.chat(key);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-token-budget-remaining'), '1000');
+  assert.equal((await app.chat(key)).status, 200);
+  const exhausted = await app.chat(key);
+  assert.equal(exhausted.status, 429);
+  assert.equal((await exhausted.json()).code, 'token_budget_exhausted');
+  assert.equal(await apiKeys.getTokensUsed(db, id), 1200);
+});
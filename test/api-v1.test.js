@@ -0,0 +1,153 @@
+/**
+ * Tests for src/server/api-v1.js: cursor pagination, sorting, filters, error format and the generated
+ * OpenAPI document, served from an in-memory database on an ephemeral port.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const { createApiV1 } = require('../src/server/api-v1');
+
+let db;
+let server;
+let base;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+async function get(path) {
+  const res = await fetch(base + path);
+  return { status: res.status, body: await res.json() };
+}
+
+/** Follow next_cursor until has_more is false; returns every row. */
+async function allPages(path) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const sep = path.includes('?') ? '&' : '?';
+    const { body } = await get(path + (cursor ? `${sep}cursor=${cursor}` : ''));
+    rows.push(...body.data);
+    cursor = body.pagination.next_cursor;
+    assert.equal(body.pagination.has_more, cursor !== null);
+  } while (cursor);
+  return rows;
+}
+
+test.before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(`INSERT INTO sittings (id, activity_date, activity_type, content) VALUES
+    ('s1', '2023-05-10', 'PLENARY_DEBATE', 'full text 1'), ('s2', '2024-02-07', 'PLENARY_DEBATE', 'full text 2'), ('s3', '2024-02-08', 'PLENARY_DEBATE', NULL)`);
+  await run(`INSERT INTO meps (id, label, sortLabel, country, politicalGroup, is_current) VALUES
+    (1, 'Anna Alpha', 'ALPHA', 'Germany', 'Verts/ALE', 1), (2, 'Bert Beta', 'BETA', 'Austria', 'PPE', 0), (3, 'Cleo Gamma', 'GAMMA', 'France', 'S&D', 1)`);
+  const speeches = [
+    ['s1', 1, 'Verts/ALE', 'DE', 'Migration & asylum', 'Wir brauchen sichere Fluchtwege.'],
+    ['s1', 2, 'PPE', 'EN', 'Migration & asylum', 'Border protection first.'],
+    ['s2', 1, 'Verts/ALE', 'DE', 'Climate & environment', 'Die Energiewende braucht Wind.'],
+    ['s2', 3, 'S&D', 'FR', 'Migration & asylum', 'Le pacte sur la migration.'],
+    ['s3', 3, 'S&D', 'FR', null, 'Merci.']
+  ];
+  for (const [sitting, mep, group, lang, topic, content] of speeches) {
+    await run(`INSERT INTO individual_speeches (sitting_id, mep_id, political_group_std, language, macro_topic, speech_content)
+      VALUES (?, ?, ?, ?, ?, ?)`, [sitting, mep, group, lang, topic, content]);
+  }
+  const app = express();
+  app.use('/api/v1', createApiV1(db));
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('cursor pagination walks every row exactly once, in both directions', async () => {
+  const first = await get('/speeches?limit=2&include_total=1');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.pagination.limit, 2);
+  assert.equal(first.body.pagination.total, 5);
+  assert.equal(first.body.data.length, 2);
+
+  assert.deepEqual((await allPages('/speeches?limit=2')).map(s => s.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual((await allPages('/speeches?limit=2&sort=-date')).map(s => s.id), [5, 4, 3, 2, 1]);
+  assert.deepEqual((await allPages('/speeches?limit=1&sort=-length')).map(s => s.length), [32, 30, 26, 24, 6]);
+});
+
+test('speech filters and sitting_id narrow lists; resources carry joined fields', async () => {
+  const { body } = await get('/speeches?language=de&country=Germany&startDate=2024-01-01');
+  assert.deepEqual(body.data.map(s => [s.id, s.date, s.country, s.political_group_std]), [[3, '2024-02-07', 'Germany', 'Verts/ALE']]);
+  assert.deepEqual((await get('/speeches?sitting_id=s1,s3')).body.data.map(s => s.id), [1, 2, 5]);
+  assert.deepEqual((await get('/speeches?q=migration')).body.data.map(s => s.id), [4]);
+
+  const meps = await get('/meps?is_current=true&sort=-speech_count');
+  assert.deepEqual(meps.body.data.map(m => [m.id, m.speech_count, m.is_current]), [[3, 2, true], [1, 2, true]]);
+  assert.deepEqual((await get('/meps?name=beta')).body.data.map(m => m.id), [2]);
+});
+
+test('detail endpoints wrap one resource and return not_found for unknown ids', async () => {
+  const sitting = await get('/sittings/s1');
+  assert.equal(sitting.body.data.content, 'full text 1');
+  assert.equal(sitting.body.data.speech_count, 2);
+  assert.equal('content' in (await get('/sittings')).body.data[0], false);
+  assert.equal((await get('/meps/3')).body.data.label, 'Cleo Gamma');
+
+  const missing = await get('/speeches/999');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'not_found');
+});
+
+test('topics and analytics aggregate under the same filters', async () => {
+  const topics = await get('/topics');
+  assert.deepEqual(topics.body.data.map(t => [t.name, t.speech_count]), [['Migration & asylum', 3], ['Climate & environment', 1]]);
+  assert.equal(typeof topics.body.data[0].in_taxonomy, 'boolean');
+
+  assert.deepEqual((await get('/analytics/counts?by=year')).body.data, [{ key: '2023', speech_count: 2 }, { key: '2024', speech_count: 3 }]);
+  const byLanguage = await allPages('/analytics/counts?by=language&limit=1');
+  assert.deepEqual(byLanguage.map(b => b.key), ['FR', 'DE', 'EN']);
+  const summary = await get('/analytics/summary?language=FR');
+  assert.deepEqual(summary.body.data, { speeches: 2, meps: 1, sittings: 2, languages: 1, first_date: '2024-02-07', last_date: '2024-02-08' });
+});
+
+test('errors share one format', async () => {
+  const cases = [
+    ['/speeches?limit=0', 400, 'invalid_parameter'],
+    ['/speeches?sort=speaker', 400, 'invalid_parameter'],
+    ['/speeches?mep_id=abc', 400, 'invalid_parameter'],
+    ['/speeches?cursor=nope', 400, 'invalid_cursor'],
+    ['/speeches?q=%22unbalanced', 400, 'invalid_query'],
+    ['/analytics/counts?by=weekday', 400, 'invalid_parameter'],
+    ['/nothing-here', 404, 'not_found']
+  ];
+  for (const [path, status, code] of cases) {
+    const { status: actual, body } = await get(path);
+    assert.equal(actual, status, path);
+    assert.equal(body.error.code, code, path);
+    assert.equal(typeof body.error.message, 'string');
+  }
+  const { body } = await get('/speeches?limit=1');
+  const otherSort = await get(`/speeches?sort=-date&cursor=${body.pagination.next_cursor}`);
+  assert.equal(otherSort.body.error.code, 'invalid_cursor');
+
+  const post = await fetch(`${base}/speeches`, { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal((await post.json()).error.code, 'method_not_allowed');
+});
+
+test('openapi.json describes every route with its sorts and schemas', async () => {
+  const { body } = await get('/openapi.json');
+  assert.equal(body.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(body.paths).sort(), [
+    '/analytics/counts', '/analytics/summary', '/meps', '/meps/{id}', '/sittings', '/sittings/{id}', '/speeches', '/speeches/{id}', '/topics'
+  ]);
+  const list = body.paths['/speeches'].get;
+  const sort = list.parameters.find(p => p.name === 'sort');
+  assert.deepEqual(sort.schema.enum, ['date', '-date', 'id', '-id', 'length', '-length']);
+  assert.ok(list.parameters.some(p => p.name === 'cursor'));
+  assert.ok(body.components.schemas.Speech.properties.speech_content);
+  assert.equal(body.paths['/meps/{id}'].get.parameters[0].in, 'path');
+  assert.ok(body.paths['/meps/{id}'].get.responses[404]);
+});
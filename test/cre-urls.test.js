@@ -0,0 +1,63 @@
+/**
+ * Tests for term-aware verbatim report URLs (src/core/cre-urls.js) and the source links served by
+ * GET /api/source-links (src/server/source-links.js) on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const cre = require('../src/core/cre-urls');
+const { getSourceLinks } = require('../src/server/source-links');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+test('termForDate follows the first sitting day of each term', () => {
+  assert.equal(cre.termForDate('2024-07-16'), 10);
+  assert.equal(cre.termForDate('2024-07-15'), 9);
+  assert.equal(cre.termForDate('2009-07-13'), 6);
+  assert.equal(cre.termForDate('1999-07-20'), 5);
+  assert.equal(cre.termForDate('1999-07-19'), 4);
+  assert.equal(cre.termForDate('1970-01-01'), 1);
+});
+
+test('creUrl builds doceo URLs for any term and format; older terms get a sides fallback', () => {
+  assert.equal(cre.creUrl('2020-11-11'), 'https://www.europarl.europa.eu/doceo/document/CRE-9-2020-11-11_EN.html');
+  assert.equal(cre.creUrl('2006-03-14', { lang: 'de', toc: true }), 'https://www.europarl.europa.eu/doceo/document/CRE-6-2006-03-14-TOC_DE.html');
+  assert.equal(cre.creUrl('2016-07-05', { format: 'pdf' }), 'https://www.europarl.europa.eu/doceo/document/CRE-8-2016-07-05_EN.pdf');
+  assert.throws(() => cre.creUrl('14.03.2006'), { code: 'INVALID_DATE' });
+
+  assert.deepEqual(cre.creUrlCandidates('2020-11-11').map(c => c.source), ['doceo']);
+  const old = cre.creUrlCandidates('2006-03-14', { lang: 'FR' });
+  assert.deepEqual(old.map(c => c.source), ['doceo', 'sides']);
+  assert.equal(old[1].url, 'https://www.europarl.europa.eu/sides/getDoc.do?pubRef=-//EP//TEXT+CRE+20060314+ITEMS+DOC+XML+V0//FR&language=FR');
+
+  assert.equal(cre.creLinks('1990-05-15').available, false);
+  assert.equal(cre.creLinks('2001-05-15').available, true);
+});
+
+test('getSourceLinks resolves sittings, speeches and their agenda item', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  const html = '<table><tr><td class="doc_title"><img src="arrow_title_doc.gif"> 3. Fisheries '
+    + '<a href="https://www.europarl.europa.eu/doceo/document/CRE-6-2006-03-14-ITM-003_EN.html">(debate)</a></td></tr></table>';
+  await run(db, 'INSERT INTO sittings (id, activity_date, content) VALUES (?, ?, ?)', ['sitting-2006-03-14', '2006-03-14', html]);
+  await run(db, 'INSERT INTO individual_speeches (id, sitting_id, speaker_name, speech_content, speech_order, topic) VALUES (?, ?, ?, ?, ?, ?)',
+    [7, 'sitting-2006-03-14', 'Anna Schmidt', 'Mr President, …', 4, 'Fisheries']);
+
+  const sitting = await getSourceLinks(db, { sittingId: 'sitting-2006-03-14', lang: 'fr' });
+  assert.equal(sitting.term, 6);
+  assert.equal(sitting.links.html, 'https://www.europarl.europa.eu/doceo/document/CRE-6-2006-03-14_FR.html');
+  assert.ok(sitting.links.sides);
+
+  const speech = await getSourceLinks(db, { speechId: 7 });
+  assert.equal(speech.speech.links.item, 'https://www.europarl.europa.eu/doceo/document/CRE-6-2006-03-14-ITM-003_EN.html');
+  assert.equal(speech.speech.links.dashboard, '/speech.html?id=sitting-2006-03-14&speech=4');
+
+  assert.equal((await getSourceLinks(db, { date: '2023-01-16' })).links.toc, 'https://www.europarl.europa.eu/doceo/document/CRE-9-2023-01-16-TOC_EN.html');
+  await assert.rejects(getSourceLinks(db, { speechId: 99 }), { code: 'NOT_FOUND' });
+  await assert.rejects(getSourceLinks(db, { date: 'yesterday' }), { code: 'INVALID_DATE' });
+  await assert.rejects(getSourceLinks(db, { date: '2023-01-16', lang: 'XX' }), { code: 'INVALID_LANGUAGE' });
+  db.close();
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for cron expressions (src/core/cron.js) and the refresh scheduler built on them (src/server/scheduler.js).
+ * Dates are built in local time, as the scheduler evaluates expressions in server local time.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { parseCron, nextRun } = require('../src/core/cron');
+const { createJobManager } = require('../src/server/jobs');
+const { createRefreshScheduler } = require('../src/server/scheduler');
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+test('parseCron expands ranges, lists, steps, names and shortcuts', () => {
+  const s = parseCron('*/15 8-18/2 1,15 jan-mar mon-fri');
+  assert.deepEqual(sorted(s.minutes), [0, 15, 30, 45]);
+  assert.deepEqual(sorted(s.hours), [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual(sorted(s.days), [1, 15]);
+  assert.deepEqual(sorted(s.months), [1, 2, 3]);
+  assert.deepEqual(sorted(s.weekdays), [1, 2, 3, 4, 5]);
+  assert.equal(s.dayRestricted, true);
+  assert.equal(s.weekdayRestricted, true);
+
+  assert.deepEqual(sorted(parseCron('5/20 * * * *').minutes), [5, 25, 45]);
+  assert.deepEqual(sorted(parseCron('0 0 * * 7').weekdays), [0]);
+  assert.deepEqual(sorted(parseCron('0 0 * * SUN,sat').weekdays), [0, 6]);
+  const daily = parseCron('@daily');
+  assert.deepEqual([sorted(daily.minutes), sorted(daily.hours), daily.dayRestricted, daily.weekdayRestricted], [[0], [0], false, false]);
+});
+
+test('parseCron rejects malformed fields with INVALID_CRON', () => {
+  for (const expr of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *',
+    '* * * * 8', '*/0 * * * *', '*/x * * * *', '5-1 * * * *', 'a * * * *', '* * * foo *', '1.5 * * * *']) {
+    assert.throws(() => parseCron(expr), { code: 'INVALID_CRON' }, expr);
+  }
+});
+
+test('nextRun finds the next matching minute strictly after the start', () => {
+  const from = new Date(2024, 0, 10, 9, 7, 30);
+  assert.deepEqual(nextRun('*/15 * * * *', from), new Date(2024, 0, 10, 9, 15));
+  assert.deepEqual(nextRun('0 3 * * *', from), new Date(2024, 0, 11, 3, 0));
+  assert.deepEqual(nextRun('0 0 1 * *', from), new Date(2024, 1, 1, 0, 0));
+  assert.deepEqual(nextRun('30 9 * * *', new Date(2024, 0, 10, 9, 30)), new Date(2024, 0, 11, 9, 30));
+  // Leap day: the next 29 February after 2024 is in 2028
+  assert.deepEqual(nextRun('0 12 29 feb *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 12, 0));
+});
+
+test('a day matches when either restricted day field does', () => {
+  // 2024-01-10 is a Wednesday: the 13th (Saturday) and Monday the 15th both match "13 or Monday"
+  const either = parseCron('0 0 13 * mon');
+  assert.deepEqual(nextRun(either, new Date(2024, 0, 10)), new Date(2024, 0, 13));
+  assert.deepEqual(nextRun(either, new Date(2024, 0, 13)), new Date(2024, 0, 15));
+  // With one day field unrestricted only the other one counts
+  assert.deepEqual(nextRun('0 0 13 * *', new Date(2024, 0, 10)), new Date(2024, 0, 13));
+  assert.deepEqual(nextRun('0 0 * * mon', new Date(2024, 0, 10)), new Date(2024, 0, 15));
+});
+
+test('an expression that never matches returns null instead of searching forever', () => {
+  const started = Date.now();
+  assert.equal(nextRun('0 0 31 feb *', new Date(2024, 0, 1)), null);
+  assert.equal(nextRun('0 0 30 2 *'), null);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('scheduler reports an invalid schedule and persists on/off', async () => {
+  const db = new sqlite3.Database(':memory:');
+  const jobs = createJobManager(db);
+
+  const broken = createRefreshScheduler(db, jobs, { schedule: '0 25 * * *' });
+  const brokenStatus = await broken.status();
+  assert.equal(brokenStatus.configured, false);
+  assert.match(brokenStatus.error, /hour 25 out of range/);
+  assert.equal(brokenStatus.nextRun, null);
+
+  const unset = await createRefreshScheduler(db, jobs).status();
+  assert.deepEqual([unset.configured, unset.schedule, unset.nextRun], [false, null, null]);
+
+  const scheduler = createRefreshScheduler(db, jobs, { schedule: '0 3 * * *' });
+  const before = Date.now();
+  const status = await scheduler.status();
+  assert.equal(status.enabled, true);
+  assert.equal(status.nextRun, nextRun('0 3 * * *', new Date(before)).getTime());
+  assert.equal(status.lastRun, null);
+
+  const off = await scheduler.setEnabled(false);
+  assert.deepEqual([off.enabled, off.nextRun], [false, null]);
+  scheduler.stop();
+
+  // A restarted server keeps automatic refresh off
+  const restarted = createRefreshScheduler(db, jobs, { schedule: '0 3 * * *' });
+  assert.deepEqual([(await restarted.status()).enabled, (await restarted.status()).nextRun], [false, null]);
+  const on = await restarted.setEnabled(true);
+  assert.ok(on.nextRun > before);
+  restarted.stop();
+  db.close();
+});
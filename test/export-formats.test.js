@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the export writers (src/core/export-formats.js, parquet-writer.js, xlsx-writer.js):
+ * CSV quoting, JSON Lines nulls, Parquet decoded back to rows, and the container structure of XLSX output.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createExportWriter } = require('../src/core/export-formats');
+
+const COLUMNS = [
+  { name: 'id', type: 'int' },
+  { name: 'speaker_name', type: 'string' },
+  { name: 'macro_confidence', type: 'double' }
+];
+const ROWS = [
+  { id: 1, speaker_name: 'Weber, Manfred', macro_confidence: 0.9 },
+  { id: 2, speaker_name: 'Say "hello"\nagain', macro_confidence: null },
+  { id: 3, speaker_name: null, macro_confidence: 0.25 }
+];
+
+function render(writer, batches) {
+  const parts = [writer.start(), ...batches.map(rows => writer.write(rows)), writer.finish()];
+  return Buffer.concat(parts.map(p => Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8')));
+}
+
+test('csv: BOM, header and quoting', () => {
+  const writer = createExportWriter('csv', COLUMNS);
+  assert.equal(writer.extension, 'csv');
+  assert.equal(writer.compressOutput, false);
+  assert.equal(render(writer, [ROWS]).toString('utf8'),
+    '\ufeffid,speaker_name,macro_confidence\n'
+    + '1,"Weber, Manfred",0.9\n'
+    + '2,"Say ""hello""\nagain",\n'
+    + '3,,0.25\n');
+});
+
+test('jsonl: one object per row with the selected fields, missing values as null', () => {
+  const writer = createExportWriter('jsonl', COLUMNS.slice(0, 2));
+  const lines = render(writer, [ROWS]).toString('utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines[1], { id: 2, speaker_name: 'Say "hello"\nagain' });
+  assert.deepEqual(lines[2], { id: 3, speaker_name: null });
+});
+
+test('gzip: csv/jsonl are compressed as a whole, parquet keeps its extension, xlsx ignores it', () => {
+  assert.deepEqual(['csv', 'jsonl', 'parquet', 'xlsx'].map(f => {
+    const w = createExportWriter(f, COLUMNS, { gzip: true });
+    return [w.extension, w.compressOutput];
+  }), [['csv.gz', true], ['jsonl.gz', true], ['parquet', false], ['xlsx', false]]);
+});
+
+test('unknown format throws INVALID_FORMAT', () => {
+  assert.throws(() => createExportWriter('xml', COLUMNS), { code: 'INVALID_FORMAT' });
+});
+
+/** Thrift compact protocol reader: structs as { fieldId: value }, enough for the Parquet footer and page headers. */
+function thriftReader(buf, pos = 0) {
+  const varint = () => {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      const b = buf[pos++];
+      result |= BigInt(b & 0x7f) << shift;
+      if (!(b & 0x80)) return result;
+      shift += 7n;
+    }
+  };
+  const zigzag = () => {
+    const v = varint();
+    return Number((v >> 1n) ^ -(v & 1n));
+  };
+  const value = (type) => {
+    if (type === 1 || type === 2) return type === 1;
+    if (type === 3) return buf[pos++];
+    if (type === 4 || type === 5 || type === 6) return zigzag();
+    if (type === 7) { pos += 8; return buf.readDoubleLE(pos - 8); }
+    if (type === 8) {
+      const length = Number(varint());
+      pos += length;
+      return buf.subarray(pos - length, pos);
+    }
+    if (type === 9 || type === 10) {
+      const header = buf[pos++];
+      const size = (header >> 4) === 15 ? Number(varint()) : header >> 4;
+      return Array.from({ length: size }, () => value(header & 0x0f));
+    }
+    if (type === 12) return struct();
+    throw new Error(`thrift type ${type}`);
+  };
+  const struct = () => {
+    const fields = {};
+    let lastId = 0;
+    for (;;) {
+      const header = buf[pos++];
+      if (header === 0) return fields;
+      lastId = (header >> 4) ? lastId + (header >> 4) : zigzag();
+      fields[lastId] = value(header & 0x0f);
+    }
+  };
+  return { struct, get pos() { return pos; } };
+}
+
+/** Decode a Parquet file written by parquet-writer: footer, then every page of every row group. */
+function readParquet(file) {
+  assert.equal(file.subarray(0, 4).toString(), 'PAR1');
+  assert.equal(file.subarray(-4).toString(), 'PAR1');
+  const footerLength = file.readUInt32LE(file.length - 8);
+  const footerStart = file.length - 8 - footerLength;
+  const meta = thriftReader(file, footerStart).struct();
+  const [, ...schema] = meta[2];
+  const rows = [];
+  let expectedOffset = 4;
+  for (const group of meta[4]) {
+    const groupRows = Array.from({ length: group[3] }, () => ({}));
+    group[1].forEach((chunk, c) => {
+      const col = chunk[3];
+      assert.equal(col[3][0].toString(), schema[c][4].toString());
+      assert.equal(col[9], expectedOffset, 'column chunks are contiguous and their offsets match');
+      expectedOffset += col[7];
+      const reader = thriftReader(file, col[9]);
+      const header = reader.struct();
+      const body = file.subarray(reader.pos, reader.pos + header[3]);
+      const page = col[4] === 2 ? zlib.gunzipSync(body) : body;
+      assert.equal(page.length, header[2]);
+      assert.equal(header[5][1], group[3]);
+
+      // Definition levels: length-prefixed RLE/bit-packed hybrid, bit width 1
+      const levelsEnd = 4 + page.readUInt32LE(0);
+      const present = [];
+      let pos = 4;
+      while (pos < levelsEnd && present.length < group[3]) {
+        let h = 0;
+        let shift = 0;
+        for (;;) {
+          const b = page[pos++];
+          h |= (b & 0x7f) << shift;
+          if (!(b & 0x80)) break;
+          shift += 7;
+        }
+        if (h & 1) {
+          for (let i = 0; i < (h >> 1) * 8; i++) present.push(((page[pos + (i >> 3)] >> (i & 7)) & 1) === 1);
+          pos += h >> 1;
+        } else {
+          for (let i = 0; i < h >> 1; i++) present.push(page[pos] === 1);
+          pos += 1;
+        }
+      }
+      let valuePos = levelsEnd;
+      const name = schema[c][4].toString();
+      groupRows.forEach((row, r) => {
+        if (!present[r]) {
+          row[name] = null;
+        } else if (schema[c][1] === 2) {
+          row[name] = Number(page.readBigInt64LE(valuePos));
+          valuePos += 8;
+        } else if (schema[c][1] === 5) {
+          row[name] = page.readDoubleLE(valuePos);
+          valuePos += 8;
+        } else {
+          const length = page.readUInt32LE(valuePos);
+          row[name] = page.subarray(valuePos + 4, valuePos + 4 + length).toString('utf8');
+          valuePos += 4 + length;
+        }
+      });
+      assert.equal(valuePos, page.length);
+    });
+    rows.push(...groupRows);
+  }
+  assert.equal(expectedOffset, footerStart);
+  assert.equal(meta[3], rows.length);
+  return { rowGroups: meta[4].length, codecs: meta[4].flatMap(g => g[1].map(chunk => chunk[3][4])), rows };
+}
+
+test('parquet: decodes to the written rows, nulls included, across row groups with and without gzip', () => {
+  for (const gzip of [false, true]) {
+    const file = render(createExportWriter('parquet', COLUMNS, { gzip }), [ROWS.slice(0, 2), [], ROWS.slice(2)]);
+    const { rowGroups, codecs, rows } = readParquet(file);
+    assert.equal(rowGroups, 2);
+    assert.ok(codecs.every(codec => codec === (gzip ? 2 : 0)));
+    assert.deepEqual(rows, ROWS);
+  }
+  const many = Array.from({ length: 21 }, (_, i) => ({ id: i, speaker_name: i % 3 ? `MEP ${i}` : null, macro_confidence: i / 4 }));
+  const { rowGroups, rows } = readParquet(render(createExportWriter('parquet', COLUMNS), [many.slice(0, 17), many.slice(17)]));
+  assert.equal(rowGroups, 2);
+  assert.deepEqual(rows, many);
+});
+
+test('xlsx: valid zip whose streamed sheet inflates to the rows, long cells truncated', () => {
+  const writer = createExportWriter('xlsx', COLUMNS);
+  const rows = [...ROWS, { id: 4, speaker_name: 'x'.repeat(40000), macro_confidence: 1 }];
+  const file = render(writer, [rows.slice(0, 2), rows.slice(2)]);
+
+  const eocd = file.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = file.readUInt16LE(eocd + 10);
+  let pos = file.readUInt32LE(eocd + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const nameLength = file.readUInt16LE(pos + 28);
+    const name = file.subarray(pos + 46, pos + 46 + nameLength).toString();
+    entries[name] = { csize: file.readUInt32LE(pos + 20), usize: file.readUInt32LE(pos + 24), offset: file.readUInt32LE(pos + 42) };
+    pos += 46 + nameLength;
+  }
+  assert.deepEqual(Object.keys(entries).sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+  ]);
+
+  const sheet = entries['xl/worksheets/sheet1.xml'];
+  const dataStart = sheet.offset + 30 + file.readUInt16LE(sheet.offset + 26);
+  const xml = zlib.inflateRawSync(file.subarray(dataStart, dataStart + sheet.csize)).toString('utf8');
+  assert.equal(Buffer.byteLength(xml), sheet.usize);
+  assert.match(xml, /<row r="1">.*>speaker_name<.*<\/row>/);
+  assert.match(xml, /<c r="A3"><v>2<\/v><\/c><c r="B3" t="inlineStr"><is><t xml:space="preserve">Say &quot;hello&quot;\nagain<\/t>/);
+  assert.match(xml, /<row r="5">/);
+  assert.ok(xml.endsWith('</sheetData></worksheet>'));
+  assert.deepEqual(writer.stats(), { rows: 4, droppedRows: 0, truncatedCells: 1 });
+});
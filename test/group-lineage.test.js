@@ -0,0 +1,94 @@
+/**
+ * Tests for the political group lineage (src/core/group-lineage.js, data/group-lineage.json).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const lineage = require('../src/core/group-lineage');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+test('lineage dataset links each group to a successor in the next term', () => {
+  const rows = lineage.loadLineage();
+  const keys = new Set(rows.map(r => `${r.group}|${r.term}`));
+  for (const r of rows.filter(r => r.successor)) {
+    assert.ok(keys.has(`${r.successor}|${r.term + 1}`) || keys.has(`${r.successor}|${r.term}`), `${r.group} (${r.term}) → ${r.successor}`);
+  }
+  const eurosceptics = rows.filter(r => r.family === 'Eurosceptics').map(r => r.group);
+  assert.deepEqual([...new Set(eurosceptics)], ['EDD', 'IND/DEM', 'EFD', 'EFDD']);
+});
+
+test('groupMapper names speeches by term group or family', () => {
+  const historical = lineage.groupMapper('historical');
+  const family = lineage.groupMapper('family');
+  const speeches = [
+    { grp: 'Renew', raw: 'ELDR', term: 5 },
+    { grp: 'Renew', raw: null, term: 6 },
+    { grp: 'PPE', raw: 'PPE-DE', term: 6 },
+    { grp: 'NI', raw: 'on behalf of the UEN Group', term: 6 },
+    { grp: 'NI', raw: 'IND/DEM', term: 6 },
+    { grp: 'ECR', raw: 'ECR', term: 9 },
+    { grp: 'NI', raw: null, term: 7 },
+    { grp: 'XYZ', raw: 'XYZ', term: 9 }
+  ];
+  assert.deepEqual(speeches.map(historical), ['ELDR', 'ALDE', 'PPE-DE', 'UEN', 'IND/DEM', 'ECR', 'NI', 'XYZ']);
+  assert.deepEqual(speeches.map(family), [
+    'Liberals', 'Liberals', 'EPP', 'Conservatives & Reformists', 'Eurosceptics', 'Conservatives & Reformists', 'Non-attached', 'XYZ'
+  ]);
+  assert.equal(lineage.groupMapper('canonical')(speeches[0]), 'Renew');
+  assert.throws(() => lineage.checkGroupBasis('party'), { code: 'INVALID_FILTER' });
+});
+
+test('aggregateByGroup counts topics per family', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('s5', '2001-05-02'), ('s8', '2016-05-02')");
+  const speeches = [
+    ['s5', 'EDD', 'NI', 'Trade'],
+    ['s5', 'UEN', 'NI', 'Trade'],
+    ['s8', 'EFDD', 'EFDD', 'Trade'],
+    ['s8', 'ECR', 'ECR', 'Trade'],
+    ['s8', 'ECR', 'ECR', 'Health']
+  ];
+  for (const [sittingId, raw, std, topic] of speeches) {
+    await run(db, `INSERT INTO individual_speeches (sitting_id, political_group, political_group_std, political_group_kind, macro_topic)
+      VALUES (?, ?, ?, 'group', ?)`, [sittingId, raw, std, topic]);
+  }
+  const result = await lineage.aggregateByGroup(db, { basis: 'family', topics: ['Trade'] });
+  assert.deepEqual(result.groups, ['Conservatives & Reformists', 'Eurosceptics']);
+  assert.deepEqual(result.rows.sort((a, b) => a.grp.localeCompare(b.grp)), [
+    { topic: 'Trade', grp: 'Conservatives & Reformists', cnt: 2 },
+    { topic: 'Trade', grp: 'Eurosceptics', cnt: 2 }
+  ]);
+  db.close();
+});
+
+test('the lineage file is read once and re-read only on reloadLineage()', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'group-lineage-'));
+  const file = path.join(dir, 'group-lineage.json');
+  const previous = process.env.GROUP_LINEAGE_FILE;
+  try {
+    fs.writeFileSync(file, JSON.stringify([{ group: 'ELDR', term: 5, family: 'Liberals', canonical: 'Renew' }]));
+    process.env.GROUP_LINEAGE_FILE = file;
+    lineage.reloadLineage();
+    const speech = { grp: 'Renew', raw: 'ELDR', term: 5 };
+    assert.equal(lineage.groupMapper('family')(speech), 'Liberals');
+
+    fs.writeFileSync(file, JSON.stringify([{ group: 'ELDR', term: 5, family: 'Centrists', canonical: 'Renew' }]));
+    assert.equal(lineage.getLineage()[0].family, 'Liberals');
+    assert.equal(lineage.groupMapper('family')(speech), 'Liberals');
+    lineage.reloadLineage();
+    assert.equal(lineage.groupMapper('family')(speech), 'Centrists');
+  } finally {
+    if (previous == null) delete process.env.GROUP_LINEAGE_FILE;
+    else process.env.GROUP_LINEAGE_FILE = previous;
+    lineage.reloadLineage();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit tests for normalizePoliticalGroup (src/core/group-normalizer.js).
+ * Includes the cases of the CLI's built-in runTests() plus historic group names and
+ * "on behalf of" phrasing in several languages.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePoliticalGroup } = require('../src/core/group-normalizer');
+
+function check(input, expected) {
+  const result = normalizePoliticalGroup(input);
+  for (const [key, value] of Object.entries(expected)) {
+    assert.equal(result[key], value, `"${input}": expected ${key}=${value}, got ${JSON.stringify(result)}`);
+  }
+}
+
+test('parentheses extraction', () => {
+  check('Anna-Michelle (PPE)', { std: 'PPE', kind: 'group', reason: 'parentheses_extraction' });
+  check('Some text ECR)', { std: 'ECR', kind: 'group', reason: 'parentheses_extraction' });
+});
+
+test('"on behalf of" patterns across languages', () => {
+  check('on behalf of the S&D Group', { std: 'S&D', kind: 'group', reason: 'on_behalf_pattern' });
+  check('au nom du groupe Renew', { std: 'Renew', kind: 'group', reason: 'on_behalf_pattern' });
+  check('im Namen der PPE-Fraktion', { std: 'PPE', kind: 'group', reason: 'on_behalf_pattern' });
+  check('a nome del gruppo S&D', { std: 'S&D', kind: 'group' });
+  check('en nombre del Grupo S&D', { std: 'S&D', kind: 'group' });
+  check('w imieniu grupy ECR', { std: 'ECR', kind: 'group' });
+  check('în numele grupului PPE', { std: 'PPE', kind: 'group' });
+  check('namens de ENF-Fractie', { std: 'ID', kind: 'group' });
+});
+
+test('historic group names map to their successors', () => {
+  check('ALDE', { std: 'Renew', kind: 'group', reason: 'direct_token' });
+  check('GUE/NGL', { std: 'The Left', kind: 'group', reason: 'direct_token' });
+  check('on behalf of the PPE-DE Group', { std: 'PPE', kind: 'group' });
+  check('au nom du groupe PSE', { std: 'S&D', kind: 'group' });
+  check('im Namen der GUE/NGL-Fraktion', { std: 'The Left', kind: 'group' });
+});
+
+test('canonical codes pass through', () => {
+  for (const code of ['PPE', 'S&D', 'ECR', 'Renew', 'Verts/ALE', 'The Left', 'NI', 'PfE', 'ESN']) {
+    check(code, { std: code, kind: 'group' });
+  }
+  check('Verts/ALE', { reason: 'direct_canonical' });
+});
+
+test('institutional and parliamentary roles are not groups', () => {
+  check('Member of the Commission, on behalf of VP/HR', { kind: 'institution' });
+  check('Vice-President of the Commission', { kind: 'institution' });
+  check('rapporteur for the Committee on Petitions', { kind: 'role' });
+  check('Chair of the Delegation for Relations', { kind: 'role' });
+});
+
+test('sentences and empty input are unknown', () => {
+  check('I believe the single-use plastics directive is unfairly treating expanded polystyrene', { kind: 'unknown', reason: 'looks_like_sentence' });
+  check('', { std: 'NI', kind: 'unknown', reason: 'empty_input' });
+  check(null, { kind: 'unknown', reason: 'empty_input' });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the CRE HTML cache (src/core/html-cache.js): disk hits, conditional revalidation with ETags,
+ * cached 404s, offline mode and de-duplication of concurrent requests.
+ * The network is a stub behind axios' default adapter; the cache lives in a temp directory.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const settle = require('axios/lib/core/settle');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-cache-'));
+process.env.HTML_CACHE_DIR = cacheDir;
+
+// Stub server: pages[url] = { html, etag } answers 200 (or 304 on a matching If-None-Match), anything else 404
+const pages = {};
+const requests = [];
+let networkDown = false;
+axios.defaults.adapter = (config) => new Promise((resolve, reject) => {
+  requests.push({ url: config.url, etag: config.headers['If-None-Match'] || null });
+  if (networkDown) return reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', config }));
+  const page = pages[config.url];
+  const notModified = page && config.headers['If-None-Match'] === page.etag;
+  // Answer on a later tick so concurrent callers overlap, as with a real request
+  setImmediate(() => settle(resolve, reject, {
+    data: page ? (notModified ? '' : page.html) : 'Not Found',
+    status: page ? (notModified ? 304 : 200) : 404,
+    statusText: page ? 'OK' : 'Not Found',
+    headers: page ? { etag: page.etag } : {},
+    config,
+    request: {}
+  }));
+});
+
+const { fetchCached, isCached, getCacheStats, collectGarbage } = require('../src/core/html-cache');
+
+const URL = 'https://www.europarl.europa.eu/doceo/document/CRE-7-2011-05-10_EN.html';
+const KEY = { date: '2011-05-10', lang: 'en' };
+const OLD_HTML = '<html><body>First edition</body></html>';
+const NEW_HTML = '<html><body>Final edition</body></html>';
+
+function indexFile(key) {
+  return path.join(cacheDir, 'index', key.lang.toUpperCase(), `${key.date}.json`);
+}
+
+test.after(() => {
+  delete process.env.OFFLINE;
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('a fetched document is served from disk until it expires, then revalidated with its ETag', async () => {
+  pages[URL] = { html: OLD_HTML, etag: '"v1"' };
+  requests.length = 0;
+  assert.equal(await fetchCached(KEY, URL), OLD_HTML);
+  assert.equal(await fetchCached(KEY, URL), OLD_HTML);
+  assert.deepEqual(requests, [{ url: URL, etag: null }]);
+  assert.equal(await isCached(KEY), true);
+
+  // Unchanged upstream: 304, the cached copy is served and the check time moves on
+  const entry = JSON.parse(fs.readFileSync(indexFile(KEY), 'utf8'));
+  fs.writeFileSync(indexFile(KEY), JSON.stringify({ ...entry, checkedAt: 0 }));
+  assert.equal(await fetchCached(KEY, URL), OLD_HTML);
+  assert.deepEqual(requests[1], { url: URL, etag: '"v1"' });
+  assert.ok(JSON.parse(fs.readFileSync(indexFile(KEY), 'utf8')).checkedAt > 0);
+
+  // revalidate forces a conditional request even when fresh; a changed document replaces the entry
+  pages[URL] = { html: NEW_HTML, etag: '"v2"' };
+  assert.equal(await fetchCached(KEY, URL), OLD_HTML);
+  assert.equal(await fetchCached(KEY, URL, { revalidate: true }), NEW_HTML);
+  assert.deepEqual(requests.slice(2), [{ url: URL, etag: '"v1"' }]);
+  assert.equal(JSON.parse(fs.readFileSync(indexFile(KEY), 'utf8')).etag, '"v2"');
+  assert.equal(await fetchCached(KEY, URL), NEW_HTML);
+
+  // The first edition's blob is no longer referenced
+  assert.equal((await getCacheStats()).blobs, 2);
+  assert.equal((await collectGarbage()).removed, 1);
+  assert.equal(await fetchCached(KEY, URL), NEW_HTML);
+  assert.equal(requests.length, 3);
+});
+
+test('a stale copy is served when the network is down', async () => {
+  const entry = JSON.parse(fs.readFileSync(indexFile(KEY), 'utf8'));
+  fs.writeFileSync(indexFile(KEY), JSON.stringify({ ...entry, checkedAt: 0 }));
+  networkDown = true;
+  try {
+    assert.equal(await fetchCached(KEY, URL), NEW_HTML);
+    const missing = 'https://www.europarl.europa.eu/doceo/document/CRE-7-2011-05-11_EN.html';
+    await assert.rejects(fetchCached({ date: '2011-05-11', lang: 'EN' }, missing), { code: 'ECONNREFUSED' });
+  } finally {
+    networkDown = false;
+  }
+});
+
+test('404s are cached, so a non-sitting day is not requested again', async () => {
+  const url = 'https://www.europarl.europa.eu/doceo/document/CRE-7-2011-05-14_EN.html';
+  const key = { date: '2011-05-14', lang: 'EN' };
+  requests.length = 0;
+  await assert.rejects(fetchCached(key, url), (err) => err.response.status === 404 && !err.fromCache);
+  await assert.rejects(fetchCached(key, url), (err) => err.response.status === 404 && err.fromCache === true);
+  assert.equal(requests.length, 1);
+  assert.equal(await isCached(key), true);
+  assert.equal((await getCacheStats()).notFound, 1);
+});
+
+test('offline mode serves hits and 404s from disk and reports misses as CACHE_MISS', async () => {
+  process.env.OFFLINE = '1';
+  requests.length = 0;
+  try {
+    assert.equal(await fetchCached(KEY, URL, { revalidate: true }), NEW_HTML);
+    await assert.rejects(fetchCached({ date: '2011-05-14', lang: 'EN' }, 'https://example.test/404'), (err) => err.response.status === 404);
+    await assert.rejects(fetchCached({ date: '2011-05-12', lang: 'EN' }, 'https://example.test/new'), { code: 'CACHE_MISS' });
+    assert.equal((await getCacheStats()).offline, true);
+    assert.equal(requests.length, 0);
+  } finally {
+    delete process.env.OFFLINE;
+  }
+});
+
+test('concurrent reads share one request; a forced revalidation is not merged into them', async () => {
+  const url = 'https://www.europarl.europa.eu/doceo/document/CRE-7-2011-05-09_EN.html';
+  const key = { date: '2011-05-09', lang: 'EN' };
+  pages[url] = { html: OLD_HTML, etag: '"a"' };
+  requests.length = 0;
+  assert.deepEqual(await Promise.all([fetchCached(key, url), fetchCached(key, url)]), [OLD_HTML, OLD_HTML]);
+  assert.equal(requests.length, 1);
+
+  pages[url] = { html: NEW_HTML, etag: '"b"' };
+  const [cached, revalidated] = await Promise.all([fetchCached(key, url), fetchCached(key, url, { revalidate: true })]);
+  assert.equal(cached, OLD_HTML);
+  assert.equal(revalidated, NEW_HTML);
+  assert.deepEqual(requests.slice(1), [{ url, etag: '"a"' }]);
+});
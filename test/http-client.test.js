@@ -0,0 +1,105 @@
+/**
+ * Tests for the HTTP fixture layer (src/core/http-client.js): record a stubbed response, replay it without the
+ * network, and run the Europarl API client against the fixtures committed in test/fixtures/http/.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const axios = require('axios');
+const settle = require('axios/lib/core/settle');
+
+// Stub the network before http-client captures axios' default adapter
+const served = [];
+axios.defaults.adapter = (config) => new Promise((resolve, reject) => {
+  served.push(config.url);
+  const found = config.url.endsWith('/found');
+  settle(resolve, reject, {
+    data: JSON.stringify(found ? { data: [{ id: 'org/1', label: 'AFET' }] } : { error: 'not found' }),
+    status: found ? 200 : 404,
+    statusText: found ? 'OK' : 'Not Found',
+    headers: { 'content-type': 'application/json', 'set-cookie': ['session=1'] },
+    config,
+    request: {}
+  });
+});
+
+const { http } = require('../src/core/http-client');
+const { fetchMepDetails, fetchCorporateBody } = require('../src/server/meps-api');
+const { refreshMepMemberships } = require('../src/server/refresh-mep-memberships');
+const { ensureSchema } = require('../src/core/migrate');
+const memberships = require('../src/core/mep-memberships');
+
+const COMMITTED = path.join(__dirname, 'fixtures', 'http');
+
+function withFixtures(mode, dir) {
+  process.env.HTTP_FIXTURES = mode;
+  process.env.HTTP_FIXTURES_DIR = dir;
+}
+
+test.after(() => {
+  delete process.env.HTTP_FIXTURES;
+  delete process.env.HTTP_FIXTURES_DIR;
+});
+
+test('record saves responses and errors; replay answers them offline', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  try {
+    withFixtures('record', dir);
+    const recorded = await http.get('https://api.example.test/v1/found', { params: { b: 2, a: 1 } });
+    assert.deepEqual(recorded.data, { data: [{ id: 'org/1', label: 'AFET' }] });
+    await assert.rejects(http.get('https://api.example.test/v1/gone'), (err) => err.response.status === 404);
+    assert.equal(served.length, 2);
+
+    const files = fs.readdirSync(path.join(dir, 'api.example.test'));
+    assert.equal(files.length, 2);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'api.example.test', files.find(f => f.includes('found'))), 'utf8'));
+    assert.equal(saved.request.url, 'https://api.example.test/v1/found?a=1&b=2');
+    assert.deepEqual(saved.response.headers, { 'content-type': 'application/json' });
+
+    withFixtures('replay', dir);
+    const replayed = await http.get('https://api.example.test/v1/found', { params: { a: 1, b: 2 } });
+    assert.deepEqual(replayed.data, recorded.data);
+    await assert.rejects(http.get('https://api.example.test/v1/gone'), (err) => err.response.status === 404);
+    await assert.rejects(http.get('https://api.example.test/v1/other'), { code: 'FIXTURE_MISSING' });
+    assert.equal(served.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('meps-api reads a person and a corporate body from committed fixtures', async () => {
+  withFixtures('replay', COMMITTED);
+  const person = await fetchMepDetails(999001);
+  assert.equal(person.label, 'Anna TESTOVA');
+  assert.deepEqual(memberships.membershipsFromPerson(person).map(r => [r.kind, r.org_id]), [
+    ['national_party', '7001'],
+    ['committee', '7003']
+  ]);
+  assert.deepEqual(memberships.organizationLabel(await fetchCorporateBody(7003)), {
+    code: 'LIBE',
+    label: 'Committee on Civil Liberties, Justice and Home Affairs'
+  });
+  await assert.rejects(fetchCorporateBody(7404), (err) => err.response.status === 404);
+  assert.equal(served.length, 2);
+});
+
+test('refreshMepMemberships stores memberships of former MEPs replayed from fixtures', async () => {
+  withFixtures('replay', COMMITTED);
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await new Promise((resolve, reject) => db.run(
+    "INSERT INTO meps (id, label, source, is_current) VALUES (999001, 'Anna TESTOVA', 'api', 0)", (err) => (err ? reject(err) : resolve())));
+  assert.equal((await refreshMepMemberships(db, { currentOnly: true, log: () => {} })).meps, 0);
+  const logs = [];
+  const result = await refreshMepMemberships(db, { log: (line) => logs.push(line) });
+  assert.deepEqual(result, { meps: 1, memberships: 2, organizations: 1, failed: 0 });
+  // org/7001 has no fixture: the membership is kept without a name
+  assert.ok(logs.some(line => line.includes('Organisation 7001') && line.includes('No HTTP fixture')));
+  const stored = await memberships.getMepMemberships(db, 999001);
+  assert.deepEqual(stored.committee.map(m => [m.code, m.role, m.start_date, m.end_date]), [['LIBE', 'VICE_CHAIR', '2019-07-18', '2022-01-18']]);
+  assert.deepEqual(stored.national_party.map(m => [m.org_id, m.code]), [['7001', null]]);
+  db.close();
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the background job manager (src/server/jobs.js) and its HTTP routes (src/server/job-routes.js):
+ * one job at a time, cancellation through the abort signal, the restart sweep and the live event stream.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const { runAsync } = require('../src/core/db-async');
+const { createJobManager } = require('../src/server/jobs');
+const { startJob, createJobRoutes } = require('../src/server/job-routes');
+
+/** A job function that runs until release() is called (or its signal aborts). */
+function blocker() {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  return { release, fn: async (ctx) => {
+    await new Promise((resolve) => {
+      released.then(resolve);
+      ctx.signal.addEventListener('abort', resolve);
+    });
+    ctx.throwIfCancelled();
+    return { ok: true };
+  } };
+}
+
+/** Resolve with the stored job once the manager no longer tracks it as running. */
+async function settled(jobs, id) {
+  while (jobs.current() && jobs.current().id === id) await new Promise(resolve => setTimeout(resolve, 5));
+  return jobs.get(id);
+}
+
+function listen(jobs) {
+  const app = express();
+  app.post('/api/run', (req, res) => startJob(jobs, res, 'test-run', {}, async () => ({ ok: true })));
+  app.use('/api', createJobRoutes(jobs, { requireRole: () => (req, res, next) => next() }));
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve({ server, base: `http://127.0.0.1:${server.address().port}/api` }));
+  });
+}
+
+test('a second job is refused while one is running, over HTTP with 409', async () => {
+  const db = new sqlite3.Database(':memory:');
+  const jobs = createJobManager(db);
+  const { server, base } = await listen(jobs);
+  try {
+    const first = blocker();
+    const running = await jobs.start('refresh-meps', {}, first.fn);
+    await assert.rejects(jobs.start('other', {}, async () => {}), (err) => err.code === 'JOB_CONFLICT' && err.runningJob.id === running.id);
+
+    const res = await fetch(`${base}/run`, { method: 'POST' });
+    assert.equal(res.status, 409);
+    const body = await res.json();
+    assert.equal(body.success, false);
+    assert.equal(body.runningJob.id, running.id);
+
+    first.release();
+    assert.equal((await settled(jobs, running.id)).status, 'succeeded');
+    const accepted = await fetch(`${base}/run`, { method: 'POST' });
+    assert.equal(accepted.status, 202);
+    assert.equal((await settled(jobs, (await accepted.json()).jobId)).status, 'succeeded');
+  } finally {
+    server.close();
+    db.close();
+  }
+});
+
+test('cancel aborts the signal: running → cancelling → cancelled', async () => {
+  const db = new sqlite3.Database(':memory:');
+  const jobs = createJobManager(db);
+  const { server, base } = await listen(jobs);
+  try {
+    let seenAbort = false;
+    const job = await jobs.start('slow', {}, async (ctx) => {
+      await new Promise(resolve => ctx.signal.addEventListener('abort', resolve));
+      seenAbort = ctx.signal.aborted;
+      ctx.throwIfCancelled();
+    });
+    assert.equal(job.status, 'running');
+
+    const res = await fetch(`${base}/jobs/${job.id}/cancel`, { method: 'POST' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).job.status, 'cancelling');
+
+    const final = await settled(jobs, job.id);
+    assert.equal(seenAbort, true);
+    assert.equal(final.status, 'cancelled');
+    assert.equal(final.error, null);
+    assert.ok(final.logTail.includes('Cancellation requested...'));
+    assert.equal((await fetch(`${base}/jobs/${job.id}/cancel`, { method: 'POST' })).status, 409);
+  } finally {
+    server.close();
+    db.close();
+  }
+});
+
+test('jobs left running by a previous process are marked failed on start-up', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  for (const status of ['running', 'cancelling', 'succeeded']) {
+    await runAsync(db, "INSERT INTO jobs (type, params, status, created_at, started_at, log_tail) VALUES ('refresh-meps', '{}', ?, 1, 1, '[]')", [status]);
+  }
+  const jobs = createJobManager(db);
+  const { jobs: history } = await jobs.list();
+  assert.deepEqual(history.map(j => [j.status, j.error]), [
+    ['succeeded', null],
+    ['failed', 'Interrupted (server restarted)'],
+    ['failed', 'Interrupted (server restarted)']
+  ]);
+  assert.ok(history.slice(1).every(j => j.finishedAt > 1));
+  db.close();
+});
+
+test('the event stream starts with a snapshot and ends after done', async () => {
+  const db = new sqlite3.Database(':memory:');
+  const jobs = createJobManager(db);
+  const { server, base } = await listen(jobs);
+  try {
+    const { release, fn } = blocker();
+    const job = await jobs.start('stream', {}, async (ctx) => {
+      ctx.log('starting');
+      const result = await fn(ctx);
+      ctx.progress(1, 1, 'finished');
+      return result;
+    });
+
+    const res = await fetch(`${base}/jobs/${job.id}/events`);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = decoder.decode((await reader.read()).value);
+    assert.ok(text.startsWith('event: snapshot\n'));
+    assert.deepEqual(JSON.parse(text.split('\n')[1].slice('data: '.length)).logTail, ['starting']);
+
+    release();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) text += decoder.decode(chunk.value);
+    const events = text.split('\n').filter(line => line.startsWith('event: ')).map(line => line.slice('event: '.length));
+    assert.deepEqual(events, ['snapshot', 'progress', 'done']);
+    const done = JSON.parse(text.trim().split('\n').pop().slice('data: '.length));
+    assert.equal(done.status, 'succeeded');
+    assert.deepEqual(done.result, { ok: true });
+
+    // A finished job gets its snapshot and done at once
+    const replay = await (await fetch(`${base}/jobs/${job.id}/events`)).text();
+    assert.deepEqual(replay.split('\n').filter(line => line.startsWith('event: ')), ['event: snapshot', 'event: done']);
+  } finally {
+    server.close();
+    db.close();
+  }
+});
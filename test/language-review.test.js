@@ -0,0 +1,120 @@
+/**
+ * Tests for language detection metadata (src/core/detect-language.js runDetectionOnDb, interpretation
+ * marker backfill) and the curator review queue (src/core/language-review.js) on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const { runDetectionOnDb, backfillLanguageMarkers, decideLanguage } = require('../src/core/detect-language');
+const review = require('../src/core/language-review');
+
+let db;
+
+const SPEECHES = [
+  [1, 'Mr President, I would like to thank the rapporteur for this excellent report on fisheries policy and the future of our coastal communities in all member states.'],
+  [2, 'Monsieur le Président, je voudrais remercier le rapporteur pour son excellent travail sur la politique de la pêche et sur l\'avenir de nos communautés côtières.'],
+  [3, 'Herr Präsident, vielen Dank. Mr President, thank you very much. Monsieur le Président, merci beaucoup pour ce rapport.'],
+  [4, '12345 !!!'],
+  [5, '']
+];
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+function speech(id) {
+  return new Promise((resolve, reject) => db.get('SELECT * FROM individual_speeches WHERE id = ?', [id], (err, row) => (err ? reject(err) : resolve(row))));
+}
+
+test.before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run("INSERT INTO sittings (id, activity_date) VALUES ('s1', '2024-03-12')");
+  for (const [id, text] of SPEECHES) {
+    await run('INSERT INTO individual_speeches (id, sitting_id, speaker_name, speech_content, speech_order) VALUES (?, ?, ?, ?, ?)',
+      [id, 's1', `Speaker ${id}`, text, id]);
+  }
+  await runDetectionOnDb(db, { onlyNull: false });
+});
+
+test.after(() => new Promise(resolve => db.close(resolve)));
+
+test('detection stores confidence and the deciding detector', async () => {
+  const english = await speech(1);
+  assert.equal(english.language, 'EN');
+  assert.equal(english.language_method, 'cld3');
+  assert.ok(english.language_confidence > 0.9);
+  assert.equal(english.language_alternatives, null);
+
+  const mixed = await speech(3);
+  assert.equal(mixed.language_method, 'franc');
+  assert.equal(mixed.language_confidence, 0.75);
+
+  const noLanguage = await speech(4);
+  assert.equal(noLanguage.language, null);
+  assert.equal(noLanguage.language_method, 'none');
+  assert.equal((await speech(5)).language_method, null);
+});
+
+test('a CLD3 result counts as reliable only when cld3-asm flags is_reliable', () => {
+  const text = SPEECHES[1][1];
+  const cld3 = (result) => ({ findLanguage: () => result });
+  assert.deepEqual(decideLanguage({ cld3: cld3({ language: 'fr', probability: 0.93, is_reliable: true }) }, text),
+    { lang: 'FR', conf: 0.93, via: 'cld3' });
+  // Not flagged reliable (or flagged under another name): still a candidate, but marked weak
+  for (const result of [{ language: 'fr', probability: 0.93, is_reliable: false }, { language: 'fr', probability: 0.93, isReliable: true }]) {
+    assert.equal(decideLanguage({ cld3: cld3(result) }, text).via, 'cld3-weak');
+  }
+  // Reliable but below CLD3_MIN_PROB: falls through to the chunk vote and franc
+  const low = decideLanguage({ cld3: cld3({ language: 'fr', probability: 0.4, is_reliable: true }) }, text);
+  assert.equal(low.lang, 'FR');
+  assert.notEqual(low.via, 'cld3');
+});
+
+test('marker backfill records the original language of interpreted speeches', async () => {
+  await run("INSERT INTO individual_speeches (id, sitting_id, speech_content) VALUES (6, 's1', '(PL) Mr President, thank you for the floor.')");
+  const result = await backfillLanguageMarkers(db);
+  assert.equal(result.marked, 1);
+  assert.equal(result.updated, 1);
+  const interpreted = await speech(6);
+  assert.equal(interpreted.original_language, 'PL');
+  assert.equal(interpreted.language_marker, '(PL)');
+  assert.equal((await backfillLanguageMarkers(db)).updated, 0);
+  await run('DELETE FROM individual_speeches WHERE id = 6');
+});
+
+test('the queue lists uncertain speeches, least confident first, by reason', async () => {
+  await run("UPDATE individual_speeches SET language_alternatives = 'DE,EN' WHERE id = 3");
+  const all = await review.listReviewQueue(db);
+  assert.deepEqual(all.items.map(i => i.id), [4, 3]);
+  assert.equal(all.total, 2);
+  assert.deepEqual(all.items[1].alternatives, ['DE', 'EN']);
+  assert.equal(all.items[1].date, '2024-03-12');
+
+  assert.deepEqual((await review.listReviewQueue(db, { reason: 'undetected' })).items.map(i => i.id), [4]);
+  assert.deepEqual((await review.listReviewQueue(db, { reason: 'disagreement' })).items.map(i => i.id), [3]);
+  assert.equal((await review.listReviewQueue(db, { reason: 'low-confidence', minConfidence: 0.5 })).total, 0);
+  assert.deepEqual(await review.getReviewStats(db), { low_confidence: 1, disagreement: 1, undetected: 1, reviewed: 0 });
+  await assert.rejects(review.listReviewQueue(db, { reason: 'other' }), { code: 'INVALID_FILTER' });
+  await assert.rejects(review.listReviewQueue(db, { minConfidence: 2 }), { code: 'INVALID_FILTER' });
+});
+
+test('reviewed languages leave the queue and survive re-detection', async () => {
+  const result = await review.reviewLanguage(db, 3, 'de', 'cura');
+  assert.deepEqual(result, { id: 3, language: 'DE', previous: 'FR', corrected: true });
+  await review.reviewLanguage(db, 1, 'EN', 'cura');
+  await run("UPDATE individual_speeches SET language = 'SV' WHERE id = 2");
+
+  await runDetectionOnDb(db, { onlyNull: false });
+  const corrected = await speech(3);
+  assert.equal(corrected.language, 'DE');
+  assert.equal(corrected.language_method, 'review');
+  assert.equal(corrected.language_reviewed_by, 'cura');
+  assert.equal((await speech(2)).language, 'FR');
+
+  assert.deepEqual((await review.listReviewQueue(db)).items.map(i => i.id), [4]);
+  assert.equal((await review.getReviewStats(db)).reviewed, 2);
+  await assert.rejects(review.reviewLanguage(db, 3, 'XX', 'cura'), { code: 'INVALID_LANGUAGE' });
+  await assert.rejects(review.reviewLanguage(db, 999, 'EN', 'cura'), { code: 'SPEECH_NOT_FOUND' });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for the dated MEP group history (src/core/mep-affiliations.js) and its use by group analytics.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const affiliations = require('../src/core/mep-affiliations');
+const { syncMepAffiliationsFromSpeeches } = require('../src/server/sync-mep-affiliations');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+test('speechIntervals splits on group changes and ignores one-off slips', () => {
+  const speeches = [
+    ['2015-01-10', 'EFDD'], ['2016-03-01', 'EFDD'], ['2016-05-02', 'NI'], ['2017-02-01', 'EFDD'],
+    ['2018-06-01', 'ID'], ['2019-01-15', 'ID']
+  ].map(([date, group]) => ({ date, group }));
+  assert.deepEqual(affiliations.speechIntervals(speeches), [
+    { group_code: 'EFDD', start_date: '2015-01-10', end_date: '2018-05-31', speeches: 4 },
+    { group_code: 'ID', start_date: '2018-06-01', end_date: '2019-01-15', speeches: 2 }
+  ]);
+});
+
+test('termIntervals spans whole terms and skips unknown groups', () => {
+  const rows = affiliations.termIntervals({ term_groups: { 8: 'ALDE', 9: 'Renew Europe Group', 10: null } });
+  assert.deepEqual(rows.map(r => [r.term, r.group_code, r.start_date, r.end_date]), [
+    [8, 'Renew', '2014-07-01', '2019-07-01'],
+    [9, 'Renew', '2019-07-02', '2024-07-15']
+  ]);
+});
+
+test('group analytics attribute each speech to the group valid on its date', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO meps (id, label, source) VALUES (1, 'Jane DOE', 'api'), (2, 'John ROE', 'api')");
+  await run(db, `INSERT INTO sittings (id, activity_date) VALUES
+    ('s1', '2015-03-10'), ('s2', '2017-04-04'), ('s3', '2018-09-12'), ('s4', '2020-01-15')`);
+  const speeches = [
+    [1, 's1', 1, 'EFDD', 'group'],
+    [2, 's2', 1, 'EFDD', 'group'],
+    [3, 's3', 1, 'ID', 'group'],
+    [4, 's4', 1, 'NI', 'unknown'],
+    [5, 's4', 1, 'NI', 'institution'],
+    [6, 's1', 2, 'S&D', 'group']
+  ];
+  for (const [id, sittingId, mepId, std, kind] of speeches) {
+    await run(db, `INSERT INTO individual_speeches (id, sitting_id, mep_id, political_group_std, political_group_kind, macro_topic)
+      VALUES (?, ?, ?, ?, ?, 'Economy')`, [id, sittingId, mepId, std, kind]);
+  }
+  await affiliations.storeTermAffiliations(db, [{ identifier: '1', term_groups: { 9: 'ID' } }]);
+  const result = await affiliations.rebuildSpeechAffiliations(db);
+  assert.deepEqual(result, { meps: 2, intervals: 3 });
+
+  const history = await affiliations.getMepAffiliations(db, 1);
+  assert.deepEqual(history.map(a => [a.group, a.start_date, a.end_date, a.source]), [
+    ['EFDD', '2015-03-10', '2018-09-11', 'speeches'],
+    ['ID', '2018-09-12', '2018-09-12', 'speeches'],
+    ['ID', '2019-07-02', '2024-07-15', 'term']
+  ]);
+
+  const rows = await all(db, `SELECT i.id, ${affiliations.GROUP_AT_DATE_SQL} AS grp
+    FROM individual_speeches i LEFT JOIN sittings s ON s.id = i.sitting_id ORDER BY i.id`);
+  assert.deepEqual(rows.map(r => r.grp), ['EFDD', 'EFDD', 'ID', 'ID', 'NI', 'S&D']);
+
+  // Rebuilding one MEP leaves the others and the term rows alone
+  await run(db, "UPDATE individual_speeches SET political_group_std = 'ID' WHERE id = 2");
+  await affiliations.rebuildSpeechAffiliations(db, { mepId: 1 });
+  assert.equal((await affiliations.getMepAffiliations(db, 1)).length, 3);
+  assert.equal((await affiliations.getMepAffiliations(db, 2)).length, 1);
+  db.close();
+});
+
+test('the MEP list shows the group of the latest interval, not the most frequent one', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('s1', '2016-03-01'), ('s2', '2017-03-01'), ('s3', '2019-03-01')");
+  // Ten speakers per affiliation, so none is collapsed into "Other"
+  for (let id = 1; id <= 30; id++) await run(db, "INSERT INTO meps (id, label, source) VALUES (?, ?, 'api')", [id, `MEP ${id}`]);
+  const speeches = [];
+  for (let id = 1; id <= 10; id++) {
+    // Spoke for EFDD three times, then once as non-attached
+    speeches.push([id, 's1', 'EFDD', 'group'], [id, 's1', 'EFDD', 'group'], [id, 's2', 'EFDD', 'group'], [id, 's3', 'NI', 'group']);
+  }
+  for (let id = 21; id <= 30; id++) speeches.push([id, 's3', 'Commission', 'institution']);
+  for (const [mepId, sittingId, std, kind] of speeches) {
+    await run(db, `INSERT INTO individual_speeches (sitting_id, mep_id, political_group, political_group_std, political_group_kind, political_group_raw)
+      VALUES (?, ?, ?, ?, ?, ?)`, [sittingId, mepId, std, std, kind, kind === 'institution' ? 'Member of the Commission' : std]);
+  }
+  await affiliations.rebuildSpeechAffiliations(db);
+  // MEPs 11-20 never spoke: their group comes from the API term intervals alone
+  await affiliations.storeTermAffiliations(db, Array.from({ length: 10 }, (_, i) => ({
+    identifier: String(11 + i),
+    term_groups: { 8: 'ALDE', 9: 'Renew Europe Group' }
+  })));
+
+  await syncMepAffiliationsFromSpeeches(db);
+  const groups = Object.fromEntries((await all(db, 'SELECT id, politicalGroup FROM meps WHERE id IN (1, 11, 21)')).map(r => [r.id, r.politicalGroup]));
+  assert.deepEqual(groups, { 1: 'Non-Attached', 11: 'Renew', 21: 'European Commission' });
+  db.close();
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for MEP national party, committee and delegation memberships (src/core/mep-memberships.js) and the
+ * national_party / committee speech filters.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const memberships = require('../src/core/mep-memberships');
+const { parseSpeechFilters, buildSpeechFilter } = require('../src/core/speech-filters');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+const PERSON = {
+  id: 'person/1',
+  hasMembership: [
+    {
+      membershipClassification: 'def/ep-entities/NATIONAL_POLITICAL_GROUP',
+      organization: 'org/100',
+      role: 'def/ep-roles/MEMBER',
+      memberDuring: { startDate: '2019-07-02', endDate: '2023-12-31' }
+    },
+    {
+      membershipClassification: 'def/ep-entities/NATIONAL_POLITICAL_GROUP',
+      organization: 'org/101',
+      role: 'def/ep-roles/MEMBER',
+      memberDuring: { startDate: '2024-01-01' }
+    },
+    {
+      membershipClassification: 'def/ep-entities/COMMITTEE_PARLIAMENTARY_STANDING',
+      organization: 'org/200',
+      role: 'def/ep-roles/CHAIR',
+      memberDuring: { startDate: '2019-07-02T00:00:00' }
+    },
+    {
+      membershipClassification: 'def/ep-entities/DELEGATION_PARLIAMENTARY',
+      organization: 'org/300',
+      memberDuring: { startDate: '2019-07-02', endDate: '2024-07-15' }
+    },
+    { membershipClassification: 'def/ep-entities/EU_POLITICAL_GROUP', organization: 'org/400' }
+  ]
+};
+
+const ORGANIZATIONS = {
+  100: { code: 'OLD', label: 'Old Party' },
+  101: { code: 'NEW', label: 'New Party' },
+  200: { code: 'LIBE', label: 'Committee on Civil Liberties, Justice and Home Affairs' },
+  300: { code: 'D-US', label: 'Delegation for relations with the United States' }
+};
+
+async function seed() {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  const rows = memberships.membershipsFromPerson(PERSON).map(r => ({
+    ...r,
+    org_code: ORGANIZATIONS[r.org_id].code,
+    org_label: ORGANIZATIONS[r.org_id].label
+  }));
+  await memberships.storeMepMemberships(db, 1, rows);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('s1', '2021-03-10'), ('s2', '2024-02-07')");
+  await run(db, "INSERT INTO meps (id, label) VALUES (1, 'A'), (2, 'B')");
+  for (const [sitting, mep] of [['s1', 1], ['s2', 1], ['s2', 2]]) {
+    await run(db, 'INSERT INTO individual_speeches (sitting_id, mep_id) VALUES (?, ?)', [sitting, mep]);
+  }
+  return db;
+}
+
+async function ids(db, query) {
+  const { whereClause, params } = buildSpeechFilter(parseSpeechFilters(query));
+  const rows = await all(db, `
+    SELECT i.id FROM individual_speeches i
+    LEFT JOIN sittings s ON i.sitting_id = s.id
+    LEFT JOIN meps m ON i.mep_id = m.id
+    ${whereClause} ORDER BY i.id`, params);
+  return rows.map(r => r.id);
+}
+
+test('membershipsFromPerson keeps national parties, committees and delegations with dates', () => {
+  const rows = memberships.membershipsFromPerson(PERSON);
+  assert.deepEqual(rows.map(r => [r.kind, r.org_id, r.start_date, r.end_date]), [
+    ['national_party', '100', '2019-07-02', '2023-12-31'],
+    ['national_party', '101', '2024-01-01', null],
+    ['committee', '200', '2019-07-02', null],
+    ['delegation', '300', '2019-07-02', '2024-07-15']
+  ]);
+  assert.equal(rows[2].role, 'CHAIR');
+  assert.deepEqual(memberships.organizationLabel({ label: 'LIBE', prefLabel: { en: 'Civil Liberties' } }), { code: 'LIBE', label: 'Civil Liberties' });
+});
+
+test('stored memberships are listed per MEP and per organisation', async () => {
+  const db = await seed();
+  const byKind = await memberships.getMepMemberships(db, 1);
+  assert.deepEqual(byKind.national_party.map(m => m.code), ['NEW', 'OLD']);
+  assert.deepEqual(byKind.committee.map(m => [m.code, m.role]), [['LIBE', 'CHAIR']]);
+  assert.equal(byKind.delegation.length, 1);
+  assert.deepEqual(await memberships.listOrganizations(db, { kind: 'committee', q: 'liberties' }), [
+    { code: 'LIBE', label: 'Committee on Civil Liberties, Justice and Home Affairs', meps: 1 }
+  ]);
+  await assert.rejects(memberships.listOrganizations(db, { kind: 'party' }), { code: 'INVALID_FILTER' });
+  db.close();
+});
+
+test('national_party and committee filters follow the membership valid on the sitting date', async () => {
+  const db = await seed();
+  assert.deepEqual(await ids(db, { national_party: 'old' }), [1]);
+  assert.deepEqual(await ids(db, { national_party: 'New Party' }), [2]);
+  assert.deepEqual(await ids(db, { national_party: 'OLD,NEW' }), [1, 2]);
+  assert.deepEqual(await ids(db, { committee: 'LIBE' }), [1, 2]);
+  assert.deepEqual(await ids(db, { committee: 'AFET' }), []);
+  const party = await all(db, `SELECT i.id, ${memberships.NATIONAL_PARTY_SQL} AS party FROM individual_speeches i
+    LEFT JOIN sittings s ON i.sitting_id = s.id ORDER BY i.id`);
+  assert.deepEqual(party.map(r => r.party), ['OLD', 'NEW', null]);
+  db.close();
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the schema migrations (src/core/migrate.js): a database shaped like the ones created before
+ * migrations existed is upgraded in place, dry runs change nothing and a second run is a no-op.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { loadMigrations, getSchemaStatus, migrate, ensureSchema } = require('../src/core/migrate');
+const { searchSpeeches } = require('../src/core/speech-search');
+const { runAsync, allAsync } = require('../src/core/db-async');
+
+/** Tables as the server created them before migrations: fewer columns, macro topics added ad hoc. */
+async function legacyDb() {
+  const db = new sqlite3.Database(':memory:');
+  await runAsync(db, 'CREATE TABLE meps (id INTEGER PRIMARY KEY, label TEXT, givenName TEXT, familyName TEXT, sortLabel TEXT, country TEXT, politicalGroup TEXT)');
+  await runAsync(db, 'CREATE TABLE sittings (id TEXT PRIMARY KEY, type TEXT, label TEXT, personId INTEGER, date TEXT, content TEXT UNIQUE)');
+  await runAsync(db, `CREATE TABLE individual_speeches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, sitting_id TEXT, speaker_name TEXT, political_group TEXT, title TEXT,
+    speech_content TEXT, speech_order INTEGER, macro_topic TEXT)`);
+  await runAsync(db, "INSERT INTO meps (id, label, country, politicalGroup) VALUES (1, 'Anna Testova', 'Austria', 'Verts/ALE')");
+  await runAsync(db, "INSERT INTO sittings (id, type, date, content) VALUES ('s1', 'CRE', '2004-05-03', 'full sitting text')");
+  await runAsync(db, `INSERT INTO individual_speeches (sitting_id, speaker_name, political_group, speech_content, speech_order, macro_topic)
+    VALUES ('s1', 'Anna Testova', 'Verts/ALE', 'Frontex needs parliamentary oversight.', 1, 'Migration & asylum')`);
+  return db;
+}
+
+test('a legacy database is upgraded through every migration without losing or dropping data', async () => {
+  const db = await legacyDb();
+  const statements = [];
+  const run = db.run.bind(db);
+  db.run = (sql, ...rest) => {
+    statements.push(String(sql));
+    return run(sql, ...rest);
+  };
+
+  const result = await migrate(db);
+  const versions = loadMigrations().map(m => m.version);
+  assert.deepEqual(result.applied.map(m => m.version), versions);
+  assert.equal(result.current, versions[versions.length - 1]);
+  assert.ok(statements.length > 0);
+  assert.ok(!statements.some(sql => /\bDROP\s+TABLE\b/i.test(sql)), 'no table is dropped');
+
+  assert.deepEqual(await allAsync(db, 'SELECT id, label, country, politicalGroup, is_current, source FROM meps'), [
+    { id: 1, label: 'Anna Testova', country: 'Austria', politicalGroup: 'Verts/ALE', is_current: 0, source: 'api' }
+  ]);
+  assert.deepEqual(await allAsync(db, 'SELECT id, date, content, activity_date FROM sittings'), [
+    { id: 's1', date: '2004-05-03', content: 'full sitting text', activity_date: null }
+  ]);
+  const [speech] = await allAsync(db, 'SELECT speaker_name, macro_topic, speech_content, mep_id, political_group_std FROM individual_speeches');
+  assert.deepEqual(speech, {
+    speaker_name: 'Anna Testova',
+    macro_topic: 'Migration & asylum',
+    speech_content: 'Frontex needs parliamentary oversight.',
+    mep_id: null,
+    political_group_std: null
+  });
+  // The full-text index is built from speeches that existed before the migration
+  assert.equal((await searchSpeeches(db, { q: 'frontex' })).total, 1);
+  db.close();
+});
+
+test('dryRun lists pending migrations without applying them', async () => {
+  const db = await legacyDb();
+  const logs = [];
+  const result = await migrate(db, { dryRun: true, log: (line) => logs.push(line) });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.applied.length, loadMigrations().length);
+  assert.equal(logs.length, result.applied.length);
+  assert.ok(logs[0].startsWith('[MIGRATE] Would apply 001-'));
+
+  const status = await getSchemaStatus(db);
+  assert.equal(status.current, 0);
+  assert.equal(status.pending.length, loadMigrations().length);
+  const columns = (await allAsync(db, 'PRAGMA table_info(meps)')).map(c => c.name);
+  assert.ok(!columns.includes('is_current'));
+  db.close();
+});
+
+test('a second run applies nothing, and ensureSchema runs once per connection', async () => {
+  const db = await legacyDb();
+  const first = await ensureSchema(db);
+  assert.equal(first.applied.length, loadMigrations().length);
+  assert.equal(await ensureSchema(db), first);
+
+  const second = await migrate(db);
+  assert.deepEqual(second.applied, []);
+  assert.equal(second.current, first.current);
+  assert.equal((await getSchemaStatus(db)).pending.length, 0);
+  assert.equal((await allAsync(db, 'SELECT COUNT(*) AS n FROM individual_speeches'))[0].n, 1);
+  db.close();
+});
+
+test('migrate stops at options.to', async () => {
+  const db = await legacyDb();
+  const result = await migrate(db, { to: 3 });
+  assert.deepEqual(result.applied.map(m => m.version), [1, 2, 3]);
+  assert.deepEqual((await getSchemaStatus(db)).pending[0].version, 4);
+  db.close();
+});
@@ -0,0 +1,68 @@
+/**
+ * Golden-file tests for sitting parsing.
+ * Every test/fixtures/sittings/*.html (CRE snippets across terms 5–10 and several CRE languages) goes
+ * through the pipeline's parse path — step 3 (topics, sections, speech split), step 5 section
+ * assignment and the political group normalizer — and the result must equal
+ * test/fixtures/golden/<name>.json.
+ *
+ * After an intended parser change: UPDATE_GOLDEN=1 npm test, then review the golden diff.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseSitting } = require('../src/scripts/step-3-parse-sitting');
+const { bestSectionForSpeech } = require('../src/core/parse-helpers');
+const { normalizePoliticalGroup } = require('../src/core/group-normalizer');
+
+const SITTINGS_DIR = path.join(__dirname, 'fixtures', 'sittings');
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'golden');
+const UPDATE = /^(1|true|yes)$/i.test(String(process.env.UPDATE_GOLDEN || ''));
+
+function summarize(html, sittingId) {
+  const { topics, speeches, sections } = parseSitting(html, sittingId);
+  return {
+    topics: topics.map(t => ({ ordinal: t.ordinal, title: t.title, docIdentifier: t.docIdentifier })),
+    sections: sections.map(s => ({ title: s.title, docIdentifier: s.docIdentifier, textLength: s.text.length })),
+    speeches: speeches.map((sp) => {
+      const match = bestSectionForSpeech(sp, sections);
+      const group = sp.political_group ? normalizePoliticalGroup(sp.political_group) : null;
+      return {
+        speech_order: sp.speech_order,
+        speaker_name: sp.speaker_name,
+        political_group: sp.political_group,
+        title: sp.title,
+        group_std: group && { std: group.std, kind: group.kind, reason: group.reason },
+        section: match && match.section.title,
+        section_score: match && Math.round(match.score * 1000) / 1000,
+        original_language: sp.original_language,
+        language_marker: sp.language_marker,
+        content_start: sp.speech_content.slice(0, 60),
+        content_length: sp.speech_content.length
+      };
+    })
+  };
+}
+
+const fixtures = fs.readdirSync(SITTINGS_DIR).filter(f => f.endsWith('.html')).sort();
+
+test('golden corpus is not empty', () => {
+  assert.ok(fixtures.length > 0, `no fixtures in ${SITTINGS_DIR}`);
+});
+
+for (const file of fixtures) {
+  const name = path.basename(file, '.html');
+  test(`golden: ${name}`, () => {
+    const html = fs.readFileSync(path.join(SITTINGS_DIR, file), 'utf8');
+    const actual = summarize(html, `sitting-${name}`);
+    const goldenFile = path.join(GOLDEN_DIR, `${name}.json`);
+
+    if (UPDATE || !fs.existsSync(goldenFile)) {
+      if (!UPDATE) assert.fail(`missing golden file ${goldenFile}; run UPDATE_GOLDEN=1 npm test and review it`);
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(goldenFile, JSON.stringify(actual, null, 2) + '\n');
+      return;
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(goldenFile, 'utf8')));
+  });
+}
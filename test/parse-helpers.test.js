@@ -0,0 +1,144 @@
+/**
+ * Unit tests for src/core/parse-helpers.js: speaker-line formats, topic extraction and section
+ * assignment on small inline inputs. Whole-sitting behaviour is covered by parse-golden.test.js.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseTopicsFromHTML,
+  splitHtmlIntoSections,
+  parseIndividualSpeeches,
+  detectLanguageMarker,
+  bestSectionForSpeech,
+  normalizeForSearch
+} = require('../src/core/parse-helpers');
+
+function topicCell(ordinal, title, docId, suffix = '(debate)') {
+  const link = docId ? ` <a href="https://www.europarl.europa.eu/doceo/document/${docId}_EN.html">${suffix}</a>` : ` ${suffix}`;
+  return `<table><tr><td class="doc_title"><img src="/doceo/data/img/arrow_title_doc.gif" />${ordinal}. ${title}${link}</td></tr></table>`;
+}
+
+test('parseIndividualSpeeches: "Name, role. – text" keeps the role as title', () => {
+  const [sp] = parseIndividualSpeeches('Ursula von der Leyen, President of the Commission. – Honourable Members, thank you.', 's1');
+  assert.equal(sp.speaker_name, 'Ursula von der Leyen');
+  assert.equal(sp.title, 'President of the Commission');
+  assert.equal(sp.political_group, null);
+  assert.equal(sp.speech_content, 'Honourable Members, thank you.');
+});
+
+test('parseIndividualSpeeches: "Name (GROUP). – text" takes a known group code', () => {
+  const [sp] = parseIndividualSpeeches('Seán Kelly (PPE). – Mr President, I voted in favour.', 's1');
+  assert.equal(sp.speaker_name, 'Seán Kelly');
+  assert.equal(sp.political_group, 'PPE');
+  assert.equal(sp.title, null);
+});
+
+test('parseIndividualSpeeches: "on behalf of" and translated equivalents become the political group', () => {
+  const speeches = parseIndividualSpeeches([
+    'Manfred Weber, im Namen der PPE-Fraktion. – Herr Präsident!',
+    'Manon Aubry, au nom du groupe The Left. – Madame la Présidente.',
+    'Ryszard Legutko, w imieniu grupy ECR. – Panie Przewodniczący!'
+  ].join('\n'), 's1');
+  assert.deepEqual(speeches.map(s => s.political_group), [
+    'im Namen der PPE-Fraktion',
+    'au nom du groupe The Left',
+    'w imieniu grupy ECR'
+  ]);
+  assert.ok(speeches.every(s => s.title === null));
+});
+
+test('parseIndividualSpeeches: "Name (GROUP), role. – text" keeps both group and role', () => {
+  const [sp] = parseIndividualSpeeches('Petri Sarvamaa (PPE), rapporteur. – Mr President, for the first time.', 's1');
+  assert.equal(sp.speaker_name, 'Petri Sarvamaa');
+  assert.equal(sp.political_group, 'PPE');
+  assert.equal(sp.title, 'rapporteur');
+});
+
+test('parseIndividualSpeeches: chair lines, continuation lines and speech order', () => {
+  const speeches = parseIndividualSpeeches([
+    'President. – The next item is the debate.',
+    '',
+    'Terry Reintke, on behalf of the Verts/ALE Group. – Mr President, first paragraph.',
+    'Second paragraph without a speaker.',
+    'President. – The debate is closed.'
+  ].join('\n'), 'sitting-x');
+  assert.deepEqual(speeches.map(s => [s.speech_order, s.speaker_name]), [
+    [1, 'President'],
+    [2, 'Terry Reintke'],
+    [3, 'President']
+  ]);
+  assert.equal(speeches[1].speech_content, 'Mr President, first paragraph. Second paragraph without a speaker.');
+  assert.ok(speeches.every(s => s.sitting_id === 'sitting-x' && s.mep_id === null));
+});
+
+test('parseIndividualSpeeches: text before the first speaker is ignored', () => {
+  assert.deepEqual(parseIndividualSpeeches('(The sitting opened at 9.00)\nNo dash here', 's1'), []);
+});
+
+test('parseTopicsFromHTML: ordinal, title without trailing parenthetical, document id, deduplication', () => {
+  const html = topicCell('3', 'Services in the internal market', 'A-6-2006-0409')
+    + topicCell('3', 'Services in the internal market', 'A-6-2006-0409', '(continuation of debate)')
+    + topicCell('4', 'Voting time', null, '(vote)');
+  assert.deepEqual(parseTopicsFromHTML(html).map(t => [t.ordinal, t.title, t.docIdentifier]), [
+    ['3', 'Services in the internal market', 'A-6-2006-0409'],
+    ['4', 'Voting time', null]
+  ]);
+});
+
+test('parseTopicsFromHTML: only English document links count as identifiers', () => {
+  const html = topicCell('6', 'Aussprache', 'CRE-8-2018-03-14-ITM-006').replace('_EN.html', '_DE.html');
+  assert.equal(parseTopicsFromHTML(html)[0].docIdentifier, null);
+});
+
+test('parseIndividualSpeeches: interpretation markers set original_language', () => {
+  const speeches = parseIndividualSpeeches([
+    'Bernd Lange (S&D). – (DE) Mr President, the trade agreement must be enforceable.',
+    'Liadh Ní Riada (GUE/NGL). – A Uachtaráin, (The speaker spoke in Irish) the fishing communities need support.',
+    'Seán Kelly (PPE). – Mr President, I voted in favour.'
+  ].join('\n'), 's1');
+  assert.deepEqual(speeches.map(s => [s.original_language, s.language_marker]), [
+    ['DE', '(DE)'],
+    ['GA', '(The speaker spoke in Irish)'],
+    [null, null]
+  ]);
+});
+
+test('detectLanguageMarker: FR / DE notes, continuation notes and unrelated brackets', () => {
+  assert.equal(detectLanguageMarker("(L'oratrice s'exprime en irlandais) Merci.").language, 'GA');
+  assert.equal(detectLanguageMarker('(Der Redner spricht Maltesisch) Danke.').language, 'MT');
+  assert.equal(detectLanguageMarker('(GA) A Uachtaráin. (The speaker continued in English) Thank you.').language, 'GA');
+  assert.equal(detectLanguageMarker('Thank you. (The speaker continued in Irish)'), null);
+  assert.equal(detectLanguageMarker('(Applause) (PPE) members spoke.'), null);
+  assert.equal(detectLanguageMarker('(XY) Unknown code.'), null);
+});
+
+test('splitHtmlIntoSections: each section spans from its header to the next', () => {
+  const html = topicCell('1', 'First item', 'CRE-10-2024-10-22-ITM-001') + '<p>Alpha text.</p>'
+    + topicCell('2', 'Second item', 'CRE-10-2024-10-22-ITM-002') + '<p>Beta text.</p>';
+  const sections = splitHtmlIntoSections(html);
+  assert.deepEqual(sections.map(s => s.title), ['First item', 'Second item']);
+  assert.match(sections[0].text, /Alpha text\./);
+  assert.doesNotMatch(sections[0].text, /Beta text/);
+  assert.match(sections[1].text, /Beta text\./);
+  assert.deepEqual(splitHtmlIntoSections('<p>No agenda headers</p>'), []);
+});
+
+test('bestSectionForSpeech: exact snippet match, token overlap fallback, short speeches', () => {
+  const speechText = 'Mr President, the Union must support the immediate deployment of an international peacekeeping force under the authority of the United Nations Security Council in the territory.';
+  const sections = [
+    { title: 'Approval of the Minutes', docIdentifier: 'A', text: 'The minutes of the previous sitting were approved without amendment by the house today.' },
+    { title: 'East Timor', docIdentifier: 'B', text: `Statements. ${speechText} The debate is closed.` }
+  ].map(s => ({ ...s, textNorm: normalizeForSearch(s.text) }));
+
+  assert.deepEqual(bestSectionForSpeech({ speech_content: speechText }, sections), {
+    section: { title: 'East Timor', docIdentifier: 'B' },
+    score: 1.0
+  });
+
+  const paraphrase = { speech_content: 'Peacekeeping deployment authority: the United Nations Security Council decides about the international force and its mandate.' };
+  const fallback = bestSectionForSpeech(paraphrase, sections);
+  assert.equal(fallback.section.title, 'East Timor');
+  assert.ok(fallback.score > 0.08 && fallback.score < 1);
+
+  assert.equal(bestSectionForSpeech({ speech_content: 'Thank you.' }, sections), null);
+});
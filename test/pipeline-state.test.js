@@ -0,0 +1,132 @@
+/**
+ * Tests for the bulk pipeline's per-date state (src/pipeline/state.js, src/pipeline/bulk.js): a run resumes from
+ * saved HTML and classified batches, known non-sitting days stay skipped and --retry-failed only takes failed dates.
+ * The network is stubbed (axios' default adapter, answering 404) and the HTML cache lives in a temp directory.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const axios = require('axios');
+const settle = require('axios/lib/core/settle');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-state-'));
+process.env.HTML_CACHE_DIR = cacheDir;
+const requested = [];
+axios.defaults.adapter = (config) => new Promise((resolve, reject) => {
+  requested.push(config.url);
+  settle(resolve, reject, { data: 'Not Found', status: 404, statusText: 'Not Found', headers: {}, config, request: {} });
+});
+
+const { runBulk } = require('../src/pipeline/bulk');
+const state = require('../src/pipeline/state');
+const { parseSitting } = require('../src/scripts/step-3-parse-sitting');
+const { ensureSchema } = require('../src/core/migrate');
+const { runAsync, allAsync } = require('../src/core/db-async');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'sittings', 'cre-9-2020-11-11-en.html'), 'utf8');
+
+test.after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+/** A date whose HTML was fetched and every batch classified before the run stopped. */
+async function saveClassified(db, date) {
+  const { topics, speeches } = parseSitting(HTML, `sitting-${date}`, () => {});
+  await state.beginAttempt(db, date);
+  await state.markFetched(db, date, { html: HTML, batchesTotal: 1, speeches: speeches.length });
+  await state.saveBatch(db, date, 0, topics.map(t => ({ topic: t.title, macro_topic: 'Saved topic', specific_focus: null, confidence: 0.9 })));
+}
+
+async function run(db, options) {
+  const events = [];
+  const result = await runBulk({ db, languages: [], log: () => {}, onEvent: (name) => events.push(name), ...options });
+  return { result, events };
+}
+
+test('a run resumes from saved HTML and batches without fetching or classifying again', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await saveClassified(db, '2020-11-11');
+  requested.length = 0;
+
+  const { result, events } = await run(db, { startDate: '2020-11-11', endDate: '2020-11-11' });
+  assert.equal(result.processed, 1);
+  assert.deepEqual(requested, []);
+  assert.ok(!events.includes('batch-classified'));
+  assert.deepEqual(events, ['date-fetched', 'sitting-stored']);
+
+  // Speeches under the agenda item get the saved classification (chair speeches outside it have none)
+  const topics = await allAsync(db, "SELECT DISTINCT macro_topic FROM individual_speeches WHERE sitting_id = 'sitting-2020-11-11' AND macro_topic IS NOT NULL");
+  assert.deepEqual(topics, [{ macro_topic: 'Saved topic' }]);
+  const [row] = await allAsync(db, "SELECT status, attempts, html FROM pipeline_dates WHERE date = '2020-11-11'");
+  assert.deepEqual(row, { status: 'stored', attempts: 2, html: null });
+  assert.deepEqual(await state.loadBatches(db, '2020-11-11'), {});
+  db.close();
+});
+
+test('a date found empty a week after it happened stays settled; a recent probe is retried', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  for (const date of ['2020-11-12', '2020-11-13']) {
+    await state.beginAttempt(db, date);
+    await state.markEmpty(db, date);
+  }
+  // 2020-11-13 was probed on the day itself: the report may simply not have been published yet
+  const probedSameDay = new Date('2020-11-13').getTime() + 3600 * 1000;
+  await runAsync(db, "UPDATE pipeline_dates SET updated_at = ? WHERE date = '2020-11-13'", [probedSameDay]);
+
+  const states = await state.loadDateStates(db, ['2020-11-12', '2020-11-13', '2020-11-14']);
+  assert.equal(state.isSettledEmpty(states.get('2020-11-12')), true);
+  assert.equal(state.isSettledEmpty(states.get('2020-11-13')), false);
+  assert.equal(state.isSettledEmpty(states.get('2020-11-14')), false);
+  assert.equal(state.isSettledEmpty({ date: '2020-11-12', status: 'failed', updated_at: Date.now() }), false);
+  assert.equal(state.isSettledEmpty({ date: '2020-11-12', status: 'empty', updated_at: new Date('2020-11-12').getTime() + 6 * DAY_MS }), false);
+
+  requested.length = 0;
+  const { result } = await run(db, { startDate: '2020-11-12', endDate: '2020-11-13' });
+  assert.equal(result.fetchSkipped, 1);
+  assert.ok(requested.length > 0);
+  assert.ok(requested.every(url => url.includes('2020-11-13')), 'only the unsettled date is fetched');
+  const rows = await allAsync(db, 'SELECT date, status, attempts FROM pipeline_dates ORDER BY date');
+  assert.deepEqual(rows, [
+    { date: '2020-11-12', status: 'empty', attempts: 1 },
+    { date: '2020-11-13', status: 'empty', attempts: 2 }
+  ]);
+  // The 404 is now settled: the next run skips both dates
+  requested.length = 0;
+  assert.equal((await run(db, { startDate: '2020-11-12', endDate: '2020-11-13' })).result.fetchSkipped, 0);
+  assert.deepEqual(requested, []);
+  assert.deepEqual((await allAsync(db, 'SELECT attempts FROM pipeline_dates ORDER BY date')).map(r => r.attempts), [1, 2]);
+  db.close();
+});
+
+test('retryFailed processes only the dates whose last attempt failed', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await saveClassified(db, '2020-11-11');
+  await state.markFailed(db, '2020-11-11', 'store', new Error('database is locked'));
+  await state.beginAttempt(db, '2020-11-10');
+  await state.markFailed(db, '2020-11-10', 'fetch', new Error('socket hang up'));
+  await state.beginAttempt(db, '2020-11-09');
+  await state.markEmpty(db, '2020-11-09');
+  assert.deepEqual(await state.listFailedDates(db, '2020-11-01', '2020-11-30'), ['2020-11-10', '2020-11-11']);
+  assert.deepEqual(await state.listFailedDates(db, '2020-11-11', '2020-11-30'), ['2020-11-11']);
+
+  requested.length = 0;
+  const { result } = await run(db, { startDate: '2020-11-01', endDate: '2020-11-30', retryFailed: true });
+  assert.equal(result.processed, 1);
+  assert.equal(result.fetchSkipped, 1);
+  // 2020-11-11 is stored from its saved HTML; only 2020-11-10 goes to the network (and is now a 404)
+  assert.ok(requested.length > 0);
+  assert.ok(requested.every(url => url.includes('2020-11-10')));
+  const rows = await allAsync(db, 'SELECT date, status, stage, attempts FROM pipeline_dates ORDER BY date');
+  assert.deepEqual(rows, [
+    { date: '2020-11-09', status: 'empty', stage: null, attempts: 1 },
+    { date: '2020-11-10', status: 'empty', stage: null, attempts: 2 },
+    { date: '2020-11-11', status: 'stored', stage: null, attempts: 2 }
+  ]);
+  assert.deepEqual(await state.getStateSummary(db), { empty: 2, stored: 1 });
+  db.close();
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for src/core/snapshots.js: bundle contents, manifest, versioning, checksum verification and
+ * the zip download, against an in-memory database and a temporary SNAPSHOTS_DIR.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Writable } = require('stream');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const snapshots = require('../src/core/snapshots');
+
+let db;
+let dir;
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+/** Entries of a zip buffer: name → inflated content. */
+function unzip(buf) {
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let pos = buf.readUInt32LE(eocd + 16);
+  const files = {};
+  for (let i = 0; i < buf.readUInt16LE(eocd + 10); i++) {
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const name = buf.subarray(pos + 46, pos + 46 + nameLength).toString();
+    const csize = buf.readUInt32LE(pos + 20);
+    const offset = buf.readUInt32LE(pos + 42);
+    const start = offset + 30 + buf.readUInt16LE(offset + 26);
+    files[name] = zlib.inflateRawSync(buf.subarray(start, start + csize));
+    pos += 46 + nameLength;
+  }
+  return files;
+}
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eurowatch-snapshots-'));
+  process.env.SNAPSHOTS_DIR = dir;
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run("INSERT INTO sittings (id, activity_date, content) VALUES ('s1', '2023-05-10', 'c1'), ('s2', '2024-02-07', 'c2')");
+  await run("INSERT INTO meps (id, label, country) VALUES (1, 'A', 'Germany'), (2, 'B', 'Austria')");
+  await run(`INSERT INTO individual_speeches (sitting_id, mep_id, political_group, political_group_std, language, speech_content) VALUES
+    ('s1', 1, 'Greens/EFA', 'Verts/ALE', 'DE', 'Eins'),
+    ('s1', 2, 'EPP', 'PPE', 'EN', 'Two'),
+    ('s2', 1, 'Verts/ALE', 'Verts/ALE', 'DE', 'Drei')`);
+});
+
+test.after(() => {
+  delete process.env.SNAPSHOTS_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return new Promise(resolve => db.close(resolve));
+});
+
+test('createSnapshot writes filtered tables, taxonomy, checksums and a manifest', async () => {
+  const manifest = await snapshots.createSnapshot(db, { label: 'Greens DE', format: 'jsonl', filters: { language: 'DE' } });
+  assert.match(manifest.id, /^\d{8}-\d{6}-greens-de$/);
+  assert.equal(manifest.version, 1);
+  assert.deepEqual(manifest.filters, { language: 'DE' });
+  assert.deepEqual(manifest.dateRange, { first: '2023-05-10', last: '2024-02-07' });
+  assert.equal(manifest.counts.speeches, 2);
+  assert.equal(manifest.counts.sittings, 2);
+  assert.equal(manifest.counts.meps, 1);
+  assert.ok(manifest.software.schemaVersion > 0);
+  assert.match(manifest.pipeline.parser.sha256, /^[0-9a-f]{64}$/);
+  assert.ok(manifest.classifier.model);
+  assert.deepEqual(manifest.files.map(f => f.name), [
+    'speeches.jsonl', 'sittings.jsonl', 'meps.jsonl', 'macro-topics.json', 'macro-topic-rules.json', 'group-normalization.json'
+  ]);
+
+  const snapDir = path.join(dir, manifest.id);
+  const speeches = fs.readFileSync(path.join(snapDir, 'speeches.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(speeches.map(s => s.speech_content), ['Eins', 'Drei']);
+  const groups = JSON.parse(fs.readFileSync(path.join(snapDir, 'group-normalization.json'), 'utf8'));
+  assert.deepEqual(groups.map(g => [g.raw, g.std, g.speeches]).sort(), [['Greens/EFA', 'Verts/ALE', 1], ['Verts/ALE', 'Verts/ALE', 1]]);
+  const sums = fs.readFileSync(path.join(snapDir, 'SHA256SUMS'), 'utf8');
+  assert.ok(sums.includes(`${manifest.files[0].sha256}  speeches.jsonl`));
+  assert.ok(!fs.existsSync(`${snapDir}.partial`));
+});
+
+test('versions increase and listSnapshots returns the newest first', async () => {
+  const second = await snapshots.createSnapshot(db, { format: 'parquet' });
+  assert.equal(second.version, 2);
+  assert.equal(second.counts.speeches, 3);
+  assert.deepEqual((await snapshots.listSnapshots()).map(s => s.version), [2, 1]);
+});
+
+test('verifySnapshot detects modified files', async () => {
+  const [latest] = await snapshots.listSnapshots();
+  assert.equal((await snapshots.verifySnapshot(latest.id)).ok, true);
+  fs.appendFileSync(path.join(dir, latest.id, 'meps.parquet'), 'x');
+  const result = await snapshots.verifySnapshot(latest.id);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.files.filter(f => !f.ok).map(f => f.name), ['meps.parquet']);
+});
+
+test('writeSnapshotZip streams every file under the snapshot folder', async () => {
+  const first = (await snapshots.listSnapshots()).find(s => s.version === 1);
+  const chunks = [];
+  await snapshots.writeSnapshotZip(first.id, new Writable({ write(chunk, _enc, cb) { chunks.push(chunk); cb(); } }));
+  const files = unzip(Buffer.concat(chunks));
+  assert.deepEqual(Object.keys(files).sort(), [
+    'SHA256SUMS', 'group-normalization.json', 'macro-topic-rules.json', 'macro-topics.json',
+    'manifest.json', 'meps.jsonl', 'sittings.jsonl', 'speeches.jsonl'
+  ].map(n => `${first.id}/${n}`));
+  assert.equal(JSON.parse(files[`${first.id}/manifest.json`]).id, first.id);
+});
+
+test('unknown ids, file names and bad filters are rejected', async () => {
+  await assert.rejects(snapshots.getSnapshot('../etc'), { code: 'SNAPSHOT_NOT_FOUND' });
+  const [latest] = await snapshots.listSnapshots();
+  await assert.rejects(snapshots.getSnapshotFile(latest.id, '../manifest.json'), { code: 'SNAPSHOT_NOT_FOUND' });
+  await assert.rejects(snapshots.createSnapshot(db, { filters: { mep_id: 'abc' } }), { code: 'INVALID_FILTER' });
+  await assert.rejects(snapshots.createSnapshot(db, { format: 'xlsx' }), { code: 'INVALID_FORMAT' });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for manual speaker links (src/core/speaker-overrides.js) and their survival through clearAllMepData
+ * and the historic MEP step on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const overrides = require('../src/core/speaker-overrides');
+const { clearAllMepData } = require('../src/server/refresh-mep-dataset');
+const historicMeps = require('../src/server/historic-meps');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+async function setup() {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, `INSERT INTO meps (id, label, givenName, familyName, country, politicalGroup, terms, source) VALUES
+    (1, 'Anna SCHMIDT', 'Anna', 'Schmidt', 'Germany', 'PPE', '6', 'api'),
+    (2, 'Anna SCHMIDT', 'Anna', 'Schmidt', 'Austria', 'S&D', '9', 'api'),
+    (3, 'José BARROSO', 'José', 'Barroso', 'Portugal', NULL, NULL, 'api')`);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('sitting-2006-03-14', '2006-03-14'), ('sitting-2020-11-11', '2020-11-11')");
+  const speeches = [
+    [1, 'sitting-2006-03-14', 'Anna Schmidt'],
+    [2, 'sitting-2020-11-11', 'Anna Schmidt'],
+    [3, 'sitting-2006-03-14', 'President of the Commission'],
+    [4, 'sitting-2006-03-14', 'Barroso'],
+    [5, 'sitting-2020-11-11', 'Barroso']
+  ];
+  for (const [id, sittingId, name] of speeches) {
+    await run(db, 'INSERT INTO individual_speeches (id, sitting_id, speaker_name) VALUES (?, ?, ?)', [id, sittingId, name]);
+  }
+  return db;
+}
+
+const links = async (db) => (await all(db, 'SELECT mep_id, mep_match_method FROM individual_speeches ORDER BY id'))
+  .map(r => [r.mep_id, r.mep_match_method]);
+
+test('listSpeakers and searchMeps feed the linking UI', async () => {
+  const db = await setup();
+  await overrides.linkSpeakers(db);
+  const unlinked = await overrides.listSpeakers(db);
+  assert.deepEqual(unlinked.items.map(i => [i.speaker_name, i.speeches, i.unlinked]), [['President of the Commission', 1, 1]]);
+  const all = await overrides.listSpeakers(db, { status: 'all', q: 'schmidt' });
+  assert.deepEqual(all.items[0].meps.map(m => m.id), [1, 2]);
+  assert.equal((await overrides.listSpeakers(db, { status: 'low-confidence' })).items[0].speaker_name, 'Barroso');
+  await assert.rejects(overrides.listSpeakers(db, { status: 'wrong' }), { code: 'INVALID_FILTER' });
+
+  assert.deepEqual((await overrides.searchMeps(db, 'jose barr')).map(m => m.id), [3]);
+  assert.deepEqual((await overrides.searchMeps(db, 'Schmi')).map(m => m.terms), [[6], [9]]);
+  db.close();
+});
+
+test('overrides link, keep unlinked, win per term and reset to automatic', async () => {
+  const db = await setup();
+  await overrides.linkSpeakers(db);
+  assert.deepEqual(await links(db), [[1, 'exact'], [2, 'exact'], [null, null], [3, 'partial'], [3, 'partial']]);
+
+  const linked = await overrides.setOverride(db, { speakerName: 'President of the Commission', mepId: 3, user: 'curator' });
+  assert.deepEqual(linked, { speaker_name: 'President of the Commission', term: 0, mep_id: 3, speeches: 1 });
+  // Barroso in 2020 is somebody else: keep term 9 unlinked, other terms stay automatic
+  await overrides.setOverride(db, { speakerName: 'Barroso', mepId: null, term: 9 });
+  assert.deepEqual(await links(db), [[1, 'exact'], [2, 'exact'], [3, 'override'], [3, 'partial'], [null, 'override']]);
+
+  await assert.rejects(overrides.setOverride(db, { speakerName: 'Barroso', mepId: 99 }), { code: 'MEP_NOT_FOUND' });
+  await assert.rejects(overrides.setOverride(db, { speakerName: 'Nobody', mepId: 1 }), { code: 'SPEAKER_NOT_FOUND' });
+  await assert.rejects(overrides.setOverride(db, { speakerName: 'Barroso', term: 11 }), { code: 'INVALID_OVERRIDE' });
+
+  const reset = await overrides.removeOverride(db, { speakerName: 'Barroso', term: 9 });
+  assert.equal(reset.relinked, 1);
+  assert.deepEqual((await links(db))[4], [3, 'partial']);
+  await assert.rejects(overrides.removeOverride(db, { speakerName: 'Barroso', term: 9 }), { code: 'NOT_FOUND' });
+  db.close();
+});
+
+test('clearAllMepData and the historic MEP step keep overrides', async () => {
+  const db = await setup();
+  await overrides.setOverride(db, { speakerName: 'President of the Commission', mepId: null });
+  await overrides.setOverride(db, { speakerName: 'Anna Schmidt', mepId: 2 });
+  await overrides.linkSpeakers(db);
+
+  const cleared = await clearAllMepData(db);
+  assert.equal(cleared.mepsDeleted, 2);
+  assert.deepEqual(await links(db), [[2, 'override'], [2, 'override'], [null, 'override'], [null, null], [null, null]]);
+
+  await historicMeps.createHistoricMepsOnePerPerson(db);
+  const rows = await links(db);
+  assert.equal(rows[2][0], null, 'kept unlinked, no historic MEP');
+  assert.equal(rows[3][1], 'historic');
+  db.close();
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for speaker → MEP resolution (src/core/speaker-resolver.js): name normalisation, context scoring and
+ * linking speeches on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const resolver = require('../src/core/speaker-resolver');
+
+const MEPS = [
+  { id: 1, label: 'Aodhán Ó Ríordáin', givenName: 'Aodhán', familyName: 'Ó Ríordáin', country: 'Ireland', politicalGroup: 'S&D', terms: '9,10' },
+  { id: 2, label: 'Ursula von der Leyen', givenName: 'Ursula', familyName: 'von der Leyen', country: 'Germany', politicalGroup: 'PPE', terms: '6' },
+  { id: 3, label: 'Pedro SÁNCHEZ', givenName: 'Pedro', familyName: 'Sánchez', country: 'Spain', politicalGroup: 'S&D', terms: '6' },
+  { id: 4, label: 'Anna SCHMIDT', givenName: 'Anna', familyName: 'Schmidt', country: 'Germany', politicalGroup: 'PPE', terms: '6,7' },
+  { id: 5, label: 'Anna SCHMIDT', givenName: 'Anna', familyName: 'Schmidt', country: 'Austria', politicalGroup: 'S&D', terms: '9' },
+  { id: 6, label: 'Annika Schmidtke', givenName: 'Annika', familyName: 'Schmidtke', country: 'Sweden', politicalGroup: 'Renew', terms: '9' }
+];
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+test('normalizeName drops diacritics, titles, apostrophes and particles', () => {
+  assert.deepEqual(resolver.normalizeName("Mr Aodhán Ó Ríordáin").tokens, ['aodhan', 'o', 'riordain']);
+  assert.deepEqual(resolver.normalizeName("Aodhan O'Riordain (S&D)").tokens, ['aodhan', 'o', 'riordain']);
+  assert.deepEqual(resolver.normalizeName('von der Leyen').core, ['leyen']);
+  assert.equal(resolver.normalizeName('Jörg Leichtfrieß').compact, 'jorgleichtfriess');
+});
+
+test('resolveSpeaker matches name variants and never links on a substring', () => {
+  const index = resolver.buildMepIndex(MEPS);
+  const resolve = (name, context) => resolver.resolveSpeaker(index, name, context);
+
+  assert.deepEqual(resolve("Aodhan O'Riordain"), { mep_id: 1, method: 'exact', score: 1, candidates: null });
+  assert.equal(resolve('Ó Ríordáin Aodhán').method, 'reordered');
+  assert.equal(resolve('Aodhán Ríordáin').method, 'particles');
+  assert.equal(resolve('von der Leyen').mep_id, 2);
+  const compound = resolve('Pedro Sánchez Pérez', { term: 6 });
+  assert.equal(compound.mep_id, 3);
+  assert.equal(compound.method, 'partial');
+  // Surname only: both Schmidts are candidates, Schmidtke (substring) is not
+  assert.deepEqual(resolve('Schmidt').candidates.map(c => c.mep_id), [4, 5]);
+  assert.equal(resolve('Sanchez Perez Garcia Lopez'), null);
+});
+
+test('context decides between namesakes; close calls keep their candidates', () => {
+  const index = resolver.buildMepIndex(MEPS);
+  assert.equal(resolver.resolveSpeaker(index, 'Anna Schmidt', { term: 6 }).mep_id, 4);
+  assert.equal(resolver.resolveSpeaker(index, 'Anna Schmidt', { term: 9 }).mep_id, 5);
+  const tied = resolver.resolveSpeaker(index, 'Anna Schmidt', { term: 8 });
+  assert.deepEqual(tied.candidates.map(c => c.mep_id), [4, 5]);
+  const byGroup = resolver.resolveSpeaker(index, 'Anna Schmidt', { term: 8, group: 'S&D', language: 'DE' });
+  assert.equal(byGroup.mep_id, 5);
+  assert.equal(byGroup.candidates, null);
+});
+
+test('resolveSpeeches links per term, records method and score and lists ambiguous speakers', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  for (const m of MEPS) {
+    await run(db, 'INSERT INTO meps (id, label, givenName, familyName, country, politicalGroup, terms) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [m.id, m.label, m.givenName, m.familyName, m.country, m.politicalGroup, m.terms]);
+  }
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('sitting-2006-03-14', '2006-03-14'), ('sitting-2020-11-11', '2020-11-11'), ('sitting-2016-07-05', '2016-07-05')");
+  const speeches = [
+    [1, 'sitting-2006-03-14', 'Anna Schmidt'],
+    [2, 'sitting-2020-11-11', 'Anna Schmidt'],
+    [3, 'sitting-2016-07-05', 'Anna Schmidt'],
+    [4, 'sitting-2020-11-11', 'Aodhan O Riordain'],
+    [5, 'sitting-2020-11-11', 'Peter Smith']
+  ];
+  for (const [id, sittingId, name] of speeches) {
+    await run(db, 'INSERT INTO individual_speeches (id, sitting_id, speaker_name) VALUES (?, ?, ?)', [id, sittingId, name]);
+  }
+
+  const result = await resolver.resolveSpeeches(db);
+  assert.deepEqual(result, { speakers: 3, linkedSpeakers: 2, ambiguous: 1, speeches: 4 });
+  const rows = await all(db, 'SELECT id, mep_id, mep_match_method, mep_match_score, mep_match_candidates FROM individual_speeches ORDER BY id');
+  assert.deepEqual(rows.map(r => r.mep_id), [4, 5, 4, 1, null]);
+  assert.equal(rows[3].mep_match_method, 'exact');
+  assert.equal(rows[3].mep_match_score, 1);
+  assert.equal(rows[0].mep_match_candidates, null);
+  assert.deepEqual(JSON.parse(rows[2].mep_match_candidates).map(c => c.mep_id), [4, 5]);
+
+  const review = await resolver.listMatches(db);
+  assert.equal(review.total, 1);
+  assert.equal(review.items[0].speaker_name, 'Anna Schmidt');
+  assert.deepEqual(review.items[0].candidates.map(c => c.label), ['Anna SCHMIDT', 'Anna SCHMIDT']);
+  assert.equal((await resolver.listMatches(db, { status: 'all' })).total, 3);
+  await assert.rejects(resolver.listMatches(db, { status: 'open' }), { code: 'INVALID_FILTER' });
+  db.close();
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for src/core/speech-filters.js: query parsing and the generated WHERE clause, run against an
+ * in-memory database created by the schema migrations (including the FTS5 index).
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const { parseSpeechFilters, buildSpeechFilter } = require('../src/core/speech-filters');
+
+const SPEECHES = [
+  // [sitting, mep_id, group_std, language, macro_topic, specific_focus, content]
+  ['s1', 1, 'Verts/ALE', 'DE', 'Migration & asylum', 'Frontex oversight', 'Wir brauchen sichere Fluchtwege nach Europa.'],
+  ['s1', 2, 'PPE', 'EN', 'Migration & asylum', 'Return policy', 'Border protection and returns must be faster.'],
+  ['s2', 1, 'Verts/ALE', 'DE', 'Climate & environment', '100%_renewables', 'Die Energiewende braucht Wind und Sonne.'],
+  ['s2', 3, 'S&D', 'FR', 'Migration & asylum', null, 'Le pacte sur la migration et l\'asile.']
+];
+
+let db;
+
+function all(sql, params) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+async function ids(query) {
+  const { whereClause, params } = buildSpeechFilter(parseSpeechFilters(query));
+  const rows = await all(`
+    SELECT i.id FROM individual_speeches i
+    LEFT JOIN sittings s ON i.sitting_id = s.id
+    LEFT JOIN meps m ON i.mep_id = m.id
+    ${whereClause} ORDER BY i.id`, params);
+  return rows.map(r => r.id);
+}
+
+test.before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run("INSERT INTO sittings (id, activity_date, content) VALUES ('s1', '2023-05-10', 'c1'), ('s2', '2024-02-07', 'c2')");
+  await run("INSERT INTO meps (id, label, country) VALUES (1, 'A', 'Germany'), (2, 'B', 'Austria'), (3, 'C', 'France')");
+  for (const [sitting, mep, group, lang, topic, focus, content] of SPEECHES) {
+    await run(`INSERT INTO individual_speeches (sitting_id, mep_id, political_group_std, language, macro_topic, macro_specific_focus, speech_content)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`, [sitting, mep, group, lang, topic, focus, content]);
+  }
+});
+
+test.after(() => new Promise(resolve => db.close(resolve)));
+
+test('no filters: empty WHERE, every speech', async () => {
+  assert.equal(buildSpeechFilter(parseSpeechFilters({})).whereClause, '');
+  assert.deepEqual(await ids({}), [1, 2, 3, 4]);
+});
+
+test('group + language + macro topic combine with AND', async () => {
+  assert.deepEqual(await ids({ political_group_std: 'Verts/ALE', language: 'de', macro_topic: 'Migration & asylum' }), [1]);
+});
+
+test('lists accept comma-separated and repeated parameters', async () => {
+  assert.deepEqual(await ids({ mep_id: '2, 3' }), [2, 4]);
+  assert.deepEqual(await ids({ country: ['Germany', 'France'] }), [1, 3, 4]);
+});
+
+test('date range, specific focus substring and speech length', async () => {
+  assert.deepEqual(await ids({ startDate: '2024-01-01' }), [3, 4]);
+  assert.deepEqual(await ids({ specific_focus: 'frontex' }), [1]);
+  assert.deepEqual(await ids({ specific_focus: '%_' }), [3]);
+  assert.deepEqual(await ids({ min_length: '40', max_length: '44' }), [1, 3]);
+});
+
+test('text query uses the full-text index, with boolean and phrase modes', async () => {
+  assert.deepEqual(await ids({ q: 'migration OR Energiewende' }), [3, 4]);
+  assert.deepEqual(await ids({ q: 'protection and returns', mode: 'phrase' }), [2]);
+  assert.deepEqual(await ids({ q: 'Fluchtwege', language: 'EN' }), []);
+});
+
+test('text query with hyphenated, colon and apostrophe words', async () => {
+  assert.deepEqual(await ids({ q: 'Border-protection' }), [2]);
+  assert.deepEqual(await ids({ q: 'Energiewende: Wind' }), [3]);
+  assert.deepEqual(await ids({ q: "l'asile OR returns" }), [2, 4]);
+  assert.deepEqual(await ids({ q: 'COVID-19' }), []);
+});
+
+test('language_basis=original matches the interpretation marker, else the text language', async () => {
+  await run("UPDATE individual_speeches SET original_language = 'PL', language_marker = '(PL)' WHERE id = 2");
+  assert.deepEqual(await ids({ language: 'EN' }), [2]);
+  assert.deepEqual(await ids({ language: 'EN', language_basis: 'original' }), []);
+  assert.deepEqual(await ids({ language: 'PL,FR', language_basis: 'original' }), [2, 4]);
+  await run('UPDATE individual_speeches SET original_language = NULL, language_marker = NULL WHERE id = 2');
+});
+
+test('malformed values throw INVALID_FILTER', () => {
+  assert.throws(() => parseSpeechFilters({ language_basis: 'spoken' }), { code: 'INVALID_FILTER' });
+  assert.throws(() => parseSpeechFilters({ mep_id: '12,abc' }), { code: 'INVALID_FILTER' });
+  assert.throws(() => parseSpeechFilters({ min_length: '-1' }), { code: 'INVALID_FILTER' });
+  assert.throws(() => parseSpeechFilters({ min_length: '10', max_length: '5' }), { code: 'INVALID_FILTER' });
+  assert.throws(() => parseSpeechFilters({ startDate: '10/05/2023' }), { code: 'INVALID_FILTER' });
+});
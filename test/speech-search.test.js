@@ -0,0 +1,46 @@
+/**
+ * Tests for src/core/speech-search.js: MATCH expressions from user input, full-text search with filters and
+ * facet counts.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const { searchSpeeches, buildMatchQuery, isQuerySyntaxError } = require('../src/core/speech-search');
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+test('boolean queries quote hyphenated, colon and apostrophe words instead of failing', () => {
+  assert.equal(buildMatchQuery('COVID-19'), '"COVID-19"');
+  assert.equal(buildMatchQuery('EU-Mercosur deal'), '"EU-Mercosur" deal');
+  assert.equal(buildMatchQuery('Article 7: Hungary'), 'Article "7:" Hungary');
+  assert.equal(buildMatchQuery('"rule of law" AND (Hungary OR Poland*)'), '"rule of law" AND (Hungary OR Poland*)');
+  assert.equal(buildMatchQuery('NEAR(frontex pre-vote, 5)'), 'NEAR(frontex "pre-vote", 5)');
+  assert.equal(buildMatchQuery('EU - Mercosur'), 'EU Mercosur');
+  assert.equal(buildMatchQuery('protection and returns', 'phrase'), '"protection and returns"');
+  assert.equal(buildMatchQuery('  '), null);
+  assert.ok(isQuerySyntaxError(new Error('SQLITE_ERROR: no such column: 19')));
+  assert.ok(isQuerySyntaxError(new Error('SQLITE_ERROR: fts5: syntax error near "("')));
+});
+
+test('group facet counts the same group value the group filter matches', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('s1', '2024-02-07')");
+  const speeches = [
+    ['PPE', 'PPE', 'Frontex needs more staff.'],
+    ['Verts/ALE', null, 'Frontex must respect fundamental rights.'],
+    ['Verts/ALE', null, 'Frontex oversight is too weak.']
+  ];
+  for (const [raw, std, content] of speeches) {
+    await run(db, `INSERT INTO individual_speeches (sitting_id, political_group, political_group_std, speech_content)
+      VALUES ('s1', ?, ?, ?)`, [raw, std, content]);
+  }
+  const { facets } = await searchSpeeches(db, { q: 'frontex', facets: true });
+  assert.deepEqual(facets.group, [{ value: 'Verts/ALE', count: 2 }, { value: 'PPE', count: 1 }]);
+  const filtered = await searchSpeeches(db, { q: 'frontex', group: 'Verts/ALE' });
+  assert.equal(filtered.total, 2);
+  db.close();
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for CRE language versions (src/core/translations.js): speech alignment and storage on an
+ * in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const translations = require('../src/core/translations');
+
+const EN = [
+  { speaker_name: 'President', speech_content: 'The next item is the debate on the report on fisheries.' },
+  { speaker_name: 'Anna Schmidt', speech_content: 'Mr President, this report is a good compromise for our coastal communities.' },
+  { speaker_name: 'Jean Dupont', speech_content: 'Mr President, I cannot support this report.' },
+  { speaker_name: 'Maria Rossi', speech_content: 'Mr President, thank you.' }
+];
+
+const FR = [
+  { speaker_name: 'La Présidente', speech_content: "L'ordre du jour appelle le débat sur le rapport sur la pêche." },
+  { speaker_name: 'Anna Schmidt', speech_content: 'Monsieur le Président, ce rapport est un bon compromis pour nos communautés côtières.' },
+  { speaker_name: 'Jean Dupont', speech_content: 'Monsieur le Président, je ne peux pas soutenir ce rapport.' },
+  { speaker_name: 'Maria Rossi', speech_content: 'Monsieur le Président, merci.' }
+];
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+}
+
+test('alignSpeeches matches by speaker name and pairs same-length gaps by position', () => {
+  const pairs = translations.alignSpeeches(EN, FR);
+  assert.deepEqual(pairs.map(p => [p.base, p.other]), [[0, 0], [1, 1], [2, 2], [3, 3]]);
+  assert.ok(pairs[0].score <= 0.5, 'chair turn is a positional pair');
+  assert.ok(pairs.slice(1).every(p => p.score > 0.5), 'named speakers match directly');
+
+  // A speech missing from the language version leaves its EN speech unaligned
+  const partial = translations.alignSpeeches(EN, [FR[0], FR[1], FR[3]]);
+  assert.deepEqual(partial.map(p => [p.base, p.other]), [[0, 0], [1, 1], [3, 2]]);
+});
+
+test('parseLanguageList accepts lists and "all" and rejects unknown codes', () => {
+  assert.deepEqual(translations.parseLanguageList('fr, DE,en,fr'), ['FR', 'DE']);
+  assert.equal(translations.parseLanguageList('all').length, 23);
+  assert.deepEqual(translations.parseLanguageList(''), []);
+  assert.throws(() => translations.parseLanguageList('FR,XX'), { code: 'INVALID_LANGUAGE' });
+});
+
+test('storeTranslations replaces a language version and follows speech deletes', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('sitting-2024-03-12', '2024-03-12')");
+  for (const [i, s] of EN.entries()) {
+    await run(db, 'INSERT INTO individual_speeches (id, sitting_id, speaker_name, speech_content, speech_order) VALUES (?, ?, ?, ?, ?)',
+      [i + 1, 'sitting-2024-03-12', s.speaker_name, s.speech_content, i + 1]);
+  }
+
+  const first = await translations.storeTranslations(db, 'sitting-2024-03-12', 'FR', FR.slice(1));
+  assert.deepEqual(first, { language: 'FR', speeches: 4, parsed: 3, aligned: 3 });
+  const stored = await translations.storeTranslations(db, 'sitting-2024-03-12', 'FR', FR);
+  assert.equal(stored.aligned, 4);
+
+  const rows = await translations.getSittingTranslations(db, 'sitting-2024-03-12', 'fr');
+  assert.equal(rows.length, 4);
+  assert.equal(rows[2].speech_id, 3);
+  assert.match(rows[2].speech_content, /je ne peux pas/);
+  assert.deepEqual((await translations.listSittingLanguages(db, 'sitting-2024-03-12')).map(l => [l.language, l.speeches]), [['FR', 4]]);
+  await assert.rejects(translations.getSittingTranslations(db, 'sitting-2024-03-12', 'XX'), { code: 'INVALID_LANGUAGE' });
+
+  await run(db, 'DELETE FROM individual_speeches WHERE id = 3');
+  assert.equal((await translations.getSittingTranslations(db, 'sitting-2024-03-12', 'FR')).length, 3);
+  db.close();
+});
+
+test('storeTranslations rolls back and rejects when an insert fails', async () => {
+  const db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await run(db, "INSERT INTO sittings (id, activity_date) VALUES ('sitting-2024-03-12', '2024-03-12')");
+  for (const [i, s] of EN.entries()) {
+    await run(db, 'INSERT INTO individual_speeches (id, sitting_id, speaker_name, speech_content, speech_order) VALUES (?, ?, ?, ?, ?)',
+      [i + 1, 'sitting-2024-03-12', s.speaker_name, s.speech_content, i + 1]);
+  }
+  await translations.storeTranslations(db, 'sitting-2024-03-12', 'FR', FR);
+  await run(db, `CREATE TRIGGER refuse_dupont BEFORE INSERT ON speech_translations
+    WHEN NEW.speaker_name = 'Jean Dupont' BEGIN SELECT RAISE(ABORT, 'refused'); END`);
+
+  await assert.rejects(translations.storeTranslations(db, 'sitting-2024-03-12', 'FR', FR), /refused/);
+  // The earlier version survives: the DELETE was rolled back with the failed inserts
+  const rows = await translations.getSittingTranslations(db, 'sitting-2024-03-12', 'FR');
+  assert.equal(rows.length, 4);
+  await run(db, 'DROP TRIGGER refuse_dupont');
+  assert.equal((await translations.storeTranslations(db, 'sitting-2024-03-12', 'FR', FR)).aligned, 4);
+  db.close();
+});
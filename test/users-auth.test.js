@@ -0,0 +1,128 @@
+/**
+ * Tests for src/core/users.js (passwords, roles, sessions) and src/server/auth.js
+ * (login cookie, role guards, LOCALRUN local admin, failed-login limit) on an in-memory database.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { ensureSchema } = require('../src/core/migrate');
+const users = require('../src/core/users');
+const { createAuth, COOKIE_NAME } = require('../src/server/auth');
+
+let db;
+const servers = [];
+
+/** App with auth on /api, one route per role and the login/logout/me handlers. */
+async function startApp(options) {
+  const auth = createAuth(db, { localrun: false, ...options });
+  const app = express();
+  app.use('/api', auth.attachUser);
+  app.post('/api/auth/login', express.json(), auth.login);
+  app.post('/api/auth/logout', auth.logout);
+  app.get('/api/auth/me', auth.me);
+  for (const role of users.ROLES) app.post(`/api/${role}-action`, auth.requireRole(role), (req, res) => res.json({ ok: true }));
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  servers.push(server);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  return {
+    post: (path, body, cookie) => fetch(base + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+      body: JSON.stringify(body || {})
+    }),
+    me: (cookie) => fetch(`${base}/auth/me`, { headers: cookie ? { Cookie: cookie } : {} }).then(r => r.json())
+  };
+}
+
+const sessionCookie = (res) => (res.headers.get('set-cookie') || '').split(';')[0];
+
+test.before(async () => {
+  db = new sqlite3.Database(':memory:');
+  await ensureSchema(db);
+  await users.createUser(db, { username: 'root', password: 'root-password', role: 'admin' });
+  await users.createUser(db, { username: 'cura', password: 'cura-password', role: 'curator' });
+});
+
+test.after(async () => {
+  for (const server of servers) await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => db.close(resolve));
+});
+
+test('users are created with hashed passwords and authenticate case-insensitively', async () => {
+  const user = await users.createUser(db, { username: ' Viewer1 ', password: 'viewer-password' });
+  assert.equal(user.username, 'Viewer1');
+  assert.equal(user.role, 'viewer');
+  const stored = await new Promise((resolve, reject) =>
+    db.get('SELECT password_hash FROM users WHERE id = ?', [user.id], (err, row) => (err ? reject(err) : resolve(row))));
+  assert.match(stored.password_hash, /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+
+  assert.equal((await users.authenticate(db, 'viewer1', 'viewer-password')).id, user.id);
+  assert.equal(await users.authenticate(db, 'viewer1', 'wrong-password'), null);
+  assert.equal(await users.authenticate(db, 'nobody', 'viewer-password'), null);
+  assert.ok((await users.getUser(db, user.id)).lastLoginAt);
+
+  await assert.rejects(users.createUser(db, { username: 'VIEWER1', password: 'viewer-password' }), { code: 'USER_EXISTS' });
+  await assert.rejects(users.createUser(db, { username: 'x y', password: 'viewer-password' }), { code: 'INVALID_USER' });
+  await assert.rejects(users.createUser(db, { username: 'short', password: 'short' }), { code: 'INVALID_USER' });
+  await assert.rejects(users.createUser(db, { username: 'owner', password: 'owner-password', role: 'owner' }), { code: 'INVALID_USER' });
+});
+
+test('sessions expire and end on disable or password change; the last admin stays', async () => {
+  const user = await users.createUser(db, { username: 'temp', password: 'temp-password', role: 'curator' });
+  const expired = await users.createSession(db, user.id, -1000);
+  assert.equal(await users.getSessionUser(db, expired.token), null);
+
+  const { token } = await users.createSession(db, user.id);
+  assert.equal((await users.getSessionUser(db, token)).username, 'temp');
+  await users.updateUser(db, 'temp', { password: 'new-temp-password' });
+  assert.equal(await users.getSessionUser(db, token), null);
+
+  const second = await users.createSession(db, user.id);
+  await users.updateUser(db, user.id, { disabled: true });
+  assert.equal(await users.getSessionUser(db, second.token), null);
+  assert.equal(await users.authenticate(db, 'temp', 'new-temp-password'), null);
+
+  await assert.rejects(users.updateUser(db, 'root', { role: 'curator' }), { code: 'LAST_ADMIN' });
+  await assert.rejects(users.updateUser(db, 'root', { disabled: true }), { code: 'LAST_ADMIN' });
+  await assert.rejects(users.updateUser(db, 'ghost', { role: 'viewer' }), { code: 'USER_NOT_FOUND' });
+  assert.equal(await users.ensureBootstrapAdmin(db, { username: 'other', password: 'other-password' }, () => {}), null);
+});
+
+test('role guards answer 401 signed out and 403 below the required role', async () => {
+  const app = await startApp();
+  assert.equal((await app.post('/viewer-action')).status, 401);
+  assert.deepEqual(await app.me(), { user: null, roles: users.ROLES });
+
+  const login = await app.post('/auth/login', { username: 'cura', password: 'cura-password' });
+  assert.equal(login.status, 200);
+  assert.match(login.headers.get('set-cookie'), /HttpOnly/i);
+  assert.match(login.headers.get('set-cookie'), /SameSite=Strict/i);
+  const cookie = sessionCookie(login);
+  assert.ok(cookie.startsWith(`${COOKIE_NAME}=`));
+
+  assert.deepEqual((await app.me(cookie)).user, { username: 'cura', role: 'curator', local: false });
+  assert.equal((await app.post('/viewer-action', {}, cookie)).status, 200);
+  assert.equal((await app.post('/curator-action', {}, cookie)).status, 200);
+  const forbidden = await app.post('/admin-action', {}, cookie);
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).code, 'forbidden');
+
+  assert.equal((await app.post('/auth/logout', {}, cookie)).status, 200);
+  assert.equal((await app.post('/viewer-action', {}, cookie)).status, 401);
+});
+
+test('LOCALRUN acts as a local admin without a session', async () => {
+  const app = await startApp({ localrun: true });
+  assert.deepEqual((await app.me()).user, { username: 'local', role: 'admin', local: true });
+  assert.equal((await app.post('/admin-action')).status, 200);
+});
+
+test('repeated failed logins from one address get 429', async () => {
+  const app = await startApp();
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await app.post('/auth/login', { username: 'root', password: 'wrong-password' })).status, 401);
+  }
+  const limited = await app.post('/auth/login', { username: 'root', password: 'root-password' });
+  assert.equal(limited.status, 429);
+});